@@ -34,6 +34,9 @@ async function main() {
       role: 'MANAGER',
       is_active: true,
       updated_at: new Date(),
+      employees: {
+        create: { employee_name: fullName, role: 'MANAGER' },
+      },
     },
   });
 
@@ -0,0 +1,118 @@
+/**
+ * Receivable Aging Helpers
+ * FIFO application of ledger credits to debits and day-bucket classification
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+/**
+ * Aging buckets by days past due (max is inclusive, null = open-ended)
+ */
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: 'days_1_30', label: '1-30 Days', max: 30 },
+  { key: 'days_31_60', label: '31-60 Days', max: 60 },
+  { key: 'days_61_90', label: '61-90 Days', max: 90 },
+  { key: 'days_over_90', label: '90+ Days', max: null }
+];
+
+/**
+ * Credits against one specific sale (reference_id = sale_id): reversals and payments applied to the invoice
+ */
+const SALE_CREDIT_TYPES = ['SALE_RETURN', 'VOID_SALE', 'INVOICE_PAYMENT'];
+
+/**
+ * Empty bucket totals
+ * @returns {Object} { current: 0, days_1_30: 0, ... }
+ */
+export function emptyBuckets() {
+  return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+}
+
+/**
+ * Bucket key for a number of days past due
+ * @param {number} daysPastDue - Days past due (0 or less = current)
+ * @returns {string} Bucket key
+ */
+export function agingBucket(daysPastDue) {
+  const bucket = AGING_BUCKETS.find(b => b.max === null || daysPastDue <= b.max);
+  return bucket.key;
+}
+
+/**
+ * Apply credits to debits of one account and return the debits still open.
+ * Returns, voids and invoice payments settle their own sale first; everything else settles the oldest debit first.
+ * @param {Object[]} entries - account_ledger rows of a single account
+ * @returns {Object[]} Open debits: { ledger_id, reference_type, reference_id, date, amount, open_amount }
+ */
+export function applyCreditsFifo(entries) {
+  const sorted = [...entries].sort((a, b) =>
+    new Date(a.created_at) - new Date(b.created_at) || a.ledger_id - b.ledger_id
+  );
+
+  const debits = sorted
+    .filter(entry => parseDecimal(entry.debit) > 0)
+    .map(entry => ({
+      ledger_id: entry.ledger_id,
+      reference_type: entry.reference_type,
+      reference_id: entry.reference_id,
+      date: entry.created_at,
+      amount: parseDecimal(entry.debit),
+      open_amount: parseDecimal(entry.debit)
+    }));
+
+  const settle = (debit, credit) => {
+    const applied = Math.min(debit.open_amount, credit);
+    debit.open_amount = roundCurrency(debit.open_amount - applied);
+    return roundCurrency(credit - applied);
+  };
+
+  for (const entry of sorted) {
+    let remaining = parseDecimal(entry.credit);
+    if (remaining <= 0) continue;
+
+    if (SALE_CREDIT_TYPES.includes(entry.reference_type)) {
+      const saleDebit = debits.find(d => d.reference_type === 'SALE' && d.reference_id === entry.reference_id);
+      if (saleDebit) remaining = settle(saleDebit, remaining);
+    }
+
+    for (const debit of debits) {
+      if (remaining <= 0) break;
+      if (debit.open_amount <= 0) continue;
+      remaining = settle(debit, remaining);
+    }
+  }
+
+  return debits.filter(debit => debit.open_amount > 0);
+}
+
+/**
+ * Sort open debits into aging buckets
+ * @param {Object[]} openDebits - Result of applyCreditsFifo
+ * @param {Object} options
+ * @param {Date} options.asOf - Aging date
+ * @param {number} options.termsDays - Days of credit before a debit is past due
+ * @returns {Object} { buckets, total, oldest_days, items }
+ */
+export function ageOpenDebits(openDebits, { asOf = new Date(), termsDays = 0 } = {}) {
+  const buckets = emptyBuckets();
+  const dayMs = 1000 * 60 * 60 * 24;
+  let oldestDays = 0;
+
+  const items = openDebits.map(debit => {
+    const ageDays = Math.max(0, Math.floor((asOf - new Date(debit.date)) / dayMs));
+    const daysPastDue = ageDays - termsDays;
+    const bucket = agingBucket(daysPastDue);
+
+    buckets[bucket] = roundCurrency(buckets[bucket] + debit.open_amount);
+    oldestDays = Math.max(oldestDays, ageDays);
+
+    return { ...debit, age_days: ageDays, days_past_due: Math.max(0, daysPastDue), bucket };
+  });
+
+  return {
+    buckets,
+    total: roundCurrency(Object.values(buckets).reduce((sum, value) => sum + value, 0)),
+    oldest_days: oldestDays,
+    items
+  };
+}
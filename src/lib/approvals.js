@@ -0,0 +1,155 @@
+/**
+ * Manager Approval Helpers
+ * Verifies manager overrides and records them in the audit log
+ */
+import prisma from '@/lib/prisma';
+import { verifyPassword, hasPermission } from '@/lib/auth';
+import { getEmployeeId } from '@/lib/employees';
+import { consumeRateLimit, resetRateLimit } from '@/lib/rateLimit';
+
+// Failed approval attempts allowed per user and manager before approvals are locked out
+const APPROVAL_RATE_LIMIT = Number(process.env.APPROVAL_RATE_LIMIT || 5);
+const APPROVAL_LOCKOUT_MS = Number(process.env.APPROVAL_LOCKOUT_MS || 15 * 60_000);
+
+/**
+ * Thrown when an action needs a manager override that was not supplied.
+ * API routes answer with 403, the error code and details so the client can ask for approval.
+ */
+export class ApprovalRequiredError extends Error {
+  /**
+   * @param {string} message - Message shown to the cashier
+   * @param {string} code - Machine-readable reason (e.g. CREDIT_LIMIT_EXCEEDED)
+   * @param {Object} details - Figures behind the decision
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ApprovalRequiredError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Send the standard response for an ApprovalRequiredError
+ * @param {Object} res - Next.js response
+ * @param {ApprovalRequiredError} error - Error thrown by the handler
+ */
+export function sendApprovalRequired(res, error) {
+  return res.status(403).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    requiresApproval: true,
+    details: error.details
+  });
+}
+
+/**
+ * Find the active manager matching approval credentials
+ * @param {Object} approval - { username, password } or { username, pin }
+ * @returns {Promise<Object|null>} users row, or null when nothing matches
+ */
+async function findApprovingManager({ username, password, pin }) {
+  const candidate = await prisma.users.findUnique({
+    where: { username: String(username).toLowerCase() }
+  });
+
+  if (!candidate || !candidate.is_active || !hasPermission(candidate.role, 'MANAGER')) {
+    return null;
+  }
+
+  const valid = pin
+    ? candidate.approval_pin_hash && await verifyPassword(String(pin), candidate.approval_pin_hash)
+    : await verifyPassword(password || '', candidate.password_hash);
+
+  return valid ? candidate : null;
+}
+
+/**
+ * Resolve the manager approving an override.
+ * A manager can approve their own action with a reason; anyone else needs a manager's
+ * username with their password or approval PIN.
+ * Failed password and PIN attempts are limited per user and manager username; after APPROVAL_RATE_LIMIT
+ * of them, that user's approvals by that manager are refused until the lockout ends.
+ * The key does not use the client IP, which the client can change with X-Forwarded-For.
+ * @param {Object} user - Logged-in user (req.user)
+ * @param {Object|null} approval - { username, password, reason } or { username, pin, reason } from the request body
+ * @returns {Promise<Object|null>} { employeeId, name, reason }, or null when no approval was sent
+ */
+export async function resolveApproval(user, approval) {
+  if (!approval) return null;
+
+  const reason = approval.reason?.trim();
+  if (!reason) {
+    throw new Error('A reason is required for a manager override');
+  }
+
+  let approver;
+  if (approval.username || approval.pin) {
+    if (!approval.username) {
+      throw new Error('Enter the manager username with the approval PIN');
+    }
+
+    // Manager passwords and PINs checked here must not bypass the login throttle
+    const limiter = {
+      bucketName: 'manager-approval',
+      key: `${user?.userId ?? 'anonymous'}:${String(approval.username).toLowerCase()}`
+    };
+    const rateCheck = consumeRateLimit({ ...limiter, limit: APPROVAL_RATE_LIMIT, windowMs: APPROVAL_LOCKOUT_MS });
+    if (!rateCheck.allowed) {
+      throw new Error(`Too many failed approval attempts. Try again in ${Math.ceil(rateCheck.retryAfterSeconds / 60)} minute(s).`);
+    }
+
+    const manager = await findApprovingManager(approval);
+
+    if (!manager) {
+      throw new Error(approval.pin
+        ? 'Manager approval failed: invalid username or PIN'
+        : 'Manager approval failed: invalid manager credentials');
+    }
+    resetRateLimit(limiter);
+
+    approver = {
+      userId: manager.user_id,
+      username: manager.username,
+      fullName: manager.full_name,
+      role: manager.role
+    };
+  } else if (hasPermission(user?.role, 'MANAGER')) {
+    approver = user;
+  } else {
+    throw new Error('Manager credentials are required to approve this override');
+  }
+
+  return {
+    employeeId: await getEmployeeId(approver),
+    name: approver.fullName || approver.username,
+    reason
+  };
+}
+
+/**
+ * Write an audit log entry
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} entry
+ * @param {string} entry.action - What happened (e.g. CREDIT_LIMIT_OVERRIDE)
+ * @param {string} entry.entityType - Table the action applies to
+ * @param {number} entry.entityId - Row the action applies to
+ * @param {string} entry.reason - Reason given
+ * @param {Object} entry.details - Extra context stored as JSON
+ * @param {number|null} entry.requestedBy - employee_id of the user performing the action
+ * @param {number|null} entry.approvedBy - employee_id of the approving manager
+ */
+export async function recordAudit(client, { action, entityType, entityId, reason, details, requestedBy, approvedBy }) {
+  return client.audit_log.create({
+    data: {
+      action,
+      entity_type: entityType || null,
+      entity_id: entityId ?? null,
+      reason: reason || null,
+      details: details || undefined,
+      requested_by: requestedBy ?? null,
+      approved_by: approvedBy ?? null
+    }
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * Customer Collections
+ * Payments on account applied to the customer's open credit sales (invoices), oldest first or as chosen,
+ * with a collection receipt per payment.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { validateTender, allocateToOpenItems, postPaymentAllocations } from '@/lib/payments';
+
+export const COLLECTION_RECEIPT_PREFIX = 'CR-';
+
+// Methods a payment on account can be made with (store credit is what is being paid off)
+export const COLLECTION_METHODS = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK'];
+
+/**
+ * Include used when returning a customer payment (collection receipt)
+ */
+export const CUSTOMER_PAYMENT_INCLUDE = {
+  customers: {
+    select: { customer_id: true, customer_name: true, contact_number: true, credit_balance: true }
+  },
+  employees: {
+    select: { employee_id: true, employee_name: true }
+  },
+  allocations: {
+    orderBy: { allocation_id: 'asc' },
+    include: {
+      sales: {
+        select: { sale_id: true, invoice_number: true, sale_date: true, total_amount: true, amount_paid: true, sale_status: true }
+      }
+    }
+  }
+};
+
+/**
+ * Collection receipt number as printed
+ * @param {number} paymentId - customer_payments.customer_payment_id
+ * @returns {string} e.g. CR-000042
+ */
+export function formatCollectionReceipt(paymentId) {
+  return `${COLLECTION_RECEIPT_PREFIX}${String(paymentId).padStart(6, '0')}`;
+}
+
+/**
+ * A customer's open credit sales, oldest first
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} customerId - customers.customer_id
+ * @returns {Promise<Array>} sales rows with open_amount
+ */
+export async function getOpenInvoices(client, customerId) {
+  const sales = await client.sales.findMany({
+    where: {
+      customer_id: customerId,
+      is_active: true,
+      sale_status: { in: ['PARTIAL', 'UNPAID'] }
+    },
+    orderBy: [{ sale_date: 'asc' }, { sale_id: 'asc' }],
+    select: {
+      sale_id: true,
+      invoice_number: true,
+      sale_date: true,
+      total_amount: true,
+      amount_paid: true,
+      sale_status: true
+    }
+  });
+
+  return sales
+    .map(sale => ({
+      ...sale,
+      total_amount: parseDecimal(sale.total_amount),
+      amount_paid: parseDecimal(sale.amount_paid),
+      open_amount: roundCurrency(parseDecimal(sale.total_amount) - parseDecimal(sale.amount_paid))
+    }))
+    .filter(sale => sale.open_amount > 0);
+}
+
+/**
+ * Record a payment on account and apply it to the customer's open invoices.
+ * The balance is lowered first, which locks the customer row, so two payments for one customer
+ * cannot apply to the same invoice balance at once.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Object} options.user - User taking the payment (req.user)
+ * @param {number} options.customerId - customers.customer_id
+ * @param {Object} options.input - { amount, paymentMethod, provider, referenceNumber, checkNumber, checkDate,
+ *   description, allocations: [{ saleId, amount }] (optional) }
+ * @returns {Promise<Object>} customer_payments row with CUSTOMER_PAYMENT_INCLUDE
+ */
+export async function recordCustomerPayment(tx, { user, customerId, input }) {
+  const { amount, paymentMethod = 'CASH', provider, referenceNumber, checkNumber, checkDate, description, allocations } = input;
+
+  if (!COLLECTION_METHODS.includes(paymentMethod)) {
+    throw new Error(`paymentMethod must be one of: ${COLLECTION_METHODS.join(', ')}`);
+  }
+  validateTender({ method: paymentMethod, amount, referenceNumber, checkNumber, checkDate });
+  if (allocations !== undefined && allocations !== null && !Array.isArray(allocations)) {
+    throw new Error('allocations must be a list of { saleId, amount }');
+  }
+
+  const paymentAmount = roundCurrency(amount);
+
+  const customer = await tx.customers.findUnique({ where: { customer_id: customerId } });
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const updatedCustomer = await tx.customers.update({
+    where: { customer_id: customerId },
+    data: { credit_balance: { decrement: paymentAmount } }
+  });
+  const previousBalance = roundCurrency(parseDecimal(updatedCustomer.credit_balance) + paymentAmount);
+  if (paymentAmount > previousBalance) {
+    throw new Error(`Payment exceeds the customer's balance of ${previousBalance.toFixed(2)}`);
+  }
+
+  const invoices = await getOpenInvoices(tx, customerId);
+  const { allocations: applied, unapplied } = allocateToOpenItems(
+    invoices.map(invoice => ({ id: invoice.sale_id, open_amount: invoice.open_amount })),
+    paymentAmount,
+    allocations?.map(choice => ({ id: choice.saleId, amount: choice.amount })),
+    'Sale'
+  );
+
+  const employeeId = await getEmployeeId(user, tx);
+  const created = await tx.customer_payments.create({
+    data: {
+      customer_id: customerId,
+      amount: paymentAmount,
+      unapplied_amount: unapplied,
+      payment_method: paymentMethod,
+      provider: provider ? String(provider).trim() : null,
+      reference_number: referenceNumber ? String(referenceNumber).trim() : null,
+      check_number: paymentMethod === 'CHECK' ? String(checkNumber).trim() : null,
+      check_date: paymentMethod === 'CHECK' ? new Date(checkDate) : null,
+      remarks: description || null,
+      employee_id: employeeId
+    }
+  });
+  const receiptNumber = formatCollectionReceipt(created.customer_payment_id);
+
+  await postPaymentAllocations(tx, {
+    accountType: 'customer',
+    accountId: customerId,
+    paymentId: created.customer_payment_id,
+    items: invoices.map(invoice => ({ id: invoice.sale_id, total: invoice.total_amount, amount_paid: invoice.amount_paid })),
+    allocations: applied,
+    unapplied
+  });
+
+  await tx.agrivet_transactions.create({
+    data: {
+      ref_id: receiptNumber,
+      transaction_date: created.payment_date,
+      transaction_type: 'PAYMENT',
+      account_name: customer.customer_name || 'Customer',
+      amount: paymentAmount,
+      remarks: description || 'Customer payment'
+    }
+  });
+
+  return tx.customer_payments.update({
+    where: { customer_payment_id: created.customer_payment_id },
+    data: { receipt_number: receiptNumber },
+    include: CUSTOMER_PAYMENT_INCLUDE
+  });
+}
+
+/**
+ * Format a customer payment for API responses
+ * @param {Object} payment - customer_payments row with CUSTOMER_PAYMENT_INCLUDE
+ * @returns {Object} Payment with decimals converted
+ */
+export function formatCustomerPayment(payment) {
+  return {
+    ...payment,
+    amount: parseDecimal(payment.amount),
+    unapplied_amount: parseDecimal(payment.unapplied_amount),
+    customers: payment.customers
+      ? { ...payment.customers, credit_balance: parseDecimal(payment.customers.credit_balance) }
+      : payment.customers,
+    allocations: (payment.allocations || []).map(allocation => ({
+      ...allocation,
+      amount: parseDecimal(allocation.amount),
+      sales: allocation.sales
+        ? {
+            ...allocation.sales,
+            total_amount: parseDecimal(allocation.sales.total_amount),
+            amount_paid: parseDecimal(allocation.sales.amount_paid)
+          }
+        : allocation.sales
+    }))
+  };
+}
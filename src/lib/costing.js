@@ -0,0 +1,148 @@
+/**
+ * Inventory Costing Helpers
+ * Per-batch (FIFO) costs, product moving-average cost and gross margin figures
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { saleLineGross } from '@/lib/units';
+
+/**
+ * Round a unit cost to the 4 decimals stored in the database
+ * @param {number} value - Unit cost
+ * @returns {number} Rounded unit cost
+ */
+export function roundUnitCost(value) {
+  return Math.round((Number(value) || 0) * 10000) / 10000;
+}
+
+/**
+ * Cost of one unit of a batch.
+ * Batches recorded before cost tracking fall back to the product's moving-average cost.
+ * @param {Object} batch - inventory row
+ * @param {Object|null} product - products row (average_cost)
+ * @returns {number} Unit cost
+ */
+export function batchUnitCost(batch, product = null) {
+  if (batch?.unit_cost !== null && batch?.unit_cost !== undefined) {
+    return parseDecimal(batch.unit_cost);
+  }
+  return parseDecimal(product?.average_cost);
+}
+
+/**
+ * Fold received units into the product's moving-average cost.
+ * Call before the received units are added to inventory.
+ * New average = (units on hand x current average + received x unit cost) / (units on hand + received)
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Units received
+ * @param {number} unitCost - Cost of each received unit
+ * @returns {Promise<number>} New average cost
+ */
+export async function updateAverageCost(tx, productId, quantity, unitCost) {
+  const [product, stock] = await Promise.all([
+    tx.products.findUnique({
+      where: { product_id: productId },
+      select: { average_cost: true }
+    }),
+    tx.inventory.aggregate({
+      where: { product_id: productId, is_active: true },
+      _sum: { current_stock: true }
+    })
+  ]);
+
+  const onHand = Math.max(0, stock._sum.current_stock || 0);
+  const currentAverage = parseDecimal(product?.average_cost);
+  const totalUnits = onHand + quantity;
+  const averageCost = totalUnits > 0 && product?.average_cost !== null && product?.average_cost !== undefined
+    ? roundUnitCost((onHand * currentAverage + quantity * unitCost) / totalUnits)
+    : roundUnitCost(unitCost);
+
+  await tx.products.update({
+    where: { product_id: productId },
+    data: { average_cost: averageCost }
+  });
+
+  return averageCost;
+}
+
+/**
+ * Take units back out of the product's moving-average cost (a voided delivery).
+ * Call before the units are removed from inventory.
+ * New average = (units on hand x current average - removed x unit cost) / (units on hand - removed)
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Units removed
+ * @param {number} unitCost - Cost the units were received at
+ * @returns {Promise<number>} New average cost
+ */
+export async function reverseAverageCost(tx, productId, quantity, unitCost) {
+  const [product, stock] = await Promise.all([
+    tx.products.findUnique({
+      where: { product_id: productId },
+      select: { average_cost: true }
+    }),
+    tx.inventory.aggregate({
+      where: { product_id: productId, is_active: true },
+      _sum: { current_stock: true }
+    })
+  ]);
+
+  const onHand = Math.max(0, stock._sum.current_stock || 0);
+  const currentAverage = parseDecimal(product?.average_cost);
+  const remaining = onHand - quantity;
+
+  // With nothing left the last average is kept for the next delivery to blend with
+  if (remaining <= 0) return currentAverage;
+
+  const averageCost = roundUnitCost(Math.max(0, (onHand * currentAverage - quantity * unitCost) / remaining));
+
+  await tx.products.update({
+    where: { product_id: productId },
+    data: { average_cost: averageCost }
+  });
+
+  return averageCost;
+}
+
+/**
+ * Cost of goods sold for the batches a sale line drew from
+ * @param {Array<{ quantity: number, unit_cost: number }>} batches - Batches taken
+ * @returns {{ costAmount: number, unitCost: number }} Line cost and average unit cost
+ */
+export function saleLineCost(batches) {
+  const quantity = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const cost = batches.reduce((sum, batch) => sum + batch.quantity * parseDecimal(batch.unit_cost), 0);
+
+  return {
+    costAmount: roundCurrency(cost),
+    unitCost: quantity > 0 ? roundUnitCost(cost / quantity) : 0
+  };
+}
+
+/**
+ * Net revenue and cost of the units a customer kept on a sale line.
+ * Revenue is after line and order discounts and excludes VAT.
+ * @param {Object} sale - sales row
+ * @param {Object} detail - sale_details row of that sale
+ * @returns {{ quantity: number, revenue: number, cost: number }} Margin figures of the line
+ */
+export function saleLineMargin(sale, detail) {
+  const quantity = (detail.quantity || 0) - (detail.returned_quantity || 0);
+  if (quantity <= 0 || !detail.quantity) {
+    return { quantity: 0, revenue: 0, cost: 0 };
+  }
+
+  const saleSubtotal = parseDecimal(sale.subtotal);
+  const inclusiveTax = sale.tax_mode === 'INCLUSIVE' ? parseDecimal(sale.tax_amount) : 0;
+  const netFactor = saleSubtotal > 0
+    ? (saleSubtotal - parseDecimal(sale.discount_amount) - inclusiveTax) / saleSubtotal
+    : 1;
+
+  const lineTotal = saleLineGross(detail) - parseDecimal(detail.discount);
+
+  return {
+    quantity,
+    revenue: roundCurrency(lineTotal * netFactor * quantity / detail.quantity),
+    cost: roundCurrency(parseDecimal(detail.unit_cost) * quantity)
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Customer Order Fulfilment Helpers
+ * Turning customer purchase orders into sales: what is still open, what stock can fill,
+ * backorders for the rest, and the order status that follows.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { recordSale } from '@/lib/sales';
+import { getReservedQuantities, consumeReservation, releaseOrderReservations } from '@/lib/reservations';
+
+/**
+ * Customer order lifecycle
+ * PENDING -> PARTIALLY_FULFILLED / BACKORDERED -> RECEIVED (everything invoiced); open orders can be CANCELLED
+ */
+export const CUSTOMER_ORDER_STATUSES = ['PENDING', 'PARTIALLY_FULFILLED', 'BACKORDERED', 'RECEIVED', 'CANCELLED'];
+
+/**
+ * Statuses that can still be fulfilled
+ */
+export const FULFILLABLE_STATUSES = ['PENDING', 'PARTIALLY_FULFILLED', 'BACKORDERED'];
+
+/**
+ * Include used when returning a customer order
+ */
+export const CUSTOMER_ORDER_INCLUDE = {
+  customers: true,
+  purchase_order_details: {
+    include: {
+      products: {
+        select: { product_id: true, product_code: true, product_name: true, unit: true, unit_price: true }
+      },
+      stock_reservations: {
+        where: { status: 'ACTIVE' },
+        select: { reservation_id: true, quantity: true, expires_at: true }
+      }
+    },
+    orderBy: { po_detail_id: 'asc' }
+  },
+  PO_sales: {
+    include: {
+      sales: {
+        select: {
+          sale_id: true,
+          invoice_number: true,
+          sale_date: true,
+          total_amount: true,
+          sale_status: true,
+          is_active: true
+        }
+      }
+    },
+    orderBy: { PO_sales_id: 'asc' }
+  }
+};
+
+/**
+ * Quantity of an order line not yet invoiced
+ * @param {Object} detail - purchase_order_details row
+ * @returns {number}
+ */
+export function openQuantity(detail) {
+  return Math.max(0, (detail.quantity || 0) - (detail.fulfilled_quantity || 0));
+}
+
+/**
+ * Work out how much of each line to fill from stock.
+ * Lines share stock of the same product in order; what cannot be filled is backordered.
+ * @param {Array} details - purchase_order_details rows
+ * @param {Array|null} requested - [{ poDetailId, quantity }], or null for every open line in full
+ * @param {Map<number, number>} stock - Base units in stock by product_id
+ * @returns {Array} [{ detail, wanted, quantity, backordered }] for each line asked for
+ * @throws {Error} When a requested line is unknown or asks for more than is open
+ */
+export function planFulfilment(details, requested, stock) {
+  const available = new Map(stock);
+  const wantedByDetail = new Map();
+
+  if (requested) {
+    for (const line of requested) {
+      const detail = details.find(d => d.po_detail_id === parseInt(line.poDetailId));
+      if (!detail) {
+        throw new Error(`Order line ${line.poDetailId} is not on this order`);
+      }
+      const quantity = parseInt(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('Quantities to fulfil must be whole numbers greater than zero');
+      }
+      const wanted = (wantedByDetail.get(detail.po_detail_id) || 0) + quantity;
+      if (wanted > openQuantity(detail)) {
+        throw new Error(`Only ${openQuantity(detail)} of ${detail.products?.product_name || `line ${detail.po_detail_id}`} is still open`);
+      }
+      wantedByDetail.set(detail.po_detail_id, wanted);
+    }
+  } else {
+    details.forEach(detail => {
+      if (openQuantity(detail) > 0) wantedByDetail.set(detail.po_detail_id, openQuantity(detail));
+    });
+  }
+
+  return details
+    .filter(detail => wantedByDetail.has(detail.po_detail_id))
+    .map(detail => {
+      const wanted = wantedByDetail.get(detail.po_detail_id);
+      const inStock = available.get(detail.product_id) || 0;
+      const quantity = Math.min(wanted, inStock);
+      available.set(detail.product_id, inStock - quantity);
+      return { detail, wanted, quantity, backordered: wanted - quantity };
+    });
+}
+
+/**
+ * Order status from its lines
+ * @param {Array} details - purchase_order_details rows after fulfilment
+ * @returns {string}
+ */
+export function orderStatusFromLines(details) {
+  if (details.every(detail => openQuantity(detail) === 0)) return 'RECEIVED';
+  if (details.some(detail => detail.backordered_quantity > 0)) return 'BACKORDERED';
+  if (details.some(detail => detail.fulfilled_quantity > 0)) return 'PARTIALLY_FULFILLED';
+  return 'PENDING';
+}
+
+/**
+ * Fulfil a customer order: invoice what stock can fill as one sale (FIFO batches, see lib/sales),
+ * link it through PO_sales and backorder the rest.
+ * The invoiced amount moves off the order's outstanding balance onto the sale.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Object} options.user - User fulfilling the order (req.user)
+ * @param {number} options.poId - Order to fulfil
+ * @param {Object} options.input - Request body: { items: [{ poDetailId, quantity }] (default: every open line),
+ *   payments (default: charged to the customer's account), discount, discountType, taxMode, taxRate,
+ *   delivery, terminalId, notes }
+ * @param {Object|null} options.approver - From resolveApproval
+ * @returns {Promise<Object>} { sale, order, lines } - sale is null when nothing was in stock
+ */
+export async function fulfilPurchaseOrder(tx, { user, poId, input, approver = null }) {
+  const order = await tx.purchase_orders.findUnique({
+    where: { po_id: poId },
+    include: { purchase_order_details: { include: { products: true }, orderBy: { po_detail_id: 'asc' } } }
+  });
+
+  if (!order) {
+    throw new Error('Purchase order not found');
+  }
+  if (!FULFILLABLE_STATUSES.includes(order.po_status || 'PENDING')) {
+    throw new Error(`A ${order.po_status} order cannot be fulfilled`);
+  }
+  if (!order.customer_id) {
+    throw new Error('The order has no customer to invoice');
+  }
+
+  const requested = Array.isArray(input.items) && input.items.length > 0 ? input.items : null;
+  const productIds = [...new Set(order.purchase_order_details.map(detail => detail.product_id).filter(Boolean))];
+  const [stockRows, reservedElsewhere] = await Promise.all([
+    tx.inventory.groupBy({
+      by: ['product_id'],
+      where: { product_id: { in: productIds }, is_active: true, current_stock: { gt: 0 } },
+      _sum: { current_stock: true }
+    }),
+    getReservedQuantities(tx, productIds, { excludePoId: order.po_id })
+  ]);
+  // Stock held for other orders is not ours to pick; this order's own reservation is
+  const stock = new Map(stockRows.map(row => [
+    row.product_id,
+    Math.max(0, (row._sum.current_stock || 0) - (reservedElsewhere.get(row.product_id) || 0))
+  ]));
+
+  const lines = planFulfilment(order.purchase_order_details, requested, stock);
+  if (lines.length === 0) {
+    throw new Error('Nothing is left open on this order');
+  }
+
+  const filled = lines.filter(line => line.quantity > 0);
+  let sale = null;
+
+  if (filled.length > 0) {
+    sale = await recordSale(tx, {
+      user,
+      approver,
+      purchaseOrderId: order.po_id,
+      input: {
+        ...input,
+        customerId: order.customer_id,
+        processType: 'PO',
+        payments: Array.isArray(input.payments) ? input.payments : [],
+        notes: input.notes || `PO-${order.po_id}`,
+        items: filled.map(line => ({ productId: line.detail.product_id, quantity: line.quantity }))
+      }
+    });
+
+    await tx.PO_sales.create({
+      data: { PO_id: order.po_id, sales_id: sale.sale_id }
+    });
+  }
+
+  // Only from the quantities read, so two fulfilments cannot invoice the same units
+  for (const line of lines) {
+    const { count } = await tx.purchase_order_details.updateMany({
+      where: { po_detail_id: line.detail.po_detail_id, fulfilled_quantity: line.detail.fulfilled_quantity },
+      data: {
+        fulfilled_quantity: line.detail.fulfilled_quantity + line.quantity,
+        backordered_quantity: line.backordered
+      }
+    });
+    if (count === 0) {
+      throw new Error('The order was fulfilled by someone else; reload and try again');
+    }
+    if (line.quantity > 0) {
+      await consumeReservation(tx, line.detail.po_detail_id, line.quantity);
+    }
+  }
+
+  const details = await tx.purchase_order_details.findMany({ where: { po_id: order.po_id } });
+  const status = orderStatusFromLines(details);
+  if (status === 'RECEIVED') {
+    await releaseOrderReservations(tx, order.po_id, 'Order fulfilled');
+  }
+
+  // The invoiced amount is now owed on the sale; whatever is left comes off once the order is complete
+  const outstanding = parseDecimal(order.outstanding_balance);
+  const invoiced = sale ? parseDecimal(sale.total_amount) : 0;
+  const released = status === 'RECEIVED' ? outstanding : Math.min(outstanding, invoiced);
+
+  if (released > 0) {
+    await tx.account_ledger.create({
+      data: {
+        account_type: 'customer',
+        account_id: order.customer_id,
+        reference_type: 'PURCHASE_ORDER',
+        reference_id: order.po_id,
+        debit: 0,
+        credit: released,
+        created_at: new Date()
+      }
+    });
+  }
+
+  const updated = await tx.purchase_orders.update({
+    where: { po_id: order.po_id },
+    data: {
+      po_status: status,
+      outstanding_balance: roundCurrency(outstanding - released)
+    },
+    include: CUSTOMER_ORDER_INCLUDE
+  });
+
+  return {
+    sale,
+    order: updated,
+    lines: lines.map(line => ({
+      po_detail_id: line.detail.po_detail_id,
+      product_id: line.detail.product_id,
+      product_name: line.detail.products?.product_name || null,
+      requested: line.wanted,
+      fulfilled: line.quantity,
+      backordered: line.backordered
+    }))
+  };
+}
+
+/**
+ * Format a customer order for API responses
+ * @param {Object} order - purchase_orders row with CUSTOMER_ORDER_INCLUDE
+ * @returns {Object} Order with decimals converted, and open and reserved quantities per line
+ */
+export function formatCustomerOrder(order) {
+  return {
+    ...order,
+    outstanding_balance: parseDecimal(order.outstanding_balance),
+    purchase_order_details: (order.purchase_order_details || []).map(detail => ({
+      ...detail,
+      open_quantity: openQuantity(detail),
+      reserved_quantity: (detail.stock_reservations || [])
+        .filter(reservation => new Date(reservation.expires_at) > new Date())
+        .reduce((sum, reservation) => sum + reservation.quantity, 0)
+    })),
+    PO_sales: (order.PO_sales || []).map(link => ({
+      ...link,
+      sales: link.sales ? { ...link.sales, total_amount: parseDecimal(link.sales.total_amount) } : null
+    }))
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Deliveries
+ * Dispatch of POS delivery orders: PENDING when the sale is made, SCHEDULED once a driver and vehicle
+ * are assigned, OUT_FOR_DELIVERY when it leaves, then DELIVERED (with proof of delivery) or FAILED.
+ * Shared by the deliveries API and page (no server-only imports).
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+export const DELIVERY_STATUSES = ['PENDING', 'SCHEDULED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED'];
+
+export const DELIVERY_STATUS_LABELS = {
+  PENDING: 'Pending',
+  SCHEDULED: 'Scheduled',
+  OUT_FOR_DELIVERY: 'Out for Delivery',
+  DELIVERED: 'Delivered',
+  FAILED: 'Failed'
+};
+
+// Statuses still to be delivered (the dispatch queue)
+export const OPEN_DELIVERY_STATUSES = ['PENDING', 'SCHEDULED', 'OUT_FOR_DELIVERY', 'FAILED'];
+
+// Where each status may go next; a failed drop can be rescheduled
+export const DELIVERY_TRANSITIONS = {
+  PENDING: ['SCHEDULED', 'FAILED'],
+  SCHEDULED: ['OUT_FOR_DELIVERY', 'PENDING', 'FAILED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'FAILED'],
+  DELIVERED: [],
+  FAILED: ['SCHEDULED']
+};
+
+/**
+ * Include used when returning a delivery
+ */
+export const DELIVERY_INCLUDE = {
+  employees: {
+    select: { employee_id: true, employee_name: true }
+  },
+  sales: {
+    select: {
+      sale_id: true,
+      invoice_number: true,
+      sale_date: true,
+      total_amount: true,
+      amount_paid: true,
+      sale_status: true,
+      is_active: true,
+      remarks: true,
+      customers: {
+        select: { customer_id: true, customer_name: true, contact_number: true }
+      },
+      sale_details: {
+        select: {
+          sale_detail_id: true,
+          quantity: true,
+          unit_name: true,
+          unit_quantity: true,
+          products: { select: { product_id: true, product_name: true, unit: true } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Amount the driver should collect on a drop: what is still open on the sale
+ * @param {Object} sale - sales row
+ * @returns {number}
+ */
+export function amountToCollect(sale) {
+  if (!sale || !['PARTIAL', 'UNPAID'].includes(sale.sale_status)) return 0;
+  return Math.max(0, roundCurrency(parseDecimal(sale.total_amount) - parseDecimal(sale.amount_paid)));
+}
+
+/**
+ * Data for a status change, with the timestamp of the new status
+ * @param {Object} delivery - delivery row with sales
+ * @param {Object} change - { status, receivedBy, notes, reason }
+ * @param {Date} now - Time of the change
+ * @returns {Object} delivery update data
+ * @throws {Error} When the change is not allowed or proof of delivery / failure reason is missing
+ */
+export function deliveryStatusUpdate(delivery, { status, receivedBy, notes, reason }, now = new Date()) {
+  const current = delivery.delivery_status || 'PENDING';
+
+  if (!DELIVERY_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  if (delivery.sales && delivery.sales.is_active === false) {
+    throw new Error('The sale for this delivery was voided');
+  }
+  if (!DELIVERY_TRANSITIONS[current]?.includes(status)) {
+    throw new Error(`Cannot change a ${DELIVERY_STATUS_LABELS[current] || current} delivery to ${DELIVERY_STATUS_LABELS[status]}`);
+  }
+
+  const data = { delivery_status: status, updated_at: now };
+
+  if (status === 'SCHEDULED') {
+    if (!delivery.employee_id) {
+      throw new Error('Assign a driver before scheduling the delivery');
+    }
+    data.scheduled_at = now;
+    data.failure_reason = null;
+  }
+
+  if (status === 'PENDING') {
+    data.scheduled_at = null;
+  }
+
+  if (status === 'OUT_FOR_DELIVERY') {
+    data.dispatched_at = now;
+  }
+
+  if (status === 'DELIVERED') {
+    if (!String(receivedBy || '').trim()) {
+      throw new Error('Enter who received the delivery');
+    }
+    data.delivered_at = now;
+    data.received_by = String(receivedBy).trim();
+    data.pod_notes = notes ? String(notes).trim() : null;
+  }
+
+  if (status === 'FAILED') {
+    if (!String(reason || '').trim()) {
+      throw new Error('A reason is required for a failed delivery');
+    }
+    data.failed_at = now;
+    data.failure_reason = String(reason).trim();
+  }
+
+  return data;
+}
+
+/**
+ * Format a delivery for API responses
+ * @param {Object} delivery - delivery row with DELIVERY_INCLUDE
+ * @returns {Object} Delivery with decimals converted and the amount to collect
+ */
+export function formatDelivery(delivery) {
+  const sale = delivery.sales;
+  return {
+    ...delivery,
+    delivery_fee: parseDecimal(delivery.delivery_fee),
+    sales: sale
+      ? {
+          ...sale,
+          total_amount: parseDecimal(sale.total_amount),
+          amount_paid: parseDecimal(sale.amount_paid)
+        }
+      : sale,
+    amount_to_collect: amountToCollect(sale)
+  };
+}
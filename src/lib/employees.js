@@ -0,0 +1,38 @@
+/**
+ * Employee Helpers
+ * Maps login accounts (users) to employee records used by sales, stock and supply rows
+ */
+import prisma from '@/lib/prisma';
+
+/**
+ * Resolve the employee record linked to an authenticated user.
+ * Accounts created before the users/employees link get an employee record on first use.
+ * @param {Object} user - Decoded token payload (req.user)
+ * @param {Object} client - Prisma client or transaction client (default: shared client)
+ * @returns {Promise<number|null>} employee_id, or null when there is no user
+ */
+export async function getEmployeeId(user, client = prisma) {
+  if (!user?.userId) return null;
+
+  const employee = await client.employees.findUnique({
+    where: { user_id: user.userId },
+    select: { employee_id: true }
+  });
+
+  if (employee) return employee.employee_id;
+
+  // Run as INSERT ... ON CONFLICT, so two first requests of one account cannot both create a record
+  // (a failed insert would abort the caller's transaction, so it could not be caught and re-read)
+  const created = await client.employees.upsert({
+    where: { user_id: user.userId },
+    update: {},
+    create: {
+      user_id: user.userId,
+      employee_name: user.fullName || user.username,
+      role: user.role
+    },
+    select: { employee_id: true }
+  });
+
+  return created.employee_id;
+}
@@ -0,0 +1,154 @@
+/**
+ * Idempotency Keys
+ * A client sends an Idempotency-Key header with a write; the first successful response is stored per
+ * key and user and replayed for repeats within the window, so a double click or a retry after a lost
+ * response does not record the sale or payment twice.
+ */
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// How long a stored response is replayed
+const IDEMPOTENCY_WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_MS || 24 * 60 * 60 * 1000);
+
+// How long a request may hold its key without a stored response before the key is taken as abandoned
+const IDEMPOTENCY_PENDING_MS = Number(process.env.IDEMPOTENCY_PENDING_MS || 2 * 60 * 1000);
+
+const MAX_KEY_LENGTH = 255;
+
+function requestHash(req, path) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method.toUpperCase()} ${path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Claim a key for this request. Expired keys, and keys left in progress past IDEMPOTENCY_PENDING_MS
+ * (the request died, or its response could not be stored), are cleared first so they can be reused.
+ * @returns {Promise<Object>} { record } when claimed, or { existing } when the key is already taken
+ */
+async function claimKey({ userId, key, method, path, hash }) {
+  const now = new Date();
+  await prisma.idempotency_keys.deleteMany({
+    where: {
+      OR: [
+        { expires_at: { lt: now } },
+        { response_status: null, created_at: { lt: new Date(now.getTime() - IDEMPOTENCY_PENDING_MS) } }
+      ]
+    }
+  });
+
+  try {
+    const record = await prisma.idempotency_keys.create({
+      data: {
+        user_id: userId,
+        idempotency_key: key,
+        method,
+        path,
+        request_hash: hash,
+        created_at: now,
+        expires_at: new Date(now.getTime() + IDEMPOTENCY_WINDOW_MS)
+      }
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+
+    const existing = await prisma.idempotency_keys.findUnique({
+      where: { user_id_idempotency_key: { user_id: userId, idempotency_key: key } }
+    });
+    return { existing };
+  }
+}
+
+/**
+ * Run a handler under the request's Idempotency-Key (if any).
+ * Only 2xx responses are stored: a failed write rolled back, so its key is released and the client may retry.
+ * A repeat with a different method, path or body is refused with 422; a repeat while the first request
+ * is still running gets 409 until the key is taken as abandoned.
+ * @param {Object} req - Request with req.user
+ * @param {Object} res - Response
+ * @param {Function} handler - API route handler
+ */
+export async function runIdempotent(req, res, handler) {
+  const rawKey = req.headers[IDEMPOTENCY_HEADER];
+  const key = (Array.isArray(rawKey) ? rawKey[0] : rawKey || '').trim();
+
+  if (!key) {
+    return handler(req, res);
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const method = req.method.toUpperCase();
+  const path = req.url.split('?')[0];
+  const hash = requestHash(req, path);
+  const { record, existing } = await claimKey({ userId: req.user.userId, key, method, path, hash });
+
+  if (existing) {
+    if (existing.request_hash !== hash) {
+      return res.status(422).json({
+        success: false,
+        error: 'This Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.response_status === null) {
+      res.setHeader('Retry-After', '2');
+      return res.status(409).json({
+        success: false,
+        error: 'This request is still being processed',
+        code: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  let captured = null;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = { status: res.statusCode, body };
+    return sendJson(body);
+  };
+
+  const release = () => prisma.idempotency_keys.delete({ where: { idempotency_id: record.idempotency_id } });
+
+  let result;
+  try {
+    result = await handler(req, res);
+  } catch (error) {
+    await release().catch(() => {});
+    throw error;
+  }
+
+  // The response has been sent; a failure here only costs the replay, so it is logged and the
+  // key frees up once it is past IDEMPOTENCY_PENDING_MS
+  try {
+    if (captured && captured.status >= 200 && captured.status < 300) {
+      await prisma.idempotency_keys.update({
+        where: { idempotency_id: record.idempotency_id },
+        data: {
+          response_status: captured.status,
+          response_body: JSON.parse(JSON.stringify(captured.body ?? null))
+        }
+      });
+    } else {
+      await release();
+    }
+  } catch (error) {
+    console.error('Idempotency key store error:', error);
+  }
+
+  return result;
+}
@@ -0,0 +1,126 @@
+/**
+ * Offline Store
+ * Browser-side IndexedDB storage for the POS: the cached catalog and the queue of sales
+ * rung up while the connection was down. Client code only.
+ */
+
+const DB_NAME = 'agrivet-pos';
+const DB_VERSION = 1;
+const SNAPSHOTS = 'snapshots';
+const SALE_QUEUE = 'sale_queue';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('Offline storage is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS);
+        }
+        if (!db.objectStoreNames.contains(SALE_QUEUE)) {
+          db.createObjectStore(SALE_QUEUE, { keyPath: 'clientReference' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run one request against an object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+async function withStore(storeName, mode, action) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Save the POS catalog (GET /api/products/catalog response)
+ * @param {Object} catalog - { products, price_lists, promotions, generated_at }
+ */
+export function saveCatalog(catalog) {
+  return withStore(SNAPSHOTS, 'readwrite', store => store.put(catalog, 'catalog'));
+}
+
+/**
+ * Last saved POS catalog
+ * @returns {Promise<Object|null>}
+ */
+export async function loadCatalog() {
+  return (await withStore(SNAPSHOTS, 'readonly', store => store.get('catalog'))) || null;
+}
+
+/**
+ * Save the customer list used by the POS customer picker
+ * @param {Array} customers - customers rows
+ */
+export function saveCustomerList(customers) {
+  return withStore(SNAPSHOTS, 'readwrite', store => store.put(customers, 'customers'));
+}
+
+/**
+ * Last saved customer list
+ * @returns {Promise<Array>}
+ */
+export async function loadCustomerList() {
+  return (await withStore(SNAPSHOTS, 'readonly', store => store.get('customers'))) || [];
+}
+
+/**
+ * Queue a sale for POST /api/sales/sync
+ * @param {Object} entry - { clientReference, soldAt, totalAmount, sale }
+ */
+export function queueSale(entry) {
+  return withStore(SALE_QUEUE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Queued sales in the order they were rung up
+ * @returns {Promise<Array>}
+ */
+export async function getQueuedSales() {
+  const entries = await withStore(SALE_QUEUE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => new Date(a.soldAt) - new Date(b.soldAt));
+}
+
+/**
+ * Remove a sale the server has answered for
+ * @param {string} clientReference - Queue key
+ */
+export function removeQueuedSale(clientReference) {
+  return withStore(SALE_QUEUE, 'readwrite', store => store.delete(clientReference));
+}
+
+/**
+ * Number of sales waiting to sync
+ * @returns {Promise<number>}
+ */
+export function countQueuedSales() {
+  return withStore(SALE_QUEUE, 'readonly', store => store.count());
+}
@@ -0,0 +1,142 @@
+/**
+ * Price Override Rules
+ * How far each role may go below the resolved price (line price or discount, and the order discount)
+ * before a manager must approve, and the dealer-price floor. Every override is kept in
+ * sale_price_overrides for the overrides report.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { resolveUnitPrice } from '@/lib/units';
+
+/** Rules used for a role that has no price_override_rules row */
+export const DEFAULT_OVERRIDE_RULES = {
+  CASHIER: { max_discount_percent: 5, allow_below_dealer_price: false },
+  CLERK: { max_discount_percent: 10, allow_below_dealer_price: false },
+  MANAGER: { max_discount_percent: 100, allow_below_dealer_price: true }
+};
+
+/**
+ * Override rule for a role
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} role - users_role of the user making the sale
+ * @returns {Promise<Object>} { role, max_discount_percent, allow_below_dealer_price }
+ */
+export async function getOverrideRule(client, role) {
+  const rule = await client.price_override_rules.findUnique({
+    where: { role }
+  });
+
+  if (!rule) {
+    return { role, ...(DEFAULT_OVERRIDE_RULES[role] || DEFAULT_OVERRIDE_RULES.CASHIER) };
+  }
+
+  return {
+    role,
+    max_discount_percent: parseDecimal(rule.max_discount_percent),
+    allow_below_dealer_price: rule.allow_below_dealer_price
+  };
+}
+
+/**
+ * Lowest price a selling unit may be sold at without approval: the dealer price.
+ * Units not priced from the SRP keep the same dealer-to-SRP ratio.
+ * @param {Object} product - products row
+ * @param {Object|null} unit - product_units row, or null for the base unit
+ * @returns {number|null} Floor price per selling unit, or null when the product has no dealer price
+ */
+export function dealerFloorPrice(product, unit = null) {
+  const dealerPrice = parseDecimal(product.dealer_price);
+  if (dealerPrice <= 0) return null;
+
+  if (!unit || ['SRP', 'DEALER_PRICE'].includes(unit.price_source)) {
+    return dealerPrice;
+  }
+
+  const srp = parseDecimal(product.srp);
+  if (srp <= 0) return null;
+
+  return roundCurrency(resolveUnitPrice(product, unit) * dealerPrice / srp);
+}
+
+/**
+ * Compare a sale line with its resolved price
+ * @param {Object} options
+ * @param {number} options.listPrice - Resolved unit price (price list)
+ * @param {number} options.unitPrice - Unit price charged
+ * @param {number} options.quantity - Quantity in the selling unit
+ * @param {number} options.discount - Line discount amount
+ * @param {number|null} options.floorPrice - Dealer floor per selling unit
+ * @param {Object} options.rule - Rule from getOverrideRule
+ * @returns {Object|null} Override figures, or null when the line is charged at its resolved price
+ */
+export function evaluateLineOverride({ listPrice, unitPrice, quantity, discount = 0, floorPrice = null, rule }) {
+  const priceChanged = Math.abs(unitPrice - listPrice) >= 0.005;
+  if (!priceChanged && discount <= 0) return null;
+
+  const listAmount = roundCurrency(listPrice * quantity);
+  const chargedAmount = roundCurrency(unitPrice * quantity - discount);
+  const floorAmount = floorPrice === null ? null : roundCurrency(floorPrice * quantity);
+  // Mark-ups show as a negative discount
+  const discountPercent = listAmount > 0
+    ? Math.max(-9999.99, Math.round((1 - chargedAmount / listAmount) * 10000) / 100)
+    : 0;
+
+  const exceedsLimit = discountPercent > rule.max_discount_percent;
+  const belowFloor = floorAmount !== null && chargedAmount < floorAmount - 0.005 && !rule.allow_below_dealer_price;
+
+  return {
+    overrideType: priceChanged ? 'PRICE' : 'DISCOUNT',
+    listAmount,
+    chargedAmount,
+    discountPercent,
+    floorAmount,
+    exceedsLimit,
+    belowFloor,
+    needsApproval: exceedsLimit || belowFloor
+  };
+}
+
+/**
+ * Check the order-level discount against the role's limit. The order discount is spread over the
+ * lines by amount, and each line's own discount plus its share must stay within the limit and
+ * above the dealer floor.
+ * @param {Object} options
+ * @param {number} options.subtotal - Sale subtotal after line discounts
+ * @param {number} options.discountAmount - Order discount amount
+ * @param {Array} options.lines - Every sale line: { listAmount, chargedAmount, floorAmount, netAmount }
+ *   where netAmount is the line's share of the subtotal (after promotions)
+ * @param {Object} options.rule - Rule from getOverrideRule
+ * @returns {Object|null} Override figures, or null when there is no order discount
+ */
+export function evaluateOrderDiscount({ subtotal, discountAmount, lines = [], rule }) {
+  if (discountAmount <= 0) return null;
+
+  const discountPercent = subtotal > 0
+    ? Math.round((discountAmount / subtotal) * 10000) / 100
+    : 0;
+
+  let exceedsLimit = discountPercent > rule.max_discount_percent;
+  let belowFloor = false;
+  for (const line of lines) {
+    const share = subtotal > 0 ? discountAmount * line.netAmount / subtotal : 0;
+    const combinedAmount = roundCurrency(line.chargedAmount - share);
+    const combinedPercent = line.listAmount > 0
+      ? Math.round((1 - combinedAmount / line.listAmount) * 10000) / 100
+      : 0;
+
+    if (combinedPercent > rule.max_discount_percent) exceedsLimit = true;
+    if (line.floorAmount !== null && combinedAmount < line.floorAmount - 0.005 && !rule.allow_below_dealer_price) {
+      belowFloor = true;
+    }
+  }
+
+  return {
+    overrideType: 'ORDER_DISCOUNT',
+    listAmount: roundCurrency(subtotal),
+    chargedAmount: roundCurrency(subtotal - discountAmount),
+    discountPercent,
+    floorAmount: null,
+    exceedsLimit,
+    belowFloor,
+    needsApproval: exceedsLimit || belowFloor
+  };
+}
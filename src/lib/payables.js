@@ -0,0 +1,265 @@
+/**
+ * Supplier Payables
+ * Each supply (delivery) is a bill with the supplier's terms and a due date; payments to the supplier
+ * are applied to open bills, oldest due first or as chosen, with a payment voucher per payment.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { validateTender, allocateToOpenItems, postPaymentAllocations } from '@/lib/payments';
+
+// Days to pay per supplier term
+export const SUPPLIER_TERMS = {
+  COD: 0,
+  NET_30: 30,
+  NET_60: 60
+};
+
+export const BILL_STATUSES = ['OPEN', 'PARTIAL', 'PAID'];
+
+export const PAYMENT_VOUCHER_PREFIX = 'PV-';
+
+// Methods a supplier can be paid with
+export const SUPPLIER_PAYMENT_METHODS = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK'];
+
+/**
+ * Include used when returning a supplier payment (voucher)
+ */
+export const SUPPLIER_PAYMENT_INCLUDE = {
+  suppliers: {
+    select: { supplier_id: true, supplier_name: true, contact_number: true, payable_balance: true }
+  },
+  employees: {
+    select: { employee_id: true, employee_name: true }
+  },
+  allocations: {
+    orderBy: { allocation_id: 'asc' },
+    include: {
+      supply: {
+        select: { supply_id: true, bill_number: true, supply_date: true, due_date: true, total: true, amount_paid: true, bill_status: true }
+      }
+    }
+  }
+};
+
+/**
+ * Payment voucher number as printed
+ * @param {number} paymentId - supplier_payments.supplier_payment_id
+ * @returns {string} e.g. PV-000042
+ */
+export function formatPaymentVoucher(paymentId) {
+  return `${PAYMENT_VOUCHER_PREFIX}${String(paymentId).padStart(6, '0')}`;
+}
+
+/**
+ * Due date of a bill
+ * @param {Date} billDate - Supply date
+ * @param {string} terms - Supplier term
+ * @returns {Date}
+ */
+export function billDueDate(billDate, terms) {
+  const due = new Date(billDate);
+  due.setDate(due.getDate() + (SUPPLIER_TERMS[terms] ?? 0));
+  return due;
+}
+
+/**
+ * Bill fields for a new supply row, from the supplier's current terms
+ * @param {Object} supplier - suppliers row
+ * @param {Object} options
+ * @param {Date} options.supplyDate - Delivery date
+ * @param {number} options.total - Supply total
+ * @param {string} options.billNumber - Supplier's invoice number (optional)
+ * @returns {Object} supply data: bill_number, terms, due_date, amount_paid, bill_status
+ */
+export function billData(supplier, { supplyDate, total, billNumber = null }) {
+  const terms = supplier.payment_terms || 'COD';
+  return {
+    bill_number: billNumber ? String(billNumber).trim() : null,
+    terms,
+    due_date: billDueDate(supplyDate, terms),
+    amount_paid: 0,
+    bill_status: roundCurrency(total) > 0 ? 'OPEN' : 'PAID'
+  };
+}
+
+/**
+ * Post a new bill: raise the supplier payable and debit the supplier ledger
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} supply - Created supply row
+ */
+export async function postSupplierBill(tx, supply) {
+  const total = parseDecimal(supply.total);
+
+  await tx.suppliers.update({
+    where: { supplier_id: supply.supplier_id },
+    data: { payable_balance: { increment: total } }
+  });
+
+  await tx.account_ledger.create({
+    data: {
+      account_type: 'supplier',
+      account_id: supply.supplier_id,
+      reference_type: 'SUPPLY',
+      reference_id: supply.supply_id,
+      debit: total,
+      credit: 0
+    }
+  });
+}
+
+/**
+ * Format a bill (supply row) with its open amount
+ * @param {Object} supply - supply row
+ * @returns {Object}
+ */
+export function formatBill(supply) {
+  const total = parseDecimal(supply.total);
+  const amountPaid = parseDecimal(supply.amount_paid);
+  return {
+    ...supply,
+    total,
+    amount_paid: amountPaid,
+    open_amount: roundCurrency(total - amountPaid)
+  };
+}
+
+/**
+ * A supplier's open bills, earliest due first.
+ * Supplies recorded before bills existed have no bill_status and are paid through the balance only.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} supplierId - suppliers.supplier_id
+ * @returns {Promise<Array>} supply rows with open_amount
+ */
+export async function getOpenBills(client, supplierId) {
+  const bills = await client.supply.findMany({
+    where: {
+      supplier_id: supplierId,
+      bill_status: { in: ['OPEN', 'PARTIAL'] }
+    },
+    orderBy: [{ due_date: 'asc' }, { supply_id: 'asc' }],
+    select: {
+      supply_id: true,
+      bill_number: true,
+      supply_date: true,
+      terms: true,
+      due_date: true,
+      total: true,
+      amount_paid: true,
+      bill_status: true
+    }
+  });
+
+  return bills.map(formatBill).filter(bill => bill.open_amount > 0);
+}
+
+/**
+ * Record a payment to a supplier and apply it to open bills.
+ * The payable is lowered first, which locks the supplier row, so two payments to one supplier
+ * cannot apply to the same bill balance at once.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Object} options.user - User recording the payment (req.user)
+ * @param {number} options.supplierId - suppliers.supplier_id
+ * @param {Object} options.input - { amount, paymentMethod, provider, referenceNumber, checkNumber, checkDate,
+ *   description, allocations: [{ supplyId, amount }] (optional) }
+ * @returns {Promise<Object>} supplier_payments row with SUPPLIER_PAYMENT_INCLUDE
+ */
+export async function recordSupplierPayment(tx, { user, supplierId, input }) {
+  const { amount, paymentMethod = 'CASH', provider, referenceNumber, checkNumber, checkDate, description, allocations } = input;
+
+  if (!SUPPLIER_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new Error(`paymentMethod must be one of: ${SUPPLIER_PAYMENT_METHODS.join(', ')}`);
+  }
+  validateTender({ method: paymentMethod, amount, referenceNumber, checkNumber, checkDate });
+  if (allocations !== undefined && allocations !== null && !Array.isArray(allocations)) {
+    throw new Error('allocations must be a list of { supplyId, amount }');
+  }
+
+  const paymentAmount = roundCurrency(amount);
+
+  const supplier = await tx.suppliers.findUnique({ where: { supplier_id: supplierId } });
+  if (!supplier) {
+    throw new Error('Supplier not found');
+  }
+
+  const updatedSupplier = await tx.suppliers.update({
+    where: { supplier_id: supplierId },
+    data: { payable_balance: { decrement: paymentAmount } }
+  });
+  const previousBalance = roundCurrency(parseDecimal(updatedSupplier.payable_balance) + paymentAmount);
+  if (paymentAmount > previousBalance) {
+    throw new Error(`Payment exceeds the amount owed to the supplier (${previousBalance.toFixed(2)})`);
+  }
+
+  const bills = await getOpenBills(tx, supplierId);
+  const { allocations: applied, unapplied } = allocateToOpenItems(
+    bills.map(bill => ({ id: bill.supply_id, open_amount: bill.open_amount })),
+    paymentAmount,
+    allocations?.map(choice => ({ id: choice.supplyId, amount: choice.amount })),
+    'Bill'
+  );
+
+  const employeeId = await getEmployeeId(user, tx);
+  const created = await tx.supplier_payments.create({
+    data: {
+      supplier_id: supplierId,
+      amount: paymentAmount,
+      unapplied_amount: unapplied,
+      payment_method: paymentMethod,
+      provider: provider ? String(provider).trim() : null,
+      reference_number: referenceNumber ? String(referenceNumber).trim() : null,
+      check_number: paymentMethod === 'CHECK' ? String(checkNumber).trim() : null,
+      check_date: paymentMethod === 'CHECK' ? new Date(checkDate) : null,
+      remarks: description || null,
+      employee_id: employeeId
+    }
+  });
+  const voucherNumber = formatPaymentVoucher(created.supplier_payment_id);
+
+  await postPaymentAllocations(tx, {
+    accountType: 'supplier',
+    accountId: supplierId,
+    paymentId: created.supplier_payment_id,
+    items: bills.map(bill => ({ id: bill.supply_id, total: bill.total, amount_paid: bill.amount_paid })),
+    allocations: applied,
+    unapplied
+  });
+
+  await tx.agrivet_transactions.create({
+    data: {
+      ref_id: voucherNumber,
+      transaction_date: created.payment_date,
+      transaction_type: 'SUPPLIER_PAYMENT',
+      account_name: supplier.supplier_name,
+      amount: paymentAmount,
+      remarks: description || 'Supplier payment'
+    }
+  });
+
+  return tx.supplier_payments.update({
+    where: { supplier_payment_id: created.supplier_payment_id },
+    data: { voucher_number: voucherNumber },
+    include: SUPPLIER_PAYMENT_INCLUDE
+  });
+}
+
+/**
+ * Format a supplier payment for API responses
+ * @param {Object} payment - supplier_payments row with SUPPLIER_PAYMENT_INCLUDE
+ * @returns {Object} Payment with decimals converted
+ */
+export function formatSupplierPayment(payment) {
+  return {
+    ...payment,
+    amount: parseDecimal(payment.amount),
+    unapplied_amount: parseDecimal(payment.unapplied_amount),
+    suppliers: payment.suppliers
+      ? { ...payment.suppliers, payable_balance: parseDecimal(payment.suppliers.payable_balance) }
+      : payment.suppliers,
+    allocations: (payment.allocations || []).map(allocation => ({
+      ...allocation,
+      amount: parseDecimal(allocation.amount),
+      supply: allocation.supply ? formatBill(allocation.supply) : allocation.supply
+    }))
+  };
+}
@@ -0,0 +1,407 @@
+/**
+ * Sale Tenders
+ * How a sale was paid: one sale_payments line per tender (cash, e-wallet, bank transfer, check),
+ * plus a STORE_CREDIT line for whatever is charged to the customer's account; and how payments
+ * on account are applied to open items.
+ * Shared by the sale transaction, the reports and the POS (no server-only imports).
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+export const TENDER_TYPES = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK', 'STORE_CREDIT'];
+
+export const TENDER_LABELS = {
+  CASH: 'Cash',
+  E_WALLET: 'GCash / E-wallet',
+  BANK_TRANSFER: 'Bank Transfer',
+  CHECK: 'Check',
+  STORE_CREDIT: 'Store Credit',
+  MIXED: 'Mixed (before tender lines)'
+};
+
+// Tenders that can be handed more than is due; the rest is given back as change
+const CHANGE_TENDERS = ['CASH'];
+
+/**
+ * Tenders from a sale request body.
+ * Bodies without a payments array (older POS builds, queued offline sales) are read from
+ * amountPaid/paymentMethod/cashAmount/onlineAmount the way those sales were recorded before.
+ * @param {Object} input - Sale request body
+ * @returns {Array} [{ method, amount, provider, referenceNumber, checkNumber, checkDate }];
+ *   a null cash amount means "exactly what is due"
+ */
+export function tendersFromInput(input) {
+  const { payments, amountPaid, paymentMethod, cashAmount, onlineAmount } = input;
+
+  if (Array.isArray(payments)) {
+    return payments;
+  }
+
+  if (paymentMethod === 'MIXED' && (cashAmount !== undefined || onlineAmount !== undefined)) {
+    return [
+      { method: 'CASH', amount: cashAmount },
+      { method: 'E_WALLET', amount: onlineAmount, legacy: true }
+    ].filter(tender => parseDecimal(tender.amount) > 0);
+  }
+
+  if (amountPaid === undefined || amountPaid === null) {
+    return paymentMethod === 'CREDIT' ? [] : [{ method: 'CASH', amount: null }];
+  }
+
+  return parseDecimal(amountPaid) > 0 ? [{ method: 'CASH', amount: amountPaid }] : [];
+}
+
+/**
+ * Check one tender: a known method, a positive amount, and the reference, check number and date
+ * that e-wallet, bank and check payments need
+ * @param {Object} tender - { method, amount, referenceNumber, checkNumber, checkDate }
+ * @throws {Error} When the tender is incomplete
+ */
+export function validateTender(tender) {
+  const method = tender.method;
+  if (!TENDER_TYPES.includes(method)) {
+    throw new Error(`Unknown payment method ${method}. Use one of: ${TENDER_TYPES.join(', ')}`);
+  }
+
+  if (method === 'STORE_CREDIT' || (method === 'CASH' && tender.amount === null)) {
+    return;
+  }
+
+  const amount = Number(tender.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`${TENDER_LABELS[method]} amount must be greater than zero`);
+  }
+
+  // Lines rebuilt from an older request body carry no reference to check
+  if (tender.legacy) return;
+
+  if ((method === 'E_WALLET' || method === 'BANK_TRANSFER') && !String(tender.referenceNumber || '').trim()) {
+    throw new Error(`${TENDER_LABELS[method]} payments need the reference number`);
+  }
+
+  if (method === 'CHECK') {
+    if (!String(tender.checkNumber || '').trim()) {
+      throw new Error('Check payments need the check number');
+    }
+    if (!tender.checkDate || isNaN(new Date(tender.checkDate).getTime())) {
+      throw new Error('Check payments need a valid check date');
+    }
+  }
+}
+
+/**
+ * Apply tenders to a sale total.
+ * Only cash may exceed what is due (the excess is change); e-wallet, bank and check amounts are taken as
+ * paid and may not exceed the total. Whatever is left unpaid becomes a STORE_CREDIT line; a STORE_CREDIT
+ * tender in the request only marks the intent, its amount is always the unpaid balance.
+ * @param {Array} tenders - From tendersFromInput
+ * @param {number} totalAmount - Sale total
+ * @returns {Object} { lines, amountTendered, amountApplied, changeAmount, creditAmount, paymentMethod };
+ *   lines are sale_payments data without sale_id
+ */
+export function settleTenders(tenders, totalAmount) {
+  tenders.forEach(validateTender);
+
+  const total = roundCurrency(totalAmount);
+  const otherTenders = tenders.filter(tender => tender.method !== 'STORE_CREDIT' && !CHANGE_TENDERS.includes(tender.method));
+  const cashTenders = tenders.filter(tender => CHANGE_TENDERS.includes(tender.method));
+
+  const otherAmount = roundCurrency(otherTenders.reduce((sum, tender) => sum + parseDecimal(tender.amount), 0));
+  if (otherAmount > total) {
+    throw new Error(`Non-cash payments (${otherAmount.toFixed(2)}) exceed the amount due (${total.toFixed(2)}); only cash can be given change`);
+  }
+
+  const cashDue = roundCurrency(total - otherAmount);
+  const cashTendered = roundCurrency(cashTenders.reduce(
+    (sum, tender) => sum + (tender.amount === null ? cashDue : parseDecimal(tender.amount)),
+    0
+  ));
+  if (cashTendered > 0 && cashDue === 0) {
+    throw new Error('The other payments already cover the total; remove the cash payment');
+  }
+
+  const cashApplied = Math.min(cashTendered, cashDue);
+  const changeAmount = roundCurrency(cashTendered - cashApplied);
+  const amountApplied = roundCurrency(otherAmount + cashApplied);
+  const creditAmount = roundCurrency(total - amountApplied);
+
+  const lines = otherTenders.map(tender => ({
+    tender_type: tender.method,
+    amount: roundCurrency(tender.amount),
+    tendered: null,
+    provider: tender.provider ? String(tender.provider).trim() : null,
+    reference_number: tender.referenceNumber ? String(tender.referenceNumber).trim() : null,
+    check_number: tender.method === 'CHECK' ? String(tender.checkNumber).trim() : null,
+    check_date: tender.method === 'CHECK' ? new Date(tender.checkDate) : null
+  }));
+
+  if (cashTendered > 0) {
+    lines.unshift({
+      tender_type: 'CASH',
+      amount: roundCurrency(cashApplied),
+      tendered: cashTendered,
+      provider: null,
+      reference_number: null,
+      check_number: null,
+      check_date: null
+    });
+  }
+
+  if (creditAmount > 0) {
+    lines.push({
+      tender_type: 'STORE_CREDIT',
+      amount: creditAmount,
+      tendered: null,
+      provider: null,
+      reference_number: null,
+      check_number: null,
+      check_date: null
+    });
+  }
+
+  const tenderTypes = [...new Set(lines.map(line => line.tender_type))];
+  let paymentMethod = 'CASH';
+  if (tenderTypes.length === 1) {
+    paymentMethod = tenderTypes[0] === 'STORE_CREDIT' ? 'CREDIT' : tenderTypes[0];
+  } else if (tenderTypes.length > 1) {
+    paymentMethod = 'MIXED';
+  }
+
+  return {
+    lines,
+    amountTendered: roundCurrency(otherAmount + cashTendered),
+    amountApplied,
+    changeAmount,
+    creditAmount,
+    paymentMethod
+  };
+}
+
+/**
+ * Split a payment over open items (customer invoices, supplier bills).
+ * Chosen items get the amounts asked for; whatever is left goes to the remaining items in the order given
+ * (oldest first). Anything beyond all open items is returned as unapplied.
+ * @param {Array} items - [{ id, open_amount }] in the order to settle them
+ * @param {number} amount - Payment amount
+ * @param {Array|null} requested - [{ id, amount }] chosen by the user, or null to auto-apply
+ * @param {string} label - Item name for error messages, e.g. 'Sale'
+ * @returns {Object} { allocations: [{ id, amount }], unapplied }
+ */
+export function allocateToOpenItems(items, amount, requested = null, label = 'Item') {
+  const open = new Map(items.map(item => [item.id, item.open_amount]));
+  const allocated = new Map();
+  let remaining = roundCurrency(amount);
+
+  for (const choice of requested || []) {
+    const id = parseInt(choice.id);
+    const applied = roundCurrency(choice.amount);
+
+    if (!open.has(id)) {
+      throw new Error(`${label} #${choice.id} is not open on this account`);
+    }
+    if (allocated.has(id)) {
+      throw new Error(`${label} #${id} is listed more than once`);
+    }
+    if (!(applied > 0)) {
+      throw new Error(`Amount applied to ${label.toLowerCase()} #${id} must be greater than zero`);
+    }
+    if (applied > open.get(id)) {
+      throw new Error(`Amount applied to ${label.toLowerCase()} #${id} exceeds its open balance (${open.get(id).toFixed(2)})`);
+    }
+    if (applied > remaining) {
+      throw new Error(`The amounts applied exceed the payment (${roundCurrency(amount).toFixed(2)})`);
+    }
+
+    allocated.set(id, applied);
+    remaining = roundCurrency(remaining - applied);
+  }
+
+  for (const item of items) {
+    if (remaining <= 0) break;
+    if (allocated.has(item.id)) continue;
+
+    const applied = Math.min(item.open_amount, remaining);
+    allocated.set(item.id, applied);
+    remaining = roundCurrency(remaining - applied);
+  }
+
+  return {
+    allocations: [...allocated].map(([id, applied]) => ({ id, amount: applied })),
+    unapplied: remaining
+  };
+}
+
+/**
+ * Where a payment on account is applied, per account type: the open items it settles, the
+ * allocation rows recording it and the ledger reference of each allocation's credit
+ */
+export const PAYMENT_TARGETS = {
+  customer: {
+    itemModel: 'sales',
+    itemKey: 'sale_id',
+    statusField: 'sale_status',
+    // A voided sale takes no payment
+    itemWhere: { is_active: true },
+    itemData: () => ({ updated_at: new Date() }),
+    allocationModel: 'customer_payment_allocations',
+    paymentKey: 'customer_payment_id',
+    // Linked to its ledger row, so statements show the receipt the credit came from
+    linkLedger: true,
+    referenceType: 'INVOICE_PAYMENT',
+    label: 'Sale'
+  },
+  supplier: {
+    itemModel: 'supply',
+    itemKey: 'supply_id',
+    statusField: 'bill_status',
+    itemWhere: {},
+    itemData: null,
+    allocationModel: 'supplier_payment_allocations',
+    paymentKey: 'supplier_payment_id',
+    linkLedger: false,
+    referenceType: 'BILL_PAYMENT',
+    label: 'Bill'
+  }
+};
+
+/**
+ * Apply a payment on account to the items allocateToOpenItems chose and post it to the ledger.
+ * Each item is paid up only from the balance read, so a void or another payment in between is not
+ * overwritten. Each allocation is credited against its item, so aging settles that item rather than
+ * the oldest one; anything unapplied is credited against the payment itself.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {string} options.accountType - Key of PAYMENT_TARGETS
+ * @param {number} options.accountId - Customer or supplier id
+ * @param {number} options.paymentId - The payment row's id
+ * @param {Array} options.items - Open items as read: [{ id, total, amount_paid }]
+ * @param {Array} options.allocations - [{ id, amount }] from allocateToOpenItems
+ * @param {number} options.unapplied - Unapplied amount from allocateToOpenItems
+ */
+export async function postPaymentAllocations(tx, { accountType, accountId, paymentId, items, allocations, unapplied }) {
+  const target = PAYMENT_TARGETS[accountType];
+  const itemsById = new Map(items.map(item => [item.id, item]));
+
+  for (const allocation of allocations) {
+    const item = itemsById.get(allocation.id);
+    const newPaid = roundCurrency(item.amount_paid + allocation.amount);
+
+    const { count } = await tx[target.itemModel].updateMany({
+      where: { [target.itemKey]: allocation.id, ...target.itemWhere, amount_paid: item.amount_paid },
+      data: {
+        amount_paid: newPaid,
+        [target.statusField]: newPaid >= item.total ? 'PAID' : 'PARTIAL',
+        ...target.itemData?.()
+      }
+    });
+    if (count === 0) {
+      throw new Error(`${target.label} #${allocation.id} changed while the payment was applied; reload and try again`);
+    }
+
+    const ledger = await tx.account_ledger.create({
+      data: {
+        account_type: accountType,
+        account_id: accountId,
+        reference_type: target.referenceType,
+        reference_id: allocation.id,
+        credit: allocation.amount,
+        debit: 0
+      }
+    });
+
+    await tx[target.allocationModel].create({
+      data: {
+        [target.paymentKey]: paymentId,
+        [target.itemKey]: allocation.id,
+        amount: allocation.amount,
+        ...(target.linkLedger && { ledger_id: ledger.ledger_id })
+      }
+    });
+  }
+
+  if (unapplied > 0) {
+    await tx.account_ledger.create({
+      data: {
+        account_type: accountType,
+        account_id: accountId,
+        reference_type: 'PAYMENT',
+        reference_id: paymentId,
+        credit: unapplied,
+        debit: 0
+      }
+    });
+  }
+}
+
+/**
+ * Tender lines of a sale, for reports.
+ * Sales recorded before tender lines existed are read from payment_method and amount_paid:
+ * their cash/online split was not kept, so a MIXED sale is reported as one MIXED line.
+ * @param {Object} sale - sales row, with sale_payments when loaded
+ * @returns {Array} [{ tender_type, amount }] with amounts applied to the sale (change excluded)
+ */
+export function saleTenderLines(sale) {
+  if (sale.sale_payments && sale.sale_payments.length > 0) {
+    return sale.sale_payments.map(line => ({ tender_type: line.tender_type, amount: parseDecimal(line.amount) }));
+  }
+
+  const total = parseDecimal(sale.total_amount);
+  const paid = sale.payment_method === 'CREDIT' ? 0 : Math.min(parseDecimal(sale.amount_paid), total);
+  const lines = [];
+  if (paid > 0) {
+    lines.push({ tender_type: sale.payment_method === 'MIXED' ? 'MIXED' : 'CASH', amount: paid });
+  }
+  if (total - paid > 0) {
+    lines.push({ tender_type: 'STORE_CREDIT', amount: roundCurrency(total - paid) });
+  }
+  return lines;
+}
+
+/**
+ * Totals per tender type
+ * @param {Array} sales - sales rows with sale_payments
+ * @returns {Object} { [tender_type]: { count, amount } }; count is the number of sales that used the tender
+ */
+export function summarizeTenders(sales) {
+  const summary = {};
+  for (const sale of sales) {
+    const seen = new Set();
+    for (const line of saleTenderLines(sale)) {
+      if (!summary[line.tender_type]) {
+        summary[line.tender_type] = { count: 0, amount: 0 };
+      }
+      summary[line.tender_type].amount = roundCurrency(summary[line.tender_type].amount + line.amount);
+      if (!seen.has(line.tender_type)) {
+        summary[line.tender_type].count++;
+        seen.add(line.tender_type);
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Format a sale_payments row for API responses
+ * @param {Object} line - sale_payments row
+ * @returns {Object} Line with decimals converted
+ */
+export function formatSalePayment(line) {
+  return {
+    ...line,
+    amount: parseDecimal(line.amount),
+    tendered: line.tendered === null ? null : parseDecimal(line.tendered)
+  };
+}
+
+/**
+ * One-line description of a tender for receipts, e.g. "GCash (Ref 1234)"
+ * @param {Object} line - sale_payments row
+ * @returns {string}
+ */
+export function describeTender(line) {
+  const label = line.provider || TENDER_LABELS[line.tender_type] || line.tender_type;
+  if (line.tender_type === 'CHECK') {
+    const date = line.check_date ? new Date(line.check_date).toLocaleDateString('en-PH') : '';
+    return `Check #${line.check_number}${date ? ` (${date})` : ''}`;
+  }
+  return line.reference_number ? `${label} (Ref ${line.reference_number})` : label;
+}
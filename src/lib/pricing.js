@@ -0,0 +1,252 @@
+/**
+ * Price List Helpers
+ * Each customer_type can have a price list (retail, dealer, VIP) with quantity breaks.
+ * Sale prices are resolved on the server with these helpers; the POS only previews them.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { resolveUnitPrice } from '@/lib/units';
+
+/**
+ * Product price a list starts from
+ * SRP: the retail price of the selling unit; DEALER_PRICE: dealer_price wherever the SRP would be used
+ */
+export const PRICE_BASES = ['SRP', 'DEALER_PRICE'];
+
+/** Customer type used for walk-in sales with no customer */
+export const WALK_IN_CUSTOMER_TYPE = 'WALK_IN';
+
+/**
+ * Active price list for a customer type
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string|null} customerType - customers.customer_type, or null for walk-in sales
+ * @returns {Promise<Object|null>} price_lists row, or null when the type has no list
+ */
+export async function getPriceList(client, customerType) {
+  return client.price_lists.findFirst({
+    where: {
+      customer_type: customerType || WALK_IN_CUSTOMER_TYPE,
+      is_active: true
+    }
+  });
+}
+
+/**
+ * List price of a selling unit before the list discount
+ * @param {Object} product - products row
+ * @param {Object|null} unit - product_units row, or null for the base unit
+ * @param {string} priceBasis - SRP or DEALER_PRICE
+ * @returns {number} Unit price
+ */
+export function listBasePrice(product, unit, priceBasis) {
+  const dealerPrice = parseDecimal(product.dealer_price);
+  if (priceBasis === 'DEALER_PRICE' && dealerPrice > 0 && (!unit || unit.price_source === 'SRP')) {
+    return dealerPrice;
+  }
+  return resolveUnitPrice(product, unit);
+}
+
+/**
+ * Quantity break that applies to a line: the highest min_quantity not above the quantity
+ * @param {Array} items - price_list_items of the list
+ * @param {Object} options
+ * @param {number} options.productId - Product sold
+ * @param {number|null} options.unitId - Selling unit, or null for the base unit
+ * @param {number} options.quantity - Quantity in the selling unit
+ * @returns {Object|null} price_list_items row
+ */
+export function findQuantityBreak(items, { productId, unitId = null, quantity = 1 }) {
+  return (items || [])
+    .filter(item => item.product_id === productId
+      && (item.unit_id ?? null) === (unitId ?? null)
+      && parseDecimal(item.min_quantity) <= quantity)
+    .sort((a, b) => parseDecimal(b.min_quantity) - parseDecimal(a.min_quantity))[0] || null;
+}
+
+/**
+ * Price of one sale line once the quantity break (if any) is known
+ * @param {Object} options
+ * @param {Object} options.product - products row
+ * @param {Object|null} options.unit - product_units row, or null for the base unit
+ * @param {Object|null} options.priceList - price_lists row
+ * @param {Object|null} options.tier - Quantity break from findQuantityBreak
+ * @returns {Object} { price, retailPrice, priceListId, source (RETAIL, LIST, QUANTITY_BREAK), minQuantity }
+ */
+export function linePriceFromList({ product, unit = null, priceList = null, tier = null }) {
+  const retailPrice = resolveUnitPrice(product, unit);
+
+  if (!priceList) {
+    return { price: retailPrice, retailPrice, priceListId: null, source: 'RETAIL', minQuantity: null };
+  }
+
+  if (tier) {
+    return {
+      price: parseDecimal(tier.price),
+      retailPrice,
+      priceListId: priceList.price_list_id,
+      source: 'QUANTITY_BREAK',
+      minQuantity: parseDecimal(tier.min_quantity)
+    };
+  }
+
+  const basePrice = listBasePrice(product, unit, priceList.price_basis);
+  const discountPercent = Math.min(100, Math.max(0, parseDecimal(priceList.discount_percent)));
+
+  return {
+    price: roundCurrency(basePrice * (1 - discountPercent / 100)),
+    retailPrice,
+    priceListId: priceList.price_list_id,
+    source: 'LIST',
+    minQuantity: null
+  };
+}
+
+/**
+ * Resolve the price of one sale line.
+ * A quantity break on the list (highest min_quantity not above the quantity) wins;
+ * otherwise the list's basis price less its discount percent; with no list, the retail price.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} options
+ * @param {Object} options.product - products row
+ * @param {Object|null} options.unit - product_units row, or null for the base unit
+ * @param {number} options.quantity - Quantity in the selling unit
+ * @param {Object|null} options.priceList - price_lists row from getPriceList
+ * @returns {Promise<Object>} See linePriceFromList
+ */
+export async function resolveLinePrice(client, { product, unit = null, quantity = 1, priceList = null }) {
+  const tier = priceList
+    ? await client.price_list_items.findFirst({
+      where: {
+        price_list_id: priceList.price_list_id,
+        product_id: product.product_id,
+        unit_id: unit?.unit_id ?? null,
+        min_quantity: { lte: quantity }
+      },
+      orderBy: { min_quantity: 'desc' }
+    })
+    : null;
+
+  return linePriceFromList({ product, unit, priceList, tier });
+}
+
+/**
+ * Format a price list for API responses
+ * @param {Object} priceList - price_lists row, optionally with price_list_items (products, product_units)
+ * @returns {Object} Price list with decimals converted
+ */
+export function formatPriceList(priceList) {
+  return {
+    ...priceList,
+    discount_percent: parseDecimal(priceList.discount_percent),
+    ...(priceList.price_list_items && {
+      price_list_items: priceList.price_list_items.map(item => ({
+        ...item,
+        min_quantity: parseDecimal(item.min_quantity),
+        price: parseDecimal(item.price)
+      }))
+    })
+  };
+}
+
+/**
+ * Validate and map price list header fields from a request body
+ * @param {Object} body - { listName, customerType, priceBasis, discountPercent, remarks, isActive }
+ * @param {boolean} partial - Only map fields that were sent (updates)
+ * @returns {Object} price_lists data
+ */
+export function priceListData(body, partial = false) {
+  const { listName, customerType, priceBasis, discountPercent, remarks, isActive } = body;
+  const data = {};
+
+  if (!partial || listName !== undefined) {
+    if (!listName || !String(listName).trim()) {
+      throw new Error('List name is required');
+    }
+    data.list_name = String(listName).trim();
+  }
+
+  if (!partial || customerType !== undefined) {
+    if (!customerType || !String(customerType).trim()) {
+      throw new Error('Customer type is required');
+    }
+    data.customer_type = String(customerType).trim().toUpperCase();
+  }
+
+  if (!partial || priceBasis !== undefined) {
+    const basis = priceBasis || 'SRP';
+    if (!PRICE_BASES.includes(basis)) {
+      throw new Error(`Price basis must be one of ${PRICE_BASES.join(', ')}`);
+    }
+    data.price_basis = basis;
+  }
+
+  if (discountPercent !== undefined) {
+    const percent = parseDecimal(discountPercent);
+    if (percent < 0 || percent > 100) {
+      throw new Error('Discount percent must be between 0 and 100');
+    }
+    data.discount_percent = percent;
+  }
+
+  if (remarks !== undefined) data.remarks = remarks || null;
+  if (isActive !== undefined) data.is_active = Boolean(isActive);
+
+  return data;
+}
+
+/**
+ * Validate quantity-break lines against the products and units they price
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array} items - [{ productId, unitId, minQuantity, price }]
+ * @returns {Promise<Array>} price_list_items data without price_list_id
+ */
+export async function priceListItemsData(client, items = []) {
+  if (!Array.isArray(items)) {
+    throw new Error('items must be an array');
+  }
+
+  const lines = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const productId = parseInt(item.productId);
+    const unitId = item.unitId ? parseInt(item.unitId) : null;
+    const minQuantity = parseDecimal(item.minQuantity ?? 1);
+    const price = parseDecimal(item.price);
+
+    const product = await client.products.findUnique({
+      where: { product_id: productId || 0 },
+      select: { product_id: true, product_name: true }
+    });
+
+    if (!product) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+
+    if (unitId) {
+      const unit = await client.product_units.findFirst({
+        where: { unit_id: unitId, product_id: productId, is_active: true }
+      });
+      if (!unit) {
+        throw new Error(`Unit ${unitId} is not sold for ${product.product_name}`);
+      }
+    }
+
+    if (minQuantity <= 0) {
+      throw new Error(`Minimum quantity for ${product.product_name} must be greater than zero`);
+    }
+
+    if (price < 0 || item.price === undefined || item.price === null || item.price === '') {
+      throw new Error(`Enter a price of zero or more for ${product.product_name}`);
+    }
+
+    const key = `${productId}:${unitId || 'base'}:${minQuantity}`;
+    if (seen.has(key)) {
+      throw new Error(`${product.product_name} has two prices for the same unit and minimum quantity`);
+    }
+    seen.add(key);
+
+    lines.push({ product_id: productId, unit_id: unitId, min_quantity: minQuantity, price });
+  }
+
+  return lines;
+}
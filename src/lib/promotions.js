@@ -0,0 +1,414 @@
+/**
+ * Promotion Helpers
+ * Seasonal promos (percent or amount off, buy X get Y, bundles) aimed at products, categories
+ * or brands, limited to a date window and to customer types. createSale applies them to the
+ * priced lines; the POS previews the same result through /api/promotions/preview.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { WALK_IN_CUSTOMER_TYPE } from '@/lib/pricing';
+
+/**
+ * How a promotion discounts the lines it matches
+ * PERCENT_OFF: discount_value percent off; AMOUNT_OFF: discount_value off each promo unit;
+ * BUY_X_GET_Y: of every buy_quantity + get_quantity units rung up, get_quantity are free (cheapest first);
+ * BUNDLE: every complete set of the PRODUCT targets (target quantity of each) sells for discount_value
+ */
+export const PROMO_TYPES = ['PERCENT_OFF', 'AMOUNT_OFF', 'BUY_X_GET_Y', 'BUNDLE'];
+
+/** What a promotion target matches; a promotion without targets matches every product */
+export const PROMO_TARGET_TYPES = ['PRODUCT', 'CATEGORY', 'BRAND'];
+
+/**
+ * Include used when returning a promotion with its targets
+ */
+export const PROMOTION_INCLUDE = {
+  promotion_targets: {
+    orderBy: { promotion_target_id: 'asc' },
+    include: {
+      products: { select: { product_id: true, product_name: true, product_code: true, unit: true } }
+    }
+  }
+};
+
+function sameText(a, b) {
+  return Boolean(a) && Boolean(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Promotions running now for a customer type, highest priority first
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} options
+ * @param {string|null} options.customerType - customers.customer_type, or null for walk-in sales
+ * @param {Date} options.at - Point in time the window is checked against
+ * @returns {Promise<Array>} promotions rows with promotion_targets
+ */
+export async function getActivePromotions(client, { customerType = null, at = new Date() } = {}) {
+  return client.promotions.findMany({
+    where: {
+      is_active: true,
+      AND: [
+        { OR: [{ starts_at: null }, { starts_at: { lte: at } }] },
+        { OR: [{ ends_at: null }, { ends_at: { gte: at } }] },
+        { OR: [{ customer_types: { isEmpty: true } }, { customer_types: { has: customerType || WALK_IN_CUSTOMER_TYPE } }] }
+      ]
+    },
+    include: { promotion_targets: true },
+    orderBy: [{ priority: 'desc' }, { promotion_id: 'asc' }]
+  });
+}
+
+/**
+ * Whether a promotion is running for a customer type (same rules as getActivePromotions).
+ * Used by the POS to apply cached promotions while offline.
+ * @param {Object} promotion - promotions row
+ * @param {Object} options
+ * @param {string|null} options.customerType - customers.customer_type, or null for walk-in sales
+ * @param {Date} options.at - Point in time the window is checked against
+ * @returns {boolean}
+ */
+export function isPromotionRunning(promotion, { customerType = null, at = new Date() } = {}) {
+  const types = promotion.customer_types || [];
+  return promotion.is_active !== false
+    && (!promotion.starts_at || new Date(promotion.starts_at) <= at)
+    && (!promotion.ends_at || new Date(promotion.ends_at) >= at)
+    && (types.length === 0 || types.includes(customerType || WALK_IN_CUSTOMER_TYPE));
+}
+
+/**
+ * Whether a promotion applies to a product
+ * @param {Object} promotion - promotions row with promotion_targets
+ * @param {Object} product - products row (product_id, category, brand)
+ * @returns {boolean}
+ */
+export function promotionMatches(promotion, product) {
+  const targets = promotion.promotion_targets || [];
+  if (targets.length === 0) return true;
+
+  return targets.some(target => {
+    switch (target.target_type) {
+      case 'PRODUCT':
+        return target.product_id === product.product_id;
+      case 'CATEGORY':
+        return sameText(target.target_value, product.category);
+      case 'BRAND':
+        return sameText(target.target_value, product.brand);
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Base units in one promo unit of a product.
+ * Promo quantities are counted in the promotion's unit_name (e.g. sack) where the product sells in it,
+ * otherwise in base units.
+ */
+function promoUnitFactor(product, unitName) {
+  if (!unitName) return 1;
+  const unit = (product.product_units || []).find(u => sameText(u.unit_name, unitName));
+  return unit?.conversion_factor || 1;
+}
+
+/**
+ * Discounts one promotion gives to the eligible lines
+ * @param {Object} promotion - promotions row with promotion_targets
+ * @param {Array} eligible - [{ index, product, quantity (promo units), factor, value (line amount left) }]
+ * @returns {Array} [{ index, discount, freeQuantity (base units) }]
+ */
+function promotionAwards(promotion, eligible) {
+  const discountValue = parseDecimal(promotion.discount_value);
+  const totalQuantity = eligible.reduce((sum, line) => sum + line.quantity, 0);
+  const unitValue = line => line.value / line.quantity;
+
+  switch (promotion.promo_type) {
+    case 'PERCENT_OFF':
+    case 'AMOUNT_OFF': {
+      if (totalQuantity < parseDecimal(promotion.min_quantity)) return [];
+      return eligible.map(line => ({
+        index: line.index,
+        discount: promotion.promo_type === 'PERCENT_OFF'
+          ? line.value * Math.min(100, discountValue) / 100
+          : discountValue * line.quantity,
+        freeQuantity: 0
+      }));
+    }
+
+    case 'BUY_X_GET_Y': {
+      const buy = parseDecimal(promotion.buy_quantity);
+      const get = parseDecimal(promotion.get_quantity);
+      if (buy <= 0 || get <= 0) return [];
+
+      let free = Math.floor(totalQuantity / (buy + get)) * get;
+      const awards = [];
+      for (const line of [...eligible].sort((a, b) => unitValue(a) - unitValue(b))) {
+        if (free <= 0) break;
+        const take = Math.min(free, line.quantity);
+        awards.push({ index: line.index, discount: unitValue(line) * take, freeQuantity: take * line.factor });
+        free -= take;
+      }
+      return awards;
+    }
+
+    case 'BUNDLE': {
+      const components = (promotion.promotion_targets || []).filter(target => target.target_type === 'PRODUCT');
+      if (components.length === 0) return [];
+
+      const linesOf = component => eligible.filter(line => line.product.product_id === component.product_id);
+      const sets = Math.min(...components.map(component => {
+        const have = linesOf(component).reduce((sum, line) => sum + line.quantity, 0);
+        return Math.floor(have / parseDecimal(component.quantity));
+      }));
+      if (!Number.isFinite(sets) || sets < 1) return [];
+
+      // The units that make up the sets, at what they would be charged
+      const used = [];
+      for (const component of components) {
+        let needed = parseDecimal(component.quantity) * sets;
+        for (const line of linesOf(component)) {
+          if (needed <= 0) break;
+          const take = Math.min(needed, line.quantity);
+          used.push({ index: line.index, value: unitValue(line) * take });
+          needed -= take;
+        }
+      }
+
+      const setValue = used.reduce((sum, part) => sum + part.value, 0);
+      const discount = setValue - discountValue * sets;
+      if (discount <= 0) return [];
+
+      return used.map(part => ({ index: part.index, discount: discount * part.value / setValue, freeQuantity: 0 }));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Apply promotions to the lines of a sale.
+ * Promotions are taken in priority order. A non-stackable promotion only applies to lines no other
+ * promotion has discounted and then closes them; stackable promotions combine with each other on
+ * what is left of the line.
+ * @param {Array} promotions - From getActivePromotions
+ * @param {Array} lines - [{ product (with product_units), baseQuantity, amount (line total after line discount) }]
+ * @returns {Array} Per line: { discount, promotions: [{ promotion_id, promo_name, promo_type, discount_amount, free_quantity }] }
+ */
+export function applyPromotions(promotions, lines) {
+  const state = lines.map(line => ({
+    value: roundCurrency(line.amount),
+    discount: 0,
+    locked: false,
+    promotions: []
+  }));
+
+  for (const promotion of promotions) {
+    const eligible = [];
+    lines.forEach((line, index) => {
+      const lineState = state[index];
+      if (lineState.value <= 0 || lineState.locked) return;
+      if (!promotion.stackable && lineState.promotions.length > 0) return;
+      if (!promotionMatches(promotion, line.product)) return;
+
+      const factor = promoUnitFactor(line.product, promotion.unit_name);
+      eligible.push({ index, product: line.product, factor, quantity: line.baseQuantity / factor, value: lineState.value });
+    });
+    if (eligible.length === 0) continue;
+
+    // A line can take part more than once (e.g. two bundle components); give it one entry per promotion
+    const byLine = new Map();
+    for (const award of promotionAwards(promotion, eligible)) {
+      const entry = byLine.get(award.index) || { discount: 0, freeQuantity: 0 };
+      entry.discount += award.discount;
+      entry.freeQuantity += award.freeQuantity;
+      byLine.set(award.index, entry);
+    }
+
+    for (const [index, award] of byLine) {
+      const lineState = state[index];
+      const amount = Math.min(lineState.value, roundCurrency(award.discount));
+      if (amount <= 0) continue;
+
+      lineState.value = roundCurrency(lineState.value - amount);
+      lineState.discount = roundCurrency(lineState.discount + amount);
+      if (!promotion.stackable) lineState.locked = true;
+      lineState.promotions.push({
+        promotion_id: promotion.promotion_id,
+        promo_name: promotion.promo_name,
+        promo_type: promotion.promo_type,
+        discount_amount: amount,
+        free_quantity: Math.round(award.freeQuantity * 1000) / 1000
+      });
+    }
+  }
+
+  return state.map(({ discount, promotions: applied }) => ({ discount, promotions: applied }));
+}
+
+/**
+ * Format a promotion for API responses
+ * @param {Object} promotion - promotions row, optionally with promotion_targets (products)
+ * @returns {Object} Promotion with decimals converted
+ */
+export function formatPromotion(promotion) {
+  const optional = value => (value === null || value === undefined ? null : parseDecimal(value));
+
+  return {
+    ...promotion,
+    discount_value: parseDecimal(promotion.discount_value),
+    min_quantity: optional(promotion.min_quantity),
+    buy_quantity: optional(promotion.buy_quantity),
+    get_quantity: optional(promotion.get_quantity),
+    ...(promotion.promotion_targets && {
+      promotion_targets: promotion.promotion_targets.map(target => ({
+        ...target,
+        quantity: parseDecimal(target.quantity)
+      }))
+    })
+  };
+}
+
+/**
+ * Format a sale_promotions row for API responses
+ * @param {Object} salePromotion - sale_promotions row
+ * @returns {Object} Row with decimals converted
+ */
+export function formatSalePromotion(salePromotion) {
+  return {
+    ...salePromotion,
+    discount_amount: parseDecimal(salePromotion.discount_amount),
+    free_quantity: parseDecimal(salePromotion.free_quantity)
+  };
+}
+
+/**
+ * Validate and map promotion fields from a request body (the whole promotion; PUT replaces it)
+ * @param {Object} body - { promoName, description, promoType, discountValue, minQuantity, buyQuantity,
+ *   getQuantity, unitName, customerTypes, stackable, priority, startsAt, endsAt, isActive }
+ * @returns {Object} promotions data
+ */
+export function promotionData(body) {
+  const {
+    promoName, description, promoType, discountValue, minQuantity, buyQuantity, getQuantity,
+    unitName, customerTypes, stackable, priority, startsAt, endsAt, isActive
+  } = body;
+
+  if (!promoName || !String(promoName).trim()) {
+    throw new Error('Promotion name is required');
+  }
+
+  if (!PROMO_TYPES.includes(promoType)) {
+    throw new Error(`Promotion type must be one of ${PROMO_TYPES.join(', ')}`);
+  }
+
+  const value = parseDecimal(discountValue);
+  if (promoType === 'PERCENT_OFF' && (value <= 0 || value > 100)) {
+    throw new Error('Percent off must be more than 0 and at most 100');
+  }
+  if (promoType === 'AMOUNT_OFF' && value <= 0) {
+    throw new Error('Amount off must be greater than zero');
+  }
+  if (promoType === 'BUNDLE' && value < 0) {
+    throw new Error('Bundle price cannot be negative');
+  }
+
+  const buy = parseDecimal(buyQuantity);
+  const get = parseDecimal(getQuantity);
+  if (promoType === 'BUY_X_GET_Y' && (buy <= 0 || get <= 0)) {
+    throw new Error('Buy and free quantities must be greater than zero');
+  }
+
+  const min = minQuantity === undefined || minQuantity === null || minQuantity === '' ? null : parseDecimal(minQuantity);
+  if (min !== null && min < 0) {
+    throw new Error('Minimum quantity cannot be negative');
+  }
+
+  const start = startsAt ? new Date(startsAt) : null;
+  const end = endsAt ? new Date(endsAt) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+    throw new Error('Start and end must be valid dates');
+  }
+  if (start && end && end < start) {
+    throw new Error('The promotion must end after it starts');
+  }
+
+  const types = Array.isArray(customerTypes) ? customerTypes : String(customerTypes || '').split(',');
+
+  return {
+    promo_name: String(promoName).trim(),
+    description: description || null,
+    promo_type: promoType,
+    discount_value: promoType === 'BUY_X_GET_Y' ? 0 : value,
+    min_quantity: ['PERCENT_OFF', 'AMOUNT_OFF'].includes(promoType) ? min : null,
+    buy_quantity: promoType === 'BUY_X_GET_Y' ? buy : null,
+    get_quantity: promoType === 'BUY_X_GET_Y' ? get : null,
+    unit_name: unitName ? String(unitName).trim() : null,
+    customer_types: [...new Set(types.map(type => String(type).trim().toUpperCase()).filter(Boolean))],
+    stackable: Boolean(stackable),
+    priority: parseInt(priority) || 0,
+    starts_at: start,
+    ends_at: end,
+    ...(isActive !== undefined && { is_active: Boolean(isActive) })
+  };
+}
+
+/**
+ * Validate promotion targets against the products they name
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array} targets - [{ targetType, productId, targetValue, quantity }]
+ * @param {string} promoType - Bundles take PRODUCT targets only, each with its quantity in the set
+ * @returns {Promise<Array>} promotion_targets data without promotion_id
+ */
+export async function promotionTargetsData(client, targets = [], promoType) {
+  if (!Array.isArray(targets)) {
+    throw new Error('targets must be an array');
+  }
+
+  if (promoType === 'BUNDLE' && targets.length === 0) {
+    throw new Error('A bundle needs at least one product');
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (const target of targets) {
+    const targetType = target.targetType || 'PRODUCT';
+    if (!PROMO_TARGET_TYPES.includes(targetType)) {
+      throw new Error(`Target type must be one of ${PROMO_TARGET_TYPES.join(', ')}`);
+    }
+    if (promoType === 'BUNDLE' && targetType !== 'PRODUCT') {
+      throw new Error('Bundles can only be made of products');
+    }
+
+    const quantity = parseDecimal(target.quantity ?? 1);
+    if (quantity <= 0) {
+      throw new Error('Target quantity must be greater than zero');
+    }
+
+    let row;
+    if (targetType === 'PRODUCT') {
+      const product = await client.products.findUnique({
+        where: { product_id: parseInt(target.productId) || 0 },
+        select: { product_id: true }
+      });
+      if (!product) {
+        throw new Error(`Product ${target.productId} not found`);
+      }
+      row = { target_type: targetType, product_id: product.product_id, target_value: null, quantity };
+    } else {
+      const value = String(target.targetValue || '').trim();
+      if (!value) {
+        throw new Error(`Enter the ${targetType.toLowerCase()} the promotion applies to`);
+      }
+      row = { target_type: targetType, product_id: null, target_value: value, quantity };
+    }
+
+    const key = `${row.target_type}:${row.product_id ?? String(row.target_value).toLowerCase()}`;
+    if (seen.has(key)) {
+      throw new Error('The same target is listed twice');
+    }
+    seen.add(key);
+    rows.push(row);
+  }
+
+  return rows;
+}
@@ -0,0 +1,141 @@
+/**
+ * Supplier Purchasing Helpers
+ * Shared supplier order creation, status rules and response formatting
+ */
+import { generatePONumber, parseDecimal, roundCurrency } from '@/lib/utils';
+
+/**
+ * Supplier order lifecycle
+ * DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED; SENT/PARTIALLY_RECEIVED can be CLOSED short
+ */
+export const SUPPLIER_ORDER_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED'];
+
+/**
+ * Statuses that still accept deliveries
+ */
+export const RECEIVABLE_STATUSES = ['SENT', 'PARTIALLY_RECEIVED'];
+
+/**
+ * Include used when returning a supplier order
+ */
+export const SUPPLIER_ORDER_INCLUDE = {
+  suppliers: {
+    select: { supplier_id: true, supplier_name: true, contact_number: true }
+  },
+  employees: {
+    select: { employee_id: true, employee_name: true }
+  },
+  supplier_order_details: {
+    include: {
+      products: {
+        select: { product_id: true, product_name: true, product_code: true, unit: true }
+      }
+    },
+    orderBy: { supplier_order_detail_id: 'asc' }
+  }
+};
+
+/**
+ * Create a supplier order with its lines
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order
+ * @param {number} order.supplierId - Supplier ID
+ * @param {Array<{ productId: number, quantity: number, unitCost: number }>} order.items - Ordered lines
+ * @param {string} order.status - DRAFT or SENT
+ * @param {string|null} order.expectedDate - Expected delivery date
+ * @param {string|null} order.remarks - Remarks
+ * @param {number|null} order.employeeId - employee_id of the creator
+ * @returns {Promise<Object>} Created order with SUPPLIER_ORDER_INCLUDE
+ */
+export async function createSupplierOrder(tx, { supplierId, items, status = 'DRAFT', expectedDate = null, remarks = null, employeeId = null }) {
+  const supplier = await tx.suppliers.findUnique({
+    where: { supplier_id: supplierId }
+  });
+
+  if (!supplier) {
+    throw new Error(`Supplier ${supplierId} not found`);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const productId = parseInt(item.productId);
+    const quantity = parseInt(item.quantity);
+    const unitCost = parseDecimal(item.unitCost);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Order quantities must be positive whole numbers');
+    }
+
+    if (unitCost < 0) {
+      throw new Error('Unit cost cannot be negative');
+    }
+
+    const product = await tx.products.findUnique({
+      where: { product_id: productId },
+      select: { product_id: true }
+    });
+
+    if (!product) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+
+    lines.push({
+      product_id: productId,
+      quantity_ordered: quantity,
+      unit_cost: unitCost
+    });
+  }
+
+  return tx.supplier_orders.create({
+    data: {
+      order_number: generatePONumber(),
+      supplier_id: supplierId,
+      status,
+      expected_date: expectedDate ? new Date(expectedDate) : null,
+      total_amount: orderTotal(lines),
+      remarks: remarks || null,
+      created_by: employeeId,
+      supplier_order_details: {
+        create: lines
+      }
+    },
+    include: SUPPLIER_ORDER_INCLUDE
+  });
+}
+
+/**
+ * Order value of a set of lines
+ * @param {Array<{ quantity_ordered: number, unit_cost: any }>} lines - Order lines
+ * @returns {number} Sum of quantity x unit cost
+ */
+export function orderTotal(lines) {
+  return roundCurrency(lines.reduce((sum, line) => sum + line.quantity_ordered * parseDecimal(line.unit_cost), 0));
+}
+
+/**
+ * Status after a delivery, from the received-vs-ordered counts of every line
+ * @param {Array<{ quantity_ordered: number, quantity_received: number }>} lines - Order lines after receiving
+ * @returns {string} PARTIALLY_RECEIVED or RECEIVED
+ */
+export function receivingStatus(lines) {
+  const complete = lines.every(line => line.quantity_received >= line.quantity_ordered);
+  return complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+}
+
+/**
+ * Convert decimals and add outstanding quantities for API responses
+ * @param {Object} order - supplier_orders row with SUPPLIER_ORDER_INCLUDE
+ * @returns {Object} Formatted order
+ */
+export function formatSupplierOrder(order) {
+  return {
+    ...order,
+    total_amount: parseDecimal(order.total_amount),
+    supplier_order_details: (order.supplier_order_details || []).map(line => ({
+      ...line,
+      unit_cost: parseDecimal(line.unit_cost),
+      quantity_outstanding: Math.max(0, line.quantity_ordered - line.quantity_received),
+      line_total: roundCurrency(line.quantity_ordered * parseDecimal(line.unit_cost))
+    }))
+  };
+}
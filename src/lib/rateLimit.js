@@ -71,7 +71,18 @@ export function consumeRateLimit({ bucketName, key, limit, windowMs }) {
   };
 }
 
+/**
+ * Client IP of a request.
+ * X-Forwarded-For is set by the client unless a proxy overwrites it, so it is only read
+ * when TRUST_PROXY=true (the app runs behind a proxy that sets it).
+ * @param {Object} req - Next.js request
+ * @returns {string}
+ */
 export function getRequestIp(req) {
+  if (process.env.TRUST_PROXY !== 'true') {
+    return req.socket?.remoteAddress || 'unknown';
+  }
+
   const forwardedFor = req.headers['x-forwarded-for'];
 
   if (typeof forwardedFor === 'string' && forwardedFor.length > 0) {
@@ -84,3 +95,14 @@ export function getRequestIp(req) {
 
   return req.socket?.remoteAddress || 'unknown';
 }
+
+/**
+ * Clear a client's slots in a rate-limit bucket (e.g. after a successful attempt,
+ * so only consecutive failures count towards a lockout).
+ * @param {Object} options
+ * @param {string} options.bucketName - Logical limiter name
+ * @param {string} options.key - Client key
+ */
+export function resetRateLimit({ bucketName, key }) {
+  RATE_LIMIT_BUCKETS.get(bucketName)?.delete(key);
+}
@@ -0,0 +1,229 @@
+/**
+ * Stock Reservation Helpers
+ * Stock held for customer orders so it is not sold at the counter before pickup.
+ * Available-to-sell is on-hand stock minus ACTIVE reservations that have not expired.
+ * A reservation is FULFILLED as its order is invoiced, RELEASED when the order is cancelled or its
+ * stock is written off, and EXPIRED once past expires_at.
+ */
+
+/**
+ * Days a reservation is held before it expires
+ */
+export const RESERVATION_DAYS = 7;
+
+export const RESERVATION_STATUSES = ['ACTIVE', 'FULFILLED', 'RELEASED', 'EXPIRED'];
+
+/**
+ * Where clause for reservations still holding stock
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+export function activeReservationWhere(now = new Date()) {
+  return { status: 'ACTIVE', expires_at: { gt: now } };
+}
+
+/**
+ * Quantities held for customer orders, by product
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<number>|null} productIds - Products to look up, or null for all
+ * @param {Object} options
+ * @param {number|null} options.excludePoId - Order whose own reservations are not counted (it is being fulfilled)
+ * @returns {Promise<Map<number, number>>} product_id -> reserved base units
+ */
+export async function getReservedQuantities(client, productIds = null, { excludePoId = null } = {}) {
+  const where = activeReservationWhere();
+  if (productIds) where.product_id = { in: productIds };
+  if (excludePoId) where.po_id = { not: excludePoId };
+
+  const rows = await client.stock_reservations.groupBy({
+    by: ['product_id'],
+    where,
+    _sum: { quantity: true }
+  });
+
+  return new Map(rows.map(row => [row.product_id, row._sum.quantity || 0]));
+}
+
+/**
+ * Lock the active batches of products until the transaction ends.
+ * Sales and reservations take this lock before reading available-to-sell stock, so a counter
+ * sale and a reservation for the same product cannot both count the same units.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<number>} productIds - Products to lock
+ */
+export async function lockProductStock(tx, productIds) {
+  if (productIds.length === 0) return;
+
+  // One statement in inventory_id order, so two transactions never wait on each other's rows
+  await tx.$queryRaw`
+    SELECT inventory_id FROM inventory
+    WHERE product_id = ANY(${productIds}::int[]) AND is_active = true
+    ORDER BY inventory_id
+    FOR UPDATE
+  `;
+}
+
+/**
+ * On-hand, reserved and available-to-sell figures for a product
+ * @param {number} onHand - Base units in active batches
+ * @param {number} reserved - Base units reserved
+ * @returns {Object} { on_hand, reserved_stock, available_stock }
+ */
+export function stockAvailability(onHand, reserved) {
+  return {
+    on_hand: onHand,
+    reserved_stock: reserved,
+    available_stock: Math.max(0, onHand - reserved)
+  };
+}
+
+/**
+ * Reserve what is available of each line of a customer order
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {number} options.poId - Order the stock is held for
+ * @param {Array} options.details - purchase_order_details rows of the order
+ * @param {number|null} options.employeeId - Employee placing the reservation
+ * @param {number} options.days - Days to hold the stock
+ * @returns {Promise<Array>} Created stock_reservations rows (lines with nothing available are skipped)
+ */
+export async function reserveOrderStock(tx, { poId, details, employeeId = null, days = RESERVATION_DAYS }) {
+  const productIds = [...new Set(details.map(detail => detail.product_id).filter(Boolean))];
+  await lockProductStock(tx, productIds);
+
+  const [stockRows, reserved] = await Promise.all([
+    tx.inventory.groupBy({
+      by: ['product_id'],
+      where: { product_id: { in: productIds }, is_active: true, current_stock: { gt: 0 } },
+      _sum: { current_stock: true }
+    }),
+    getReservedQuantities(tx, productIds)
+  ]);
+
+  const available = new Map(stockRows.map(row => [
+    row.product_id,
+    Math.max(0, (row._sum.current_stock || 0) - (reserved.get(row.product_id) || 0))
+  ]));
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+
+  const reservations = [];
+  for (const detail of details) {
+    const open = (detail.quantity || 0) - (detail.fulfilled_quantity || 0);
+    const quantity = Math.min(open, available.get(detail.product_id) || 0);
+    if (quantity <= 0) continue;
+
+    available.set(detail.product_id, available.get(detail.product_id) - quantity);
+    reservations.push(await tx.stock_reservations.create({
+      data: {
+        po_id: poId,
+        po_detail_id: detail.po_detail_id,
+        product_id: detail.product_id,
+        quantity,
+        expires_at: expiresAt,
+        employee_id: employeeId
+      }
+    }));
+  }
+
+  return reservations;
+}
+
+/**
+ * Use up an order line's reservation as it is invoiced
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} poDetailId - Order line
+ * @param {number} quantity - Base units invoiced
+ */
+export async function consumeReservation(tx, poDetailId, quantity) {
+  let remaining = quantity;
+  const reservations = await tx.stock_reservations.findMany({
+    where: { po_detail_id: poDetailId, ...activeReservationWhere() },
+    orderBy: { reservation_id: 'asc' }
+  });
+
+  for (const reservation of reservations) {
+    if (remaining <= 0) break;
+    const used = Math.min(remaining, reservation.quantity);
+    remaining -= used;
+
+    await tx.stock_reservations.update({
+      where: { reservation_id: reservation.reservation_id },
+      data: used === reservation.quantity
+        ? { status: 'FULFILLED', released_at: new Date() }
+        : { quantity: reservation.quantity - used }
+    });
+  }
+}
+
+/**
+ * Release every reservation still held for an order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} poId - Order
+ * @param {string} reason - Why the stock was released
+ * @returns {Promise<number>} Reservations released
+ */
+export async function releaseOrderReservations(tx, poId, reason) {
+  const { count } = await tx.stock_reservations.updateMany({
+    where: { po_id: poId, status: 'ACTIVE' },
+    data: { status: 'RELEASED', released_at: new Date(), release_reason: reason }
+  });
+  return count;
+}
+
+/**
+ * Shrink a product's reservations to what is left in stock after stock was lost (e.g. written off).
+ * The newest reservations give way first; one only partly covered keeps what is left.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product whose stock went down
+ * @param {string} reason - Why the stock was released
+ * @returns {Promise<number>} Base units released
+ */
+export async function releaseUncoveredReservations(tx, productId, reason) {
+  const [stock, reservations] = await Promise.all([
+    tx.inventory.aggregate({
+      where: { product_id: productId, is_active: true, current_stock: { gt: 0 } },
+      _sum: { current_stock: true }
+    }),
+    tx.stock_reservations.findMany({
+      where: { product_id: productId, ...activeReservationWhere() },
+      orderBy: { reservation_id: 'desc' }
+    })
+  ]);
+
+  const reserved = reservations.reduce((sum, reservation) => sum + reservation.quantity, 0);
+  let shortfall = reserved - (stock._sum.current_stock || 0);
+  let released = 0;
+
+  for (const reservation of reservations) {
+    if (shortfall <= 0) break;
+    const cut = Math.min(shortfall, reservation.quantity);
+    shortfall -= cut;
+    released += cut;
+
+    await tx.stock_reservations.update({
+      where: { reservation_id: reservation.reservation_id },
+      data: cut === reservation.quantity
+        ? { status: 'RELEASED', released_at: new Date(), release_reason: reason }
+        : { quantity: reservation.quantity - cut }
+    });
+  }
+
+  return released;
+}
+
+/**
+ * Mark reservations past their expiry as EXPIRED.
+ * They stop holding stock at expires_at regardless; this records it.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Reservations expired
+ */
+export async function expireReservations(client, now = new Date()) {
+  const { count } = await client.stock_reservations.updateMany({
+    where: { status: 'ACTIVE', expires_at: { lte: now } },
+    data: { status: 'EXPIRED', released_at: now, release_reason: 'Reservation expired' }
+  });
+  return count;
+}
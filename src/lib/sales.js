@@ -0,0 +1,631 @@
+/**
+ * Sale Recording Helpers
+ * The POS sale transaction shared by POST /api/sales and the offline sale sync:
+ * pricing, promotions, override rules, batch-aware FIFO stock deduction, tenders, credit and ledger entries.
+ */
+import { parseDecimal, roundCurrency, calculateSaleTotals, DEFAULT_VAT_RATE } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift } from '@/lib/shifts';
+import { ApprovalRequiredError, recordAudit } from '@/lib/approvals';
+import { batchUnitCost, saleLineCost } from '@/lib/costing';
+import { toBaseQuantity } from '@/lib/units';
+import { getPriceList, resolveLinePrice } from '@/lib/pricing';
+import { getOverrideRule, dealerFloorPrice, evaluateLineOverride, evaluateOrderDiscount } from '@/lib/overrides';
+import { getActivePromotions, applyPromotions, formatSalePromotion } from '@/lib/promotions';
+import { allocateSaleReceipt } from '@/lib/terminals';
+import { tendersFromInput, settleTenders, formatSalePayment } from '@/lib/payments';
+import { getReservedQuantities, lockProductStock } from '@/lib/reservations';
+
+/**
+ * Thrown when a line asks for more than is in stock.
+ * Offline sales that hit it are held for manager review instead of failing the whole sync.
+ */
+export class InsufficientStockError extends Error {
+  /**
+   * @param {Object} product - products row
+   * @param {number} available - Base units in stock
+   * @param {number} requested - Base units asked for
+   * @param {number} reserved - Base units on hand but held for customer orders
+   */
+  constructor(product, available, requested, reserved = 0) {
+    super(`Insufficient stock for ${product.product_name}. Available: ${available} ${product.unit || ''}${reserved > 0 ? ` (${reserved} reserved for customer orders)` : ''}, Requested: ${requested}`);
+    this.name = 'InsufficientStockError';
+    this.code = 'INSUFFICIENT_STOCK';
+    this.details = {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      available,
+      requested,
+      reserved
+    };
+  }
+}
+
+/**
+ * Include used when returning a sale to the POS (receipt)
+ */
+export const SALE_INCLUDE = {
+  sale_details: {
+    include: {
+      products: {
+        select: { product_id: true, product_name: true, product_code: true, unit: true }
+      },
+      sale_promotions: true
+    }
+  },
+  sale_payments: {
+    orderBy: { sale_payment_id: 'asc' }
+  },
+  customers: true,
+  delivery: true,
+  employees: {
+    select: { employee_id: true, employee_name: true }
+  },
+  pos_terminals: {
+    select: { terminal_id: true, terminal_code: true, terminal_name: true }
+  }
+};
+
+/**
+ * Include used when returning an offline sale conflict
+ */
+export const OFFLINE_CONFLICT_INCLUDE = {
+  submitter: {
+    select: { employee_id: true, employee_name: true }
+  },
+  reviewer: {
+    select: { employee_id: true, employee_name: true }
+  },
+  sales: {
+    select: { sale_id: true, invoice_number: true, total_amount: true }
+  }
+};
+
+/**
+ * Check the shape of a sale request before opening a transaction
+ * @param {Object} input - Sale request body
+ * @throws {Error} When items, discountType or taxMode are invalid
+ */
+export function validateSaleInput(input) {
+  const { items, discountType = 'AMOUNT', taxMode = 'NONE' } = input || {};
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new Error('At least one item is required');
+  }
+
+  if (!['AMOUNT', 'PERCENT'].includes(discountType)) {
+    throw new Error('discountType must be AMOUNT or PERCENT');
+  }
+
+  if (!['NONE', 'INCLUSIVE', 'EXCLUSIVE'].includes(taxMode)) {
+    throw new Error('taxMode must be NONE, INCLUSIVE or EXCLUSIVE');
+  }
+}
+
+/**
+ * Record a POS sale.
+ * Prices come from the customer type's price list (see lib/pricing); running promotions are then
+ * applied automatically and added to the line discount (see lib/promotions).
+ * Price changes and discounts beyond the cashier's role rule (see lib/overrides) and credit beyond
+ * the customer's limit throw ApprovalRequiredError unless an approver is given.
+ * Each tender is kept as a sale_payments line; the unpaid balance is a STORE_CREDIT line (see lib/payments).
+ * A line with an inventoryId sells from that marked-down batch at its clearance price; other lines take
+ * clearance batches last.
+ * Stock reserved for customer orders (see lib/reservations) cannot be sold, except to the order it is held for.
+ * A delivery's fee is added to the sale total after discounts and VAT; the delivery starts PENDING (see lib/deliveries).
+ * The official receipt number is taken from the terminal's series last (see lib/terminals).
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Object} options.user - User making the sale (req.user)
+ * @param {Object} options.input - Sale request body: { customerId, processType, delivery: { address, date, fee }, items, discount,
+ *   discountType, taxMode, taxRate, payments, notes, terminalId }; older bodies send amountPaid and
+ *   paymentMethod (plus cashAmount/onlineAmount for MIXED) instead of payments
+ * @param {Object|null} options.approver - From resolveApproval
+ * @param {Date|null} options.soldAt - When an offline sale was rung up; defaults to now
+ * @param {string|null} options.clientReference - Client-generated key of the sale (POS offline queue)
+ * @param {number|null} options.purchaseOrderId - Customer order being fulfilled, whose own reservations the sale may use
+ * @returns {Promise<Object>} Created sale with SALE_INCLUDE
+ */
+export async function recordSale(tx, { user, input, approver = null, soldAt = null, clientReference = null, purchaseOrderId = null }) {
+  const {
+    customerId,
+    processType,
+    delivery,
+    items, // Array of { productId, unitId, quantity, unitPrice, discount, inventoryId }; quantity is in the selling unit, unitPrice is optional
+    discount = 0, // Order-level discount (amount or percent, see discountType)
+    discountType = 'AMOUNT', // AMOUNT, PERCENT
+    taxMode = 'NONE', // NONE, INCLUSIVE, EXCLUSIVE
+    taxRate = DEFAULT_VAT_RATE,
+    notes,
+    terminalId // POS terminal issuing the official receipt
+  } = input;
+  const saleDate = soldAt || new Date();
+
+  // Walk-in sales use the WALK_IN price list, if there is one
+  const customer = customerId
+    ? await tx.customers.findUnique({ where: { customer_id: customerId } })
+    : null;
+  
+  if (customerId && !customer) {
+    throw new Error('Customer not found');
+  }
+  
+  const priceList = await getPriceList(tx, customer?.customer_type);
+  const overrideRule = await getOverrideRule(tx, user.role);
+  
+  // Held until the sale commits, so a reservation made meanwhile cannot claim the units sold here
+  const productIds = [...new Set(items.map(item => parseInt(item.productId)).filter(Boolean))];
+  await lockProductStock(tx, productIds);
+  const reserved = await getReservedQuantities(tx, productIds, { excludePoId: purchaseOrderId });
+
+  // Calculate totals
+  let subtotal = 0;
+  const saleDetails = [];
+  const priceOverrides = []; // { detailIndex, product_id, product_name, ...evaluateLineOverride() }
+  const discountLines = []; // { listAmount, chargedAmount, floorAmount, netAmount } for evaluateOrderDiscount
+  const promoLines = []; // { product, baseQuantity, amount } for applyPromotions
+  
+  for (const item of items) {
+    // Get product info to verify pricing
+    const product = await tx.products.findUnique({
+      where: { product_id: item.productId },
+      include: {
+        inventory: {
+          where: { is_active: true, current_stock: { gt: 0 } },
+          orderBy: [{ expiration_date: 'asc' }, { inventory_id: 'asc' }]
+        },
+        product_units: { where: { is_active: true } }
+      }
+    });
+    
+    if (!product) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+    
+    // Sold in a selling unit (sack, kilo, pack) or directly in base units
+    let unit = null;
+    if (item.unitId) {
+      unit = await tx.product_units.findFirst({
+        where: { unit_id: parseInt(item.unitId), product_id: product.product_id, is_active: true }
+      });
+      
+      if (!unit) {
+        throw new Error(`Unit ${item.unitId} is not sold for ${product.product_name}`);
+      }
+    }
+    
+    const quantity = parseFloat(item.quantity);
+    const baseQuantity = toBaseQuantity(quantity, unit, product.product_name);
+    
+    // Calculate total available stock, less what is held for customer orders
+    const totalStock = product.inventory.reduce((sum, inv) => sum + inv.current_stock, 0);
+    const reservedStock = reserved.get(product.product_id) || 0;
+    const availableStock = Math.max(0, totalStock - reservedStock);
+    
+    if (availableStock < baseQuantity) {
+      throw new InsufficientStockError(product, availableStock, baseQuantity, Math.min(reservedStock, totalStock));
+    }
+    
+    // Clearance lines sell from their marked-down batch only
+    const clearanceBatch = item.inventoryId
+      ? product.inventory.find(inv => inv.inventory_id === parseInt(item.inventoryId) && inv.clearance_price !== null)
+      : null;
+    if (item.inventoryId && !clearanceBatch) {
+      throw new Error(`Batch ${item.inventoryId} of ${product.product_name} is not on clearance or is sold out`);
+    }
+    if (clearanceBatch && clearanceBatch.current_stock < baseQuantity) {
+      throw new InsufficientStockError(product, clearanceBatch.current_stock, baseQuantity);
+    }
+    
+    // A price or discount sent by the client is checked against the role's override rule;
+    // the clearance price was set by a manager and is the line's list price
+    const linePrice = clearanceBatch
+      ? { price: roundCurrency(parseDecimal(clearanceBatch.clearance_price) * (unit?.conversion_factor || 1)), priceListId: null }
+      : await resolveLinePrice(tx, { product, unit, quantity, priceList });
+    const requestedPrice = item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === ''
+      ? null
+      : parseDecimal(item.unitPrice);
+    const unitPrice = requestedPrice ?? linePrice.price;
+    const itemDiscount = parseDecimal(item.discount);
+    
+    if (unitPrice < 0 || itemDiscount < 0) {
+      throw new Error(`Price and discount for ${product.product_name} cannot be negative`);
+    }
+    
+    const itemSubtotal = (quantity * unitPrice) - itemDiscount;
+    if (itemSubtotal < 0) {
+      throw new Error(`Discount for ${product.product_name} is larger than the line total`);
+    }
+    
+    const floorPrice = clearanceBatch ? null : dealerFloorPrice(product, unit);
+    const override = evaluateLineOverride({
+      listPrice: linePrice.price,
+      unitPrice,
+      quantity,
+      discount: itemDiscount,
+      floorPrice,
+      rule: overrideRule
+    });
+    if (override) {
+      priceOverrides.push({
+        ...override,
+        detailIndex: saleDetails.length,
+        product_id: product.product_id,
+        product_name: product.product_name
+      });
+    }
+    
+    discountLines.push({
+      listAmount: roundCurrency(linePrice.price * quantity),
+      chargedAmount: roundCurrency(itemSubtotal),
+      floorAmount: floorPrice === null ? null : roundCurrency(floorPrice * quantity),
+      netAmount: itemSubtotal
+    });
+    
+    subtotal += itemSubtotal;
+    // Promotions do not stack on clearance prices
+    promoLines.push({ product, baseQuantity, amount: clearanceBatch ? 0 : itemSubtotal });
+    
+    // Deduct from inventory (FIFO - first expiring first, then oldest batch; clearance batches last)
+    // Batches are recorded with their cost so returns restock the same batches and COGS is exact
+    const pickOrder = clearanceBatch
+      ? [clearanceBatch]
+      : [
+          ...product.inventory.filter(inv => inv.clearance_price === null),
+          ...product.inventory.filter(inv => inv.clearance_price !== null)
+        ];
+    const batches = [];
+    let remainingQty = baseQuantity;
+    for (const inv of pickOrder) {
+      if (remainingQty <= 0) break;
+      
+      const deductQty = Math.min(remainingQty, inv.current_stock);
+      await tx.inventory.update({
+        where: { inventory_id: inv.inventory_id },
+        data: { current_stock: inv.current_stock - deductQty }
+      });
+      batches.push({
+        inventory_id: inv.inventory_id,
+        quantity: deductQty,
+        unit_cost: batchUnitCost(inv, product)
+      });
+      remainingQty -= deductQty;
+    }
+    
+    const lineCost = saleLineCost(batches);
+    saleDetails.push({
+      product_id: item.productId,
+      quantity: baseQuantity,
+      unit_id: unit?.unit_id || null,
+      unit_name: unit?.unit_name || product.unit || null,
+      unit_quantity: unit ? quantity : null,
+      conversion_factor: unit?.conversion_factor || 1,
+      price_list_id: linePrice.priceListId,
+      list_price: linePrice.price,
+      unit_price: unitPrice,
+      discount: itemDiscount,
+      unit_cost: lineCost.unitCost,
+      cost_amount: lineCost.costAmount,
+      batches,
+      promotions: []
+    });
+  }
+  
+  // Promotions discount what is left after the cashier's own line discount
+  const promotions = await getActivePromotions(tx, { customerType: customer?.customer_type, at: saleDate });
+  applyPromotions(promotions, promoLines).forEach((line, index) => {
+    if (line.discount <= 0) return;
+    saleDetails[index].discount = roundCurrency(saleDetails[index].discount + line.discount);
+    saleDetails[index].promotions = line.promotions;
+    discountLines[index].netAmount -= line.discount;
+    subtotal -= line.discount;
+  });
+  
+  const totals = calculateSaleTotals({
+    subtotal,
+    discount,
+    discountType,
+    taxRate: taxMode === 'NONE' ? 0 : taxRate,
+    taxMode
+  });
+  
+  const orderOverride = evaluateOrderDiscount({
+    subtotal: totals.subtotal,
+    discountAmount: totals.discountAmount,
+    lines: discountLines,
+    rule: overrideRule
+  });
+  if (orderOverride) {
+    priceOverrides.push({ ...orderOverride, detailIndex: null, product_id: null, product_name: 'Order discount' });
+  }
+  
+  const needsApproval = priceOverrides.filter(line => line.needsApproval);
+  if (needsApproval.length > 0 && !approver) {
+    const belowFloor = needsApproval.some(line => line.belowFloor);
+    throw new ApprovalRequiredError(
+      `${needsApproval.map(line => line.product_name).join(', ')}: ${belowFloor ? 'below the dealer price or ' : ''}more than the ${overrideRule.max_discount_percent}% discount your role may give. A manager must approve.`,
+      'PRICE_OVERRIDE',
+      {
+        max_discount_percent: overrideRule.max_discount_percent,
+        lines: needsApproval.map(({ detailIndex, ...line }) => line)
+      }
+    );
+  }
+  const deliveryFee = delivery && delivery.address ? roundCurrency(parseDecimal(delivery.fee)) : 0;
+  if (deliveryFee < 0) {
+    throw new Error('Delivery fee cannot be negative');
+  }
+  const totalAmount = roundCurrency(totals.total + deliveryFee);
+  const settlement = settleTenders(tendersFromInput(input), totalAmount);
+  const paidAmount = settlement.amountTendered;
+  
+  // Determine sale status
+  let saleStatus = 'PAID';
+  if (settlement.creditAmount > 0) {
+    saleStatus = settlement.amountApplied > 0 ? 'PARTIAL' : 'UNPAID';
+  }
+  
+  // Anything left unpaid goes on the customer's account, within their credit limit
+  let creditOverride = null;
+  if (saleStatus !== 'PAID') {
+    if (!customer) {
+      throw new Error('A customer is required for credit or partially paid sales');
+    }
+    
+    const creditLimit = parseDecimal(customer.credit_limit);
+    const currentBalance = parseDecimal(customer.credit_balance);
+    const creditAmount = settlement.creditAmount;
+    const available = Math.max(0, creditLimit - currentBalance);
+    
+    if (currentBalance + creditAmount > creditLimit) {
+      const details = {
+        customer_id: customer.customer_id,
+        credit_limit: creditLimit,
+        credit_balance: currentBalance,
+        credit_amount: creditAmount,
+        available_credit: available
+      };
+      
+      if (!approver) {
+        throw new ApprovalRequiredError(
+          `Credit limit exceeded for ${customer.customer_name}. Available credit: ${available.toFixed(2)}, this sale needs ${creditAmount.toFixed(2)}`,
+          'CREDIT_LIMIT_EXCEEDED',
+          details
+        );
+      }
+      creditOverride = details;
+    }
+  }
+  
+  const employeeId = await getEmployeeId(user, tx);
+  const shift = await getOpenShift(employeeId, tx);
+  const receipt = await allocateSaleReceipt(tx, terminalId);
+
+  // Create the sale
+  const sale = await tx.sales.create({
+    data: {
+      sale_date: saleDate,
+      process_type: processType || 'Walk-in',
+      customer_id: customerId || null,
+      employee_id: employeeId,
+      shift_id: shift?.shift_id || null,
+      remarks: notes || null,
+      subtotal: totals.subtotal,
+      discount_type: discountType,
+      discount_value: parseDecimal(discount),
+      discount_amount: totals.discountAmount,
+      tax_mode: taxMode,
+      tax_rate: taxMode === 'NONE' ? 0 : parseDecimal(taxRate),
+      tax_amount: totals.taxAmount,
+      total_amount: totalAmount,
+      amount_paid: paidAmount,
+      payment_method: settlement.paymentMethod,
+      sale_status: saleStatus,
+      client_reference: clientReference,
+      synced_at: soldAt ? new Date() : null,
+      terminal_id: receipt?.terminal.terminal_id ?? null,
+      or_number: receipt?.orNumber ?? null,
+      invoice_number: receipt?.invoiceNumber ?? null
+    }
+  });
+  
+  for (const line of settlement.lines) {
+    await tx.sale_payments.create({
+      data: { ...line, sale_id: sale.sale_id }
+    });
+  }
+
+  const detailIds = [];
+  for (const detail of saleDetails) {
+    const created = await tx.sale_details.create({
+      data: {
+        sale_id: sale.sale_id,
+        product_id: detail.product_id,
+        quantity: detail.quantity,
+        unit_id: detail.unit_id,
+        unit_name: detail.unit_name,
+        unit_quantity: detail.unit_quantity,
+        conversion_factor: detail.conversion_factor,
+        price_list_id: detail.price_list_id,
+        list_price: detail.list_price,
+        unit_price: detail.unit_price,
+        discount: detail.discount,
+        unit_cost: detail.unit_cost,
+        cost_amount: detail.cost_amount,
+        sale_detail_batches: {
+          create: detail.batches
+        },
+        sale_promotions: {
+          create: detail.promotions.map(promo => ({ ...promo, sale_id: sale.sale_id }))
+        }
+      }
+    });
+    detailIds.push(created.sale_detail_id);
+  }
+  
+  // Every price change and discount is kept for the overrides report
+  for (const override of priceOverrides) {
+    await tx.sale_price_overrides.create({
+      data: {
+        sale_id: sale.sale_id,
+        sale_detail_id: override.detailIndex === null ? null : detailIds[override.detailIndex],
+        product_id: override.product_id,
+        override_type: override.overrideType,
+        list_amount: override.listAmount,
+        charged_amount: override.chargedAmount,
+        discount_percent: override.discountPercent,
+        floor_amount: override.floorAmount,
+        needed_approval: override.needsApproval,
+        reason: override.needsApproval ? approver.reason : (approver?.reason || null),
+        requested_by: employeeId,
+        approved_by: override.needsApproval ? approver.employeeId : null
+      }
+    });
+  }
+
+  if (delivery && delivery.address) {
+    await tx.delivery.create({
+      data: {
+        sale_id: sale.sale_id,
+        delivery_date: delivery.date ? new Date(delivery.date) : new Date(),
+        delivery_address: delivery.address,
+        delivery_status: 'PENDING',
+        delivery_fee: deliveryFee
+      }
+    });
+  }
+
+  const saleWithDelivery = await tx.sales.findUnique({
+    where: { sale_id: sale.sale_id },
+    include: SALE_INCLUDE
+  });
+  
+  if (creditOverride) {
+    await recordAudit(tx, {
+      action: 'CREDIT_LIMIT_OVERRIDE',
+      entityType: 'sales',
+      entityId: sale.sale_id,
+      reason: approver.reason,
+      details: creditOverride,
+      requestedBy: employeeId,
+      approvedBy: approver.employeeId
+    });
+  }
+  
+  // Log stock movements
+  for (const detail of saleDetails) {
+    await tx.stock_log.create({
+      data: {
+        product_id: detail.product_id,
+        change_type: 'SALE',
+        quantity: -detail.quantity,
+        reason: `Sale #${sale.sale_id}`,
+        log_date: saleDate,
+        employee_id: employeeId
+      }
+    });
+  }
+  
+  // If customer exists and has outstanding balance (credit sale)
+  if (customerId && saleStatus !== 'PAID') {
+    const creditAmount = settlement.creditAmount;
+    
+    // Update customer credit balance
+    await tx.customers.update({
+      where: { customer_id: customerId },
+      data: {
+        credit_balance: {
+          increment: creditAmount
+        }
+      }
+    });
+    
+    // Create ledger entry
+    await tx.account_ledger.create({
+      data: {
+        account_type: 'customer',
+        account_id: customerId,
+        reference_type: 'SALE',
+        reference_id: sale.sale_id,
+        debit: creditAmount,
+        credit: 0
+      }
+    });
+  }
+  
+  // Create transaction record
+  await tx.agrivet_transactions.create({
+    data: {
+      ref_id: String(sale.sale_id),
+      transaction_date: saleDate,
+      transaction_type: 'SALE',
+      account_name: customerId ? `Customer #${customerId}` : 'Walk-in',
+      amount: totalAmount,
+      remarks: notes ? `Sale #${sale.sale_id} - ${notes}` : `Sale #${sale.sale_id}`
+    }
+  });
+  
+  return saleWithDelivery;
+}
+
+/**
+ * Format a sale for API responses
+ * @param {Object} sale - sales row with SALE_INCLUDE
+ * @param {Object} user - User who handled the sale (req.user)
+ * @returns {Object} Sale with decimals converted
+ */
+export function formatSale(sale, user) {
+  return {
+    ...sale,
+    handled_by: {
+      username: user?.username || null,
+      full_name: user?.fullName || null,
+      role: user?.role || null
+    },
+    total_amount: parseDecimal(sale.total_amount),
+    amount_paid: parseDecimal(sale.amount_paid),
+    subtotal: parseDecimal(sale.subtotal),
+    discount_value: parseDecimal(sale.discount_value),
+    discount_amount: parseDecimal(sale.discount_amount),
+    tax_rate: parseDecimal(sale.tax_rate),
+    tax_amount: parseDecimal(sale.tax_amount),
+    sale_details: sale.sale_details.map(detail => ({
+      ...detail,
+      unit_quantity: detail.unit_quantity === null ? null : parseDecimal(detail.unit_quantity),
+      list_price: detail.list_price === null ? null : parseDecimal(detail.list_price),
+      unit_price: parseDecimal(detail.unit_price),
+      discount: parseDecimal(detail.discount),
+      unit_cost: parseDecimal(detail.unit_cost),
+      cost_amount: parseDecimal(detail.cost_amount),
+      sale_promotions: detail.sale_promotions.map(formatSalePromotion)
+    })),
+    sale_payments: (sale.sale_payments || []).map(formatSalePayment),
+    delivery: (sale.delivery || []).map(delivery => ({
+      ...delivery,
+      delivery_fee: parseDecimal(delivery.delivery_fee)
+    }))
+  };
+}
+
+/**
+ * Sale request as kept for review: manager credentials sent with an offline sale are dropped
+ * @param {Object} input - Sale request body
+ * @returns {Object} Body safe to store
+ */
+export function offlineSalePayload(input) {
+  const { approval, ...sale } = input || {};
+  return approval?.reason ? { ...sale, approval: { reason: approval.reason } } : sale;
+}
+
+/**
+ * Format an offline sale conflict for API responses
+ * @param {Object} conflict - offline_sale_conflicts row with OFFLINE_CONFLICT_INCLUDE
+ * @returns {Object} Conflict with decimals converted
+ */
+export function formatOfflineConflict(conflict) {
+  return {
+    ...conflict,
+    total_amount: conflict.total_amount === null ? null : parseDecimal(conflict.total_amount),
+    sales: conflict.sales ? { ...conflict.sales, total_amount: parseDecimal(conflict.sales.total_amount) } : null
+  };
+}
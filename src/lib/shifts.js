@@ -0,0 +1,104 @@
+/**
+ * Cashier Shift Helpers
+ * Open shift lookup and X/Z report calculation
+ */
+import prisma from '@/lib/prisma';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { saleTenderLines } from '@/lib/payments';
+
+/**
+ * Tenders whose collected amount stays in the cash drawer.
+ * MIXED only appears on sales recorded before tender lines, when the cash part was not kept separately.
+ */
+export const CASH_DRAWER_METHODS = ['CASH', 'MIXED'];
+
+/**
+ * Find the open shift of an employee
+ * @param {number|null} employeeId - Employee ID
+ * @param {Object} client - Prisma client or transaction client (default: shared client)
+ * @returns {Promise<Object|null>} Open shift row, or null
+ */
+export async function getOpenShift(employeeId, client = prisma) {
+  if (!employeeId) return null;
+
+  return client.shifts.findFirst({
+    where: { employee_id: employeeId, status: 'OPEN' },
+    orderBy: { opened_at: 'desc' }
+  });
+}
+
+/**
+ * Build the X (running) or Z (closed) report of a shift.
+ * Expected cash = opening float + cash tenders (and MIXED sales from before tender lines) - refunds - pay-outs
+ * @param {Object} shift - shifts row
+ * @param {Object} client - Prisma client or transaction client (default: shared client)
+ * @returns {Promise<Object>} Shift report
+ */
+export async function buildShiftReport(shift, client = prisma) {
+  const [sales, returns, payouts, employee] = await Promise.all([
+    client.sales.findMany({
+      where: { shift_id: shift.shift_id, is_active: true },
+      select: {
+        total_amount: true,
+        amount_paid: true,
+        payment_method: true,
+        sale_payments: { select: { tender_type: true, amount: true } }
+      }
+    }),
+    client.sale_returns.findMany({
+      where: { shift_id: shift.shift_id },
+      select: { refund_amount: true }
+    }),
+    client.shift_payouts.findMany({
+      where: { shift_id: shift.shift_id },
+      orderBy: { created_at: 'asc' }
+    }),
+    client.employees.findUnique({
+      where: { employee_id: shift.employee_id },
+      select: { employee_name: true }
+    })
+  ]);
+
+  // Amount settled at the counter per tender; change is not part of a tender line, store credit is not collected
+  const byPaymentMethod = {};
+  for (const sale of sales) {
+    for (const line of saleTenderLines(sale)) {
+      if (line.tender_type === 'STORE_CREDIT') continue;
+      byPaymentMethod[line.tender_type] = roundCurrency((byPaymentMethod[line.tender_type] || 0) + line.amount);
+    }
+  }
+
+  const openingFloat = parseDecimal(shift.opening_float);
+  const cashSales = roundCurrency(
+    CASH_DRAWER_METHODS.reduce((sum, method) => sum + (byPaymentMethod[method] || 0), 0)
+  );
+  const refunds = roundCurrency(returns.reduce((sum, r) => sum + parseDecimal(r.refund_amount), 0));
+  const payoutTotal = roundCurrency(payouts.reduce((sum, p) => sum + parseDecimal(p.amount), 0));
+  const expectedCash = roundCurrency(openingFloat + cashSales - refunds - payoutTotal);
+  const countedCash = shift.counted_cash === null || shift.counted_cash === undefined
+    ? null
+    : parseDecimal(shift.counted_cash);
+
+  return {
+    shift_id: shift.shift_id,
+    report_type: shift.status === 'CLOSED' ? 'Z' : 'X',
+    status: shift.status,
+    cashier: employee?.employee_name || 'Unknown',
+    opened_at: shift.opened_at,
+    closed_at: shift.closed_at,
+    opening_float: openingFloat,
+    sales_count: sales.length,
+    gross_sales: roundCurrency(sales.reduce((sum, s) => sum + parseDecimal(s.total_amount), 0)),
+    by_payment_method: byPaymentMethod,
+    cash_sales: cashSales,
+    refunds,
+    payouts: payouts.map(p => ({
+      ...p,
+      amount: parseDecimal(p.amount)
+    })),
+    payout_total: payoutTotal,
+    expected_cash: expectedCash,
+    counted_cash: countedCash,
+    over_short: countedCash === null ? null : roundCurrency(countedCash - expectedCash)
+  };
+}
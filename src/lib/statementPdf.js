@@ -0,0 +1,116 @@
+/**
+ * Statement of Account PDF
+ * Renders statements from GET /api/customers/[id]/statement or /api/customers/statements with jsPDF.
+ * Client code only.
+ */
+import { formatCurrency } from '@/lib/utils';
+
+const PAGE_BOTTOM = 790;
+const COLUMNS = [
+  { label: 'Date', x: 40 },
+  { label: 'Reference', x: 105 },
+  { label: 'Description', x: 195 },
+  { label: 'Debit', x: 405, align: 'right' },
+  { label: 'Credit', x: 480, align: 'right' },
+  { label: 'Balance', x: 555, align: 'right' }
+];
+
+function dateLabel(date) {
+  return new Date(date).toLocaleDateString('en-PH');
+}
+
+function drawTableHeader(doc, y) {
+  doc.setFont('helvetica', 'bold');
+  COLUMNS.forEach(column => doc.text(column.label, column.x, y, column.align ? { align: column.align } : undefined));
+  doc.setFont('helvetica', 'normal');
+  doc.line(40, y + 6, 555, y + 6);
+  return y + 20;
+}
+
+/**
+ * Draw one statement starting on the current page
+ * @param {Object} doc - jsPDF document
+ * @param {Object} statement - Statement from lib/statements
+ */
+function drawStatement(doc, statement) {
+  const { customer } = statement;
+  let y = 48;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('AgriVet Store', 40, y);
+  y += 20;
+  doc.setFontSize(13);
+  doc.text('Statement of Account', 40, y);
+  y += 22;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(customer.customer_name, 40, y);
+  doc.text(`Period: ${dateLabel(statement.period.from)} - ${dateLabel(statement.period.to)}`, 555, y, { align: 'right' });
+  y += 16;
+  if (customer.contact_number) {
+    doc.text(`Contact: ${customer.contact_number}`, 40, y);
+  }
+  doc.text(`Credit Limit: ${formatCurrency(customer.credit_limit)}`, 555, y, { align: 'right' });
+  y += 24;
+
+  doc.setFontSize(9);
+  y = drawTableHeader(doc, y);
+
+  doc.text(dateLabel(statement.period.from), 40, y);
+  doc.text('Opening balance', 195, y);
+  doc.text(formatCurrency(statement.opening_balance), 555, y, { align: 'right' });
+  y += 14;
+
+  for (const entry of statement.entries) {
+    if (y > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, 48);
+    }
+    doc.text(dateLabel(entry.date), 40, y);
+    doc.text(String(entry.reference), 105, y);
+    doc.text(doc.splitTextToSize(entry.description, 150)[0], 195, y);
+    doc.text(entry.debit > 0 ? formatCurrency(entry.debit) : '', 405, y, { align: 'right' });
+    doc.text(entry.credit > 0 ? formatCurrency(entry.credit) : '', 480, y, { align: 'right' });
+    doc.text(formatCurrency(entry.balance), 555, y, { align: 'right' });
+    y += 14;
+  }
+
+  if (y > PAGE_BOTTOM - 40) {
+    doc.addPage();
+    y = 48;
+  }
+  doc.line(40, y - 6, 555, y - 6);
+  y += 8;
+  doc.setFontSize(11);
+  doc.text('Total charges', 40, y);
+  doc.text(formatCurrency(statement.total_debits), 555, y, { align: 'right' });
+  y += 16;
+  doc.text('Total payments and credits', 40, y);
+  doc.text(formatCurrency(statement.total_credits), 555, y, { align: 'right' });
+  y += 18;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Closing balance', 40, y);
+  doc.text(formatCurrency(statement.closing_balance), 555, y, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+}
+
+/**
+ * Download statements as one PDF, each customer starting on a new page
+ * @param {Array} statements - Statements from lib/statements
+ * @param {string} fileName - File name without extension
+ */
+export async function downloadStatementsPDF(statements, fileName) {
+  if (!statements || statements.length === 0) return;
+
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+
+  statements.forEach((statement, index) => {
+    if (index > 0) doc.addPage();
+    drawStatement(doc, statement);
+  });
+
+  doc.save(`${String(fileName).replace(/[^a-zA-Z0-9-_]/g, '_')}.pdf`);
+}
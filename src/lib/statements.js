@@ -0,0 +1,205 @@
+/**
+ * Customer Statements of Account
+ * Opening balance, every account_ledger debit and credit in the period with its sale or payment reference,
+ * and the running and closing balance.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+// Ledger reference types whose reference_id is a sale_id
+const SALE_REFERENCE_TYPES = ['SALE', 'INVOICE_PAYMENT', 'SALE_RETURN', 'VOID_SALE'];
+
+const REFERENCE_DESCRIPTIONS = {
+  SALE: 'Credit sale',
+  INVOICE_PAYMENT: 'Payment',
+  PAYMENT: 'Payment',
+  SALE_RETURN: 'Return',
+  VOID_SALE: 'Voided sale',
+  PURCHASE_ORDER: 'Purchase order',
+  CANCELLED_PO: 'Cancelled purchase order'
+};
+
+/**
+ * Statement period from query values; defaults to the current month up to today
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Object} { start, end } with end at the end of its day
+ */
+export function statementPeriod(from, to) {
+  const now = new Date();
+  const start = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = to ? new Date(to) : new Date(now);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('from and to must be dates (YYYY-MM-DD)');
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+  if (end < start) {
+    throw new Error('to must not be before from');
+  }
+
+  return { start, end };
+}
+
+function saleLabel(sale, saleId) {
+  return sale?.invoice_number || `SALE-${saleId}`;
+}
+
+/**
+ * Sales and collection receipts the ledger rows point to
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array} entries - account_ledger rows
+ * @param {number[]} customerIds - Customers the rows belong to
+ * @returns {Promise<Object>} { sales: Map, payments: Map, allocations: Map (ledger_id -> allocation) }
+ */
+async function loadReferences(client, entries, customerIds) {
+  const saleIds = [...new Set(entries
+    .filter(entry => SALE_REFERENCE_TYPES.includes(entry.reference_type) && entry.reference_id)
+    .map(entry => entry.reference_id))];
+  const paymentIds = [...new Set(entries
+    .filter(entry => entry.reference_type === 'PAYMENT' && entry.reference_id)
+    .map(entry => entry.reference_id))];
+  const invoicePaymentIds = entries
+    .filter(entry => entry.reference_type === 'INVOICE_PAYMENT')
+    .map(entry => entry.ledger_id);
+
+  const [sales, payments, allocations] = await Promise.all([
+    saleIds.length > 0
+      ? client.sales.findMany({
+          where: { sale_id: { in: saleIds } },
+          select: { sale_id: true, invoice_number: true }
+        })
+      : [],
+    paymentIds.length > 0
+      ? client.customer_payments.findMany({
+          where: { customer_payment_id: { in: paymentIds }, customer_id: { in: customerIds } },
+          select: { customer_payment_id: true, customer_id: true, receipt_number: true }
+        })
+      : [],
+    invoicePaymentIds.length > 0
+      ? client.customer_payment_allocations.findMany({
+          where: { ledger_id: { in: invoicePaymentIds } },
+          select: {
+            ledger_id: true,
+            customer_payments: { select: { receipt_number: true } }
+          }
+        })
+      : []
+  ]);
+
+  return {
+    sales: new Map(sales.map(sale => [sale.sale_id, sale])),
+    payments: new Map(payments.map(payment => [payment.customer_payment_id, payment])),
+    allocations: new Map(allocations.map(allocation => [allocation.ledger_id, allocation]))
+  };
+}
+
+/**
+ * Reference and description of one ledger row
+ * Invoice payments are credited per sale; the collection receipt is the one whose allocation wrote the row.
+ * Rows from before allocations were linked to the ledger show the invoice instead.
+ */
+function describeEntry(entry, references) {
+  const type = entry.reference_type;
+  const description = REFERENCE_DESCRIPTIONS[type] || type || 'Adjustment';
+
+  if (type === 'INVOICE_PAYMENT') {
+    const allocation = references.allocations.get(entry.ledger_id);
+    const invoice = saleLabel(references.sales.get(entry.reference_id), entry.reference_id);
+    return {
+      reference: allocation?.customer_payments.receipt_number || invoice,
+      description: `${description} on ${invoice}`
+    };
+  }
+
+  if (SALE_REFERENCE_TYPES.includes(type)) {
+    return { reference: saleLabel(references.sales.get(entry.reference_id), entry.reference_id), description };
+  }
+
+  if (type === 'PAYMENT') {
+    // Payments recorded before collection receipts referenced the customer instead
+    const payment = references.payments.get(entry.reference_id);
+    const receipt = payment && payment.customer_id === entry.account_id ? payment.receipt_number : null;
+    return { reference: receipt || '-', description: receipt ? `${description} on account` : description };
+  }
+
+  if (type === 'PURCHASE_ORDER' || type === 'CANCELLED_PO') {
+    return { reference: `PO-${entry.reference_id}`, description };
+  }
+
+  return { reference: entry.reference_id ? String(entry.reference_id) : '-', description };
+}
+
+/**
+ * Build statements of account for one or more customers
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array} customers - customers rows
+ * @param {Object} period - From statementPeriod
+ * @returns {Promise<Array>} One statement per customer, in the order given
+ */
+export async function buildStatements(client, customers, { start, end }) {
+  const customerIds = customers.map(customer => customer.customer_id);
+  if (customerIds.length === 0) return [];
+
+  const [openingRows, entries] = await Promise.all([
+    client.account_ledger.groupBy({
+      by: ['account_id'],
+      where: { account_type: 'customer', account_id: { in: customerIds }, created_at: { lt: start } },
+      _sum: { debit: true, credit: true }
+    }),
+    client.account_ledger.findMany({
+      where: { account_type: 'customer', account_id: { in: customerIds }, created_at: { gte: start, lte: end } },
+      orderBy: [{ created_at: 'asc' }, { ledger_id: 'asc' }]
+    })
+  ]);
+
+  const references = await loadReferences(client, entries, customerIds);
+  const openingByCustomer = new Map(openingRows.map(row => [
+    row.account_id,
+    roundCurrency(parseDecimal(row._sum.debit) - parseDecimal(row._sum.credit))
+  ]));
+
+  return customers.map(customer => {
+    const openingBalance = openingByCustomer.get(customer.customer_id) || 0;
+    let balance = openingBalance;
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    const lines = entries
+      .filter(entry => entry.account_id === customer.customer_id)
+      .map(entry => {
+        const debit = parseDecimal(entry.debit);
+        const credit = parseDecimal(entry.credit);
+        balance = roundCurrency(balance + debit - credit);
+        totalDebits = roundCurrency(totalDebits + debit);
+        totalCredits = roundCurrency(totalCredits + credit);
+
+        return {
+          ledger_id: entry.ledger_id,
+          date: entry.created_at,
+          reference_type: entry.reference_type,
+          ...describeEntry(entry, references),
+          debit,
+          credit,
+          balance
+        };
+      });
+
+    return {
+      customer: {
+        customer_id: customer.customer_id,
+        customer_name: customer.customer_name,
+        customer_type: customer.customer_type,
+        contact_number: customer.contact_number,
+        credit_limit: parseDecimal(customer.credit_limit),
+        credit_balance: parseDecimal(customer.credit_balance)
+      },
+      period: { from: start, to: end },
+      opening_balance: openingBalance,
+      entries: lines,
+      total_debits: totalDebits,
+      total_credits: totalCredits,
+      closing_balance: balance
+    };
+  });
+}
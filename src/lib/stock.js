@@ -0,0 +1,166 @@
+/**
+ * Stock Movement Helpers
+ * Shared batch-level stock operations used inside Prisma transactions
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { batchUnitCost } from '@/lib/costing';
+import { lockProductStock, releaseUncoveredReservations } from '@/lib/reservations';
+
+/**
+ * Reasons a batch can be written off (shrinkage report buckets)
+ */
+export const WRITE_OFF_REASONS = ['EXPIRED', 'DAMAGED', 'OTHER'];
+
+export const WRITE_OFF_REASON_LABELS = {
+  EXPIRED: 'Expired',
+  DAMAGED: 'Damaged',
+  OTHER: 'Other'
+};
+
+/**
+ * Whether returned units may go back into a batch: it is still active (not deleted or written
+ * off) and has not expired
+ * @param {Object|null} inventory - inventory row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isSellableBatch(inventory, now) {
+  return Boolean(inventory?.is_active) && (!inventory.expiration_date || new Date(inventory.expiration_date) > now);
+}
+
+/**
+ * Put sold units of a sale line back into inventory.
+ * Units go back to the batches they were taken from (see sale_detail_batches) while those are
+ * still sellable; the rest, and lines recorded before batch tracking, go to the product's first
+ * sellable batch, or a new batch at the line's cost when it has none.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} detail - sale_details row including sale_detail_batches
+ * @param {number} quantity - Units to restore
+ * @returns {Promise<Array<{ inventory_id: number, quantity: number }>>} Batches restocked
+ */
+export async function restockSaleDetail(tx, detail, quantity) {
+  const now = new Date();
+  const restocked = [];
+  let remainingQty = quantity;
+  let unplacedQty = 0;
+
+  for (const batch of detail.sale_detail_batches || []) {
+    if (remainingQty <= 0) break;
+
+    const restorable = batch.quantity - batch.returned_quantity;
+    if (restorable <= 0) continue;
+
+    const restoreQty = Math.min(remainingQty, restorable);
+    remainingQty -= restoreQty;
+
+    await tx.sale_detail_batches.update({
+      where: { sale_detail_batch_id: batch.sale_detail_batch_id },
+      data: { returned_quantity: { increment: restoreQty } }
+    });
+
+    const inventory = await tx.inventory.findUnique({
+      where: { inventory_id: batch.inventory_id },
+      select: { is_active: true, expiration_date: true }
+    });
+    if (!isSellableBatch(inventory, now)) {
+      unplacedQty += restoreQty;
+      continue;
+    }
+
+    await tx.inventory.update({
+      where: { inventory_id: batch.inventory_id },
+      data: { current_stock: { increment: restoreQty } }
+    });
+    restocked.push({ inventory_id: batch.inventory_id, quantity: restoreQty });
+  }
+
+  unplacedQty += remainingQty;
+  if (unplacedQty > 0) {
+    const inventory = await tx.inventory.findFirst({
+      where: {
+        product_id: detail.product_id,
+        is_active: true,
+        OR: [{ expiration_date: null }, { expiration_date: { gt: now } }]
+      },
+      orderBy: [{ expiration_date: 'asc' }, { inventory_id: 'asc' }]
+    });
+
+    if (inventory) {
+      await tx.inventory.update({
+        where: { inventory_id: inventory.inventory_id },
+        data: { current_stock: { increment: unplacedQty } }
+      });
+      restocked.push({ inventory_id: inventory.inventory_id, quantity: unplacedQty });
+    } else {
+      const created = await tx.inventory.create({
+        data: {
+          product_id: detail.product_id,
+          current_stock: unplacedQty,
+          unit_cost: parseDecimal(detail.unit_cost) > 0 ? detail.unit_cost : null
+        }
+      });
+      restocked.push({ inventory_id: created.inventory_id, quantity: unplacedQty });
+    }
+  }
+
+  return restocked;
+}
+
+/**
+ * Write units of a batch off as shrinkage.
+ * The batch is reduced (to zero unless a quantity is given) and a WRITE_OFF stock_log entry keeps
+ * the reason and the cost written off. A batch written off to zero is closed, so returns do not
+ * restock it. Reservations the product's remaining stock can no longer cover are released.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Object} options.inventory - inventory row including products
+ * @param {number|null} options.quantity - Units to write off; null for the whole batch
+ * @param {string} options.reason - One of WRITE_OFF_REASONS
+ * @param {string|null} options.notes - Free-text detail
+ * @param {number|null} options.employeeId - Employee writing the stock off
+ * @returns {Promise<Object>} Created stock_log row
+ * @throws {Error} When the reason or quantity is invalid or the batch changed meanwhile
+ */
+export async function writeOffBatch(tx, { inventory, quantity = null, reason, notes = null, employeeId = null }) {
+  if (!WRITE_OFF_REASONS.includes(reason)) {
+    throw new Error(`reason must be one of: ${WRITE_OFF_REASONS.join(', ')}`);
+  }
+
+  const onHand = inventory.current_stock || 0;
+  const units = quantity === null || quantity === undefined || quantity === '' ? onHand : Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    throw new Error(onHand > 0 ? 'Quantity to write off must be a whole number greater than zero' : 'The batch has no stock to write off');
+  }
+  if (units > onHand) {
+    throw new Error(`Only ${onHand} ${inventory.products?.unit || 'units'} left in this batch`);
+  }
+
+  // Held with the product's other batches, so a reservation cannot be placed against the units going
+  await lockProductStock(tx, [inventory.product_id]);
+
+  // Only from the stock read, so a sale cannot take the same units
+  const { count } = await tx.inventory.updateMany({
+    where: { inventory_id: inventory.inventory_id, current_stock: onHand },
+    data: { current_stock: onHand - units, ...(units === onHand && { is_active: false }) }
+  });
+  if (count === 0) {
+    throw new Error('The batch changed while it was being written off; reload and try again');
+  }
+
+  const batchLabel = inventory.batch_number || `#${inventory.inventory_id}`;
+  await releaseUncoveredReservations(tx, inventory.product_id, `Stock written off from batch ${batchLabel}`);
+
+  return tx.stock_log.create({
+    data: {
+      product_id: inventory.product_id,
+      inventory_id: inventory.inventory_id,
+      change_type: 'WRITE_OFF',
+      quantity: -units,
+      cost_amount: roundCurrency(units * batchUnitCost(inventory, inventory.products)),
+      write_off_reason: reason,
+      reason: `${WRITE_OFF_REASON_LABELS[reason]} write-off of batch ${batchLabel}${notes ? `: ${notes}` : ''}`.slice(0, 255),
+      log_date: new Date(),
+      employee_id: employeeId
+    }
+  });
+}
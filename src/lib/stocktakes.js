@@ -0,0 +1,144 @@
+/**
+ * Stocktake Helpers
+ * Freezing expected quantities, variance calculation and posting counts to stock
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { batchUnitCost } from '@/lib/costing';
+
+/**
+ * Stocktake lifecycle: OPEN -> POSTED, or OPEN -> CANCELLED
+ */
+export const STOCKTAKE_STATUSES = ['OPEN', 'POSTED', 'CANCELLED'];
+
+/**
+ * Include used when returning a stocktake with its lines
+ */
+export const STOCKTAKE_INCLUDE = {
+  creator: {
+    select: { employee_id: true, employee_name: true }
+  },
+  poster: {
+    select: { employee_id: true, employee_name: true }
+  },
+  stocktake_lines: {
+    include: {
+      products: {
+        select: { product_id: true, product_name: true, product_code: true, barcode: true, category: true, unit: true }
+      },
+      inventory: {
+        select: { inventory_id: true, batch_number: true, expiration_date: true, location: true, current_stock: true }
+      }
+    },
+    orderBy: [{ product_id: 'asc' }, { inventory_id: 'asc' }]
+  }
+};
+
+/**
+ * Freeze the expected quantity and cost of every active batch in scope
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} scope
+ * @param {string|null} scope.category - Product category, or null for all
+ * @param {string|null} scope.location - Inventory location, or null for all
+ * @returns {Promise<Object[]>} stocktake_lines data (without stocktake_id)
+ */
+export async function freezeStocktakeLines(tx, { category = null, location = null }) {
+  const where = { is_active: true, product_id: { not: null } };
+  if (location) where.location = location;
+  if (category) where.products = { category };
+
+  const batches = await tx.inventory.findMany({
+    where,
+    include: {
+      products: { select: { average_cost: true } }
+    },
+    orderBy: [{ product_id: 'asc' }, { inventory_id: 'asc' }]
+  });
+
+  return batches.map(batch => ({
+    inventory_id: batch.inventory_id,
+    product_id: batch.product_id,
+    expected_quantity: batch.current_stock || 0,
+    unit_cost: batchUnitCost(batch, batch.products)
+  }));
+}
+
+/**
+ * Variance of one counted line; uncounted lines have no variance.
+ * The count is compared with the batch's stock when it was counted (counted_stock), so sales and
+ * receipts between the freeze and the count are not taken as shortages or overages.
+ * @param {Object} line - stocktake_lines row
+ * @returns {{ variance: number|null, variance_value: number|null }}
+ */
+export function lineVariance(line) {
+  if (line.counted_quantity === null || line.counted_quantity === undefined) {
+    return { variance: null, variance_value: null };
+  }
+
+  const variance = line.counted_quantity - (line.counted_stock ?? line.expected_quantity);
+  return {
+    variance,
+    variance_value: roundCurrency(variance * parseDecimal(line.unit_cost))
+  };
+}
+
+/**
+ * Format a stocktake for API responses, with per-line variances and the variance value report
+ * @param {Object} stocktake - stocktakes row with STOCKTAKE_INCLUDE
+ * @returns {Object} Formatted stocktake with a summary
+ */
+export function formatStocktake(stocktake) {
+  const summary = {
+    line_count: 0,
+    counted_count: 0,
+    variance_lines: 0,
+    expected_value: 0,
+    counted_value: 0,
+    shortage_quantity: 0,
+    shortage_value: 0,
+    overage_quantity: 0,
+    overage_value: 0,
+    net_variance_value: 0
+  };
+
+  const lines = (stocktake.stocktake_lines || []).map(line => {
+    const unitCost = parseDecimal(line.unit_cost);
+    const { variance, variance_value: varianceValue } = lineVariance(line);
+
+    summary.line_count++;
+    summary.expected_value += line.expected_quantity * unitCost;
+
+    if (variance !== null) {
+      summary.counted_count++;
+      summary.counted_value += line.counted_quantity * unitCost;
+
+      if (variance < 0) {
+        summary.variance_lines++;
+        summary.shortage_quantity += -variance;
+        summary.shortage_value += -varianceValue;
+      } else if (variance > 0) {
+        summary.variance_lines++;
+        summary.overage_quantity += variance;
+        summary.overage_value += varianceValue;
+      }
+    }
+
+    return {
+      ...line,
+      unit_cost: unitCost,
+      variance,
+      variance_value: varianceValue
+    };
+  });
+
+  summary.expected_value = roundCurrency(summary.expected_value);
+  summary.counted_value = roundCurrency(summary.counted_value);
+  summary.shortage_value = roundCurrency(summary.shortage_value);
+  summary.overage_value = roundCurrency(summary.overage_value);
+  summary.net_variance_value = roundCurrency(summary.overage_value - summary.shortage_value);
+
+  return {
+    ...stocktake,
+    stocktake_lines: lines,
+    summary
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * POS Terminals and Official Receipt Numbers
+ * Each terminal issues its own gap-free OR series (prefix + number within an authorised range).
+ * Numbers are taken inside the sale transaction, so a failed sale rolls its number back.
+ */
+
+const MAX_OR_NUMBER = 2147483647;
+
+/**
+ * Official receipt number as printed, zero-padded to the width of the range end
+ * @param {Object} terminal - pos_terminals row
+ * @param {number} number - Number within the terminal's range
+ * @returns {string} e.g. OR-A-000123
+ */
+export function formatOrNumber(terminal, number) {
+  return `${terminal.or_prefix || ''}${String(number).padStart(String(terminal.range_end).length, '0')}`;
+}
+
+/**
+ * Take the terminal's next OR number.
+ * The increment locks the terminal row until the sale commits, so concurrent sales on one terminal
+ * queue up and a rolled-back sale gives its number back.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} terminalId - pos_terminals.terminal_id
+ * @returns {Promise<Object>} { terminal, orNumber, invoiceNumber }
+ */
+export async function allocateOrNumber(tx, terminalId) {
+  const current = await tx.pos_terminals.findUnique({ where: { terminal_id: terminalId } });
+  if (!current || !current.is_active) {
+    throw new Error('POS terminal not found or inactive');
+  }
+
+  const terminal = await tx.pos_terminals.update({
+    where: { terminal_id: terminalId },
+    data: { next_number: { increment: 1 }, updated_at: new Date() }
+  });
+  const orNumber = terminal.next_number - 1;
+
+  if (orNumber > terminal.range_end) {
+    throw new Error(`Terminal ${terminal.terminal_code} has used up its receipt numbers (last: ${formatOrNumber(terminal, terminal.range_end)}). A manager must set a new range.`);
+  }
+
+  return { terminal, orNumber, invoiceNumber: formatOrNumber(terminal, orNumber) };
+}
+
+/**
+ * Receipt number for a new sale. Once any terminal is set up, every sale must name its terminal;
+ * until then sales are recorded without an OR number.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number|string|null} terminalId - Terminal the sale was rung up on
+ * @returns {Promise<Object|null>} From allocateOrNumber, or null when no terminals are set up
+ */
+export async function allocateSaleReceipt(tx, terminalId) {
+  if (terminalId) {
+    return allocateOrNumber(tx, parseInt(terminalId));
+  }
+
+  const activeTerminals = await tx.pos_terminals.count({ where: { is_active: true } });
+  if (activeTerminals > 0) {
+    throw new Error('Select the POS terminal: official receipt numbers are issued per terminal');
+  }
+
+  return null;
+}
+
+function parseRangeNumber(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_OR_NUMBER) {
+    throw new Error(`${label} must be a whole number from 1 to ${MAX_OR_NUMBER}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and map terminal fields from a request body.
+ * A new rangeStart begins a new series and must come after the last number the terminal issued.
+ * @param {Object} body - { terminalCode, terminalName, orPrefix, rangeStart, rangeEnd, isActive }
+ * @param {Object|null} current - Existing pos_terminals row (updates), or null when creating
+ * @param {number|null} lastIssued - Highest OR number on the terminal's sales (from lastIssuedNumber)
+ * @returns {Object} pos_terminals data
+ */
+export function terminalData(body, current = null, lastIssued = null) {
+  const { terminalCode, terminalName, orPrefix, rangeStart, rangeEnd, isActive } = body;
+  const data = {};
+
+  if (!current || terminalCode !== undefined) {
+    if (!terminalCode || !String(terminalCode).trim()) {
+      throw new Error('Terminal code is required');
+    }
+    data.terminal_code = String(terminalCode).trim().toUpperCase();
+  }
+
+  if (!current || terminalName !== undefined) {
+    if (!terminalName || !String(terminalName).trim()) {
+      throw new Error('Terminal name is required');
+    }
+    data.terminal_name = String(terminalName).trim();
+  }
+
+  if (orPrefix !== undefined) {
+    const prefix = String(orPrefix || '').trim();
+    if (prefix.length > 20) {
+      throw new Error('Receipt prefix must be at most 20 characters');
+    }
+    data.or_prefix = prefix;
+  }
+
+  if (!current || rangeStart !== undefined) {
+    const start = parseRangeNumber(rangeStart, 'Range start');
+    if (!current || start !== current.range_start) {
+      if (lastIssued !== null && start <= lastIssued) {
+        throw new Error(`A new range must start after the last issued number (${lastIssued})`);
+      }
+      data.range_start = start;
+      data.next_number = start;
+    }
+  }
+
+  if (!current || rangeEnd !== undefined) {
+    data.range_end = parseRangeNumber(rangeEnd, 'Range end');
+  }
+
+  const start = data.range_start ?? current?.range_start;
+  const end = data.range_end ?? current?.range_end;
+  const next = data.next_number ?? current?.next_number;
+  if (end < start) {
+    throw new Error('Range end must not be below range start');
+  }
+  if (end < next - 1) {
+    throw new Error(`Range end cannot be below the last issued number (${next - 1})`);
+  }
+
+  if (isActive !== undefined) data.is_active = Boolean(isActive);
+
+  return data;
+}
+
+/**
+ * Highest OR number a terminal has issued, across all its ranges
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} terminalId - pos_terminals.terminal_id
+ * @returns {Promise<number|null>}
+ */
+export async function lastIssuedNumber(client, terminalId) {
+  const result = await client.sales.aggregate({
+    where: { terminal_id: terminalId },
+    _max: { or_number: true }
+  });
+  return result._max.or_number ?? null;
+}
+
+/**
+ * Format a terminal for API responses with the numbers used and left
+ * @param {Object} terminal - pos_terminals row
+ * @returns {Object} Terminal with issued, remaining and the next OR number as printed
+ */
+export function formatTerminal(terminal) {
+  const issued = terminal.next_number - terminal.range_start;
+  const remaining = Math.max(0, terminal.range_end - terminal.next_number + 1);
+
+  return {
+    ...terminal,
+    issued,
+    remaining,
+    last_issued: issued > 0 ? formatOrNumber(terminal, terminal.next_number - 1) : null,
+    next_or_number: remaining > 0 ? formatOrNumber(terminal, terminal.next_number) : null
+  };
+}
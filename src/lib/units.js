@@ -0,0 +1,121 @@
+/**
+ * Selling Unit Helpers
+ * Stock is kept in the product's base unit (products.unit); a product can also be sold
+ * in larger or smaller units (sack, kilo, pack) that convert to whole base units.
+ * Stock and conversion factors are whole numbers, so the base unit must be the smallest
+ * amount sold: to sell 500 g packs and half kilos from a 50 kg sack, the base unit is 100 g
+ * (sack = 500, kilo = 10, pack = 5), not 1 kg.
+ */
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+/**
+ * Where a selling unit takes its price from
+ * SRP / DEALER_PRICE: the product price as-is; SRP_PER_KILO: srp_per_kilo x unit weight;
+ * BASE_PRICE: product unit_price x conversion factor; CUSTOM: the unit's own unit_price
+ */
+export const UNIT_PRICE_SOURCES = ['SRP', 'SRP_PER_KILO', 'DEALER_PRICE', 'BASE_PRICE', 'CUSTOM'];
+
+/**
+ * Retail price of one selling unit
+ * @param {Object} product - products row (srp, srp_per_kilo, dealer_price, unit_price)
+ * @param {Object|null} unit - product_units row, or null for the base unit (SRP, or unit_price when unset)
+ * @returns {number} Unit price
+ */
+export function resolveUnitPrice(product, unit = null) {
+  if (!unit) {
+    return parseDecimal(product.srp ?? product.unit_price);
+  }
+
+  switch (unit.price_source) {
+    case 'SRP':
+      return parseDecimal(product.srp);
+    case 'SRP_PER_KILO':
+      return roundCurrency(parseDecimal(product.srp_per_kilo) * parseDecimal(unit.weight_kg));
+    case 'DEALER_PRICE':
+      return parseDecimal(product.dealer_price);
+    case 'CUSTOM':
+      return parseDecimal(unit.unit_price);
+    default:
+      return roundCurrency(parseDecimal(product.unit_price) * unit.conversion_factor);
+  }
+}
+
+/**
+ * Check a weighed unit (weight_kg set) against the product's other weighed units.
+ * Their weight / conversion factor fixes what one base unit weighs; every weighed unit must be
+ * that many base units, so a 500 g pack is refused while the base unit is 1 kg.
+ * @param {Object} unit - Resulting product_units values
+ * @param {Array} others - The product's other active units
+ * @throws {Error} When the unit is not a whole number of base units or its factor disagrees with its weight
+ */
+export function validateUnitWeight(unit, others) {
+  const weightKg = parseDecimal(unit.weight_kg);
+  const reference = others.find(other => parseDecimal(other.weight_kg) > 0 && other.conversion_factor > 0);
+  if (!weightKg || !reference) return;
+
+  const baseWeightKg = parseDecimal(reference.weight_kg) / reference.conversion_factor;
+  const baseUnits = Math.round((weightKg / baseWeightKg) * 1000) / 1000;
+
+  if (!Number.isInteger(baseUnits)) {
+    throw new Error(
+      `${unit.unit_name} (${weightKg} kg) is not a whole number of base units: one base unit weighs ` +
+      `${baseWeightKg} kg (from ${reference.unit_name}). Restate the product's base unit in a smaller unit, such as 100 g, first.`
+    );
+  }
+  if (baseUnits !== unit.conversion_factor) {
+    throw new Error(
+      `${unit.unit_name} weighs ${weightKg} kg, which is ${baseUnits} base units (from ${reference.unit_name}), ` +
+      `not ${unit.conversion_factor}`
+    );
+  }
+}
+
+/**
+ * Convert a quantity in a selling unit to base units
+ * @param {number} quantity - Quantity in the selling unit (may be fractional)
+ * @param {Object|null} unit - product_units row, or null when already in base units
+ * @param {string} productName - Used in the error message
+ * @returns {number} Whole number of base units
+ */
+export function toBaseQuantity(quantity, unit, productName = 'item') {
+  const factor = unit?.conversion_factor || 1;
+  const baseQuantity = Math.round(quantity * factor * 1000) / 1000;
+
+  if (!Number.isInteger(baseQuantity) || baseQuantity <= 0) {
+    throw new Error(
+      unit
+        ? `${quantity} ${unit.unit_name} of ${productName} is not a whole number of base units (1 ${unit.unit_name} = ${factor})`
+        : `Quantity of ${productName} must be a positive whole number`
+    );
+  }
+
+  return baseQuantity;
+}
+
+/**
+ * Gross value of a sale line before the line discount.
+ * Lines sold in a selling unit are priced per that unit; older lines are priced per base unit.
+ * @param {Object} detail - sale_details row
+ * @returns {number} Quantity x unit price
+ */
+export function saleLineGross(detail) {
+  const quantity = detail.unit_quantity !== null && detail.unit_quantity !== undefined
+    ? parseDecimal(detail.unit_quantity)
+    : detail.quantity || 0;
+  return quantity * parseDecimal(detail.unit_price);
+}
+
+/**
+ * Format a selling unit for API responses
+ * @param {Object} unit - product_units row
+ * @param {Object} product - products row the unit belongs to
+ * @returns {Object} Unit with decimals converted and its resolved price
+ */
+export function formatProductUnit(unit, product) {
+  return {
+    ...unit,
+    unit_price: unit.unit_price === null ? null : parseDecimal(unit.unit_price),
+    weight_kg: unit.weight_kg === null ? null : parseDecimal(unit.weight_kg),
+    price: resolveUnitPrice(product, unit)
+  };
+}
@@ -2,18 +2,6 @@
  * Utility Functions for AgriVet System
  */
 
-/**
- * Generate a unique invoice number
- * Format: INV-YYYYMMDD-XXXXX
- * @returns {string} Invoice number
- */
-export function generateInvoiceNumber() {
-  const date = new Date();
-  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
-  return `INV-${dateStr}-${random}`;
-}
-
 /**
  * Generate a unique PO number
  * Format: PO-YYYYMMDD-XXXXX
@@ -164,6 +152,60 @@ export function parseDecimal(value) {
   return parseFloat(value.toString()) || 0;
 }
 
+/**
+ * Round a monetary amount to centavos
+ * @param {number} value - Amount to round
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+export function roundCurrency(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Default VAT rate (percent) used when a sale does not specify one
+ */
+export const DEFAULT_VAT_RATE = parseFloat(process.env.NEXT_PUBLIC_VAT_RATE ?? '12') || 0;
+
+/**
+ * Calculate order-level totals for a sale
+ * Shared by the POS (preview) and the sales API (authoritative)
+ * @param {Object} options
+ * @param {number} options.subtotal - Sum of line totals after item discounts
+ * @param {number} options.discount - Order discount (amount or percent)
+ * @param {string} options.discountType - AMOUNT or PERCENT
+ * @param {number} options.taxRate - Tax rate in percent
+ * @param {string} options.taxMode - NONE, INCLUSIVE (prices include VAT) or EXCLUSIVE (VAT added on top)
+ * @returns {Object} { subtotal, discountAmount, taxableAmount, taxAmount, total }
+ */
+export function calculateSaleTotals({ subtotal = 0, discount = 0, discountType = 'AMOUNT', taxRate = 0, taxMode = 'NONE' }) {
+  const safeSubtotal = roundCurrency(Math.max(0, subtotal));
+  const discountValue = Math.max(0, Number(discount) || 0);
+  const rawDiscount = discountType === 'PERCENT'
+    ? safeSubtotal * Math.min(discountValue, 100) / 100
+    : discountValue;
+  const discountAmount = roundCurrency(Math.min(rawDiscount, safeSubtotal));
+  const taxableAmount = roundCurrency(safeSubtotal - discountAmount);
+  const rate = Math.max(0, Number(taxRate) || 0) / 100;
+
+  let taxAmount = 0;
+  let total = taxableAmount;
+
+  if (taxMode === 'EXCLUSIVE' && rate > 0) {
+    taxAmount = roundCurrency(taxableAmount * rate);
+    total = roundCurrency(taxableAmount + taxAmount);
+  } else if (taxMode === 'INCLUSIVE' && rate > 0) {
+    taxAmount = roundCurrency(taxableAmount - taxableAmount / (1 + rate));
+  }
+
+  return {
+    subtotal: safeSubtotal,
+    discountAmount,
+    taxableAmount,
+    taxAmount,
+    total
+  };
+}
+
 /**
  * Validate required fields in request body
  * @param {Object} body - Request body
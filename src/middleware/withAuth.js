@@ -3,12 +3,14 @@
  * Protects API routes based on authentication and role requirements
  */
 import { verifyToken, extractToken, hasPermission } from '@/lib/auth';
+import { runIdempotent } from '@/lib/idempotency';
 
 /**
  * Higher-order function to protect API routes
  * @param {Function} handler - API route handler
  * @param {Object} options - Configuration options
  * @param {string[]} options.allowedRoles - Roles allowed to access this route
+ * @param {boolean} options.idempotent - Honour an Idempotency-Key header (see lib/idempotency)
  * @returns {Function} Protected handler
  */
 export function withAuth(handler, options = {}) {
@@ -55,6 +57,11 @@ export function withAuth(handler, options = {}) {
       // Attach user to request
       req.user = decoded;
       
+      // Repeats of an idempotent write replay the first response
+      if (options.idempotent) {
+        return await runIdempotent(req, res, handler);
+      }
+      
       // Call the actual handler
       return await handler(req, res);
     } catch (error) {
@@ -70,16 +77,20 @@ export function withAuth(handler, options = {}) {
 
 /**
  * Role-specific middleware shortcuts
+ * Options are passed through to withAuth (e.g. { idempotent: true })
  */
-export const withCashier = (handler) => withAuth(handler, { 
+export const withCashier = (handler, options = {}) => withAuth(handler, { 
+  ...options,
   allowedRoles: ['CASHIER', 'CLERK', 'MANAGER'] 
 });
 
-export const withClerk = (handler) => withAuth(handler, { 
+export const withClerk = (handler, options = {}) => withAuth(handler, { 
+  ...options,
   allowedRoles: ['CLERK', 'MANAGER'] 
 });
 
-export const withManager = (handler) => withAuth(handler, { 
+export const withManager = (handler, options = {}) => withAuth(handler, { 
+  ...options,
   allowedRoles: ['MANAGER'] 
 });
 
@@ -0,0 +1,58 @@
+/**
+ * Approval PIN API Route
+ * Managers set the PIN they enter at the POS to approve overrides
+ */
+import prisma from '@/lib/prisma';
+import { hashPassword, verifyPassword } from '@/lib/auth';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+
+/**
+ * POST /api/auth/pin
+ * Set or change the logged-in manager's approval PIN (4-8 digits). Requires the account password.
+ */
+async function setPin(req, res) {
+  const { password, pin } = req.body;
+
+  if (!/^\d{4,8}$/.test(String(pin || ''))) {
+    return res.status(400).json({
+      success: false,
+      error: 'PIN must be 4 to 8 digits'
+    });
+  }
+
+  try {
+    const user = await prisma.users.findUnique({
+      where: { user_id: req.user.userId }
+    });
+
+    if (!user || !await verifyPassword(password || '', user.password_hash)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    await prisma.users.update({
+      where: { user_id: user.user_id },
+      data: {
+        approval_pin_hash: await hashPassword(String(pin)),
+        updated_at: new Date()
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Approval PIN saved'
+    });
+  } catch (error) {
+    console.error('Set approval PIN error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save approval PIN'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(setPin)
+});
@@ -43,7 +43,7 @@ async function createUser(req, res) {
       });
     }
     
-    // Hash password and create user
+    // Hash password and create user with its linked employee record
     const passwordHash = await hashPassword(password);
     
     const user = await prisma.users.create({
@@ -53,7 +53,13 @@ async function createUser(req, res) {
         full_name: fullName,
         role: role,
         is_active: true,
-        updated_at: new Date()
+        updated_at: new Date(),
+        employees: {
+          create: {
+            employee_name: fullName,
+            role: role
+          }
+        }
       },
       select: {
         user_id: true,
@@ -61,7 +67,10 @@ async function createUser(req, res) {
         full_name: true,
         role: true,
         is_active: true,
-        created_at: true
+        created_at: true,
+        employees: {
+          select: { employee_id: true }
+        }
       }
     });
     
@@ -87,7 +96,10 @@ async function getUsers(req, res) {
         full_name: true,
         role: true,
         is_active: true,
-        created_at: true
+        created_at: true,
+        employees: {
+          select: { employee_id: true }
+        }
       },
       orderBy: { created_at: 'desc' }
     });
@@ -0,0 +1,53 @@
+/**
+ * Customer Open Invoices API Route
+ * Credit sales a customer still owes on, for applying payments
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { getOpenInvoices } from '@/lib/collections';
+
+/**
+ * GET /api/customers/[id]/open-invoices
+ * Open invoices oldest first (the order payments are applied in), with the customer's balance
+ */
+async function listOpenInvoices(req, res) {
+  const { id } = req.query;
+  const customerId = parseInt(id);
+
+  try {
+    const customer = await prisma.customers.findUnique({
+      where: { customer_id: customerId },
+      select: { customer_id: true, customer_name: true, credit_balance: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const invoices = await getOpenInvoices(prisma, customerId);
+
+    return res.status(200).json({
+      success: true,
+      customer: {
+        ...customer,
+        credit_balance: parseDecimal(customer.credit_balance)
+      },
+      invoices,
+      total_open: roundCurrency(invoices.reduce((sum, invoice) => sum + invoice.open_amount, 0))
+    });
+  } catch (error) {
+    console.error('Get open invoices error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch open invoices'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(listOpenInvoices)
+});
@@ -0,0 +1,39 @@
+/**
+ * Customer Payments API Route
+ * Payments a customer has made, with the invoices each one settled (collection receipts)
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { CUSTOMER_PAYMENT_INCLUDE, formatCustomerPayment } from '@/lib/collections';
+
+/**
+ * GET /api/customers/[id]/payments
+ * Latest payments first; limit defaults to 20
+ */
+async function listPayments(req, res) {
+  const { id, limit } = req.query;
+
+  try {
+    const payments = await prisma.customer_payments.findMany({
+      where: { customer_id: parseInt(id) },
+      orderBy: { customer_payment_id: 'desc' },
+      take: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+      include: CUSTOMER_PAYMENT_INCLUDE
+    });
+
+    return res.status(200).json({
+      success: true,
+      payments: payments.map(formatCustomerPayment)
+    });
+  } catch (error) {
+    console.error('Get customer payments error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customer payments'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(listPayments)
+});
@@ -0,0 +1,55 @@
+/**
+ * Customer Statement API Route
+ * Statement of account for one customer over a period
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { statementPeriod, buildStatements } from '@/lib/statements';
+
+/**
+ * GET /api/customers/[id]/statement
+ * Query: from, to (YYYY-MM-DD; default this month to date)
+ */
+async function getStatement(req, res) {
+  const { id, from, to } = req.query;
+
+  let period;
+  try {
+    period = statementPeriod(from, to);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const customer = await prisma.customers.findUnique({
+      where: { customer_id: parseInt(id) }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const [statement] = await buildStatements(prisma, [customer], period);
+
+    return res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error('Get customer statement error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build statement'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getStatement)
+});
@@ -0,0 +1,50 @@
+/**
+ * Customer Statements API Route
+ * Statements of account for every customer with a balance (monthly mailing)
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { statementPeriod, buildStatements } from '@/lib/statements';
+
+/**
+ * GET /api/customers/statements
+ * Query: from, to (YYYY-MM-DD; default this month to date)
+ * Covers active customers whose current balance is above zero, by name
+ */
+async function getStatements(req, res) {
+  const { from, to } = req.query;
+
+  let period;
+  try {
+    period = statementPeriod(from, to);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const customers = await prisma.customers.findMany({
+      where: { is_active: { not: false }, credit_balance: { gt: 0 } },
+      orderBy: { customer_name: 'asc' }
+    });
+
+    const statements = await buildStatements(prisma, customers, period);
+
+    return res.status(200).json({
+      success: true,
+      statements
+    });
+  } catch (error) {
+    console.error('Get customer statements error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build statements'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getStatements)
+});
@@ -4,10 +4,59 @@
  */
 import prisma from '@/lib/prisma';
 import { withManager, apiHandler } from '@/middleware/withAuth';
-import { parseDecimal } from '@/lib/utils';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { batchUnitCost, saleLineMargin } from '@/lib/costing';
+import { summarizeTenders } from '@/lib/payments';
 
+/**
+ * Period key of a date for the gross margin breakdown
+ * @param {Date} date - Sale date
+ * @param {string} groupBy - day, week or month
+ * @returns {string} YYYY-MM-DD (day, or Monday of the week) or YYYY-MM
+ */
+function periodKey(date, groupBy) {
+  const d = new Date(date);
+  if (groupBy === 'month') {
+    return d.toISOString().slice(0, 7);
+  }
+  if (groupBy === 'week') {
+    const day = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - day);
+  }
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Add revenue and cost to a margin bucket
+ * @param {Object} bucket - { revenue, cost, quantity }
+ * @param {Object} line - Result of saleLineMargin
+ */
+function addMargin(bucket, line) {
+  bucket.quantity += line.quantity;
+  bucket.revenue = roundCurrency(bucket.revenue + line.revenue);
+  bucket.cost = roundCurrency(bucket.cost + line.cost);
+}
+
+/**
+ * Finish a margin bucket with gross profit and margin percent
+ * @param {Object} bucket - { revenue, cost, quantity }
+ * @returns {Object} Bucket with gross_profit and margin_percent
+ */
+function withMargin(bucket) {
+  const grossProfit = roundCurrency(bucket.revenue - bucket.cost);
+  return {
+    ...bucket,
+    gross_profit: grossProfit,
+    margin_percent: bucket.revenue > 0 ? roundCurrency(grossProfit / bucket.revenue * 100) : 0
+  };
+}
+
+/**
+ * GET /api/dashboard
+ * Financial summary for a period; groupBy (day, week, month) sets the gross margin periods
+ */
 async function getDashboard(req, res) {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, groupBy = 'day' } = req.query;
   
   // Default to current month if no dates provided
   const now = new Date();
@@ -22,19 +71,30 @@ async function getDashboard(req, res) {
         sale_date: { gte: start, lte: end }
       },
       include: {
-        sale_details: true
+        sale_details: {
+          include: {
+            products: {
+              select: { product_id: true, product_name: true, category: true }
+            }
+          }
+        },
+        sale_payments: {
+          select: { tender_type: true, amount: true }
+        }
       }
     });
     
+    // Sales by tender, from the recorded tender lines
+    const byPaymentMethod = summarizeTenders(sales);
+    
     // Calculate sales summary
     const salesSummary = {
       total_transactions: sales.length,
       total_revenue: sales.reduce((sum, s) => sum + parseDecimal(s.total_amount), 0),
-      total_collected: sales.reduce((sum, s) => sum + parseDecimal(s.amount_paid), 0),
-      total_credit: sales.reduce((sum, s) => {
-        const credit = parseDecimal(s.total_amount) - parseDecimal(s.amount_paid);
-        return sum + (credit > 0 ? credit : 0);
-      }, 0),
+      total_collected: Object.entries(byPaymentMethod)
+        .filter(([method]) => method !== 'STORE_CREDIT')
+        .reduce((sum, [, tender]) => sum + tender.amount, 0),
+      total_credit: byPaymentMethod.STORE_CREDIT?.amount || 0,
       total_items_sold: sales.reduce((sum, s) => 
         sum + s.sale_details.reduce((itemSum, d) => itemSum + d.quantity, 0), 0
       ),
@@ -43,21 +103,6 @@ async function getDashboard(req, res) {
         : 0
     };
     
-    // Sales by payment method
-    const byPaymentMethod = {
-      CASH: { count: 0, amount: 0 },
-      CREDIT: { count: 0, amount: 0 },
-      MIXED: { count: 0, amount: 0 }
-    };
-    
-    sales.forEach(sale => {
-      const method = sale.payment_method || 'CASH';
-      if (byPaymentMethod[method]) {
-        byPaymentMethod[method].count++;
-        byPaymentMethod[method].amount += parseDecimal(sale.total_amount);
-      }
-    });
-    
     // Daily sales for chart
     const dailySales = {};
     sales.forEach(sale => {
@@ -69,6 +114,60 @@ async function getDashboard(req, res) {
       dailySales[date].transactions++;
     });
     
+    // Gross margin: net revenue (after discounts, excluding VAT) less FIFO cost of goods sold
+    const marginTotals = { quantity: 0, revenue: 0, cost: 0 };
+    const marginByProduct = {};
+    const marginByCategory = {};
+    const marginByPeriod = {};
+    
+    sales.forEach(sale => {
+      const period = periodKey(sale.sale_date, groupBy);
+      
+      sale.sale_details.forEach(detail => {
+        const line = saleLineMargin(sale, detail);
+        if (line.quantity === 0) return;
+        
+        const productId = detail.product_id;
+        const category = detail.products?.category || 'Uncategorized';
+        
+        if (!marginByProduct[productId]) {
+          marginByProduct[productId] = {
+            product_id: productId,
+            product_name: detail.products?.product_name || 'Unknown Product',
+            category,
+            quantity: 0,
+            revenue: 0,
+            cost: 0
+          };
+        }
+        if (!marginByCategory[category]) {
+          marginByCategory[category] = { category, quantity: 0, revenue: 0, cost: 0 };
+        }
+        if (!marginByPeriod[period]) {
+          marginByPeriod[period] = { period, quantity: 0, revenue: 0, cost: 0 };
+        }
+        
+        addMargin(marginTotals, line);
+        addMargin(marginByProduct[productId], line);
+        addMargin(marginByCategory[category], line);
+        addMargin(marginByPeriod[period], line);
+      });
+    });
+    
+    const grossMargin = {
+      group_by: groupBy,
+      ...withMargin(marginTotals),
+      by_product: Object.values(marginByProduct)
+        .map(withMargin)
+        .sort((a, b) => b.gross_profit - a.gross_profit),
+      by_category: Object.values(marginByCategory)
+        .map(withMargin)
+        .sort((a, b) => b.gross_profit - a.gross_profit),
+      by_period: Object.values(marginByPeriod)
+        .map(withMargin)
+        .sort((a, b) => a.period.localeCompare(b.period))
+    };
+    
     // Get customer credit outstanding
     const customersWithCredit = await prisma.customers.findMany({
       where: {
@@ -117,27 +216,26 @@ async function getDashboard(req, res) {
       }))
     };
     
-    // Inventory valuation
+    // Inventory valuation - each batch at its own cost (FIFO), retail at selling price
     const inventory = await prisma.inventory.findMany({
       where: { is_active: true },
       include: {
         products: {
-          select: { unit_price: true, srp: true, product_name: true }
+          select: { unit_price: true, srp: true, average_cost: true, product_name: true }
         }
       }
     });
     
     const inventoryValuation = {
-      total_cost_value: inventory.reduce((sum, inv) => 
-        sum + ((inv.current_stock || 0) * parseDecimal(inv.products?.unit_price)), 0
-      ),
-      total_retail_value: inventory.reduce((sum, inv) => 
-        sum + ((inv.current_stock || 0) * parseDecimal(inv.products?.srp)), 0
-      ),
-      total_items: inventory.reduce((sum, inv) => sum + (inv.current_stock || 0), 0),
-      potential_profit: 0 // Will be calculated
+      total_cost_value: roundCurrency(inventory.reduce((sum, inv) => 
+        sum + ((inv.current_stock || 0) * batchUnitCost(inv, inv.products)), 0
+      )),
+      total_retail_value: roundCurrency(inventory.reduce((sum, inv) => 
+        sum + ((inv.current_stock || 0) * parseDecimal(inv.products?.srp || inv.products?.unit_price)), 0
+      )),
+      total_items: inventory.reduce((sum, inv) => sum + (inv.current_stock || 0), 0)
     };
-    inventoryValuation.potential_profit = inventoryValuation.total_retail_value - inventoryValuation.total_cost_value;
+    inventoryValuation.potential_profit = roundCurrency(inventoryValuation.total_retail_value - inventoryValuation.total_cost_value);
     
     // Purchase orders summary
     const purchaseOrders = await prisma.purchase_orders.findMany({
@@ -273,6 +371,7 @@ async function getDashboard(req, res) {
         customer_credit: creditSummary,
         supplier_payables: payablesSummary,
         inventory: inventoryValuation,
+        gross_margin: grossMargin,
         purchases: purchaseSummary,
         expiration_alerts: expirationAlerts,
         low_stock_alerts: lowStockAlerts
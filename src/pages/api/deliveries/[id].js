@@ -0,0 +1,140 @@
+/**
+ * Single Delivery API Routes
+ * View a delivery and assign its driver, vehicle, date and place on the route
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { DELIVERY_INCLUDE, formatDelivery } from '@/lib/deliveries';
+
+/**
+ * GET /api/deliveries/[id]
+ * Delivery with its sale, items and driver
+ */
+async function getDelivery(req, res) {
+  const { id } = req.query;
+
+  try {
+    const delivery = await prisma.delivery.findUnique({
+      where: { delivery_id: parseInt(id) },
+      include: DELIVERY_INCLUDE
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      delivery: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Get delivery error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delivery'
+    });
+  }
+}
+
+/**
+ * PUT /api/deliveries/[id]
+ * Assign a delivery. Giving a PENDING delivery a driver schedules it; removing the driver of a
+ * SCHEDULED delivery puts it back to PENDING.
+ * Body: { employeeId, vehicle, deliveryDate, routeOrder, deliveryAddress }
+ */
+async function updateDelivery(req, res) {
+  const { id } = req.query;
+  const { employeeId, vehicle, deliveryDate, routeOrder, deliveryAddress } = req.body;
+
+  try {
+    const delivery = await prisma.$transaction(async (tx) => {
+      const existing = await tx.delivery.findUnique({
+        where: { delivery_id: parseInt(id) },
+        include: { sales: { select: { is_active: true } } }
+      });
+
+      if (!existing) {
+        throw new Error('Delivery not found');
+      }
+      if (existing.sales && !existing.sales.is_active) {
+        throw new Error('The sale for this delivery was voided');
+      }
+      if (['OUT_FOR_DELIVERY', 'DELIVERED'].includes(existing.delivery_status)) {
+        throw new Error('A delivery that has left the store cannot be reassigned');
+      }
+
+      const data = { updated_at: new Date() };
+
+      if (employeeId !== undefined) {
+        if (employeeId) {
+          const driver = await tx.employees.findUnique({ where: { employee_id: parseInt(employeeId) } });
+          if (!driver) {
+            throw new Error('Driver not found');
+          }
+          data.employee_id = driver.employee_id;
+        } else {
+          data.employee_id = null;
+        }
+      }
+
+      if (vehicle !== undefined) data.vehicle = vehicle ? String(vehicle).trim() : null;
+
+      if (deliveryDate !== undefined) {
+        const date = new Date(deliveryDate);
+        if (!deliveryDate || Number.isNaN(date.getTime())) {
+          throw new Error('Invalid delivery date');
+        }
+        data.delivery_date = date;
+      }
+
+      if (routeOrder !== undefined) {
+        const order = routeOrder === null || routeOrder === '' ? null : parseInt(routeOrder);
+        if (order !== null && (!Number.isInteger(order) || order < 1)) {
+          throw new Error('Route order must be a whole number from 1');
+        }
+        data.route_order = order;
+      }
+
+      if (deliveryAddress !== undefined) {
+        if (!String(deliveryAddress || '').trim()) {
+          throw new Error('Delivery address is required');
+        }
+        data.delivery_address = String(deliveryAddress).trim();
+      }
+
+      const driverId = data.employee_id !== undefined ? data.employee_id : existing.employee_id;
+      if (existing.delivery_status === 'PENDING' && driverId) {
+        data.delivery_status = 'SCHEDULED';
+        data.scheduled_at = new Date();
+      } else if (existing.delivery_status === 'SCHEDULED' && !driverId) {
+        data.delivery_status = 'PENDING';
+        data.scheduled_at = null;
+      }
+
+      return tx.delivery.update({
+        where: { delivery_id: existing.delivery_id },
+        data,
+        include: DELIVERY_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      delivery: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Update delivery error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update delivery'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getDelivery),
+  PUT: withClerk(updateDelivery)
+});
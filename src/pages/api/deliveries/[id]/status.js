@@ -0,0 +1,59 @@
+/**
+ * Delivery Status API Route
+ * Move a delivery through dispatch, recording when each status was reached
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { DELIVERY_INCLUDE, deliveryStatusUpdate, formatDelivery } from '@/lib/deliveries';
+
+/**
+ * POST /api/deliveries/[id]/status
+ * Body: { status, receivedBy, notes, reason }
+ * DELIVERED needs receivedBy (proof-of-delivery notes are optional); FAILED needs a reason.
+ */
+async function changeStatus(req, res) {
+  const { id } = req.query;
+
+  try {
+    const delivery = await prisma.$transaction(async (tx) => {
+      const existing = await tx.delivery.findUnique({
+        where: { delivery_id: parseInt(id) },
+        include: { sales: { select: { is_active: true } } }
+      });
+
+      if (!existing) {
+        throw new Error('Delivery not found');
+      }
+
+      // Only from the status it was read in, so two people cannot both move it
+      const { count } = await tx.delivery.updateMany({
+        where: { delivery_id: existing.delivery_id, delivery_status: existing.delivery_status },
+        data: deliveryStatusUpdate(existing, req.body || {})
+      });
+      if (count === 0) {
+        throw new Error('The delivery was updated by someone else; reload and try again');
+      }
+
+      return tx.delivery.findUnique({
+        where: { delivery_id: existing.delivery_id },
+        include: DELIVERY_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Delivery #${delivery.delivery_id} is ${delivery.delivery_status}`,
+      delivery: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Delivery status error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update delivery status'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withClerk(changeStatus)
+});
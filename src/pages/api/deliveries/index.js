@@ -0,0 +1,74 @@
+/**
+ * Deliveries API Routes
+ * Dispatch queue of POS delivery orders
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta } from '@/lib/utils';
+import { DELIVERY_INCLUDE, OPEN_DELIVERY_STATUSES, formatDelivery } from '@/lib/deliveries';
+
+/**
+ * GET /api/deliveries
+ * List deliveries by date, then route order
+ * Query: date (YYYY-MM-DD, one day's drops), status (a status, or OPEN for everything not yet delivered;
+ *   default OPEN), employeeId (driver), page, pageSize
+ */
+async function getDeliveries(req, res) {
+  const { page, pageSize, date, status = 'OPEN', employeeId } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    // Deliveries of voided sales are not dispatched
+    const where = { sales: { is_active: true } };
+
+    if (status === 'OPEN') {
+      where.delivery_status = { in: OPEN_DELIVERY_STATUSES };
+    } else if (status) {
+      where.delivery_status = status;
+    }
+
+    if (date) {
+      const day = new Date(date);
+      if (Number.isNaN(day.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date'
+        });
+      }
+      where.delivery_date = day;
+    }
+
+    if (employeeId) where.employee_id = parseInt(employeeId);
+
+    const [deliveries, total] = await Promise.all([
+      prisma.delivery.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [
+          { delivery_date: 'asc' },
+          { route_order: { sort: 'asc', nulls: 'last' } },
+          { delivery_id: 'asc' }
+        ],
+        include: DELIVERY_INCLUDE
+      }),
+      prisma.delivery.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      deliveries: deliveries.map(formatDelivery),
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deliveries'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getDeliveries)
+});
@@ -0,0 +1,40 @@
+/**
+ * Employees API Route
+ * Employee records to pick from, e.g. the driver of a delivery
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+
+/**
+ * GET /api/employees
+ * Employees without a login, or whose login is active, by name
+ */
+async function getEmployees(req, res) {
+  try {
+    const employees = await prisma.employees.findMany({
+      where: {
+        OR: [
+          { user_id: null },
+          { users: { is_active: true } }
+        ]
+      },
+      orderBy: { employee_name: 'asc' },
+      select: { employee_id: true, employee_name: true, role: true }
+    });
+
+    return res.status(200).json({
+      success: true,
+      employees
+    });
+  } catch (error) {
+    console.error('Get employees error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch employees'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getEmployees)
+});
@@ -4,7 +4,9 @@
  */
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
-import { parseDecimal, daysUntilExpiration, isExpiringSoon, isExpired } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { parseDecimal, roundCurrency, daysUntilExpiration, isExpiringSoon, isExpired } from '@/lib/utils';
+import { batchUnitCost } from '@/lib/costing';
 
 /**
  * GET /api/inventory/[id]
@@ -24,7 +26,8 @@ async function getInventory(req, res) {
             product_name: true,
             unit: true,
             reorder_level: true,
-            unit_price: true
+            unit_price: true,
+            average_cost: true
           }
         }
       }
@@ -38,6 +41,7 @@ async function getInventory(req, res) {
     }
     
     const daysToExpire = inventory.expiration_date ? daysUntilExpiration(inventory.expiration_date) : null;
+    const unitCost = batchUnitCost(inventory, inventory.products);
     
     return res.status(200).json({
       success: true,
@@ -45,13 +49,16 @@ async function getInventory(req, res) {
         inventory_id: inventory.inventory_id,
         product: inventory.products,
         batch_number: inventory.batch_number,
+        location: inventory.location,
         current_stock: inventory.current_stock,
         expiration_date: inventory.expiration_date,
         days_to_expiration: daysToExpire,
         is_expiring_soon: inventory.expiration_date ? isExpiringSoon(inventory.expiration_date) : false,
         is_expired: inventory.expiration_date ? isExpired(inventory.expiration_date) : false,
         is_low_stock: inventory.current_stock <= inventory.products.reorder_level,
-        value: inventory.current_stock * parseDecimal(inventory.products.unit_price)
+        value: inventory.current_stock * parseDecimal(inventory.products.unit_price),
+        unit_cost: unitCost,
+        cost_value: roundCurrency(inventory.current_stock * unitCost)
       }
     });
   } catch (error) {
@@ -65,11 +72,11 @@ async function getInventory(req, res) {
 
 /**
  * PUT /api/inventory/[id]
- * Update inventory record (batch number, expiration date)
+ * Update inventory record (batch number, expiration date, location)
  */
 async function updateInventory(req, res) {
   const { id } = req.query;
-  const { batchNumber, expirationDate, currentStock, notes } = req.body;
+  const { batchNumber, expirationDate, location, currentStock, notes } = req.body;
   
   try {
     const existing = await prisma.inventory.findUnique({
@@ -96,13 +103,15 @@ async function updateInventory(req, res) {
     }
     
     const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
       // Update inventory
       const updated = await tx.inventory.update({
         where: { inventory_id: parseInt(id) },
         data: {
           current_stock: parsedStock !== undefined ? parsedStock : existing.current_stock,
           batch_number: batchNumber !== undefined ? (batchNumber || null) : existing.batch_number,
-          expiration_date: expirationDate !== undefined ? (expirationDate ? new Date(expirationDate) : null) : existing.expiration_date
+          expiration_date: expirationDate !== undefined ? (expirationDate ? new Date(expirationDate) : null) : existing.expiration_date,
+          location: location !== undefined ? (location || null) : existing.location
         },
         include: {
           products: {
@@ -127,6 +136,9 @@ async function updateInventory(req, res) {
       if (batchNumber !== undefined && batchNumber !== existing.batch_number) {
         changes.push(`Batch: ${existing.batch_number || 'N/A'} -> ${batchNumber || 'N/A'}`);
       }
+      if (location !== undefined && (location || null) !== existing.location) {
+        changes.push(`Location: ${existing.location || 'N/A'} -> ${location || 'N/A'}`);
+      }
       if (expirationDate !== undefined) {
         const oldDate = existing.expiration_date ? new Date(existing.expiration_date).toLocaleDateString() : 'N/A';
         const newDate = expirationDate ? new Date(expirationDate).toLocaleDateString() : 'N/A';
@@ -143,7 +155,7 @@ async function updateInventory(req, res) {
             quantity: stockDiff,
             reason: `Inventory update: ${changes.join(', ')}${notes ? ` - ${notes}` : ''}`,
             log_date: new Date(),
-            employee_id: req.user?.userId || null
+            employee_id: employeeId
           }
         });
       }
@@ -159,6 +171,7 @@ async function updateInventory(req, res) {
         inventory_id: result.inventory_id,
         product: result.products,
         batch_number: result.batch_number,
+        location: result.location,
         current_stock: result.current_stock,
         expiration_date: result.expiration_date,
         days_to_expiration: daysToExpire,
@@ -199,6 +212,7 @@ async function deleteInventory(req, res) {
     }
     
     await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
       // Deactivate
       await tx.inventory.update({
         where: { inventory_id: parseInt(id) },
@@ -213,7 +227,7 @@ async function deleteInventory(req, res) {
           quantity: -existing.current_stock,
           reason: `Inventory record deactivated (Batch: ${existing.batch_number || 'N/A'})`,
           log_date: new Date(),
-          employee_id: req.user?.userId || null
+          employee_id: employeeId
         }
       });
     });
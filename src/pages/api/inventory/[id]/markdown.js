@@ -0,0 +1,90 @@
+/**
+ * Batch Markdown API Route
+ * Put a short-dated batch on clearance; the POS sells from it at the clearance price
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { recordAudit } from '@/lib/approvals';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+
+/**
+ * POST /api/inventory/[id]/markdown
+ * Body: { clearancePrice (per base unit; null removes the markdown), reason }
+ * The clearance price must be below the product's regular price.
+ */
+async function markdownBatch(req, res) {
+  const { id } = req.query;
+  const { clearancePrice, reason } = req.body;
+  const removing = clearancePrice === null || clearancePrice === undefined || clearancePrice === '';
+
+  try {
+    const inventory = await prisma.$transaction(async (tx) => {
+      const batch = await tx.inventory.findUnique({
+        where: { inventory_id: parseInt(id) },
+        include: { products: true }
+      });
+
+      if (!batch || !batch.is_active) {
+        throw new Error('Inventory record not found');
+      }
+
+      const price = removing ? null : roundCurrency(parseDecimal(clearancePrice));
+      if (!removing) {
+        const regularPrice = parseDecimal(batch.products?.srp);
+        if (!(price > 0)) {
+          throw new Error('Clearance price must be greater than zero');
+        }
+        if (regularPrice > 0 && price >= regularPrice) {
+          throw new Error(`Clearance price must be below the regular price of ${regularPrice.toFixed(2)}`);
+        }
+      }
+
+      const employeeId = await getEmployeeId(req.user, tx);
+      await recordAudit(tx, {
+        action: removing ? 'CLEARANCE_REMOVED' : 'CLEARANCE_PRICE',
+        entityType: 'inventory',
+        entityId: batch.inventory_id,
+        reason: reason || null,
+        details: {
+          product_id: batch.product_id,
+          batch_number: batch.batch_number,
+          expiration_date: batch.expiration_date,
+          previous_price: batch.clearance_price === null ? null : parseDecimal(batch.clearance_price),
+          clearance_price: price
+        },
+        requestedBy: employeeId,
+        approvedBy: employeeId
+      });
+
+      return tx.inventory.update({
+        where: { inventory_id: batch.inventory_id },
+        data: {
+          clearance_price: price,
+          clearance_set_at: removing ? null : new Date(),
+          clearance_reason: removing ? null : (reason ? String(reason).trim().slice(0, 255) : null)
+        }
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: removing ? 'Markdown removed' : `Batch marked down to ${inventory.clearance_price}`,
+      inventory: {
+        ...inventory,
+        unit_cost: inventory.unit_cost === null ? null : parseDecimal(inventory.unit_cost),
+        clearance_price: inventory.clearance_price === null ? null : parseDecimal(inventory.clearance_price)
+      }
+    });
+  } catch (error) {
+    console.error('Markdown batch error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to mark down batch'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(markdownBatch)
+});
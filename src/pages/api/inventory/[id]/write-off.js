@@ -0,0 +1,59 @@
+/**
+ * Batch Write-Off API Route
+ * Write expired or damaged stock off a batch, keeping its cost for the shrinkage report
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { parseDecimal } from '@/lib/utils';
+import { writeOffBatch } from '@/lib/stock';
+
+/**
+ * POST /api/inventory/[id]/write-off
+ * Body: { reason (EXPIRED, DAMAGED, OTHER), quantity (default: the whole batch), notes }
+ */
+async function writeOff(req, res) {
+  const { id } = req.query;
+  const { reason, quantity = null, notes } = req.body;
+
+  try {
+    const log = await prisma.$transaction(async (tx) => {
+      const inventory = await tx.inventory.findUnique({
+        where: { inventory_id: parseInt(id) },
+        include: { products: true }
+      });
+
+      if (!inventory || !inventory.is_active) {
+        throw new Error('Inventory record not found');
+      }
+
+      const employeeId = await getEmployeeId(req.user, tx);
+      return writeOffBatch(tx, {
+        inventory,
+        quantity,
+        reason,
+        notes: notes ? String(notes).trim() : null,
+        employeeId
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Wrote off ${-log.quantity} units`,
+      log: {
+        ...log,
+        cost_amount: parseDecimal(log.cost_amount)
+      }
+    });
+  } catch (error) {
+    console.error('Write-off error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to write off stock'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(writeOff)
+});
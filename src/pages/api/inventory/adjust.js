@@ -4,6 +4,7 @@
  */
 import prisma from '@/lib/prisma';
 import { withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
 
 /**
  * POST /api/inventory/adjust
@@ -30,6 +31,7 @@ async function adjustStock(req, res) {
   
   try {
     const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
       let inventory;
       
       if (inventoryId) {
@@ -89,7 +91,8 @@ async function adjustStock(req, res) {
           inventory = await tx.inventory.create({
             data: {
               product_id: productId,
-              current_stock: adjustmentQty
+              current_stock: adjustmentQty,
+              unit_cost: product.average_cost
             },
             include: { products: true }
           });
@@ -103,7 +106,7 @@ async function adjustStock(req, res) {
           change_type: 'ADJUSTMENT',
           quantity: adjustmentQty,
           reason: `Manual adjustment by manager: ${reason}`,
-          employee_id: req.user.userId
+          employee_id: employeeId
         }
       });
       
@@ -80,7 +80,8 @@ async function getAlerts(req, res) {
         current_stock: inv.current_stock,
         expiration_date: inv.expiration_date,
         days_to_expiration: daysUntilExpiration(inv.expiration_date),
-        is_expired: daysUntilExpiration(inv.expiration_date) < 0
+        is_expired: daysUntilExpiration(inv.expiration_date) < 0,
+        clearance_price: inv.clearance_price === null ? null : parseDecimal(inv.clearance_price)
       }))
       .sort((a, b) => a.days_to_expiration - b.days_to_expiration);
     
@@ -5,7 +5,9 @@
  */
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
 import { parseDecimal } from '@/lib/utils';
+import { batchUnitCost, roundUnitCost, updateAverageCost } from '@/lib/costing';
 
 /**
  * POST /api/inventory/convert
@@ -28,13 +30,14 @@ async function convertBulk(req, res) {
   
   try {
     const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
       // Get source product (bulk)
       const sourceProduct = await tx.products.findUnique({
         where: { product_id: sourceProductId },
         include: {
           inventory: {
             where: { is_active: true, current_stock: { gt: 0 } },
-            orderBy: { expiration_date: 'asc' }
+            orderBy: [{ expiration_date: 'asc' }, { inventory_id: 'asc' }]
           }
         }
       });
@@ -65,8 +68,9 @@ async function convertBulk(req, res) {
       
       const targetQuantityToAdd = sourceQuantity * conversionRatio;
       
-      // Deduct from source inventory (FIFO)
+      // Deduct from source inventory (FIFO), keeping the cost of what was taken
       let remainingToDeduct = sourceQuantity;
+      let convertedCost = 0;
       for (const inv of sourceProduct.inventory) {
         if (remainingToDeduct <= 0) break;
         
@@ -75,32 +79,21 @@ async function convertBulk(req, res) {
           where: { inventory_id: inv.inventory_id },
           data: { current_stock: inv.current_stock - deductQty }
         });
+        convertedCost += deductQty * batchUnitCost(inv, sourceProduct);
         remainingToDeduct -= deductQty;
       }
       
-      // Add to target inventory
-      // Check if target inventory exists, if not create one
-      let targetInventory = await tx.inventory.findFirst({
-        where: {
+      // Converted units become a new target batch carrying the source cost
+      const targetUnitCost = roundUnitCost(convertedCost / targetQuantityToAdd);
+      await updateAverageCost(tx, targetProductId, targetQuantityToAdd, targetUnitCost);
+      await tx.inventory.create({
+        data: {
           product_id: targetProductId,
-          is_active: true
+          current_stock: targetQuantityToAdd,
+          unit_cost: targetUnitCost
         }
       });
       
-      if (targetInventory) {
-        await tx.inventory.update({
-          where: { inventory_id: targetInventory.inventory_id },
-          data: { current_stock: { increment: targetQuantityToAdd } }
-        });
-      } else {
-        targetInventory = await tx.inventory.create({
-          data: {
-            product_id: targetProductId,
-            current_stock: targetQuantityToAdd
-          }
-        });
-      }
-      
       // Log stock movements
       await tx.stock_log.create({
         data: {
@@ -108,7 +101,7 @@ async function convertBulk(req, res) {
           change_type: 'CONVERSION',
           quantity: -sourceQuantity,
           reason: `Converted to ${targetProduct.product_name} (${targetQuantityToAdd} ${targetProduct.unit})`,
-          employee_id: req.user.userId
+          employee_id: employeeId
         }
       });
       
@@ -118,7 +111,7 @@ async function convertBulk(req, res) {
           change_type: 'CONVERSION',
           quantity: targetQuantityToAdd,
           reason: `Converted from ${sourceProduct.product_name} (${sourceQuantity} ${sourceProduct.unit})`,
-          employee_id: req.user.userId
+          employee_id: employeeId
         }
       });
       
@@ -4,14 +4,18 @@
  */
 import prisma from '@/lib/prisma';
 import { withCashier, withClerk, apiHandler } from '@/middleware/withAuth';
-import { paginate, paginationMeta, parseDecimal, daysUntilExpiration, isExpiringSoon, isExpired, sanitizeSearch } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { updateAverageCost, batchUnitCost } from '@/lib/costing';
+import { paginate, paginationMeta, parseDecimal, roundCurrency, daysUntilExpiration, isExpiringSoon, isExpired, sanitizeSearch } from '@/lib/utils';
+import { getReservedQuantities, stockAvailability } from '@/lib/reservations';
 
 /**
  * GET /api/inventory
  * List inventory with stock levels and alerts
+ * Each batch carries its product's on-hand, reserved and available-to-sell totals
  */
 async function getInventory(req, res) {
-  const { page, pageSize, productId, lowStock, expiringSoon, expired, search } = req.query;
+  const { page, pageSize, productId, location, lowStock, expiringSoon, expired, search } = req.query;
   const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
   
   try {
@@ -22,6 +26,10 @@ async function getInventory(req, res) {
       where.product_id = parseInt(productId);
     }
     
+    if (location) {
+      where.location = location;
+    }
+    
     // Get inventory with product info
     const inventory = await prisma.inventory.findMany({
       where,
@@ -34,7 +42,9 @@ async function getInventory(req, res) {
             unit: true,
             reorder_level: true,
             category: true,
-            unit_price: true
+            unit_price: true,
+            srp: true,
+            average_cost: true
           }
         }
       },
@@ -43,21 +53,45 @@ async function getInventory(req, res) {
       ]
     });
     
+    // Product totals over every active batch, not just the ones filtered here
+    const productIds = [...new Set(inventory.map(inv => inv.product_id).filter(Boolean))];
+    const [onHandRows, reserved] = await Promise.all([
+      prisma.inventory.groupBy({
+        by: ['product_id'],
+        where: { product_id: { in: productIds }, is_active: true },
+        _sum: { current_stock: true }
+      }),
+      getReservedQuantities(prisma, productIds)
+    ]);
+    const onHand = new Map(onHandRows.map(row => [row.product_id, row._sum.current_stock || 0]));
+    
     // Format and add status flags
     let formattedInventory = inventory.map(inv => {
       const daysToExpire = inv.expiration_date ? daysUntilExpiration(inv.expiration_date) : null;
+      const unitCost = batchUnitCost(inv, inv.products);
       
       return {
         inventory_id: inv.inventory_id,
-        product: inv.products,
+        product: {
+          ...inv.products,
+          unit_price: parseDecimal(inv.products.unit_price),
+          srp: parseDecimal(inv.products.srp),
+          average_cost: parseDecimal(inv.products.average_cost),
+          ...stockAvailability(onHand.get(inv.product_id) || 0, reserved.get(inv.product_id) || 0)
+        },
         batch_number: inv.batch_number,
+        location: inv.location,
         current_stock: inv.current_stock,
         expiration_date: inv.expiration_date,
         days_to_expiration: daysToExpire,
         is_expiring_soon: inv.expiration_date ? isExpiringSoon(inv.expiration_date) : false,
         is_expired: inv.expiration_date ? isExpired(inv.expiration_date) : false,
         is_low_stock: inv.current_stock <= inv.products.reorder_level,
-        value: inv.current_stock * parseDecimal(inv.products.unit_price)
+        clearance_price: inv.clearance_price === null ? null : parseDecimal(inv.clearance_price),
+        clearance_set_at: inv.clearance_set_at,
+        value: inv.current_stock * parseDecimal(inv.products.unit_price),
+        unit_cost: unitCost,
+        cost_value: roundCurrency(inv.current_stock * unitCost)
       };
     });
     
@@ -115,7 +149,7 @@ async function getInventory(req, res) {
  * Add new inventory record (for manual additions)
  */
 async function addInventory(req, res) {
-  const { productId, quantity, batchNumber, expirationDate, location, notes } = req.body;
+  const { productId, quantity, batchNumber, expirationDate, location, notes, unitCost } = req.body;
   
   if (!productId || !quantity) {
     return res.status(400).json({
@@ -124,15 +158,40 @@ async function addInventory(req, res) {
     });
   }
   
+  const hasUnitCost = unitCost !== undefined && unitCost !== null && unitCost !== '';
+  if (hasUnitCost && parseDecimal(unitCost) < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unit cost cannot be negative'
+    });
+  }
+  
   try {
     const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+
+      // Without a cost the batch is carried at the product's average cost
+      let batchCost = null;
+      if (hasUnitCost) {
+        batchCost = parseDecimal(unitCost);
+        await updateAverageCost(tx, productId, parseInt(quantity), batchCost);
+      } else {
+        const product = await tx.products.findUnique({
+          where: { product_id: productId },
+          select: { average_cost: true }
+        });
+        batchCost = product?.average_cost ?? null;
+      }
+
       // Create inventory record
       const inventory = await tx.inventory.create({
         data: {
           product_id: productId,
           current_stock: parseInt(quantity),
           batch_number: batchNumber || null,
-          expiration_date: expirationDate ? new Date(expirationDate) : null
+          expiration_date: expirationDate ? new Date(expirationDate) : null,
+          location: location || null,
+          unit_cost: batchCost
         },
         include: {
           products: {
@@ -148,7 +207,7 @@ async function addInventory(req, res) {
           change_type: 'ADJUSTMENT',
           quantity: parseInt(quantity),
           reason: notes || `Manual inventory addition - Batch: ${batchNumber || 'N/A'}`,
-          employee_id: req.user.userId
+          employee_id: employeeId
         }
       });
       
@@ -157,7 +216,10 @@ async function addInventory(req, res) {
     
     return res.status(201).json({
       success: true,
-      inventory: result
+      inventory: {
+        ...result,
+        unit_cost: result.unit_cost === null ? null : parseDecimal(result.unit_cost)
+      }
     });
   } catch (error) {
     console.error('Add inventory error:', error);
@@ -0,0 +1,143 @@
+/**
+ * Single Price List API Routes
+ * View, update and retire a price list
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { formatPriceList, priceListData, priceListItemsData } from '@/lib/pricing';
+
+const PRICE_LIST_INCLUDE = {
+  price_list_items: {
+    orderBy: [{ product_id: 'asc' }, { unit_id: 'asc' }, { min_quantity: 'asc' }],
+    include: {
+      products: { select: { product_id: true, product_name: true, product_code: true, unit: true } },
+      product_units: { select: { unit_id: true, unit_name: true, conversion_factor: true } }
+    }
+  }
+};
+
+/**
+ * GET /api/price-lists/[id]
+ * Price list with its quantity breaks
+ */
+async function getPriceList(req, res) {
+  const { id } = req.query;
+
+  try {
+    const priceList = await prisma.price_lists.findUnique({
+      where: { price_list_id: parseInt(id) },
+      include: PRICE_LIST_INCLUDE
+    });
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      price_list: formatPriceList(priceList)
+    });
+  } catch (error) {
+    console.error('Get price list error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price list'
+    });
+  }
+}
+
+/**
+ * PUT /api/price-lists/[id]
+ * Update the list. When items is sent it replaces every quantity break on the list.
+ */
+async function updatePriceList(req, res) {
+  const { id } = req.query;
+
+  try {
+    const priceList = await prisma.$transaction(async (tx) => {
+      const existing = await tx.price_lists.findUnique({
+        where: { price_list_id: parseInt(id) }
+      });
+
+      if (!existing) {
+        throw new Error('Price list not found');
+      }
+
+      const data = priceListData(req.body, true);
+
+      if (data.customer_type && data.customer_type !== existing.customer_type) {
+        const taken = await tx.price_lists.findUnique({
+          where: { customer_type: data.customer_type }
+        });
+        if (taken) {
+          throw new Error(`${data.customer_type} customers already have the price list "${taken.list_name}"`);
+        }
+      }
+
+      if (req.body.items !== undefined) {
+        const items = await priceListItemsData(tx, req.body.items);
+        await tx.price_list_items.deleteMany({
+          where: { price_list_id: existing.price_list_id }
+        });
+        if (items.length > 0) {
+          await tx.price_list_items.createMany({
+            data: items.map(item => ({ ...item, price_list_id: existing.price_list_id }))
+          });
+        }
+      }
+
+      return tx.price_lists.update({
+        where: { price_list_id: existing.price_list_id },
+        data,
+        include: PRICE_LIST_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Price list ${priceList.list_name} updated`,
+      price_list: formatPriceList(priceList)
+    });
+  } catch (error) {
+    console.error('Update price list error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update price list'
+    });
+  }
+}
+
+/**
+ * DELETE /api/price-lists/[id]
+ * Deactivate a price list (kept for the sales it priced); its customers go back to retail prices
+ */
+async function deletePriceList(req, res) {
+  const { id } = req.query;
+
+  try {
+    const priceList = await prisma.price_lists.update({
+      where: { price_list_id: parseInt(id) },
+      data: { is_active: false }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Price list ${priceList.list_name} deactivated`
+    });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate price list'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getPriceList),
+  PUT: withManager(updatePriceList),
+  DELETE: withManager(deletePriceList)
+});
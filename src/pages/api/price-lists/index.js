@@ -0,0 +1,91 @@
+/**
+ * Price Lists API Routes
+ * Prices per customer type (retail, dealer, VIP) with quantity breaks
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { formatPriceList, priceListData, priceListItemsData } from '@/lib/pricing';
+
+/**
+ * GET /api/price-lists
+ * List price lists with their number of quantity-break lines
+ */
+async function getPriceLists(req, res) {
+  const { active } = req.query;
+
+  try {
+    const where = {};
+    if (active === 'true') where.is_active = true;
+
+    const priceLists = await prisma.price_lists.findMany({
+      where,
+      orderBy: { customer_type: 'asc' },
+      include: {
+        _count: { select: { price_list_items: true } }
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      price_lists: priceLists.map(({ _count, ...priceList }) => ({
+        ...formatPriceList(priceList),
+        item_count: _count.price_list_items
+      }))
+    });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price lists'
+    });
+  }
+}
+
+/**
+ * POST /api/price-lists
+ * Create the price list for a customer type, with optional quantity breaks
+ * Body: { listName, customerType, priceBasis, discountPercent, remarks, items: [{ productId, unitId, minQuantity, price }] }
+ */
+async function createPriceList(req, res) {
+  try {
+    const priceList = await prisma.$transaction(async (tx) => {
+      const data = priceListData(req.body);
+
+      const existing = await tx.price_lists.findUnique({
+        where: { customer_type: data.customer_type }
+      });
+
+      if (existing) {
+        throw new Error(`${data.customer_type} customers already have the price list "${existing.list_name}"`);
+      }
+
+      const items = await priceListItemsData(tx, req.body.items);
+
+      return tx.price_lists.create({
+        data: {
+          ...data,
+          price_list_items: {
+            create: items
+          }
+        }
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Price list ${priceList.list_name} created`,
+      price_list: formatPriceList(priceList)
+    });
+  } catch (error) {
+    console.error('Create price list error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create price list'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getPriceLists),
+  POST: withManager(createPriceList)
+});
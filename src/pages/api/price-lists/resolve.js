@@ -0,0 +1,77 @@
+/**
+ * Price Resolution API Route
+ * Preview the prices the sales API will charge a customer
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { getPriceList, resolveLinePrice, formatPriceList } from '@/lib/pricing';
+
+/**
+ * POST /api/price-lists/resolve
+ * Body: { customerId, items: [{ productId, unitId, quantity }] }
+ * Returns the price of each line from the customer type's price list (retail when there is none)
+ */
+async function resolvePrices(req, res) {
+  const { customerId, items } = req.body;
+
+  if (!Array.isArray(items)) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be an array'
+    });
+  }
+
+  try {
+    const customer = customerId
+      ? await prisma.customers.findUnique({
+        where: { customer_id: parseInt(customerId) },
+        select: { customer_id: true, customer_type: true }
+      })
+      : null;
+
+    const priceList = await getPriceList(prisma, customer?.customer_type);
+    const prices = [];
+
+    for (const item of items) {
+      const product = await prisma.products.findUnique({
+        where: { product_id: parseInt(item.productId) || 0 },
+        include: item.unitId
+          ? { product_units: { where: { unit_id: parseInt(item.unitId), is_active: true } } }
+          : undefined
+      });
+
+      if (!product) continue;
+
+      const unit = product.product_units?.[0] || null;
+      const quantity = parseFloat(item.quantity) || 1;
+      const linePrice = await resolveLinePrice(prisma, { product, unit, quantity, priceList });
+
+      prices.push({
+        product_id: product.product_id,
+        unit_id: unit?.unit_id || null,
+        quantity,
+        price: linePrice.price,
+        retail_price: linePrice.retailPrice,
+        source: linePrice.source,
+        min_quantity: linePrice.minQuantity
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      customer_type: customer?.customer_type || null,
+      price_list: priceList ? formatPriceList(priceList) : null,
+      prices
+    });
+  } catch (error) {
+    console.error('Resolve prices error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resolve prices'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(resolvePrices)
+});
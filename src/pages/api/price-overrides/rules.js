@@ -0,0 +1,98 @@
+/**
+ * Price Override Rules API Route
+ * Maximum discount per role and whether the role may sell below the dealer price
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { getOverrideRule } from '@/lib/overrides';
+import { parseDecimal } from '@/lib/utils';
+
+const ROLES = ['CASHIER', 'CLERK', 'MANAGER'];
+
+/**
+ * GET /api/price-overrides/rules
+ * Rule for every role (defaults for roles that were never configured)
+ */
+async function getRules(req, res) {
+  try {
+    const rules = [];
+    for (const role of ROLES) {
+      rules.push(await getOverrideRule(prisma, role));
+    }
+
+    return res.status(200).json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get price override rules error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price override rules'
+    });
+  }
+}
+
+/**
+ * PUT /api/price-overrides/rules
+ * Body: { rules: [{ role, maxDiscountPercent, allowBelowDealerPrice }] }
+ */
+async function updateRules(req, res) {
+  const { rules } = req.body;
+
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'rules must be a non-empty array'
+    });
+  }
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      for (const rule of rules) {
+        if (!ROLES.includes(rule.role)) {
+          throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+        }
+
+        const maxDiscount = parseDecimal(rule.maxDiscountPercent);
+        if (maxDiscount < 0 || maxDiscount > 100) {
+          throw new Error(`Maximum discount for ${rule.role} must be between 0 and 100`);
+        }
+
+        const data = {
+          max_discount_percent: maxDiscount,
+          allow_below_dealer_price: Boolean(rule.allowBelowDealerPrice),
+          updated_at: new Date()
+        };
+
+        await tx.price_override_rules.upsert({
+          where: { role: rule.role },
+          update: data,
+          create: { role: rule.role, ...data }
+        });
+      }
+    });
+
+    const saved = [];
+    for (const role of ROLES) {
+      saved.push(await getOverrideRule(prisma, role));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Price override rules saved',
+      rules: saved
+    });
+  } catch (error) {
+    console.error('Update price override rules error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to save price override rules'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getRules),
+  PUT: withManager(updateRules)
+});
@@ -4,6 +4,7 @@
 import prisma from '@/lib/prisma';
 import { withCashier, withClerk, withManager, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { formatProductUnit } from '@/lib/units';
 
 /**
  * GET /api/products/[id]
@@ -17,6 +18,10 @@ async function getProduct(req, res) {
       where: { product_id: parseInt(id) },
       include: {
         suppliers: true,
+        product_units: {
+          where: { is_active: true },
+          orderBy: { conversion_factor: 'desc' }
+        },
         inventory: {
           where: { is_active: true },
           orderBy: { expiration_date: 'asc' }
@@ -44,6 +49,9 @@ async function getProduct(req, res) {
         unit_price: parseDecimal(product.unit_price),
         srp: parseDecimal(product.srp),
         dealer_price: parseDecimal(product.dealer_price),
+        average_cost: parseDecimal(product.average_cost),
+        srp_per_kilo: parseDecimal(product.srp_per_kilo),
+        product_units: product.product_units.map(unit => formatProductUnit(unit, product)),
         total_stock: totalStock,
         is_low_stock: totalStock <= (product.reorder_level || 0)
       }
@@ -77,6 +85,7 @@ async function updateProduct(req, res) {
         ...(updateData.unitPrice !== undefined && { unit_price: updateData.unitPrice }),
         ...(updateData.srp !== undefined && { srp: updateData.srp }),
         ...(updateData.dealerPrice !== undefined && { dealer_price: updateData.dealerPrice }),
+        ...(updateData.srpPerKilo !== undefined && { srp_per_kilo: updateData.srpPerKilo || null }),
         ...(updateData.reorderLevel !== undefined && { reorder_level: updateData.reorderLevel }),
         ...(updateData.supplierId !== undefined && { supplier_id: updateData.supplierId }),
         ...(updateData.brand !== undefined && { brand: updateData.brand })
@@ -89,7 +98,9 @@ async function updateProduct(req, res) {
         ...product,
         unit_price: parseDecimal(product.unit_price),
         srp: parseDecimal(product.srp),
-        dealer_price: parseDecimal(product.dealer_price)
+        dealer_price: parseDecimal(product.dealer_price),
+        average_cost: parseDecimal(product.average_cost),
+        srp_per_kilo: parseDecimal(product.srp_per_kilo)
       }
     });
   } catch (error) {
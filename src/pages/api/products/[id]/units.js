@@ -0,0 +1,268 @@
+/**
+ * Product Selling Units API Routes
+ * Define the units a product is sold in (sack, kilo, pack) and their prices
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, withClerk, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { UNIT_PRICE_SOURCES, formatProductUnit, validateUnitWeight } from '@/lib/units';
+
+/**
+ * Validate and map unit fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only map fields that were sent (updates)
+ * @returns {Object} product_units data
+ */
+function unitData(body, partial = false) {
+  const { unitName, conversionFactor, priceSource, unitPrice, weightKg, barcode, isDefault } = body;
+  const data = {};
+
+  if (!partial || unitName !== undefined) {
+    if (!unitName || !String(unitName).trim()) {
+      throw new Error('Unit name is required');
+    }
+    data.unit_name = String(unitName).trim();
+  }
+
+  if (!partial || conversionFactor !== undefined) {
+    const factor = Number(conversionFactor);
+    if (!Number.isInteger(factor) || factor <= 0) {
+      throw new Error('Conversion factor must be a positive whole number of base units; for fractions, use a smaller base unit');
+    }
+    data.conversion_factor = factor;
+  }
+
+  if (!partial || priceSource !== undefined) {
+    const source = priceSource || 'SRP';
+    if (!UNIT_PRICE_SOURCES.includes(source)) {
+      throw new Error(`Price source must be one of ${UNIT_PRICE_SOURCES.join(', ')}`);
+    }
+    data.price_source = source;
+  }
+
+  if (unitPrice !== undefined) data.unit_price = unitPrice === null || unitPrice === '' ? null : parseDecimal(unitPrice);
+  if (weightKg !== undefined) data.weight_kg = weightKg === null || weightKg === '' ? null : parseDecimal(weightKg);
+  if (barcode !== undefined) data.barcode = barcode || null;
+  if (isDefault !== undefined) data.is_default = Boolean(isDefault);
+
+  return data;
+}
+
+/**
+ * Check the fields a price source depends on
+ * @param {Object} unit - Resulting product_units values
+ */
+function validatePricing(unit) {
+  if (unit.price_source === 'CUSTOM' && (unit.unit_price === null || unit.unit_price === undefined)) {
+    throw new Error('A custom-priced unit needs a unit price');
+  }
+  if (unit.price_source === 'SRP_PER_KILO' && !parseDecimal(unit.weight_kg)) {
+    throw new Error('A unit priced per kilo needs its weight in kg');
+  }
+}
+
+/**
+ * GET /api/products/[id]/units
+ * Active selling units of a product with their current prices
+ */
+async function getUnits(req, res) {
+  const { id } = req.query;
+
+  try {
+    const product = await prisma.products.findUnique({
+      where: { product_id: parseInt(id) },
+      include: {
+        product_units: {
+          where: { is_active: true },
+          orderBy: { conversion_factor: 'desc' }
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      base_unit: product.unit,
+      units: product.product_units.map(unit => formatProductUnit(unit, product))
+    });
+  } catch (error) {
+    console.error('Get product units error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product units'
+    });
+  }
+}
+
+/**
+ * POST /api/products/[id]/units
+ * Add a selling unit
+ */
+async function createUnit(req, res) {
+  const { id } = req.query;
+
+  try {
+    const unit = await prisma.$transaction(async (tx) => {
+      const product = await tx.products.findUnique({
+        where: { product_id: parseInt(id) }
+      });
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const data = unitData(req.body);
+      validatePricing(data);
+
+      // A unit name that was removed before is brought back
+      const existing = await tx.product_units.findFirst({
+        where: { product_id: product.product_id, unit_name: data.unit_name }
+      });
+
+      if (existing?.is_active) {
+        throw new Error(`${product.product_name} already has a ${data.unit_name} unit`);
+      }
+
+      validateUnitWeight(data, await tx.product_units.findMany({
+        where: { product_id: product.product_id, is_active: true }
+      }));
+
+      if (data.is_default) {
+        await tx.product_units.updateMany({
+          where: { product_id: product.product_id },
+          data: { is_default: false }
+        });
+      }
+
+      const saved = existing
+        ? await tx.product_units.update({
+          where: { unit_id: existing.unit_id },
+          data: { ...data, is_active: true }
+        })
+        : await tx.product_units.create({
+          data: { ...data, product_id: product.product_id }
+        });
+
+      return formatProductUnit(saved, product);
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Unit ${unit.unit_name} saved`,
+      unit
+    });
+  } catch (error) {
+    console.error('Create product unit error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to add unit'
+    });
+  }
+}
+
+/**
+ * PUT /api/products/[id]/units
+ * Update a selling unit (unitId in the body)
+ */
+async function updateUnit(req, res) {
+  const { id } = req.query;
+  const { unitId } = req.body;
+
+  if (!unitId) {
+    return res.status(400).json({
+      success: false,
+      error: 'unitId is required'
+    });
+  }
+
+  try {
+    const unit = await prisma.$transaction(async (tx) => {
+      const existing = await tx.product_units.findFirst({
+        where: { unit_id: parseInt(unitId), product_id: parseInt(id), is_active: true },
+        include: { products: true }
+      });
+
+      if (!existing) {
+        throw new Error('Unit not found');
+      }
+
+      const data = unitData(req.body, true);
+      validatePricing({ ...existing, ...data });
+      validateUnitWeight({ ...existing, ...data }, await tx.product_units.findMany({
+        where: { product_id: existing.product_id, is_active: true, unit_id: { not: existing.unit_id } }
+      }));
+
+      if (data.is_default) {
+        await tx.product_units.updateMany({
+          where: { product_id: existing.product_id, unit_id: { not: existing.unit_id } },
+          data: { is_default: false }
+        });
+      }
+
+      const saved = await tx.product_units.update({
+        where: { unit_id: existing.unit_id },
+        data
+      });
+
+      return formatProductUnit(saved, existing.products);
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Unit ${unit.unit_name} updated`,
+      unit
+    });
+  } catch (error) {
+    console.error('Update product unit error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update unit'
+    });
+  }
+}
+
+/**
+ * DELETE /api/products/[id]/units?unitId=
+ * Stop selling in a unit (kept for past sales)
+ */
+async function deleteUnit(req, res) {
+  const { id, unitId } = req.query;
+
+  try {
+    const removed = await prisma.product_units.updateMany({
+      where: { unit_id: parseInt(unitId), product_id: parseInt(id), is_active: true },
+      data: { is_active: false, is_default: false }
+    });
+
+    if (removed.count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unit not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Unit removed'
+    });
+  } catch (error) {
+    console.error('Delete product unit error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove unit'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(getUnits),
+  POST: withClerk(createUnit),
+  PUT: withClerk(updateUnit),
+  DELETE: withClerk(deleteUnit)
+});
@@ -0,0 +1,89 @@
+/**
+ * POS Catalog API Route
+ * Everything the POS needs to keep selling without a connection
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { formatProductUnit } from '@/lib/units';
+import { formatPriceList } from '@/lib/pricing';
+import { PROMOTION_INCLUDE, formatPromotion } from '@/lib/promotions';
+
+/**
+ * GET /api/products/catalog
+ * Active products with stock and selling units, active price lists with their quantity breaks,
+ * and promotions that have not ended. The POS caches this and prices from it while offline.
+ */
+async function getCatalog(req, res) {
+  try {
+    const now = new Date();
+    const optional = value => (value === null || value === undefined ? null : parseDecimal(value));
+
+    const [products, priceLists, promotions] = await Promise.all([
+      prisma.products.findMany({
+        where: { is_active: { not: false } },
+        orderBy: { product_name: 'asc' },
+        include: {
+          product_units: {
+            where: { is_active: true },
+            orderBy: { conversion_factor: 'desc' }
+          },
+          inventory: {
+            where: { is_active: true, current_stock: { gt: 0 } },
+            select: { current_stock: true }
+          }
+        }
+      }),
+      prisma.price_lists.findMany({
+        where: { is_active: true },
+        include: { price_list_items: true }
+      }),
+      prisma.promotions.findMany({
+        where: {
+          is_active: true,
+          OR: [{ ends_at: null }, { ends_at: { gte: now } }]
+        },
+        orderBy: [{ priority: 'desc' }, { promotion_id: 'asc' }],
+        include: PROMOTION_INCLUDE
+      })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      generated_at: now,
+      products: products.map(product => {
+        const totalStock = product.inventory.reduce((sum, inv) => sum + (inv.current_stock || 0), 0);
+
+        return {
+          product_id: product.product_id,
+          product_code: product.product_code,
+          barcode: product.barcode,
+          product_name: product.product_name,
+          unit: product.unit,
+          category: product.category,
+          brand: product.brand,
+          srp: optional(product.srp),
+          srp_per_kilo: optional(product.srp_per_kilo),
+          dealer_price: optional(product.dealer_price),
+          unit_price: optional(product.unit_price),
+          selling_price: parseDecimal(product.srp),
+          total_stock: totalStock,
+          in_stock: totalStock > 0,
+          units: product.product_units.map(unit => formatProductUnit(unit, product))
+        };
+      }),
+      price_lists: priceLists.map(formatPriceList),
+      promotions: promotions.map(formatPromotion)
+    });
+  } catch (error) {
+    console.error('Get POS catalog error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch POS catalog'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(getCatalog)
+});
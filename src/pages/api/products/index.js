@@ -46,6 +46,11 @@ async function getProducts(req, res) {
           suppliers: {
             select: { supplier_id: true, supplier_name: true }
           },
+          product_units: {
+            where: { is_active: true },
+            select: { unit_id: true, unit_name: true, conversion_factor: true, is_default: true },
+            orderBy: { conversion_factor: 'desc' }
+          },
           inventory: {
             where: { is_active: true },
             select: {
@@ -76,11 +81,14 @@ async function getProducts(req, res) {
         unit_price: parseDecimal(product.unit_price),
         srp: parseDecimal(product.srp),
         dealer_price: parseDecimal(product.dealer_price),
+        average_cost: parseDecimal(product.average_cost),
+        srp_per_kilo: parseDecimal(product.srp_per_kilo),
         reorder_level: product.reorder_level,
         brand: product.brand,
         supplier: product.suppliers,
         total_stock: totalStock,
         is_low_stock: isLowStock,
+        units: product.product_units,
         inventory: product.inventory
       };
     });
@@ -111,7 +119,7 @@ async function getProducts(req, res) {
 async function createProduct(req, res) {
   const { 
     productCode, barcode, productName, description, category, 
-    unit, unitPrice, srp, dealerPrice, reorderLevel, supplierId, brand
+    unit, unitPrice, srp, dealerPrice, srpPerKilo, reorderLevel, supplierId, brand
   } = req.body;
   
   if (!productName) {
@@ -145,6 +153,7 @@ async function createProduct(req, res) {
         unit_price: unitPrice || 0,
         srp: srp || null,
         dealer_price: dealerPrice || null,
+        srp_per_kilo: srpPerKilo || null,
         reorder_level: reorderLevel || 10,
         supplier_id: supplierId || null,
         brand: brand || null
@@ -157,7 +166,9 @@ async function createProduct(req, res) {
         ...product,
         unit_price: parseDecimal(product.unit_price),
         srp: parseDecimal(product.srp),
-        dealer_price: parseDecimal(product.dealer_price)
+        dealer_price: parseDecimal(product.dealer_price),
+        average_cost: parseDecimal(product.average_cost),
+        srp_per_kilo: parseDecimal(product.srp_per_kilo)
       }
     });
   } catch (error) {
@@ -5,10 +5,13 @@
 import prisma from '@/lib/prisma';
 import { withCashier, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { formatProductUnit } from '@/lib/units';
+import { getReservedQuantities, stockAvailability } from '@/lib/reservations';
 
 /**
  * GET /api/products/search
  * Quick search by barcode or product code
+ * total_stock is available-to-sell: on hand less stock reserved for customer orders
  */
 async function searchProducts(req, res) {
   const { q, barcode, limit = 10 } = req.query;
@@ -16,11 +19,12 @@ async function searchProducts(req, res) {
   try {
     let where = { is_active: { not: false } };
     
-    // Barcode exact match takes priority
+    // Barcode exact match takes priority; a selling unit's own barcode selects that unit
     if (barcode) {
       where.OR = [
         { barcode },
-        { product_code: barcode }
+        { product_code: barcode },
+        { product_units: { some: { barcode, is_active: true } } }
       ];
     } else if (q) {
       // Text search
@@ -41,22 +45,34 @@ async function searchProducts(req, res) {
       where,
       take: parseInt(limit),
       include: {
+        product_units: {
+          where: { is_active: true },
+          orderBy: { conversion_factor: 'desc' }
+        },
         inventory: {
           where: { is_active: true, current_stock: { gt: 0 } },
           select: {
             inventory_id: true,
             current_stock: true,
             batch_number: true,
-            expiration_date: true
+            expiration_date: true,
+            clearance_price: true
           },
           orderBy: { expiration_date: 'asc' } // FIFO - first expiring first
         }
       }
     });
     
+    const reserved = await getReservedQuantities(prisma, products.map(product => product.product_id));
+    
     // Format with stock info
     const formattedProducts = products.map(product => {
-      const totalStock = product.inventory.reduce((sum, inv) => sum + (inv.current_stock || 0), 0);
+      const onHand = product.inventory.reduce((sum, inv) => sum + (inv.current_stock || 0), 0);
+      const availability = stockAvailability(onHand, reserved.get(product.product_id) || 0);
+      const totalStock = availability.available_stock;
+      const scannedUnit = barcode
+        ? product.product_units.find(unit => unit.barcode === barcode)
+        : null;
       
       return {
         product_id: product.product_id,
@@ -66,8 +82,25 @@ async function searchProducts(req, res) {
         unit: product.unit,
         selling_price: parseDecimal(product.srp),
         total_stock: totalStock,
+        on_hand_stock: availability.on_hand,
+        reserved_stock: availability.reserved_stock,
         in_stock: totalStock > 0,
-        inventory: product.inventory
+        units: product.product_units.map(unit => formatProductUnit(unit, product)),
+        scanned_unit_id: scannedUnit?.unit_id || null,
+        inventory: product.inventory.map(inv => ({
+          ...inv,
+          clearance_price: inv.clearance_price === null ? null : parseDecimal(inv.clearance_price)
+        })),
+        // Marked-down batches the POS can sell from at their clearance price
+        clearance_batches: product.inventory
+          .filter(inv => inv.clearance_price !== null)
+          .map(inv => ({
+            inventory_id: inv.inventory_id,
+            batch_number: inv.batch_number,
+            expiration_date: inv.expiration_date,
+            current_stock: Math.min(inv.current_stock, totalStock),
+            clearance_price: parseDecimal(inv.clearance_price)
+          }))
       };
     });
     
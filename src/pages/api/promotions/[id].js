@@ -0,0 +1,122 @@
+/**
+ * Single Promotion API Routes
+ * View, replace and end a promotion
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { PROMOTION_INCLUDE, formatPromotion, promotionData, promotionTargetsData } from '@/lib/promotions';
+
+/**
+ * GET /api/promotions/[id]
+ * Promotion with its targets
+ */
+async function getPromotion(req, res) {
+  const { id } = req.query;
+
+  try {
+    const promotion = await prisma.promotions.findUnique({
+      where: { promotion_id: parseInt(id) },
+      include: PROMOTION_INCLUDE
+    });
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      promotion: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion'
+    });
+  }
+}
+
+/**
+ * PUT /api/promotions/[id]
+ * Replace the promotion and its targets (same body as POST). Sales it was already applied to keep their discount.
+ */
+async function updatePromotion(req, res) {
+  const { id } = req.query;
+
+  try {
+    const promotion = await prisma.$transaction(async (tx) => {
+      const existing = await tx.promotions.findUnique({
+        where: { promotion_id: parseInt(id) }
+      });
+
+      if (!existing) {
+        throw new Error('Promotion not found');
+      }
+
+      const data = promotionData(req.body);
+      const targets = await promotionTargetsData(tx, req.body.targets, data.promo_type);
+
+      await tx.promotion_targets.deleteMany({
+        where: { promotion_id: existing.promotion_id }
+      });
+
+      return tx.promotions.update({
+        where: { promotion_id: existing.promotion_id },
+        data: {
+          ...data,
+          promotion_targets: {
+            create: targets
+          }
+        },
+        include: PROMOTION_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Promotion ${promotion.promo_name} updated`,
+      promotion: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update promotion'
+    });
+  }
+}
+
+/**
+ * DELETE /api/promotions/[id]
+ * Deactivate a promotion (kept for the sales it discounted)
+ */
+async function deletePromotion(req, res) {
+  const { id } = req.query;
+
+  try {
+    const promotion = await prisma.promotions.update({
+      where: { promotion_id: parseInt(id) },
+      data: { is_active: false }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Promotion ${promotion.promo_name} deactivated`
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate promotion'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getPromotion),
+  PUT: withManager(updatePromotion),
+  DELETE: withManager(deletePromotion)
+});
@@ -0,0 +1,98 @@
+/**
+ * Promotions API Routes
+ * Seasonal promos, bundles and buy-X-get-Y deals applied automatically at the POS
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { PROMOTION_INCLUDE, formatPromotion, promotionData, promotionTargetsData } from '@/lib/promotions';
+
+/**
+ * GET /api/promotions
+ * Query: status (RUNNING, SCHEDULED, ENDED, INACTIVE)
+ */
+async function getPromotions(req, res) {
+  const { status } = req.query;
+  const now = new Date();
+
+  try {
+    const where = {};
+    if (status === 'INACTIVE') {
+      where.is_active = false;
+    } else if (status === 'RUNNING') {
+      where.is_active = true;
+      where.AND = [
+        { OR: [{ starts_at: null }, { starts_at: { lte: now } }] },
+        { OR: [{ ends_at: null }, { ends_at: { gte: now } }] }
+      ];
+    } else if (status === 'SCHEDULED') {
+      where.is_active = true;
+      where.starts_at = { gt: now };
+    } else if (status === 'ENDED') {
+      where.ends_at = { lt: now };
+    }
+
+    const promotions = await prisma.promotions.findMany({
+      where,
+      orderBy: [{ is_active: 'desc' }, { priority: 'desc' }, { created_at: 'desc' }],
+      include: {
+        ...PROMOTION_INCLUDE,
+        _count: { select: { sale_promotions: true } }
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      promotions: promotions.map(({ _count, ...promotion }) => ({
+        ...formatPromotion(promotion),
+        times_applied: _count.sale_promotions
+      }))
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions'
+    });
+  }
+}
+
+/**
+ * POST /api/promotions
+ * Body: { promoName, description, promoType, discountValue, minQuantity, buyQuantity, getQuantity, unitName,
+ *   customerTypes, stackable, priority, startsAt, endsAt, targets: [{ targetType, productId, targetValue, quantity }] }
+ */
+async function createPromotion(req, res) {
+  try {
+    const promotion = await prisma.$transaction(async (tx) => {
+      const data = promotionData(req.body);
+      const targets = await promotionTargetsData(tx, req.body.targets, data.promo_type);
+
+      return tx.promotions.create({
+        data: {
+          ...data,
+          promotion_targets: {
+            create: targets
+          }
+        },
+        include: PROMOTION_INCLUDE
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Promotion ${promotion.promo_name} created`,
+      promotion: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create promotion'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getPromotions),
+  POST: withManager(createPromotion)
+});
@@ -0,0 +1,76 @@
+/**
+ * Promotion Preview API Route
+ * The promotions the sales API will apply to a cart
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { toBaseQuantity } from '@/lib/units';
+import { getActivePromotions, applyPromotions } from '@/lib/promotions';
+
+/**
+ * POST /api/promotions/preview
+ * Body: { customerId, items: [{ productId, unitId, quantity, unitPrice, discount }] }
+ * Returns the promo discount of each line, in the order sent
+ */
+async function previewPromotions(req, res) {
+  const { customerId, items } = req.body;
+
+  if (!Array.isArray(items)) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be an array'
+    });
+  }
+
+  try {
+    const customer = customerId
+      ? await prisma.customers.findUnique({
+        where: { customer_id: parseInt(customerId) },
+        select: { customer_type: true }
+      })
+      : null;
+
+    const lines = [];
+    for (const item of items) {
+      const product = await prisma.products.findUnique({
+        where: { product_id: parseInt(item.productId) || 0 },
+        include: { product_units: { where: { is_active: true } } }
+      });
+
+      if (!product) {
+        throw new Error(`Product ${item.productId} not found`);
+      }
+
+      const unit = item.unitId
+        ? product.product_units.find(u => u.unit_id === parseInt(item.unitId)) || null
+        : null;
+      const quantity = parseFloat(item.quantity) || 0;
+
+      lines.push({
+        product,
+        baseQuantity: toBaseQuantity(quantity, unit, product.product_name),
+        amount: Math.max(0, quantity * parseDecimal(item.unitPrice) - parseDecimal(item.discount))
+      });
+    }
+
+    const promotions = await getActivePromotions(prisma, { customerType: customer?.customer_type });
+    const applied = applyPromotions(promotions, lines);
+
+    return res.status(200).json({
+      success: true,
+      lines: applied,
+      total_discount: roundCurrency(applied.reduce((sum, line) => sum + line.discount, 0))
+    });
+  } catch (error) {
+    console.error('Preview promotions error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to preview promotions'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(previewPromotions)
+});
@@ -4,9 +4,12 @@
 import prisma from '@/lib/prisma';
 import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { CUSTOMER_ORDER_INCLUDE, formatCustomerOrder } from '@/lib/customerOrders';
+import { releaseOrderReservations } from '@/lib/reservations';
 
 /**
  * GET /api/purchase-orders/[id]
+ * Order with open quantities per line and the sales that fulfilled it
  */
 async function getPurchaseOrder(req, res) {
   const { id } = req.query;
@@ -14,22 +17,7 @@ async function getPurchaseOrder(req, res) {
   try {
     const order = await prisma.purchase_orders.findUnique({
       where: { po_id: parseInt(id) },
-      include: {
-        customers: true,
-        purchase_order_details: {
-          include: {
-            products: {
-              select: {
-                product_id: true,
-                product_code: true,
-                product_name: true,
-                unit: true,
-                unit_price: true
-              }
-            }
-          }
-        }
-      }
+      include: CUSTOMER_ORDER_INCLUDE
     });
     
     if (!order) {
@@ -41,13 +29,7 @@ async function getPurchaseOrder(req, res) {
     
     return res.status(200).json({
       success: true,
-      order: {
-        ...order,
-        outstanding_balance: parseDecimal(order.outstanding_balance),
-        purchase_order_details: order.purchase_order_details.map(d => ({
-          ...d
-        }))
-      }
+      order: formatCustomerOrder(order)
     });
   } catch (error) {
     console.error('Get purchase order error:', error);
@@ -60,7 +42,7 @@ async function getPurchaseOrder(req, res) {
 
 /**
  * DELETE /api/purchase-orders/[id]
- * Cancel purchase order
+ * Cancel purchase order (whatever is not yet fulfilled) and release its reserved stock
  */
 async function cancelPurchaseOrder(req, res) {
   const { id } = req.query;
@@ -80,6 +62,10 @@ async function cancelPurchaseOrder(req, res) {
         throw new Error('Cannot cancel a received order');
       }
       
+      if (order.po_status === 'CANCELLED') {
+        throw new Error('The order is already cancelled');
+      }
+      
       const amountToReverse = parseDecimal(order.outstanding_balance);
       
       // Create reversal ledger entry
@@ -95,6 +81,9 @@ async function cancelPurchaseOrder(req, res) {
         }
       });
       
+      // Stock held for the order goes back on sale
+      await releaseOrderReservations(tx, order.po_id, `Order cancelled: ${reason || 'No reason'}`);
+      
       // Update order status
       await tx.purchase_orders.update({
         where: { po_id: parseInt(id) },
@@ -0,0 +1,57 @@
+/**
+ * Purchase Order Fulfilment API Route
+ * Invoice a customer order from stock, backordering what cannot be filled
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { ApprovalRequiredError, sendApprovalRequired, resolveApproval } from '@/lib/approvals';
+import { formatSale } from '@/lib/sales';
+import { fulfilPurchaseOrder, formatCustomerOrder } from '@/lib/customerOrders';
+
+/**
+ * POST /api/purchase-orders/[id]/fulfil
+ * Body: { items: [{ poDetailId, quantity }] (default: every open line), payments (default: on account),
+ *   discount, discountType, taxMode, taxRate, delivery, terminalId, notes, approval }
+ * Stock is picked FIFO into one sale linked through PO_sales; lines short on stock are backordered.
+ */
+async function fulfilOrder(req, res) {
+  const { id } = req.query;
+  const { approval } = req.body;
+
+  try {
+    const approver = await resolveApproval(req.user, approval);
+
+    const result = await prisma.$transaction(async (tx) => fulfilPurchaseOrder(tx, {
+      user: req.user,
+      poId: parseInt(id),
+      input: req.body || {},
+      approver
+    }));
+
+    const backordered = result.lines.filter(line => line.backordered > 0).length;
+    const message = result.sale
+      ? `Invoiced ${result.sale.invoice_number || `Sale #${result.sale.sale_id}`}${backordered ? `; ${backordered} line(s) backordered` : ''}`
+      : `Nothing was in stock; ${backordered} line(s) backordered`;
+
+    return res.status(result.sale ? 201 : 200).json({
+      success: true,
+      message,
+      sale: result.sale ? formatSale(result.sale, req.user) : null,
+      order: formatCustomerOrder(result.order),
+      lines: result.lines
+    });
+  } catch (error) {
+    if (error instanceof ApprovalRequiredError) {
+      return sendApprovalRequired(res, error);
+    }
+    console.error('Fulfil purchase order error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to fulfil purchase order'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withClerk(fulfilOrder, { idempotent: true })
+});
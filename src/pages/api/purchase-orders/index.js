@@ -5,7 +5,9 @@
  */
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
 import { paginate, paginationMeta, parseDecimal } from '@/lib/utils';
+import { RESERVATION_DAYS, reserveOrderStock } from '@/lib/reservations';
 
 /**
  * GET /api/purchase-orders
@@ -77,6 +79,8 @@ async function getPurchaseOrders(req, res) {
 /**
  * POST /api/purchase-orders
  * Create a new purchase order
+ * URGENT orders, and any order sent with reserveStock, hold what is available of each line for
+ * reservationDays (default 7) so it cannot be sold at the counter (see lib/reservations).
  */
 async function createPurchaseOrder(req, res) {
   const {
@@ -84,7 +88,9 @@ async function createPurchaseOrder(req, res) {
     items, // Array of { productId, quantity }
     outstandingBalance = 0,
     priority = 'NORMAL',
-    remarks
+    remarks,
+    reserveStock,
+    reservationDays = RESERVATION_DAYS
   } = req.body;
   
   if (!customerId || !items || items.length === 0) {
@@ -94,8 +100,17 @@ async function createPurchaseOrder(req, res) {
     });
   }
   
+  const holdDays = parseInt(reservationDays);
+  if (!Number.isInteger(holdDays) || holdDays < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'reservationDays must be a whole number of days from 1'
+    });
+  }
+  
   try {
     const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
       const orderDetails = [];
       
       for (const item of items) {
@@ -121,7 +136,7 @@ async function createPurchaseOrder(req, res) {
           po_status: 'PENDING',
           priority,
           outstanding_balance: outstandingBalance,
-          handled_by: req.user.userId,
+          handled_by: employeeId,
           remarks,
           purchase_order_details: {
             create: orderDetails
@@ -139,6 +154,16 @@ async function createPurchaseOrder(req, res) {
         }
       });
       
+      // Hold stock for the order until pickup
+      const reservations = priority === 'URGENT' || reserveStock
+        ? await reserveOrderStock(tx, {
+            poId: order.po_id,
+            details: order.purchase_order_details,
+            employeeId,
+            days: holdDays
+          })
+        : [];
+      
       // Create ledger entry
       await tx.account_ledger.create({
         data: {
@@ -152,7 +177,7 @@ async function createPurchaseOrder(req, res) {
         }
       });
       
-      return order;
+      return { ...order, stock_reservations: reservations };
     });
     
     return res.status(201).json({
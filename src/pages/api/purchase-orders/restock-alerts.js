@@ -1,48 +1,78 @@
 /**
  * Restock Alerts API Route
- * Products that need to be reordered
+ * Products that need to be reordered, and conversion into draft supplier orders
  */
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { createSupplierOrder, formatSupplierOrder } from '@/lib/purchasing';
 
-async function getRestockAlerts(req, res) {
-  try {
-    // Get all products with inventory
-    const products = await prisma.products.findMany({
-      where: { is_active: { not: false } },
-      include: {
-        suppliers: {
-          select: { supplier_id: true, supplier_name: true, contact_number: true }
+/**
+ * Products below reorder level, net of quantities already on open supplier orders
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object[]>} Products needing restock, largest shortage first
+ */
+async function findRestockNeeded(client) {
+  const products = await client.products.findMany({
+    where: { is_active: { not: false } },
+    include: {
+      suppliers: {
+        select: { supplier_id: true, supplier_name: true, contact_number: true }
+      },
+      inventory: {
+        where: { is_active: true }
+      },
+      supplier_order_details: {
+        where: {
+          supplier_orders: { status: { in: ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED'] } }
         },
-        inventory: {
-          where: { is_active: true }
-        }
+        select: { quantity_ordered: true, quantity_received: true }
+      },
+      supply_details: {
+        orderBy: { supply_detail_id: 'desc' },
+        take: 1,
+        select: { unit_cost: true }
       }
-    });
-    
-    // Calculate which products need restocking
-    const restockNeeded = products
-      .map(product => {
-        const totalStock = product.inventory.reduce((sum, inv) => sum + inv.current_stock, 0);
-        const shortage = product.reorder_level - totalStock;
-        
-        return {
-          product_id: product.product_id,
-          product_code: product.product_code,
-          product_name: product.product_name,
-          category: product.category,
-          unit: product.unit,
-          current_stock: totalStock,
-          reorder_level: product.reorder_level,
-          shortage,
-          suggested_order_qty: Math.max(shortage, product.reorder_level * 2), // Order at least 2x reorder level
-          unit_price: parseDecimal(product.unit_price),
-          supplier: product.suppliers
-        };
-      })
-      .filter(p => p.shortage > 0)
-      .sort((a, b) => b.shortage - a.shortage);
+    }
+  });
+  
+  return products
+    .map(product => {
+      const totalStock = product.inventory.reduce((sum, inv) => sum + inv.current_stock, 0);
+      const onOrder = product.supplier_order_details.reduce(
+        (sum, line) => sum + Math.max(0, line.quantity_ordered - line.quantity_received), 0
+      );
+      const shortage = product.reorder_level - totalStock - onOrder;
+      const lastCost = product.supply_details[0]?.unit_cost;
+      
+      return {
+        product_id: product.product_id,
+        product_code: product.product_code,
+        product_name: product.product_name,
+        category: product.category,
+        unit: product.unit,
+        current_stock: totalStock,
+        on_order: onOrder,
+        reorder_level: product.reorder_level,
+        shortage,
+        suggested_order_qty: Math.max(shortage, product.reorder_level * 2), // Order at least 2x reorder level
+        unit_price: parseDecimal(product.unit_price),
+        unit_cost: lastCost !== undefined ? parseDecimal(lastCost) : parseDecimal(product.unit_price),
+        supplier: product.suppliers
+      };
+    })
+    .filter(p => p.shortage > 0)
+    .sort((a, b) => b.shortage - a.shortage);
+}
+
+/**
+ * GET /api/purchase-orders/restock-alerts
+ * Products below reorder level grouped by supplier
+ */
+async function getRestockAlerts(req, res) {
+  try {
+    const restockNeeded = await findRestockNeeded(prisma);
     
     // Group by supplier for easy ordering
     const bySupplier = {};
@@ -62,7 +92,7 @@ async function getRestockAlerts(req, res) {
       alerts: {
         total_products_needed: restockNeeded.length,
         estimated_cost: restockNeeded.reduce((sum, p) => 
-          sum + (p.suggested_order_qty * p.unit_price), 0
+          sum + (p.suggested_order_qty * p.unit_cost), 0
         ),
         products: restockNeeded,
         by_supplier: Object.values(bySupplier)
@@ -77,6 +107,75 @@ async function getRestockAlerts(req, res) {
   }
 }
 
+/**
+ * POST /api/purchase-orders/restock-alerts
+ * Turn restock alerts into one DRAFT supplier order per supplier
+ * Body: { supplierIds } to limit which suppliers get a draft (default: all)
+ */
+async function createRestockOrders(req, res) {
+  const { supplierIds } = req.body || {};
+  const onlySuppliers = Array.isArray(supplierIds) && supplierIds.length > 0
+    ? supplierIds.map(id => parseInt(id))
+    : null;
+  
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const restockNeeded = await findRestockNeeded(tx);
+      
+      const bySupplier = new Map();
+      const skipped = [];
+      for (const product of restockNeeded) {
+        const supplierId = product.supplier?.supplier_id;
+        if (!supplierId) {
+          skipped.push(product);
+          continue;
+        }
+        if (onlySuppliers && !onlySuppliers.includes(supplierId)) continue;
+        
+        if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, []);
+        bySupplier.get(supplierId).push({
+          productId: product.product_id,
+          quantity: product.suggested_order_qty,
+          unitCost: product.unit_cost
+        });
+      }
+      
+      const orders = [];
+      for (const [supplierId, items] of bySupplier) {
+        orders.push(await createSupplierOrder(tx, {
+          supplierId,
+          items,
+          status: 'DRAFT',
+          remarks: 'Generated from restock alerts',
+          employeeId
+        }));
+      }
+      
+      return { orders, skipped };
+    });
+    
+    return res.status(201).json({
+      success: true,
+      message: result.orders.length > 0
+        ? `${result.orders.length} draft supplier order(s) created`
+        : 'No products need reordering',
+      orders: result.orders.map(formatSupplierOrder),
+      skipped_no_supplier: result.skipped.map(p => ({
+        product_id: p.product_id,
+        product_name: p.product_name
+      }))
+    });
+  } catch (error) {
+    console.error('Create restock orders error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create restock orders'
+    });
+  }
+}
+
 export default apiHandler({
-  GET: withClerk(getRestockAlerts)
+  GET: withClerk(getRestockAlerts),
+  POST: withClerk(createRestockOrders)
 });
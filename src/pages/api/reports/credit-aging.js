@@ -0,0 +1,115 @@
+/**
+ * Customer Credit Aging Report API Route
+ * Outstanding customer credit sorted into 30/60/90+ day buckets
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { AGING_BUCKETS, emptyBuckets, applyCreditsFifo, ageOpenDebits } from '@/lib/aging';
+
+/**
+ * GET /api/reports/credit-aging
+ * Query: asOf (YYYY-MM-DD, default today), termsDays (default 0), customerId (adds per-sale lines)
+ */
+async function getCreditAging(req, res) {
+  const { asOf, termsDays, customerId } = req.query;
+
+  const asOfDate = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(asOfDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid asOf date'
+    });
+  }
+  asOfDate.setHours(23, 59, 59, 999);
+  const terms = Math.max(0, parseInt(termsDays) || 0);
+
+  try {
+    const where = {
+      account_type: 'customer',
+      created_at: { lte: asOfDate }
+    };
+    if (customerId) where.account_id = parseInt(customerId);
+
+    const entries = await prisma.account_ledger.findMany({
+      where,
+      orderBy: [{ created_at: 'asc' }, { ledger_id: 'asc' }]
+    });
+
+    // Group ledger rows per customer
+    const entriesByCustomer = new Map();
+    for (const entry of entries) {
+      if (!entriesByCustomer.has(entry.account_id)) {
+        entriesByCustomer.set(entry.account_id, []);
+      }
+      entriesByCustomer.get(entry.account_id).push(entry);
+    }
+
+    const customers = await prisma.customers.findMany({
+      where: { customer_id: { in: [...entriesByCustomer.keys()] } },
+      select: {
+        customer_id: true,
+        customer_name: true,
+        customer_type: true,
+        contact_number: true,
+        credit_limit: true,
+        credit_balance: true
+      }
+    });
+
+    const totals = emptyBuckets();
+    const rows = [];
+
+    for (const customer of customers) {
+      const openDebits = applyCreditsFifo(entriesByCustomer.get(customer.customer_id));
+      const aging = ageOpenDebits(openDebits, { asOf: asOfDate, termsDays: terms });
+
+      if (aging.total <= 0) continue;
+
+      for (const bucket of AGING_BUCKETS) {
+        totals[bucket.key] = roundCurrency(totals[bucket.key] + aging.buckets[bucket.key]);
+      }
+
+      rows.push({
+        customer_id: customer.customer_id,
+        customer_name: customer.customer_name,
+        customer_type: customer.customer_type,
+        contact_number: customer.contact_number,
+        credit_limit: parseDecimal(customer.credit_limit),
+        credit_balance: parseDecimal(customer.credit_balance),
+        ...aging.buckets,
+        total: aging.total,
+        oldest_days: aging.oldest_days,
+        ...(customerId ? { items: aging.items } : {})
+      });
+    }
+
+    // Longest-carried balances first
+    rows.sort((a, b) => b.oldest_days - a.oldest_days || b.total - a.total);
+
+    return res.status(200).json({
+      success: true,
+      report: {
+        as_of: asOfDate,
+        terms_days: terms,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        customers: rows,
+        totals: {
+          ...totals,
+          total: roundCurrency(Object.values(totals).reduce((sum, value) => sum + value, 0)),
+          customer_count: rows.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Credit aging report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate credit aging report'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getCreditAging)
+});
@@ -4,6 +4,8 @@
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { saleLineGross } from '@/lib/units';
+import { summarizeTenders, formatSalePayment } from '@/lib/payments';
 
 async function getDailySalesReport(req, res) {
   const { date } = req.query;
@@ -32,8 +34,14 @@ async function getDailySalesReport(req, res) {
           include: {
             products: {
               select: { product_name: true, product_code: true, unit: true }
+            },
+            sale_promotions: {
+              select: { promo_name: true, discount_amount: true }
             }
           }
+        },
+        sale_payments: {
+          orderBy: { sale_payment_id: 'asc' }
         }
       },
       orderBy: { sale_date: 'asc' }
@@ -42,33 +50,49 @@ async function getDailySalesReport(req, res) {
     // Format sales
     const formattedSales = sales.map(sale => ({
       sale_id: sale.sale_id,
+      invoice_number: sale.invoice_number,
       sale_date: sale.sale_date,
       customer: sale.customers?.customer_name || 'Walk-in',
       cashier: sale.employees?.employee_name || 'Unknown',
+      subtotal: parseDecimal(sale.subtotal),
+      discount_amount: parseDecimal(sale.discount_amount),
+      tax_mode: sale.tax_mode,
+      tax_amount: parseDecimal(sale.tax_amount),
       total_amount: parseDecimal(sale.total_amount),
       amount_paid: parseDecimal(sale.amount_paid),
       payment_method: sale.payment_method,
       sale_status: sale.sale_status,
+      payments: sale.sale_payments.map(formatSalePayment),
       items: sale.sale_details.map(d => ({
         product: d.products?.product_name,
-        quantity: d.quantity,
-        unit: d.products?.unit,
+        quantity: d.unit_quantity !== null ? parseDecimal(d.unit_quantity) : d.quantity,
+        unit: d.unit_name || d.products?.unit,
         unit_price: parseDecimal(d.unit_price),
-        subtotal: d.quantity * parseDecimal(d.unit_price)
+        discount: parseDecimal(d.discount),
+        subtotal: saleLineGross(d) - parseDecimal(d.discount),
+        promotions: d.sale_promotions.map(promo => promo.promo_name)
       }))
     }));
     
+    // Collections come from the tender lines; sales from before they existed count MIXED as cash, as the report always did
+    const byTender = summarizeTenders(sales);
+    
     // Summary
     const summary = {
       date: reportDate.toISOString().split('T')[0],
       total_transactions: sales.length,
+      gross_sales: sales.reduce((sum, s) => sum + parseDecimal(s.subtotal), 0),
+      total_discounts: sales.reduce((sum, s) => sum + parseDecimal(s.discount_amount), 0),
+      // Included in the line totals, so already out of gross_sales
+      promo_discounts: sales.reduce((sum, s) => sum + s.sale_details.reduce(
+        (lineSum, d) => lineSum + d.sale_promotions.reduce((promoSum, promo) => promoSum + parseDecimal(promo.discount_amount), 0),
+        0
+      ), 0),
+      total_tax: sales.reduce((sum, s) => sum + parseDecimal(s.tax_amount), 0),
       total_sales: sales.reduce((sum, s) => sum + parseDecimal(s.total_amount), 0),
-      cash_received: sales
-        .filter(s => s.payment_method === 'CASH' || s.payment_method === 'MIXED')
-        .reduce((sum, s) => sum + parseDecimal(s.amount_paid), 0),
-      credit_sales: sales
-        .filter(s => s.sale_status !== 'PAID')
-        .reduce((sum, s) => sum + (parseDecimal(s.total_amount) - parseDecimal(s.amount_paid)), 0)
+      cash_received: (byTender.CASH?.amount || 0) + (byTender.MIXED?.amount || 0),
+      credit_sales: byTender.STORE_CREDIT?.amount || 0,
+      by_tender: byTender
     };
     
     return res.status(200).json({
@@ -0,0 +1,117 @@
+/**
+ * Payables Due Report API Route
+ * Supplier bills overdue or falling due by a date (default: the end of this week), for cash planning
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { roundCurrency } from '@/lib/utils';
+import { formatBill } from '@/lib/payables';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sunday of the current week, end of day
+ */
+function endOfWeek(date = new Date()) {
+  const end = new Date(date);
+  end.setDate(end.getDate() + ((7 - end.getDay()) % 7));
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/**
+ * GET /api/reports/payables-due
+ * Query: through (YYYY-MM-DD, default this Sunday), supplierId
+ * Open bills due on or before the date, earliest first, grouped per supplier
+ */
+async function getPayablesDue(req, res) {
+  const { through, supplierId } = req.query;
+
+  const throughDate = through ? new Date(through) : endOfWeek();
+  if (Number.isNaN(throughDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid through date'
+    });
+  }
+  throughDate.setHours(23, 59, 59, 999);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  try {
+    const where = {
+      bill_status: { in: ['OPEN', 'PARTIAL'] },
+      due_date: { lte: throughDate }
+    };
+    if (supplierId) where.supplier_id = parseInt(supplierId);
+
+    const supplies = await prisma.supply.findMany({
+      where,
+      orderBy: [{ due_date: 'asc' }, { supply_id: 'asc' }],
+      include: {
+        suppliers: {
+          select: { supplier_id: true, supplier_name: true, contact_number: true, payment_terms: true }
+        }
+      }
+    });
+
+    const bySupplier = new Map();
+    const totals = { overdue: 0, due: 0, total: 0 };
+
+    for (const supply of supplies) {
+      const bill = formatBill(supply);
+      if (bill.open_amount <= 0) continue;
+
+      const dueDate = new Date(bill.due_date);
+      dueDate.setHours(0, 0, 0, 0);
+      const daysOverdue = Math.max(0, Math.round((today - dueDate) / DAY_MS));
+      const { suppliers, ...fields } = bill;
+
+      if (!bySupplier.has(supply.supplier_id)) {
+        bySupplier.set(supply.supplier_id, {
+          ...suppliers,
+          overdue: 0,
+          due: 0,
+          total: 0,
+          bills: []
+        });
+      }
+      const row = bySupplier.get(supply.supplier_id);
+      const bucket = daysOverdue > 0 ? 'overdue' : 'due';
+
+      row[bucket] = roundCurrency(row[bucket] + bill.open_amount);
+      row.total = roundCurrency(row.total + bill.open_amount);
+      row.bills.push({ ...fields, days_overdue: daysOverdue });
+
+      totals[bucket] = roundCurrency(totals[bucket] + bill.open_amount);
+      totals.total = roundCurrency(totals.total + bill.open_amount);
+    }
+
+    // Suppliers owed the oldest bills first
+    const rows = [...bySupplier.values()];
+
+    return res.status(200).json({
+      success: true,
+      report: {
+        through: throughDate,
+        suppliers: rows,
+        totals: {
+          ...totals,
+          bill_count: rows.reduce((sum, row) => sum + row.bills.length, 0),
+          supplier_count: rows.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Payables due report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate payables due report'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getPayablesDue)
+});
@@ -0,0 +1,84 @@
+/**
+ * Price Overrides Report API Route
+ * Price changes and discounts given at the POS, with who asked and who approved
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta, parseDecimal, roundCurrency } from '@/lib/utils';
+
+/**
+ * GET /api/reports/price-overrides
+ * Query: startDate, endDate, approvedOnly (true: only overrides that needed a manager), page, pageSize
+ */
+async function getPriceOverrides(req, res) {
+  const { page, pageSize, startDate, endDate, approvedOnly } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    const where = {};
+
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) where.created_at.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.created_at.lte = end;
+      }
+    }
+
+    if (approvedOnly === 'true') where.needed_approval = true;
+
+    const [overrides, total, totals] = await Promise.all([
+      prisma.sale_price_overrides.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { created_at: 'desc' },
+        include: {
+          products: { select: { product_id: true, product_name: true } },
+          sale_details: { select: { quantity: true, unit_quantity: true, unit_name: true } },
+          requester: { select: { employee_id: true, employee_name: true } },
+          approver: { select: { employee_id: true, employee_name: true } }
+        }
+      }),
+      prisma.sale_price_overrides.count({ where }),
+      prisma.sale_price_overrides.aggregate({
+        where,
+        _sum: { list_amount: true, charged_amount: true }
+      })
+    ]);
+
+    const listTotal = parseDecimal(totals._sum.list_amount);
+    const chargedTotal = parseDecimal(totals._sum.charged_amount);
+
+    return res.status(200).json({
+      success: true,
+      overrides: overrides.map(override => ({
+        ...override,
+        list_amount: parseDecimal(override.list_amount),
+        charged_amount: parseDecimal(override.charged_amount),
+        discount_percent: parseDecimal(override.discount_percent),
+        floor_amount: override.floor_amount === null ? null : parseDecimal(override.floor_amount),
+        given_away: roundCurrency(parseDecimal(override.list_amount) - parseDecimal(override.charged_amount))
+      })),
+      summary: {
+        count: total,
+        list_amount: listTotal,
+        charged_amount: chargedTotal,
+        given_away: roundCurrency(listTotal - chargedTotal)
+      },
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get price overrides error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price overrides'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getPriceOverrides)
+});
@@ -0,0 +1,91 @@
+/**
+ * Promotions Report API Route
+ * What each promotion gave away and the sales it was applied to
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { saleLineGross } from '@/lib/units';
+
+/**
+ * GET /api/reports/promotions
+ * Query: startDate, endDate (sale dates)
+ */
+async function getPromotionsReport(req, res) {
+  const { startDate, endDate } = req.query;
+
+  try {
+    const saleWhere = { is_active: true };
+    if (startDate || endDate) {
+      saleWhere.sale_date = {};
+      if (startDate) saleWhere.sale_date.gte = new Date(startDate);
+      if (endDate) saleWhere.sale_date.lte = new Date(endDate);
+    }
+
+    const applied = await prisma.sale_promotions.findMany({
+      where: { sales: saleWhere },
+      include: {
+        promotions: { select: { promotion_id: true, promo_type: true, starts_at: true, ends_at: true, is_active: true } },
+        sale_details: { select: { quantity: true, unit_quantity: true, unit_price: true, discount: true, cost_amount: true } }
+      }
+    });
+
+    const byPromotion = new Map();
+    for (const row of applied) {
+      const entry = byPromotion.get(row.promotion_id) || {
+        promotion_id: row.promotion_id,
+        promo_name: row.promo_name,
+        promo_type: row.promo_type,
+        starts_at: row.promotions.starts_at,
+        ends_at: row.promotions.ends_at,
+        is_active: row.promotions.is_active,
+        sales: new Set(),
+        lines: 0,
+        discount_given: 0,
+        free_quantity: 0,
+        net_sales: 0,
+        cost: 0
+      };
+
+      entry.sales.add(row.sale_id);
+      entry.lines += 1;
+      entry.discount_given += parseDecimal(row.discount_amount);
+      entry.free_quantity += parseDecimal(row.free_quantity);
+      // A line under two stacked promotions counts toward both
+      entry.net_sales += saleLineGross(row.sale_details) - parseDecimal(row.sale_details.discount);
+      entry.cost += parseDecimal(row.sale_details.cost_amount);
+      byPromotion.set(row.promotion_id, entry);
+    }
+
+    const promotions = [...byPromotion.values()]
+      .map(({ sales, ...entry }) => ({
+        ...entry,
+        sale_count: sales.size,
+        discount_given: roundCurrency(entry.discount_given),
+        net_sales: roundCurrency(entry.net_sales),
+        cost: roundCurrency(entry.cost),
+        gross_margin: roundCurrency(entry.net_sales - entry.cost)
+      }))
+      .sort((a, b) => b.discount_given - a.discount_given);
+
+    return res.status(200).json({
+      success: true,
+      promotions,
+      summary: {
+        promotion_count: promotions.length,
+        sale_count: new Set(applied.map(row => row.sale_id)).size,
+        discount_given: roundCurrency(promotions.reduce((sum, promo) => sum + promo.discount_given, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get promotions report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate promotions report'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getPromotionsReport)
+});
@@ -0,0 +1,100 @@
+/**
+ * Reserved Stock Report API Route
+ * Stock held for customer orders per product, against what is on hand
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { activeReservationWhere, expireReservations, stockAvailability } from '@/lib/reservations';
+
+/**
+ * GET /api/reports/reserved-stock
+ * Query: productId
+ * Active reservations grouped per product, with on-hand and available-to-sell stock.
+ * Reservations past their expiry are marked EXPIRED first.
+ */
+async function getReservedStock(req, res) {
+  const { productId } = req.query;
+
+  try {
+    await expireReservations(prisma);
+
+    const where = activeReservationWhere();
+    if (productId) where.product_id = parseInt(productId);
+
+    const reservations = await prisma.stock_reservations.findMany({
+      where,
+      orderBy: [{ product_id: 'asc' }, { expires_at: 'asc' }],
+      include: {
+        products: {
+          select: { product_id: true, product_code: true, product_name: true, unit: true }
+        },
+        purchase_orders: {
+          select: {
+            po_id: true,
+            priority: true,
+            order_date: true,
+            customers: { select: { customer_id: true, customer_name: true } }
+          }
+        }
+      }
+    });
+
+    const productIds = [...new Set(reservations.map(reservation => reservation.product_id))];
+    const onHandRows = await prisma.inventory.groupBy({
+      by: ['product_id'],
+      where: { product_id: { in: productIds }, is_active: true },
+      _sum: { current_stock: true }
+    });
+    const onHand = new Map(onHandRows.map(row => [row.product_id, row._sum.current_stock || 0]));
+
+    const byProduct = new Map();
+    for (const reservation of reservations) {
+      if (!byProduct.has(reservation.product_id)) {
+        byProduct.set(reservation.product_id, {
+          ...reservation.products,
+          reserved: 0,
+          reservations: []
+        });
+      }
+      const row = byProduct.get(reservation.product_id);
+      row.reserved += reservation.quantity;
+      row.reservations.push({
+        reservation_id: reservation.reservation_id,
+        po_id: reservation.po_id,
+        customer_name: reservation.purchase_orders?.customers?.customer_name || null,
+        priority: reservation.purchase_orders?.priority || null,
+        quantity: reservation.quantity,
+        reserved_at: reservation.reserved_at,
+        expires_at: reservation.expires_at
+      });
+    }
+
+    const products = [...byProduct.values()].map(({ reserved, ...row }) => ({
+      ...row,
+      ...stockAvailability(onHand.get(row.product_id) || 0, reserved)
+    }));
+
+    return res.status(200).json({
+      success: true,
+      report: {
+        products,
+        totals: {
+          product_count: products.length,
+          reservation_count: reservations.length,
+          reserved_stock: products.reduce((sum, row) => sum + row.reserved_stock, 0),
+          short_count: products.filter(row => row.reserved_stock > row.on_hand).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Reserved stock report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate reserved stock report'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getReservedStock)
+});
@@ -0,0 +1,108 @@
+/**
+ * Shrinkage Report API Route
+ * Stock written off in a month, by reason and by product, at cost
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { WRITE_OFF_REASONS, WRITE_OFF_REASON_LABELS } from '@/lib/stock';
+
+/**
+ * GET /api/reports/shrinkage
+ * Query: month (YYYY-MM, default this month)
+ * WRITE_OFF stock_log entries of the month with quantity and cost totals per reason and per product.
+ */
+async function getShrinkage(req, res) {
+  const { month } = req.query;
+
+  try {
+    const now = new Date();
+    const [year, monthIndex] = month && /^\d{4}-\d{2}$/.test(month)
+      ? [parseInt(month.slice(0, 4)), parseInt(month.slice(5, 7)) - 1]
+      : [now.getFullYear(), now.getMonth()];
+    const start = new Date(year, monthIndex, 1);
+    const end = new Date(year, monthIndex + 1, 1);
+
+    const logs = await prisma.stock_log.findMany({
+      where: {
+        change_type: 'WRITE_OFF',
+        log_date: { gte: start, lt: end }
+      },
+      orderBy: { log_date: 'desc' },
+      include: {
+        products: { select: { product_id: true, product_code: true, product_name: true, unit: true } },
+        inventory: { select: { inventory_id: true, batch_number: true, expiration_date: true } },
+        employees: { select: { employee_id: true, employee_name: true } }
+      }
+    });
+
+    const byReason = new Map(WRITE_OFF_REASONS.map(reason => [reason, {
+      reason,
+      label: WRITE_OFF_REASON_LABELS[reason],
+      entries: 0,
+      quantity: 0,
+      cost_amount: 0
+    }]));
+    const byProduct = new Map();
+
+    const entries = logs.map(log => {
+      const quantity = -(log.quantity || 0);
+      const costAmount = parseDecimal(log.cost_amount);
+      const reason = byReason.has(log.write_off_reason) ? log.write_off_reason : 'OTHER';
+
+      const reasonRow = byReason.get(reason);
+      reasonRow.entries += 1;
+      reasonRow.quantity += quantity;
+      reasonRow.cost_amount = roundCurrency(reasonRow.cost_amount + costAmount);
+
+      if (!byProduct.has(log.product_id)) {
+        byProduct.set(log.product_id, { ...log.products, quantity: 0, cost_amount: 0 });
+      }
+      const productRow = byProduct.get(log.product_id);
+      productRow.quantity += quantity;
+      productRow.cost_amount = roundCurrency(productRow.cost_amount + costAmount);
+
+      return {
+        log_id: log.log_id,
+        log_date: log.log_date,
+        reason,
+        product_name: log.products?.product_name || null,
+        product_code: log.products?.product_code || null,
+        unit: log.products?.unit || null,
+        batch_number: log.inventory?.batch_number || null,
+        expiration_date: log.inventory?.expiration_date || null,
+        quantity,
+        cost_amount: costAmount,
+        notes: log.reason,
+        employee_name: log.employees?.employee_name || null
+      };
+    });
+
+    const reasons = [...byReason.values()];
+
+    return res.status(200).json({
+      success: true,
+      report: {
+        month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+        reasons,
+        products: [...byProduct.values()].sort((a, b) => b.cost_amount - a.cost_amount),
+        entries,
+        totals: {
+          entries: entries.length,
+          quantity: reasons.reduce((sum, row) => sum + row.quantity, 0),
+          cost_amount: roundCurrency(reasons.reduce((sum, row) => sum + row.cost_amount, 0))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Shrinkage report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate shrinkage report'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getShrinkage)
+});
@@ -5,6 +5,10 @@
 import prisma from '@/lib/prisma';
 import { withCashier, withManager, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { restockSaleDetail } from '@/lib/stock';
+import { getEmployeeId } from '@/lib/employees';
+import { formatSalePromotion } from '@/lib/promotions';
+import { formatSalePayment } from '@/lib/payments';
 
 /**
  * GET /api/sales/[id]
@@ -21,6 +25,9 @@ async function getSale(req, res) {
         employees: {
           select: { employee_id: true, employee_name: true }
         },
+        pos_terminals: {
+          select: { terminal_id: true, terminal_code: true, terminal_name: true }
+        },
         sale_details: {
           include: {
             products: {
@@ -31,8 +38,16 @@ async function getSale(req, res) {
                 unit: true,
                 barcode: true
               }
-            }
+            },
+            sale_promotions: true
           }
+        },
+        sale_payments: {
+          orderBy: { sale_payment_id: 'asc' }
+        },
+        sale_returns: {
+          orderBy: { return_date: 'desc' },
+          include: { sale_return_details: true }
         }
       }
     });
@@ -49,9 +64,31 @@ async function getSale(req, res) {
       ...sale,
       total_amount: parseDecimal(sale.total_amount),
       amount_paid: parseDecimal(sale.amount_paid),
+      subtotal: parseDecimal(sale.subtotal),
+      discount_value: parseDecimal(sale.discount_value),
+      discount_amount: parseDecimal(sale.discount_amount),
+      tax_rate: parseDecimal(sale.tax_rate),
+      tax_amount: parseDecimal(sale.tax_amount),
       sale_details: sale.sale_details.map(detail => ({
         ...detail,
-        unit_price: parseDecimal(detail.unit_price)
+        unit_quantity: detail.unit_quantity === null ? null : parseDecimal(detail.unit_quantity),
+        list_price: detail.list_price === null ? null : parseDecimal(detail.list_price),
+        unit_price: parseDecimal(detail.unit_price),
+        discount: parseDecimal(detail.discount),
+        unit_cost: parseDecimal(detail.unit_cost),
+        cost_amount: parseDecimal(detail.cost_amount),
+        sale_promotions: detail.sale_promotions.map(formatSalePromotion)
+      })),
+      sale_payments: sale.sale_payments.map(formatSalePayment),
+      sale_returns: sale.sale_returns.map(ret => ({
+        ...ret,
+        return_amount: parseDecimal(ret.return_amount),
+        credit_amount: parseDecimal(ret.credit_amount),
+        refund_amount: parseDecimal(ret.refund_amount),
+        sale_return_details: ret.sale_return_details.map(d => ({
+          ...d,
+          amount: parseDecimal(d.amount)
+        }))
       })),
       customer: sale.customers ? {
         ...sale.customers,
@@ -76,7 +113,7 @@ async function getSale(req, res) {
 /**
  * DELETE /api/sales/[id]
  * Void a sale (Manager only)
- * Restores inventory
+ * Restores inventory. Sales that fulfil a customer order or have collections applied cannot be voided.
  */
 async function voidSale(req, res) {
   const { id } = req.query;
@@ -84,10 +121,19 @@ async function voidSale(req, res) {
   
   try {
     const result = await prisma.$transaction(async (tx) => {
+      // Locked, so a second void or a return cannot restock the same units alongside this one
+      await tx.$queryRaw`SELECT sale_id FROM sales WHERE sale_id = ${parseInt(id)} FOR UPDATE`;
+
       // Get sale with details
       const sale = await tx.sales.findUnique({
         where: { sale_id: parseInt(id) },
-        include: { sale_details: true }
+        include: {
+          sale_details: {
+            include: { sale_detail_batches: true }
+          },
+          PO_sales: true,
+          _count: { select: { payment_allocations: true } }
+        }
       });
       
       if (!sale) {
@@ -97,40 +143,36 @@ async function voidSale(req, res) {
       if (!sale.is_active) {
         throw new Error('Sale is already voided');
       }
+
+      // Voiding would restock the goods but leave the customer order counted as fulfilled
+      const orderLink = sale.PO_sales.find(link => link.PO_id);
+      if (orderLink) {
+        throw new Error(`Sale #${sale.sale_id} fulfils customer order PO-${orderLink.PO_id}; record a return against it instead of voiding`);
+      }
+
+      // The collected amount would stay applied to an invoice that no longer exists
+      if (sale._count.payment_allocations > 0) {
+        throw new Error(`Payments collected against sale #${sale.sale_id} must be reversed before it can be voided`);
+      }
       
-      // Restore inventory for each item
+      const employeeId = await getEmployeeId(req.user, tx);
+
+      // Restore inventory for each item (units already returned are back in stock)
       for (const detail of sale.sale_details) {
-        // Find or create inventory record
-        const inventory = await tx.inventory.findFirst({
-          where: {
-            product_id: detail.product_id,
-            is_active: true
-          }
-        });
+        const restoreQty = detail.quantity - detail.returned_quantity;
+        if (restoreQty <= 0) continue;
         
-        if (inventory) {
-          await tx.inventory.update({
-            where: { inventory_id: inventory.inventory_id },
-            data: { current_stock: { increment: detail.quantity } }
-          });
-        } else {
-          await tx.inventory.create({
-            data: {
-              product_id: detail.product_id,
-              current_stock: detail.quantity
-            }
-          });
-        }
+        await restockSaleDetail(tx, detail, restoreQty);
         
         // Log stock restoration
         await tx.stock_log.create({
           data: {
             product_id: detail.product_id,
             change_type: 'RETURN',
-            quantity: detail.quantity,
+            quantity: restoreQty,
             reason: `Void sale #${sale.sale_id}: ${reason || 'No reason provided'}`,
             log_date: new Date(),
-            employee_id: null
+            employee_id: employeeId
           }
         });
       }
@@ -185,5 +227,5 @@ async function voidSale(req, res) {
 
 export default apiHandler({
   GET: withCashier(getSale),
-  DELETE: withManager(voidSale)
+  DELETE: withManager(voidSale, { idempotent: true })
 });
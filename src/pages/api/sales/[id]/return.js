@@ -0,0 +1,244 @@
+/**
+ * Sale Return API Route
+ * Partial returns and refunds against a completed sale
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { restockSaleDetail } from '@/lib/stock';
+import { saleLineGross } from '@/lib/units';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift } from '@/lib/shifts';
+
+/**
+ * POST /api/sales/[id]/return
+ * Return specific sale lines (Manager only)
+ * Restocks the original batches and reverses the credit share of the returned value;
+ * the remainder is refunded to the customer
+ */
+async function returnSaleItems(req, res) {
+  const { id } = req.query;
+  const {
+    items, // Array of { saleDetailId, quantity }
+    reason
+  } = req.body;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one item to return is required'
+    });
+  }
+
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      // Lock the sale so concurrent returns see each other's returned quantities and totals
+      await tx.$queryRaw`SELECT sale_id FROM sales WHERE sale_id = ${parseInt(id)} FOR UPDATE`;
+
+      const sale = await tx.sales.findUnique({
+        where: { sale_id: parseInt(id) },
+        include: {
+          sale_details: {
+            include: {
+              sale_detail_batches: true,
+              products: { select: { product_name: true } }
+            }
+          }
+        }
+      });
+
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      if (!sale.is_active) {
+        throw new Error('Cannot return items from a voided sale');
+      }
+
+      // Order-level discount and VAT added on top are shared across lines pro rata
+      const saleSubtotal = parseDecimal(sale.subtotal);
+      const exclusiveTax = sale.tax_mode === 'EXCLUSIVE' ? parseDecimal(sale.tax_amount) : 0;
+      const orderFactor = saleSubtotal > 0
+        ? (saleSubtotal - parseDecimal(sale.discount_amount) + exclusiveTax) / saleSubtotal
+        : 1;
+
+      // Validate lines and price each returned unit at its net line price
+      const returnLines = [];
+      for (const item of items) {
+        const detailId = parseInt(item.saleDetailId);
+        const detail = sale.sale_details.find(d => d.sale_detail_id === detailId);
+
+        if (!detail) {
+          throw new Error(`Sale line ${item.saleDetailId} not found on sale #${sale.sale_id}`);
+        }
+
+        if (returnLines.some(line => line.detail.sale_detail_id === detailId)) {
+          throw new Error(`Sale line ${detailId} is listed more than once`);
+        }
+
+        const quantity = parseInt(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw new Error('Return quantity must be a positive whole number');
+        }
+
+        const returnable = detail.quantity - detail.returned_quantity;
+        if (quantity > returnable) {
+          throw new Error(`Cannot return ${quantity} of ${detail.products?.product_name || 'item'}. Returnable: ${returnable}`);
+        }
+
+        const lineTotal = saleLineGross(detail) - parseDecimal(detail.discount);
+        const amount = roundCurrency(lineTotal * orderFactor * quantity / detail.quantity);
+
+        returnLines.push({ detail, quantity, amount });
+      }
+
+      const totalAmount = parseDecimal(sale.total_amount);
+      const paidAmount = parseDecimal(sale.amount_paid);
+      const returnAmount = Math.min(
+        roundCurrency(returnLines.reduce((sum, line) => sum + line.amount, 0)),
+        totalAmount
+      );
+
+      // Split the returned value in the same proportion as the sale was paid vs. on credit
+      const outstanding = Math.max(0, totalAmount - paidAmount);
+      const creditAmount = totalAmount > 0
+        ? roundCurrency(Math.min(outstanding, returnAmount * outstanding / totalAmount))
+        : 0;
+      const refundAmount = roundCurrency(returnAmount - creditAmount);
+
+      // Refunds come out of the drawer of whoever processes the return
+      const employeeId = await getEmployeeId(req.user, tx);
+      const shift = await getOpenShift(employeeId, tx);
+
+      const saleReturn = await tx.sale_returns.create({
+        data: {
+          sale_id: sale.sale_id,
+          reason: reason || null,
+          return_amount: returnAmount,
+          credit_amount: creditAmount,
+          refund_amount: refundAmount,
+          employee_id: employeeId,
+          shift_id: shift?.shift_id || null,
+          sale_return_details: {
+            create: returnLines.map(line => ({
+              sale_detail_id: line.detail.sale_detail_id,
+              product_id: line.detail.product_id,
+              quantity: line.quantity,
+              amount: line.amount
+            }))
+          }
+        },
+        include: { sale_return_details: true }
+      });
+
+      // Put units back into their batches and log the movement
+      for (const line of returnLines) {
+        await restockSaleDetail(tx, line.detail, line.quantity);
+
+        await tx.sale_details.update({
+          where: { sale_detail_id: line.detail.sale_detail_id },
+          data: { returned_quantity: { increment: line.quantity } }
+        });
+
+        await tx.stock_log.create({
+          data: {
+            product_id: line.detail.product_id,
+            change_type: 'RETURN',
+            quantity: line.quantity,
+            reason: `Return #${saleReturn.return_id} on sale #${sale.sale_id}: ${reason || 'No reason provided'}`,
+            log_date: new Date(),
+            employee_id: employeeId
+          }
+        });
+      }
+
+      // Reduce the sale to what the customer kept
+      const newTotal = roundCurrency(totalAmount - returnAmount);
+      const newPaid = roundCurrency(paidAmount - refundAmount);
+      let saleStatus = 'PAID';
+      if (newPaid < newTotal) {
+        saleStatus = newPaid > 0 ? 'PARTIAL' : 'UNPAID';
+      }
+
+      await tx.sales.update({
+        where: { sale_id: sale.sale_id },
+        data: {
+          total_amount: newTotal,
+          amount_paid: newPaid,
+          sale_status: saleStatus,
+          updated_at: new Date()
+        }
+      });
+
+      // Reverse the credit share
+      if (sale.customer_id && creditAmount > 0) {
+        await tx.customers.update({
+          where: { customer_id: sale.customer_id },
+          data: {
+            credit_balance: { decrement: creditAmount }
+          }
+        });
+
+        await tx.account_ledger.create({
+          data: {
+            account_type: 'customer',
+            account_id: sale.customer_id,
+            reference_type: 'SALE_RETURN',
+            reference_id: sale.sale_id,
+            debit: 0,
+            credit: creditAmount
+          }
+        });
+      }
+
+      await tx.agrivet_transactions.create({
+        data: {
+          ref_id: `RET-${saleReturn.return_id}`,
+          transaction_date: new Date(),
+          transaction_type: 'RETURN',
+          account_name: sale.customer_id ? `Customer #${sale.customer_id}` : 'Walk-in',
+          amount: returnAmount,
+          remarks: `Return on sale #${sale.sale_id}${reason ? ` - ${reason}` : ''}`
+        }
+      });
+
+      return {
+        saleReturn,
+        sale_status: saleStatus,
+        total_amount: newTotal,
+        amount_paid: newPaid
+      };
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Return #${result.saleReturn.return_id} recorded`,
+      return: {
+        ...result.saleReturn,
+        return_amount: parseDecimal(result.saleReturn.return_amount),
+        credit_amount: parseDecimal(result.saleReturn.credit_amount),
+        refund_amount: parseDecimal(result.saleReturn.refund_amount),
+        sale_return_details: result.saleReturn.sale_return_details.map(d => ({
+          ...d,
+          amount: parseDecimal(d.amount)
+        }))
+      },
+      sale: {
+        sale_id: result.saleReturn.sale_id,
+        sale_status: result.sale_status,
+        total_amount: result.total_amount,
+        amount_paid: result.amount_paid
+      }
+    });
+  } catch (error) {
+    console.error('Sale return error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to process return'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(returnSaleItems, { idempotent: true })
+});
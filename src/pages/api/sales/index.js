@@ -1,18 +1,22 @@
 /**
  * Sales API Routes
  * POS Sales creation and management
- * NOTE: Stock validation/reduction is handled in this API transaction (batch-aware FIFO)
+ * NOTE: Stock validation/reduction is handled in the sale transaction (batch-aware FIFO, see lib/sales)
  */
 import prisma from '@/lib/prisma';
 import { withCashier, withManager, apiHandler } from '@/middleware/withAuth';
-import { paginate, paginationMeta, generateInvoiceNumber, parseDecimal } from '@/lib/utils';
+import { paginate, paginationMeta, parseDecimal } from '@/lib/utils';
+import { ApprovalRequiredError, sendApprovalRequired, resolveApproval } from '@/lib/approvals';
+import { validateSaleInput, recordSale, formatSale } from '@/lib/sales';
 
 /**
  * GET /api/sales
  * List sales with filters
+ * Query: search (OR/invoice number, sale number or customer name), invoiceNumber (exact), terminalId,
+ * startDate, endDate, customerId, cashierId, paymentStatus, page, pageSize
  */
 async function getSales(req, res) {
-  const { page, pageSize, startDate, endDate, customerId, cashierId, paymentStatus } = req.query;
+  const { page, pageSize, startDate, endDate, customerId, cashierId, paymentStatus, search, invoiceNumber, terminalId } = req.query;
   const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
   
   try {
@@ -28,6 +32,18 @@ async function getSales(req, res) {
     if (customerId) where.customer_id = parseInt(customerId);
     if (cashierId) where.employee_id = parseInt(cashierId);
     if (paymentStatus) where.sale_status = paymentStatus;
+    if (terminalId) where.terminal_id = parseInt(terminalId);
+    if (invoiceNumber) where.invoice_number = String(invoiceNumber).trim();
+
+    if (search && String(search).trim()) {
+      const term = String(search).trim();
+      const saleNumber = parseInt(term.replace(/^SALE-/i, ''));
+      where.OR = [
+        { invoice_number: { contains: term, mode: 'insensitive' } },
+        { customers: { customer_name: { contains: term, mode: 'insensitive' } } },
+        ...(/^(SALE-)?\d+$/i.test(term) ? [{ sale_id: saleNumber }] : [])
+      ];
+    }
     
     const [sales, total] = await Promise.all([
       prisma.sales.findMany({
@@ -42,6 +58,9 @@ async function getSales(req, res) {
           employees: {
             select: { employee_id: true, employee_name: true }
           },
+          pos_terminals: {
+            select: { terminal_id: true, terminal_code: true, terminal_name: true }
+          },
           sale_details: {
             include: {
               products: {
@@ -59,10 +78,19 @@ async function getSales(req, res) {
       ...sale,
       total_amount: parseDecimal(sale.total_amount),
       amount_paid: parseDecimal(sale.amount_paid),
+      subtotal: parseDecimal(sale.subtotal),
+      discount_value: parseDecimal(sale.discount_value),
+      discount_amount: parseDecimal(sale.discount_amount),
+      tax_rate: parseDecimal(sale.tax_rate),
+      tax_amount: parseDecimal(sale.tax_amount),
       sale_details: sale.sale_details.map(detail => ({
         ...detail,
+        unit_quantity: detail.unit_quantity === null ? null : parseDecimal(detail.unit_quantity),
+        list_price: detail.list_price === null ? null : parseDecimal(detail.list_price),
         unit_price: parseDecimal(detail.unit_price),
-        discount: parseDecimal(detail.discount)
+        discount: parseDecimal(detail.discount),
+        unit_cost: parseDecimal(detail.unit_cost),
+        cost_amount: parseDecimal(detail.cost_amount)
       }))
     }));
     
@@ -82,235 +110,35 @@ async function getSales(req, res) {
 
 /**
  * POST /api/sales
- * Create a new sale (POS transaction)
- * Stock validation happens at DB level via triggers
+ * Create a new sale (POS transaction); see recordSale in lib/sales for pricing, promotions and stock.
+ * Price changes and discounts beyond the cashier's role rule and credit beyond the customer's limit
+ * need approval: { username, password, reason } or { pin, reason } of a manager.
+ * clientReference (optional) is the POS's key for the sale, so a sale whose response was lost
+ * is reported as a duplicate when the POS later syncs it from its offline queue
  */
 async function createSale(req, res) {
-  const {
-    customerId,
-    processType,
-    delivery,
-    items, // Array of { productId, quantity, unitPrice, discount }
-    discount = 0,
-    tax = 0,
-    amountPaid,
-    paymentMethod, // CASH, CREDIT, MIXED
-    notes
-  } = req.body;
-  
-  // Validate items
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'At least one item is required'
-    });
-  }
+  const { approval, clientReference } = req.body;
   
   try {
-    // Use transaction to ensure ACID compliance
-    const result = await prisma.$transaction(async (tx) => {
-      // Calculate totals
-      let subtotal = 0;
-      const saleDetails = [];
-      
-      for (const item of items) {
-        // Get product info to verify pricing
-        const product = await tx.products.findUnique({
-          where: { product_id: item.productId },
-          include: {
-            inventory: {
-              where: { is_active: true, current_stock: { gt: 0 } },
-              orderBy: { expiration_date: 'asc' }
-            }
-          }
-        });
-        
-        if (!product) {
-          throw new Error(`Product ${item.productId} not found`);
-        }
-        
-        // Calculate total available stock
-        const totalStock = product.inventory.reduce((sum, inv) => sum + inv.current_stock, 0);
-        
-        if (totalStock < item.quantity) {
-          throw new Error(`Insufficient stock for ${product.product_name}. Available: ${totalStock}, Requested: ${item.quantity}`);
-        }
-        
-        const unitPrice = item.unitPrice || parseDecimal(product.unit_price);
-        const itemDiscount = item.discount || 0;
-        const itemSubtotal = (item.quantity * unitPrice) - itemDiscount;
-        
-        subtotal += itemSubtotal;
-        
-        saleDetails.push({
-          product_id: item.productId,
-          quantity: item.quantity,
-          unit_price: unitPrice,
-          discount: itemDiscount
-        });
-        
-        // Deduct from inventory (FIFO - first expiring first)
-        let remainingQty = item.quantity;
-        for (const inv of product.inventory) {
-          if (remainingQty <= 0) break;
-          
-          const deductQty = Math.min(remainingQty, inv.current_stock);
-          await tx.inventory.update({
-            where: { inventory_id: inv.inventory_id },
-            data: { current_stock: inv.current_stock - deductQty }
-          });
-          remainingQty -= deductQty;
-        }
-      }
-      
-      const totalAmount = subtotal;
-      const paidAmount = amountPaid || totalAmount;
-      
-      // Determine sale status
-      let saleStatus = 'PAID';
-      if (paidAmount < totalAmount) {
-        saleStatus = paidAmount > 0 ? 'PARTIAL' : 'UNPAID';
-      }
-      
-      // Create the sale
-      const sale = await tx.sales.create({
-        data: {
-          sale_date: new Date(),
-          process_type: processType || 'Walk-in',
-          customer_id: customerId || null,
-          employee_id: null,
-          remarks: notes || null,
-          total_amount: totalAmount,
-          amount_paid: paidAmount,
-          payment_method: paymentMethod || 'CASH',
-          sale_status: saleStatus,
-          sale_details: {
-            create: saleDetails
-          }
-        },
-        include: {
-          sale_details: {
-            include: {
-              products: {
-                select: { product_id: true, product_name: true, product_code: true, unit: true }
-              }
-            }
-          },
-          customers: true,
-          delivery: true,
-          employees: {
-            select: { employee_id: true, employee_name: true }
-          }
-        }
-      });
+    validateSaleInput(req.body);
+    const approver = await resolveApproval(req.user, approval);
 
-      if (delivery && delivery.address) {
-        await tx.delivery.create({
-          data: {
-            sale_id: sale.sale_id,
-            delivery_date: delivery.date ? new Date(delivery.date) : new Date(),
-            delivery_address: delivery.address,
-            delivery_status: delivery.status || 'PENDING'
-          }
-        });
-      }
-
-      const saleWithDelivery = await tx.sales.findUnique({
-        where: { sale_id: sale.sale_id },
-        include: {
-          sale_details: {
-            include: {
-              products: {
-                select: { product_id: true, product_name: true, product_code: true, unit: true }
-              }
-            }
-          },
-          customers: true,
-          delivery: true,
-          employees: {
-            select: { employee_id: true, employee_name: true }
-          }
-        }
-      });
-      
-      // Log stock movements
-      for (const detail of saleDetails) {
-        await tx.stock_log.create({
-          data: {
-            product_id: detail.product_id,
-            change_type: 'SALE',
-            quantity: -detail.quantity,
-            reason: `Sale #${sale.sale_id}`,
-            log_date: new Date(),
-            employee_id: null
-          }
-        });
-      }
-      
-      // If customer exists and has outstanding balance (credit sale)
-      if (customerId && saleStatus !== 'PAID') {
-        const creditAmount = totalAmount - paidAmount;
-        
-        // Update customer credit balance
-        await tx.customers.update({
-          where: { customer_id: customerId },
-          data: {
-            credit_balance: {
-              increment: creditAmount
-            }
-          }
-        });
-        
-        // Create ledger entry
-        await tx.account_ledger.create({
-          data: {
-            account_type: 'customer',
-            account_id: customerId,
-            reference_type: 'SALE',
-            reference_id: sale.sale_id,
-            debit: creditAmount,
-            credit: 0
-          }
-        });
-      }
-      
-      // Create transaction record
-      await tx.agrivet_transactions.create({
-        data: {
-          ref_id: String(sale.sale_id),
-          transaction_date: new Date(),
-          transaction_type: 'SALE',
-          account_name: customerId ? `Customer #${customerId}` : 'Walk-in',
-          amount: totalAmount,
-          remarks: notes ? `Sale #${sale.sale_id} - ${notes}` : `Sale #${sale.sale_id}`
-        }
-      });
-      
-      return saleWithDelivery;
-    });
-    
-    // Format response
-    const formattedSale = {
-      ...result,
-      handled_by: {
-        username: req.user?.username || null,
-        full_name: req.user?.fullName || null,
-        role: req.user?.role || null
-      },
-      total_amount: parseDecimal(result.total_amount),
-      amount_paid: parseDecimal(result.amount_paid),
-      sale_details: result.sale_details.map(detail => ({
-        ...detail,
-        unit_price: parseDecimal(detail.unit_price),
-        discount: parseDecimal(detail.discount)
-      }))
-    };
+    // Use transaction to ensure ACID compliance
+    const result = await prisma.$transaction(async (tx) => recordSale(tx, {
+      user: req.user,
+      input: req.body,
+      approver,
+      clientReference: clientReference ? String(clientReference).trim().slice(0, 64) : null
+    }));
     
     return res.status(201).json({
       success: true,
-      sale: formattedSale
+      sale: formatSale(result, req.user)
     });
   } catch (error) {
+    if (error instanceof ApprovalRequiredError) {
+      return sendApprovalRequired(res, error);
+    }
     console.error('Create sale error:', error);
     return res.status(400).json({
       success: false,
@@ -321,5 +149,5 @@ async function createSale(req, res) {
 
 export default apiHandler({
   GET: withCashier(getSales),
-  POST: withCashier(createSale)
+  POST: withCashier(createSale, { idempotent: true })
 });
@@ -0,0 +1,137 @@
+/**
+ * Single Offline Sale Conflict API Route
+ * A manager posts a held offline sale (after fixing stock) or dismisses it
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { validateSaleInput, recordSale, OFFLINE_CONFLICT_INCLUDE, formatOfflineConflict } from '@/lib/sales';
+
+/**
+ * POST /api/sales/offline-conflicts/[id]
+ * Body: { action: POST | DISMISS, note }
+ * POST records the sale as rung up, in the cashier's name, with the manager approving any override.
+ * If it still fails (e.g. stock has not been corrected yet) the conflict stays PENDING with the new error.
+ */
+async function resolveConflict(req, res) {
+  const { id } = req.query;
+  const { action, note } = req.body;
+
+  if (!['POST', 'DISMISS'].includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: 'action must be POST or DISMISS'
+    });
+  }
+
+  try {
+    const conflict = await prisma.offline_sale_conflicts.findUnique({
+      where: { conflict_id: parseInt(id) },
+      include: { submitter: { include: { users: true } } }
+    });
+
+    if (!conflict) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offline sale conflict not found'
+      });
+    }
+
+    if (conflict.status !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        error: `This offline sale was already ${conflict.status.toLowerCase()}`
+      });
+    }
+
+    const reviewerId = await getEmployeeId(req.user);
+    const reviewNote = note?.trim() || null;
+
+    if (action === 'DISMISS') {
+      if (!reviewNote) {
+        return res.status(400).json({
+          success: false,
+          error: 'A note is required to dismiss an offline sale'
+        });
+      }
+
+      const dismissed = await prisma.offline_sale_conflicts.update({
+        where: { conflict_id: conflict.conflict_id },
+        data: { status: 'DISMISSED', reviewed_by: reviewerId, review_note: reviewNote, reviewed_at: new Date() },
+        include: OFFLINE_CONFLICT_INCLUDE
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Offline sale dismissed',
+        conflict: formatOfflineConflict(dismissed)
+      });
+    }
+
+    const cashier = conflict.submitter?.users;
+    const seller = cashier
+      ? { userId: cashier.user_id, username: cashier.username, role: cashier.role, fullName: cashier.full_name }
+      : req.user;
+
+    try {
+      validateSaleInput(conflict.payload);
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const sale = await recordSale(tx, {
+          user: seller,
+          input: conflict.payload,
+          approver: {
+            employeeId: reviewerId,
+            name: req.user.fullName || req.user.username,
+            reason: reviewNote || conflict.payload.approval?.reason || 'Offline sale reviewed'
+          },
+          soldAt: conflict.sold_at,
+          clientReference: conflict.client_reference
+        });
+
+        return tx.offline_sale_conflicts.update({
+          where: { conflict_id: conflict.conflict_id },
+          data: {
+            status: 'POSTED',
+            sale_id: sale.sale_id,
+            reviewed_by: reviewerId,
+            review_note: reviewNote,
+            reviewed_at: new Date()
+          },
+          include: OFFLINE_CONFLICT_INCLUDE
+        });
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Offline sale posted as sale #${updated.sale_id}`,
+        conflict: formatOfflineConflict(updated)
+      });
+    } catch (error) {
+      await prisma.offline_sale_conflicts.update({
+        where: { conflict_id: conflict.conflict_id },
+        data: {
+          error: String(error.message || 'Failed to record sale').slice(0, 500),
+          error_code: error.code || null,
+          details: error.details || undefined
+        }
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to post offline sale',
+        code: error.code || null
+      });
+    }
+  } catch (error) {
+    console.error('Resolve offline conflict error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resolve offline sale conflict'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(resolveConflict)
+});
@@ -0,0 +1,48 @@
+/**
+ * Offline Sale Conflicts API Route
+ * Offline sales the sync could not record, waiting for a manager
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta } from '@/lib/utils';
+import { OFFLINE_CONFLICT_INCLUDE, formatOfflineConflict } from '@/lib/sales';
+
+/**
+ * GET /api/sales/offline-conflicts
+ * Query: status (PENDING, POSTED, DISMISSED; default PENDING), page, pageSize
+ */
+async function getConflicts(req, res) {
+  const { page, pageSize, status = 'PENDING' } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    const where = status === 'ALL' ? {} : { status };
+
+    const [conflicts, total] = await Promise.all([
+      prisma.offline_sale_conflicts.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { sold_at: 'asc' },
+        include: OFFLINE_CONFLICT_INCLUDE
+      }),
+      prisma.offline_sale_conflicts.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      conflicts: conflicts.map(formatOfflineConflict),
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get offline conflicts error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch offline sale conflicts'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getConflicts)
+});
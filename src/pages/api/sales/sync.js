@@ -0,0 +1,164 @@
+/**
+ * Offline Sale Sync API Route
+ * Uploads sales the POS queued while it had no connection
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { resolveApproval } from '@/lib/approvals';
+import { validateSaleInput, recordSale, formatSale, offlineSalePayload } from '@/lib/sales';
+
+const MAX_SALES_PER_SYNC = 100;
+
+/**
+ * Hold an offline sale for manager review.
+ * When an overlapping sync already held it, that conflict is returned instead.
+ * @param {Object} data - offline_sale_conflicts row
+ * @returns {Promise<Object>} The conflict row
+ */
+async function holdConflict(data) {
+  try {
+    return await prisma.offline_sale_conflicts.create({ data });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    return prisma.offline_sale_conflicts.findUnique({
+      where: { client_reference: data.client_reference }
+    });
+  }
+}
+
+/**
+ * POST /api/sales/sync
+ * Body: { sales: [{ clientReference, soldAt, totalAmount, sale: { ...POST /api/sales body } }] } in the order they were rung up
+ * Each sale is recorded in its own transaction. Per sale the result is SYNCED (with the sale), DUPLICATE
+ * (already uploaded), CONFLICT (held for manager review, e.g. stock ran out) or REJECTED (malformed entry).
+ */
+async function syncSales(req, res) {
+  const { sales } = req.body;
+
+  if (!Array.isArray(sales) || sales.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'sales must be a non-empty array'
+    });
+  }
+
+  if (sales.length > MAX_SALES_PER_SYNC) {
+    return res.status(400).json({
+      success: false,
+      error: `Send at most ${MAX_SALES_PER_SYNC} sales per sync`
+    });
+  }
+
+  try {
+    const employeeId = await getEmployeeId(req.user);
+    const results = [];
+
+    for (const entry of sales) {
+      const clientReference = String(entry?.clientReference || '').trim();
+      const soldAt = entry?.soldAt ? new Date(entry.soldAt) : null;
+
+      if (!clientReference || clientReference.length > 64 || !soldAt || isNaN(soldAt.getTime()) || !entry.sale) {
+        results.push({
+          client_reference: clientReference || null,
+          status: 'REJECTED',
+          error: 'Each sale needs a clientReference (up to 64 characters), a valid soldAt and the sale'
+        });
+        continue;
+      }
+
+      const existing = await prisma.sales.findUnique({
+        where: { client_reference: clientReference },
+        select: { sale_id: true }
+      });
+      if (existing) {
+        results.push({ client_reference: clientReference, status: 'DUPLICATE', sale_id: existing.sale_id });
+        continue;
+      }
+
+      const held = await prisma.offline_sale_conflicts.findUnique({
+        where: { client_reference: clientReference }
+      });
+      if (held) {
+        results.push({
+          client_reference: clientReference,
+          status: 'CONFLICT',
+          conflict_id: held.conflict_id,
+          code: held.error_code,
+          error: held.error
+        });
+        continue;
+      }
+
+      try {
+        validateSaleInput(entry.sale);
+        const approver = await resolveApproval(req.user, entry.sale.approval);
+        const sale = await prisma.$transaction(async (tx) => recordSale(tx, {
+          user: req.user,
+          input: entry.sale,
+          approver,
+          soldAt,
+          clientReference
+        }));
+
+        results.push({ client_reference: clientReference, status: 'SYNCED', sale: formatSale(sale, req.user) });
+      } catch (error) {
+        // An overlapping sync of the same queue (a retry, another tab) recorded it first
+        if (error.code === 'P2002') {
+          const recorded = await prisma.sales.findUnique({
+            where: { client_reference: clientReference },
+            select: { sale_id: true }
+          });
+          if (recorded) {
+            results.push({ client_reference: clientReference, status: 'DUPLICATE', sale_id: recorded.sale_id });
+            continue;
+          }
+        }
+
+        // The goods have already left the store, so nothing is dropped: a manager decides
+        const conflict = await holdConflict({
+          client_reference: clientReference,
+          sold_at: soldAt,
+          payload: offlineSalePayload(entry.sale),
+          total_amount: entry.totalAmount === undefined ? null : parseDecimal(entry.totalAmount),
+          error: String(error.message || 'Failed to record sale').slice(0, 500),
+          error_code: error.code || null,
+          details: error.details || undefined,
+          submitted_by: employeeId
+        });
+
+        results.push({
+          client_reference: clientReference,
+          status: 'CONFLICT',
+          conflict_id: conflict.conflict_id,
+          code: conflict.error_code,
+          error: conflict.error
+        });
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    return res.status(200).json({
+      success: true,
+      results,
+      summary: {
+        synced: count('SYNCED'),
+        duplicate: count('DUPLICATE'),
+        conflict: count('CONFLICT'),
+        rejected: count('REJECTED')
+      }
+    });
+  } catch (error) {
+    console.error('Sync sales error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to sync sales'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(syncSales)
+});
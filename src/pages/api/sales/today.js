@@ -5,6 +5,7 @@
 import prisma from '@/lib/prisma';
 import { withCashier, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { summarizeTenders } from '@/lib/payments';
 
 async function getTodaySales(req, res) {
   const { cashierId } = req.query;
@@ -33,20 +34,21 @@ async function getTodaySales(req, res) {
         },
         sale_details: {
           select: { quantity: true }
+        },
+        sale_payments: {
+          select: { tender_type: true, amount: true }
         }
       }
     });
     
-    // Calculate summary
+    // Calculate summary from the tender lines
+    const byTender = summarizeTenders(sales);
     const summary = {
       totalSales: sales.length,
       totalRevenue: sales.reduce((sum, s) => sum + parseDecimal(s.total_amount), 0),
-      totalCash: sales
-        .filter(s => s.payment_method === 'CASH')
-        .reduce((sum, s) => sum + parseDecimal(s.amount_paid), 0),
-      totalCredit: sales
-        .filter(s => s.payment_method === 'CREDIT' || s.sale_status !== 'PAID')
-        .reduce((sum, s) => sum + (parseDecimal(s.total_amount) - parseDecimal(s.amount_paid)), 0),
+      totalCash: byTender.CASH?.amount || 0,
+      totalCredit: byTender.STORE_CREDIT?.amount || 0,
+      byTender,
       totalItems: sales.reduce((sum, s) => 
         sum + s.sale_details.reduce((itemSum, d) => itemSum + d.quantity, 0), 0
       )
@@ -57,6 +59,7 @@ async function getTodaySales(req, res) {
       summary,
       recentSales: sales.slice(0, 10).map(s => ({
         sale_id: s.sale_id,
+        invoice_number: s.invoice_number,
         customer_name: s.customers?.customer_name || 'Walk-in',
         total_amount: parseDecimal(s.total_amount),
         payment_method: s.payment_method,
@@ -0,0 +1,45 @@
+/**
+ * Single Shift API Route
+ * X report for an open shift, Z report for a closed one
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { buildShiftReport } from '@/lib/shifts';
+
+/**
+ * GET /api/shifts/[id]
+ * Get the shift report
+ */
+async function getShift(req, res) {
+  const { id } = req.query;
+
+  try {
+    const shift = await prisma.shifts.findUnique({
+      where: { shift_id: parseInt(id) }
+    });
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const report = await buildShiftReport(shift);
+
+    return res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getShift)
+});
@@ -0,0 +1,88 @@
+/**
+ * Close Shift API Route
+ * End a cashier shift with a cash count and produce the Z report
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { hasPermission } from '@/lib/auth';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift, buildShiftReport } from '@/lib/shifts';
+
+/**
+ * POST /api/shifts/close
+ * Close the logged-in user's shift
+ * Managers may close another cashier's shift by passing shiftId
+ */
+async function closeShift(req, res) {
+  const { countedCash, shiftId, remarks } = req.body;
+  const counted = parseFloat(countedCash);
+
+  if (countedCash === undefined || countedCash === null || countedCash === '' || !Number.isFinite(counted) || counted < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Counted cash amount is required'
+    });
+  }
+
+  if (shiftId && !hasPermission(req.user.role, 'MANAGER')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only managers can close another cashier\'s shift'
+    });
+  }
+
+  try {
+    const report = await prisma.$transaction(async (tx) => {
+      let shift;
+      if (shiftId) {
+        shift = await tx.shifts.findUnique({
+          where: { shift_id: parseInt(shiftId) }
+        });
+        if (!shift) {
+          throw new Error('Shift not found');
+        }
+        if (shift.status !== 'OPEN') {
+          throw new Error(`Shift #${shift.shift_id} is already closed`);
+        }
+      } else {
+        const employeeId = await getEmployeeId(req.user, tx);
+        shift = await getOpenShift(employeeId, tx);
+        if (!shift) {
+          throw new Error('You have no open shift');
+        }
+      }
+
+      const running = await buildShiftReport(shift, tx);
+
+      const closedShift = await tx.shifts.update({
+        where: { shift_id: shift.shift_id },
+        data: {
+          status: 'CLOSED',
+          closed_at: new Date(),
+          expected_cash: running.expected_cash,
+          counted_cash: counted,
+          over_short: counted - running.expected_cash,
+          remarks: remarks ? `${shift.remarks || ''}\n${remarks}`.trim() : shift.remarks
+        }
+      });
+
+      return buildShiftReport(closedShift, tx);
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Shift #${report.shift_id} closed`,
+      report
+    });
+  } catch (error) {
+    console.error('Close shift error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to close shift'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(closeShift)
+});
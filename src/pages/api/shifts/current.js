@@ -0,0 +1,48 @@
+/**
+ * Current Shift API Route
+ * Open shift of the logged-in user with its running X report
+ */
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift, buildShiftReport } from '@/lib/shifts';
+
+/**
+ * GET /api/shifts/current
+ * Returns shift: null when the user has no open shift
+ */
+async function getCurrentShift(req, res) {
+  try {
+    const employeeId = await getEmployeeId(req.user);
+    const shift = await getOpenShift(employeeId);
+
+    if (!shift) {
+      return res.status(200).json({
+        success: true,
+        shift: null,
+        report: null
+      });
+    }
+
+    const report = await buildShiftReport(shift);
+
+    return res.status(200).json({
+      success: true,
+      shift: {
+        ...shift,
+        opening_float: parseDecimal(shift.opening_float)
+      },
+      report
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch current shift'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(getCurrentShift)
+});
@@ -0,0 +1,72 @@
+/**
+ * Shifts API Routes
+ * Shift history for managers
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta, parseDecimal } from '@/lib/utils';
+
+/**
+ * GET /api/shifts
+ * List shifts with filters
+ */
+async function getShifts(req, res) {
+  const { page, pageSize, status, employeeId, startDate, endDate } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    const where = {};
+
+    if (status) where.status = status;
+    if (employeeId) where.employee_id = parseInt(employeeId);
+
+    if (startDate || endDate) {
+      where.opened_at = {};
+      if (startDate) where.opened_at.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.opened_at.lte = end;
+      }
+    }
+
+    const [shifts, total] = await Promise.all([
+      prisma.shifts.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { opened_at: 'desc' },
+        include: {
+          employees: {
+            select: { employee_id: true, employee_name: true }
+          }
+        }
+      }),
+      prisma.shifts.count({ where })
+    ]);
+
+    const formattedShifts = shifts.map(shift => ({
+      ...shift,
+      opening_float: parseDecimal(shift.opening_float),
+      expected_cash: shift.expected_cash === null ? null : parseDecimal(shift.expected_cash),
+      counted_cash: shift.counted_cash === null ? null : parseDecimal(shift.counted_cash),
+      over_short: shift.over_short === null ? null : parseDecimal(shift.over_short)
+    }));
+
+    return res.status(200).json({
+      success: true,
+      shifts: formattedShifts,
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withManager(getShifts)
+});
@@ -0,0 +1,67 @@
+/**
+ * Open Shift API Route
+ * Start a cashier shift with an opening cash float
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift } from '@/lib/shifts';
+
+/**
+ * POST /api/shifts/open
+ * Open a shift for the logged-in user
+ */
+async function openShift(req, res) {
+  const { openingFloat, remarks } = req.body;
+  const floatAmount = parseFloat(openingFloat ?? 0);
+
+  if (!Number.isFinite(floatAmount) || floatAmount < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Opening float must be zero or a positive amount'
+    });
+  }
+
+  try {
+    const shift = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+
+      // Lock the employee so a double click or retry waits here and then sees the shift just opened
+      await tx.$queryRaw`SELECT employee_id FROM employees WHERE employee_id = ${employeeId} FOR UPDATE`;
+
+      const openShift = await getOpenShift(employeeId, tx);
+      if (openShift) {
+        throw new Error(`Shift #${openShift.shift_id} is still open. Close it before opening a new one.`);
+      }
+
+      return tx.shifts.create({
+        data: {
+          employee_id: employeeId,
+          opening_float: floatAmount,
+          status: 'OPEN',
+          remarks: remarks || null
+        }
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Shift #${shift.shift_id} opened`,
+      shift: {
+        ...shift,
+        opening_float: parseDecimal(shift.opening_float)
+      }
+    });
+  } catch (error) {
+    console.error('Open shift error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to open shift'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(openShift)
+});
@@ -0,0 +1,84 @@
+/**
+ * Shift Pay-out API Route
+ * Record cash taken out of the drawer during a shift
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { getOpenShift } from '@/lib/shifts';
+
+/**
+ * POST /api/shifts/payout
+ * Record a pay-out against the logged-in user's open shift
+ */
+async function recordPayout(req, res) {
+  const { amount, reason } = req.body;
+  const payoutAmount = parseFloat(amount);
+
+  if (!Number.isFinite(payoutAmount) || payoutAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid pay-out amount is required'
+    });
+  }
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Pay-out reason is required'
+    });
+  }
+
+  try {
+    const payout = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const shift = await getOpenShift(employeeId, tx);
+
+      if (!shift) {
+        throw new Error('Open a shift before recording pay-outs');
+      }
+
+      const created = await tx.shift_payouts.create({
+        data: {
+          shift_id: shift.shift_id,
+          amount: payoutAmount,
+          reason: reason.trim(),
+          employee_id: employeeId
+        }
+      });
+
+      await tx.agrivet_transactions.create({
+        data: {
+          ref_id: `PAYOUT-${created.payout_id}`,
+          transaction_date: new Date(),
+          transaction_type: 'PAYOUT',
+          account_name: `Shift #${shift.shift_id}`,
+          amount: payoutAmount,
+          remarks: reason.trim()
+        }
+      });
+
+      return created;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Pay-out recorded',
+      payout: {
+        ...payout,
+        amount: parseDecimal(payout.amount)
+      }
+    });
+  } catch (error) {
+    console.error('Shift pay-out error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to record pay-out'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withCashier(recordPayout, { idempotent: true })
+});
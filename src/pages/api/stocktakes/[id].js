@@ -0,0 +1,164 @@
+/**
+ * Single Stocktake API Routes
+ * View a stocktake with its variance report, enter counts and cancel
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { STOCKTAKE_INCLUDE, formatStocktake } from '@/lib/stocktakes';
+
+/**
+ * GET /api/stocktakes/[id]
+ * Stocktake with lines, variances and variance value summary
+ */
+async function getStocktake(req, res) {
+  const { id } = req.query;
+
+  try {
+    const stocktake = await prisma.stocktakes.findUnique({
+      where: { stocktake_id: parseInt(id) },
+      include: STOCKTAKE_INCLUDE
+    });
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stocktake not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      stocktake: formatStocktake(stocktake)
+    });
+  } catch (error) {
+    console.error('Get stocktake error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stocktake'
+    });
+  }
+}
+
+/**
+ * PUT /api/stocktakes/[id]
+ * Enter counted quantities; a null count marks the line as not counted.
+ * The batch's stock at this moment is kept with the count as the quantity it is compared against.
+ */
+async function updateCounts(req, res) {
+  const { id } = req.query;
+  const {
+    counts // Array of { lineId, countedQuantity }
+  } = req.body;
+
+  if (!counts || !Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one count is required'
+    });
+  }
+
+  try {
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const existing = await tx.stocktakes.findUnique({
+        where: { stocktake_id: parseInt(id) },
+        include: {
+          stocktake_lines: {
+            select: { stocktake_line_id: true, inventory: { select: { current_stock: true } } }
+          }
+        }
+      });
+
+      if (!existing) {
+        throw new Error('Stocktake not found');
+      }
+
+      if (existing.status !== 'OPEN') {
+        throw new Error(`Stocktake #${existing.stocktake_id} is ${existing.status} and can no longer be counted`);
+      }
+
+      for (const count of counts) {
+        const lineId = parseInt(count.lineId);
+        const line = existing.stocktake_lines.find(candidate => candidate.stocktake_line_id === lineId);
+        if (!line) {
+          throw new Error(`Line ${count.lineId} is not part of stocktake #${existing.stocktake_id}`);
+        }
+
+        let counted = null;
+        if (count.countedQuantity !== null && count.countedQuantity !== undefined && count.countedQuantity !== '') {
+          counted = parseInt(count.countedQuantity);
+          if (!Number.isInteger(counted) || counted < 0) {
+            throw new Error('Counted quantities must be zero or positive whole numbers');
+          }
+        }
+
+        await tx.stocktake_lines.update({
+          where: { stocktake_line_id: lineId },
+          data: {
+            counted_quantity: counted,
+            counted_stock: counted === null ? null : (line.inventory.current_stock || 0),
+            counted_by: counted === null ? null : employeeId,
+            counted_at: counted === null ? null : new Date()
+          }
+        });
+      }
+
+      return tx.stocktakes.findUnique({
+        where: { stocktake_id: existing.stocktake_id },
+        include: STOCKTAKE_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Counts saved',
+      stocktake: formatStocktake(stocktake)
+    });
+  } catch (error) {
+    console.error('Update stocktake counts error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to save counts'
+    });
+  }
+}
+
+/**
+ * DELETE /api/stocktakes/[id]
+ * Cancel an open stocktake without touching stock
+ */
+async function cancelStocktake(req, res) {
+  const { id } = req.query;
+
+  try {
+    const cancelled = await prisma.stocktakes.updateMany({
+      where: { stocktake_id: parseInt(id), status: 'OPEN' },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (cancelled.count === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open stocktakes can be cancelled'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Stocktake #${id} cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel stocktake error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel stocktake'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getStocktake),
+  PUT: withClerk(updateCounts),
+  DELETE: withManager(cancelStocktake)
+});
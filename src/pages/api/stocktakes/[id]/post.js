@@ -0,0 +1,114 @@
+/**
+ * Stocktake Posting API Route
+ * Apply counted variances to stock in one transaction
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { STOCKTAKE_INCLUDE, formatStocktake, lineVariance } from '@/lib/stocktakes';
+
+/**
+ * POST /api/stocktakes/[id]/post
+ * Post every counted line. Each batch moves by (counted - stock when counted), so sales and
+ * receipts made before the count are not counted again and those made after it are kept.
+ * Uncounted lines are left as they are.
+ */
+async function postStocktake(req, res) {
+  const { id } = req.query;
+
+  try {
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const existing = await tx.stocktakes.findUnique({
+        where: { stocktake_id: parseInt(id) },
+        include: STOCKTAKE_INCLUDE
+      });
+
+      if (!existing) {
+        throw new Error('Stocktake not found');
+      }
+
+      if (existing.status !== 'OPEN') {
+        throw new Error(`Stocktake #${existing.stocktake_id} is already ${existing.status}`);
+      }
+
+      const counted = existing.stocktake_lines.filter(line => line.counted_quantity !== null);
+      if (counted.length === 0) {
+        throw new Error('Enter at least one count before posting');
+      }
+
+      // Claim the stocktake so it cannot be posted twice
+      const claimed = await tx.stocktakes.updateMany({
+        where: { stocktake_id: existing.stocktake_id, status: 'OPEN' },
+        data: {
+          status: 'POSTED',
+          posted_by: employeeId,
+          posted_at: new Date()
+        }
+      });
+
+      if (claimed.count === 0) {
+        throw new Error(`Stocktake #${existing.stocktake_id} was posted or cancelled by someone else`);
+      }
+
+      for (const line of counted) {
+        const { variance } = lineVariance(line);
+        if (variance === 0) continue;
+
+        const batch = await tx.inventory.findUnique({
+          where: { inventory_id: line.inventory_id },
+          select: { current_stock: true }
+        });
+
+        const newStock = (batch?.current_stock || 0) + variance;
+        if (newStock < 0) {
+          throw new Error(`${line.products.product_name}: posting a variance of ${variance} would leave ${newStock} in stock. Recount this batch.`);
+        }
+
+        // Only from the stock read, so a sale committed meanwhile is not overwritten
+        const { count } = await tx.inventory.updateMany({
+          where: { inventory_id: line.inventory_id, current_stock: batch?.current_stock ?? 0 },
+          data: { current_stock: newStock }
+        });
+        if (count === 0) {
+          throw new Error(`${line.products.product_name}: the batch changed while the stocktake was being posted; post it again`);
+        }
+
+        await tx.stock_log.create({
+          data: {
+            product_id: line.product_id,
+            inventory_id: line.inventory_id,
+            change_type: 'ADJUSTMENT',
+            quantity: variance,
+            reason: `Stocktake #${existing.stocktake_id}`,
+            log_date: new Date(),
+            employee_id: employeeId
+          }
+        });
+      }
+
+      return tx.stocktakes.findUnique({
+        where: { stocktake_id: existing.stocktake_id },
+        include: STOCKTAKE_INCLUDE
+      });
+    });
+
+    const formatted = formatStocktake(stocktake);
+
+    return res.status(200).json({
+      success: true,
+      message: `Stocktake #${stocktake.stocktake_id} posted: ${formatted.summary.variance_lines} batch(es) adjusted`,
+      stocktake: formatted
+    });
+  } catch (error) {
+    console.error('Post stocktake error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to post stocktake'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withManager(postStocktake)
+});
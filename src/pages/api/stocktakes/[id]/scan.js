@@ -0,0 +1,127 @@
+/**
+ * Stocktake Scan API Route
+ * Add scanned units to a stocktake count by barcode or product code
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { STOCKTAKE_INCLUDE, formatStocktake } from '@/lib/stocktakes';
+
+/**
+ * POST /api/stocktakes/[id]/scan
+ * Add units to the count of the scanned product.
+ * When the product has several batches in the stocktake, inventoryId picks the batch.
+ * The first scan of a batch records its stock as the quantity the count is compared against,
+ * so a batch should be scanned through before more of it is sold.
+ */
+async function scanItem(req, res) {
+  const { id } = req.query;
+  const { barcode, quantity = 1, inventoryId } = req.body;
+
+  const code = String(barcode || '').trim();
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Barcode is required'
+    });
+  }
+
+  const scanQty = parseInt(quantity);
+  if (!Number.isInteger(scanQty) || scanQty <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Quantity must be a positive whole number'
+    });
+  }
+
+  try {
+    const stocktake = await prisma.stocktakes.findUnique({
+      where: { stocktake_id: parseInt(id) },
+      select: { stocktake_id: true, status: true }
+    });
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stocktake not found'
+      });
+    }
+
+    if (stocktake.status !== 'OPEN') {
+      return res.status(400).json({
+        success: false,
+        error: `Stocktake #${stocktake.stocktake_id} is ${stocktake.status} and can no longer be counted`
+      });
+    }
+
+    const lines = await prisma.stocktake_lines.findMany({
+      where: {
+        stocktake_id: stocktake.stocktake_id,
+        products: {
+          OR: [{ barcode: code }, { product_code: code }]
+        },
+        ...(inventoryId && { inventory_id: parseInt(inventoryId) })
+      },
+      include: {
+        products: { select: { product_name: true } },
+        inventory: { select: { inventory_id: true, batch_number: true, expiration_date: true, location: true, current_stock: true } }
+      },
+      orderBy: { inventory_id: 'asc' }
+    });
+
+    if (lines.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No product with barcode ${code} in this stocktake`
+      });
+    }
+
+    // Several batches of the product: the client must choose one
+    if (lines.length > 1) {
+      return res.status(409).json({
+        success: false,
+        error: `${lines[0].products.product_name} has ${lines.length} batches in this stocktake. Choose the batch being counted.`,
+        requiresBatch: true,
+        batches: lines.map(line => ({
+          stocktake_line_id: line.stocktake_line_id,
+          ...line.inventory
+        }))
+      });
+    }
+
+    const line = lines[0];
+    const employeeId = await getEmployeeId(req.user);
+
+    await prisma.stocktake_lines.update({
+      where: { stocktake_line_id: line.stocktake_line_id },
+      data: {
+        counted_quantity: (line.counted_quantity || 0) + scanQty,
+        counted_stock: line.counted_quantity === null ? (line.inventory.current_stock || 0) : line.counted_stock,
+        counted_by: employeeId,
+        counted_at: new Date()
+      }
+    });
+
+    const updated = await prisma.stocktakes.findUnique({
+      where: { stocktake_id: stocktake.stocktake_id },
+      include: STOCKTAKE_INCLUDE
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${line.products.product_name}: counted ${(line.counted_quantity || 0) + scanQty}`,
+      stocktake_line_id: line.stocktake_line_id,
+      stocktake: formatStocktake(updated)
+    });
+  } catch (error) {
+    console.error('Stocktake scan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record scan'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withClerk(scanItem)
+});
@@ -0,0 +1,105 @@
+/**
+ * Stocktakes API Routes
+ * Stock count sessions for a category and/or location
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { STOCKTAKE_INCLUDE, freezeStocktakeLines, formatStocktake } from '@/lib/stocktakes';
+
+/**
+ * GET /api/stocktakes
+ * List stocktakes with line counts
+ */
+async function getStocktakes(req, res) {
+  const { page, pageSize, status } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    const where = {};
+    if (status) where.status = status;
+
+    const [stocktakes, total] = await Promise.all([
+      prisma.stocktakes.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { created_at: 'desc' },
+        include: {
+          creator: { select: { employee_id: true, employee_name: true } },
+          poster: { select: { employee_id: true, employee_name: true } },
+          _count: { select: { stocktake_lines: true } }
+        }
+      }),
+      prisma.stocktakes.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      stocktakes: stocktakes.map(({ _count, ...stocktake }) => ({
+        ...stocktake,
+        line_count: _count.stocktake_lines
+      })),
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stocktakes'
+    });
+  }
+}
+
+/**
+ * POST /api/stocktakes
+ * Start a stocktake and freeze the expected quantity of every batch in scope
+ */
+async function createStocktake(req, res) {
+  const { category, location, remarks } = req.body;
+
+  try {
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const lines = await freezeStocktakeLines(tx, {
+        category: category || null,
+        location: location || null
+      });
+
+      if (lines.length === 0) {
+        throw new Error('No active stock batches match this category and location');
+      }
+
+      return tx.stocktakes.create({
+        data: {
+          category: category || null,
+          location: location || null,
+          remarks: remarks || null,
+          created_by: employeeId,
+          stocktake_lines: {
+            create: lines
+          }
+        },
+        include: STOCKTAKE_INCLUDE
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Stocktake #${stocktake.stocktake_id} started with ${stocktake.stocktake_lines.length} batches`,
+      stocktake: formatStocktake(stocktake)
+    });
+  } catch (error) {
+    console.error('Create stocktake error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to start stocktake'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getStocktakes),
+  POST: withClerk(createStocktake)
+});
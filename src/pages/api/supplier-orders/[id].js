@@ -0,0 +1,211 @@
+/**
+ * Single Supplier Order API Routes
+ * View, edit and delete draft orders, and move orders through their statuses
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal } from '@/lib/utils';
+import {
+  SUPPLIER_ORDER_INCLUDE,
+  RECEIVABLE_STATUSES,
+  orderTotal,
+  formatSupplierOrder
+} from '@/lib/purchasing';
+import { formatBill } from '@/lib/payables';
+
+/**
+ * GET /api/supplier-orders/[id]
+ * Order with lines and the deliveries received against it
+ */
+async function getSupplierOrder(req, res) {
+  const { id } = req.query;
+
+  try {
+    const order = await prisma.supplier_orders.findUnique({
+      where: { supplier_order_id: parseInt(id) },
+      include: {
+        ...SUPPLIER_ORDER_INCLUDE,
+        supply: {
+          orderBy: { supply_id: 'asc' },
+          include: {
+            supply_details: true,
+            employees: {
+              select: { employee_id: true, employee_name: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier order not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      order: {
+        ...formatSupplierOrder(order),
+        supply: order.supply.map(s => ({
+          ...formatBill(s),
+          supply_details: s.supply_details.map(d => ({
+            ...d,
+            unit_cost: parseDecimal(d.unit_cost)
+          }))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get supplier order error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier order'
+    });
+  }
+}
+
+/**
+ * PUT /api/supplier-orders/[id]
+ * Edit a DRAFT order (lines, expected date, remarks), or change status:
+ * DRAFT -> SENT, SENT/PARTIALLY_RECEIVED -> CLOSED
+ */
+async function updateSupplierOrder(req, res) {
+  const { id } = req.query;
+  const { status, items, expectedDate, remarks } = req.body;
+
+  try {
+    const order = await prisma.$transaction(async (tx) => {
+      const existing = await tx.supplier_orders.findUnique({
+        where: { supplier_order_id: parseInt(id) },
+        include: { supplier_order_details: true }
+      });
+
+      if (!existing) {
+        throw new Error('Supplier order not found');
+      }
+
+      const data = { updated_at: new Date() };
+
+      if (items !== undefined || expectedDate !== undefined) {
+        if (existing.status !== 'DRAFT') {
+          throw new Error('Only DRAFT orders can be edited');
+        }
+      }
+
+      if (items !== undefined) {
+        if (!Array.isArray(items) || items.length === 0) {
+          throw new Error('At least one item is required');
+        }
+
+        const lines = items.map(item => {
+          const quantity = parseInt(item.quantity);
+          if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new Error('Order quantities must be positive whole numbers');
+          }
+          return {
+            product_id: parseInt(item.productId),
+            quantity_ordered: quantity,
+            unit_cost: parseDecimal(item.unitCost)
+          };
+        });
+
+        await tx.supplier_order_details.deleteMany({
+          where: { supplier_order_id: existing.supplier_order_id }
+        });
+        await tx.supplier_order_details.createMany({
+          data: lines.map(line => ({ ...line, supplier_order_id: existing.supplier_order_id }))
+        });
+        data.total_amount = orderTotal(lines);
+      }
+
+      if (expectedDate !== undefined) {
+        data.expected_date = expectedDate ? new Date(expectedDate) : null;
+      }
+
+      if (remarks !== undefined) {
+        data.remarks = remarks || null;
+      }
+
+      if (status && status !== existing.status) {
+        if (status === 'SENT' && existing.status !== 'DRAFT') {
+          throw new Error('Only DRAFT orders can be sent');
+        }
+        if (status === 'CLOSED' && !RECEIVABLE_STATUSES.includes(existing.status)) {
+          throw new Error('Only sent or partially received orders can be closed');
+        }
+        if (!['SENT', 'CLOSED'].includes(status)) {
+          throw new Error('Status can only be changed to SENT or CLOSED; receiving sets the other statuses');
+        }
+        data.status = status;
+      }
+
+      return tx.supplier_orders.update({
+        where: { supplier_order_id: existing.supplier_order_id },
+        data,
+        include: SUPPLIER_ORDER_INCLUDE
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Supplier order ${order.order_number} updated`,
+      order: formatSupplierOrder(order)
+    });
+  } catch (error) {
+    console.error('Update supplier order error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update supplier order'
+    });
+  }
+}
+
+/**
+ * DELETE /api/supplier-orders/[id]
+ * Delete a DRAFT order
+ */
+async function deleteSupplierOrder(req, res) {
+  const { id } = req.query;
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      const order = await tx.supplier_orders.findUnique({
+        where: { supplier_order_id: parseInt(id) }
+      });
+
+      if (!order) {
+        throw new Error('Supplier order not found');
+      }
+
+      if (order.status !== 'DRAFT') {
+        throw new Error('Only DRAFT orders can be deleted; close sent orders instead');
+      }
+
+      await tx.supplier_order_details.deleteMany({
+        where: { supplier_order_id: order.supplier_order_id }
+      });
+      await tx.supplier_orders.delete({
+        where: { supplier_order_id: order.supplier_order_id }
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Draft order deleted'
+    });
+  } catch (error) {
+    console.error('Delete supplier order error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to delete supplier order'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getSupplierOrder),
+  PUT: withClerk(updateSupplierOrder),
+  DELETE: withClerk(deleteSupplierOrder)
+});
@@ -0,0 +1,278 @@
+/**
+ * Supplier Order Receiving API Route
+ * Record a delivery against a supplier order
+ * Each delivery becomes a supply record, adds stock batches and increases the supplier payable
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import { ApprovalRequiredError, sendApprovalRequired, resolveApproval, recordAudit } from '@/lib/approvals';
+import { updateAverageCost } from '@/lib/costing';
+import { billData, postSupplierBill, formatBill } from '@/lib/payables';
+import {
+  SUPPLIER_ORDER_INCLUDE,
+  RECEIVABLE_STATUSES,
+  receivingStatus,
+  formatSupplierOrder
+} from '@/lib/purchasing';
+
+/**
+ * POST /api/supplier-orders/[id]/receive
+ * Receive goods for some or all order lines
+ * A line may be listed more than once when it arrives in several batches.
+ * Receiving more than the outstanding quantity needs manager approval: { username, password, reason }
+ * billNumber is the supplier's invoice number for the delivery, if given
+ */
+async function receiveSupplierOrder(req, res) {
+  const { id } = req.query;
+  const {
+    items, // Array of { detailId, quantity, batchNumber, expirationDate }
+    remarks,
+    billNumber,
+    approval // Manager override for over-receipt
+  } = req.body;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Items to receive are required'
+    });
+  }
+
+  try {
+    const approver = await resolveApproval(req.user, approval);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+      const order = await tx.supplier_orders.findUnique({
+        where: { supplier_order_id: parseInt(id) },
+        include: {
+          suppliers: true,
+          supplier_order_details: {
+            include: { products: { select: { product_name: true } } }
+          }
+        }
+      });
+
+      if (!order) {
+        throw new Error('Supplier order not found');
+      }
+
+      if (!RECEIVABLE_STATUSES.includes(order.status)) {
+        throw new Error(`Cannot receive against a ${order.status} order`);
+      }
+
+      // Validate each batch and total what arrives per order line
+      const receiptLines = [];
+      const receivingByLine = new Map();
+      for (const item of items) {
+        const detail = order.supplier_order_details.find(d => d.supplier_order_detail_id === parseInt(item.detailId));
+
+        if (!detail) {
+          throw new Error(`Order line ${item.detailId} not found on ${order.order_number}`);
+        }
+
+        if (item.quantity === undefined || item.quantity === null || item.quantity === '') continue;
+
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          throw new Error(`Received quantity for ${detail.products?.product_name || 'item'} must be a whole number`);
+        }
+        if (quantity === 0) continue;
+
+        let expirationDate = null;
+        if (item.expirationDate) {
+          expirationDate = new Date(item.expirationDate);
+          if (Number.isNaN(expirationDate.getTime())) {
+            throw new Error(`Invalid expiry date for ${detail.products?.product_name || 'item'}`);
+          }
+        }
+
+        receiptLines.push({
+          detail,
+          quantity,
+          batchNumber: item.batchNumber?.trim() || null,
+          expirationDate
+        });
+        receivingByLine.set(
+          detail.supplier_order_detail_id,
+          (receivingByLine.get(detail.supplier_order_detail_id) || 0) + quantity
+        );
+      }
+
+      if (receiptLines.length === 0) {
+        throw new Error('Enter a quantity for at least one line');
+      }
+
+      // Anything above the outstanding quantity is an over-receipt
+      const overReceipts = [];
+      for (const detail of order.supplier_order_details) {
+        const receiving = receivingByLine.get(detail.supplier_order_detail_id) || 0;
+        const outstanding = Math.max(0, detail.quantity_ordered - detail.quantity_received);
+        if (receiving > outstanding) {
+          overReceipts.push({
+            supplier_order_detail_id: detail.supplier_order_detail_id,
+            product_id: detail.product_id,
+            product_name: detail.products?.product_name || null,
+            quantity_ordered: detail.quantity_ordered,
+            quantity_received: detail.quantity_received,
+            receiving,
+            excess: receiving - outstanding
+          });
+        }
+      }
+
+      if (overReceipts.length > 0 && !approver) {
+        const summary = overReceipts.map(line => `${line.product_name || `line ${line.supplier_order_detail_id}`} (+${line.excess})`).join(', ');
+        throw new ApprovalRequiredError(
+          `Receiving more than ordered on ${order.order_number}: ${summary}`,
+          'OVER_RECEIPT',
+          { lines: overReceipts }
+        );
+      }
+
+      const total = roundCurrency(receiptLines.reduce(
+        (sum, line) => sum + line.quantity * parseDecimal(line.detail.unit_cost), 0
+      ));
+
+      const supplyDate = new Date();
+      const supply = await tx.supply.create({
+        data: {
+          supplier_id: order.supplier_id,
+          supplier_order_id: order.supplier_order_id,
+          employee_id: employeeId,
+          supply_date: supplyDate,
+          total,
+          ...billData(order.suppliers, { supplyDate, total, billNumber })
+        }
+      });
+
+      for (const { detail, quantity, batchNumber, expirationDate } of receiptLines) {
+        await updateAverageCost(tx, detail.product_id, quantity, parseDecimal(detail.unit_cost));
+
+        // Top up a matching batch at the same cost, otherwise the delivery becomes a new batch
+        const existingBatch = batchNumber
+          ? await tx.inventory.findFirst({
+            where: {
+              product_id: detail.product_id,
+              batch_number: batchNumber,
+              expiration_date: expirationDate,
+              unit_cost: detail.unit_cost,
+              is_active: true
+            }
+          })
+          : null;
+
+        const batch = existingBatch
+          ? await tx.inventory.update({
+            where: { inventory_id: existingBatch.inventory_id },
+            data: { current_stock: { increment: quantity } }
+          })
+          : await tx.inventory.create({
+            data: {
+              product_id: detail.product_id,
+              current_stock: quantity,
+              batch_number: batchNumber,
+              expiration_date: expirationDate,
+              unit_cost: detail.unit_cost,
+              is_active: true
+            }
+          });
+
+        // Linked to its batch so a void takes back these units at this cost
+        await tx.supply_details.create({
+          data: {
+            supply_id: supply.supply_id,
+            product_id: detail.product_id,
+            unit_quantity: quantity,
+            unit_cost: detail.unit_cost,
+            batch_number: batchNumber,
+            expiration_date: expirationDate,
+            inventory_id: batch.inventory_id
+          }
+        });
+
+        await tx.stock_log.create({
+          data: {
+            product_id: detail.product_id,
+            change_type: 'PURCHASE',
+            quantity,
+            reason: `Received on ${order.order_number} (supply #${supply.supply_id})${batchNumber ? ` batch ${batchNumber}` : ''}`,
+            log_date: new Date(),
+            employee_id: employeeId
+          }
+        });
+      }
+
+      // Only from the quantities read, so a concurrent receipt cannot slip past the over-receipt check
+      for (const detail of order.supplier_order_details) {
+        const receiving = receivingByLine.get(detail.supplier_order_detail_id);
+        if (!receiving) continue;
+
+        const { count } = await tx.supplier_order_details.updateMany({
+          where: {
+            supplier_order_detail_id: detail.supplier_order_detail_id,
+            quantity_received: detail.quantity_received
+          },
+          data: { quantity_received: detail.quantity_received + receiving }
+        });
+        if (count === 0) {
+          throw new Error(`${order.order_number} was received by someone else meanwhile; reload and try again`);
+        }
+      }
+
+      // Amount owed to the supplier
+      await postSupplierBill(tx, supply);
+
+      if (overReceipts.length > 0) {
+        await recordAudit(tx, {
+          action: 'OVER_RECEIPT',
+          entityType: 'supplier_orders',
+          entityId: order.supplier_order_id,
+          reason: approver.reason,
+          details: { supply_id: supply.supply_id, lines: overReceipts },
+          requestedBy: employeeId,
+          approvedBy: approver.employeeId
+        });
+      }
+
+      const lines = order.supplier_order_details.map(detail => ({
+        ...detail,
+        quantity_received: detail.quantity_received + (receivingByLine.get(detail.supplier_order_detail_id) || 0)
+      }));
+
+      const updatedOrder = await tx.supplier_orders.update({
+        where: { supplier_order_id: order.supplier_order_id },
+        data: {
+          status: receivingStatus(lines),
+          remarks: remarks ? `${order.remarks || ''}\n${remarks}`.trim() : order.remarks,
+          updated_at: new Date()
+        },
+        include: SUPPLIER_ORDER_INCLUDE
+      });
+
+      return { supply, order: updatedOrder };
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Delivery recorded as supply #${result.supply.supply_id}`,
+      supply: formatBill(result.supply),
+      order: formatSupplierOrder(result.order)
+    });
+  } catch (error) {
+    if (error instanceof ApprovalRequiredError) {
+      return sendApprovalRequired(res, error);
+    }
+    console.error('Receive supplier order error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to record delivery'
+    });
+  }
+}
+
+export default apiHandler({
+  POST: withClerk(receiveSupplierOrder, { idempotent: true })
+});
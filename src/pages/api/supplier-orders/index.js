@@ -0,0 +1,120 @@
+/**
+ * Supplier Orders API Routes
+ * Purchase orders placed with suppliers for restocking
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { paginate, paginationMeta } from '@/lib/utils';
+import { getEmployeeId } from '@/lib/employees';
+import {
+  SUPPLIER_ORDER_STATUSES,
+  SUPPLIER_ORDER_INCLUDE,
+  createSupplierOrder,
+  formatSupplierOrder
+} from '@/lib/purchasing';
+
+/**
+ * GET /api/supplier-orders
+ * List supplier orders with filters
+ */
+async function getSupplierOrders(req, res) {
+  const { page, pageSize, status, supplierId, startDate, endDate } = req.query;
+  const { skip, take, page: currentPage, pageSize: size } = paginate(page, pageSize);
+
+  try {
+    const where = {};
+
+    if (status) where.status = status;
+    if (supplierId) where.supplier_id = parseInt(supplierId);
+
+    if (startDate || endDate) {
+      where.order_date = {};
+      if (startDate) where.order_date.gte = new Date(startDate);
+      if (endDate) where.order_date.lte = new Date(endDate);
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.supplier_orders.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { order_date: 'desc' },
+        include: SUPPLIER_ORDER_INCLUDE
+      }),
+      prisma.supplier_orders.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      orders: orders.map(formatSupplierOrder),
+      pagination: paginationMeta(total, currentPage, size)
+    });
+  } catch (error) {
+    console.error('Get supplier orders error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier orders'
+    });
+  }
+}
+
+/**
+ * POST /api/supplier-orders
+ * Create a supplier order (DRAFT unless status SENT is given)
+ */
+async function createOrder(req, res) {
+  const {
+    supplierId,
+    items, // Array of { productId, quantity, unitCost }
+    status = 'DRAFT',
+    expectedDate,
+    remarks
+  } = req.body;
+
+  if (!supplierId || !items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Supplier and at least one item are required'
+    });
+  }
+
+  if (!['DRAFT', 'SENT'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'New orders must be DRAFT or SENT',
+      validStatuses: SUPPLIER_ORDER_STATUSES
+    });
+  }
+
+  try {
+    const order = await prisma.$transaction(async (tx) => {
+      const employeeId = await getEmployeeId(req.user, tx);
+
+      return createSupplierOrder(tx, {
+        supplierId: parseInt(supplierId),
+        items,
+        status,
+        expectedDate,
+        remarks,
+        employeeId
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Supplier order ${order.order_number} created`,
+      order: formatSupplierOrder(order)
+    });
+  } catch (error) {
+    console.error('Create supplier order error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create supplier order'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(getSupplierOrders),
+  POST: withClerk(createOrder)
+});
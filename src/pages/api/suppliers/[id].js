@@ -4,6 +4,7 @@
 import prisma from '@/lib/prisma';
 import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { SUPPLIER_TERMS } from '@/lib/payables';
 
 /**
  * GET /api/suppliers/[id]
@@ -59,17 +60,26 @@ async function getSupplier(req, res) {
 /**
  * PUT /api/suppliers/[id]
  * Update supplier
+ * A change of paymentTerms applies to deliveries from then on; existing bills keep their due dates.
  */
 async function updateSupplier(req, res) {
   const { id } = req.query;
-  const { supplierName, phone } = req.body;
+  const { supplierName, phone, paymentTerms } = req.body;
+
+  if (paymentTerms !== undefined && !Object.keys(SUPPLIER_TERMS).includes(paymentTerms)) {
+    return res.status(400).json({
+      success: false,
+      error: `paymentTerms must be one of: ${Object.keys(SUPPLIER_TERMS).join(', ')}`
+    });
+  }
   
   try {
     const supplier = await prisma.suppliers.update({
       where: { supplier_id: parseInt(id) },
       data: {
         ...(supplierName && { supplier_name: supplierName }),
-        ...(phone !== undefined && { contact_number: phone })
+        ...(phone !== undefined && { contact_number: phone }),
+        ...(paymentTerms !== undefined && { payment_terms: paymentTerms })
       }
     });
     
@@ -0,0 +1,53 @@
+/**
+ * Supplier Bills API Route
+ * Deliveries still owed to a supplier, for applying payments
+ */
+import prisma from '@/lib/prisma';
+import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { parseDecimal, roundCurrency } from '@/lib/utils';
+import { getOpenBills } from '@/lib/payables';
+
+/**
+ * GET /api/suppliers/[id]/bills
+ * Open bills earliest due first (the order payments are applied in), with the supplier's balance
+ */
+async function listOpenBills(req, res) {
+  const { id } = req.query;
+  const supplierId = parseInt(id);
+
+  try {
+    const supplier = await prisma.suppliers.findUnique({
+      where: { supplier_id: supplierId },
+      select: { supplier_id: true, supplier_name: true, payment_terms: true, payable_balance: true }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      });
+    }
+
+    const bills = await getOpenBills(prisma, supplierId);
+
+    return res.status(200).json({
+      success: true,
+      supplier: {
+        ...supplier,
+        payable_balance: parseDecimal(supplier.payable_balance)
+      },
+      bills,
+      total_open: roundCurrency(bills.reduce((sum, bill) => sum + bill.open_amount, 0))
+    });
+  } catch (error) {
+    console.error('Get supplier bills error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier bills'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withClerk(listOpenBills)
+});
@@ -5,6 +5,7 @@
 import prisma from '@/lib/prisma';
 import { withClerk, withManager, apiHandler } from '@/middleware/withAuth';
 import { paginate, paginationMeta, sanitizeSearch, parseDecimal } from '@/lib/utils';
+import { SUPPLIER_TERMS } from '@/lib/payables';
 
 /**
  * GET /api/suppliers
@@ -67,9 +68,10 @@ async function getSuppliers(req, res) {
 /**
  * POST /api/suppliers
  * Create a new supplier
+ * paymentTerms: COD (default), NET_30 or NET_60
  */
 async function createSupplier(req, res) {
-  const { supplierName, contactPerson, phone, email, address } = req.body;
+  const { supplierName, contactPerson, phone, email, address, paymentTerms = 'COD' } = req.body;
   
   if (!supplierName) {
     return res.status(400).json({
@@ -77,12 +79,20 @@ async function createSupplier(req, res) {
       error: 'Supplier name is required'
     });
   }
+
+  if (!Object.keys(SUPPLIER_TERMS).includes(paymentTerms)) {
+    return res.status(400).json({
+      success: false,
+      error: `paymentTerms must be one of: ${Object.keys(SUPPLIER_TERMS).join(', ')}`
+    });
+  }
   
   try {
     const supplier = await prisma.suppliers.create({
       data: {
         supplier_name: supplierName,
         contact_number: phone || null,
+        payment_terms: paymentTerms,
         payable_balance: 0
       }
     });
@@ -5,6 +5,9 @@
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
 import { parseDecimal } from '@/lib/utils';
+import { formatBill } from '@/lib/payables';
+import { reverseAverageCost } from '@/lib/costing';
+import { receivingStatus } from '@/lib/purchasing';
 
 /**
  * GET /api/supply/[id]
@@ -55,8 +58,7 @@ async function getSupply(req, res) {
     return res.status(200).json({
       success: true,
       supply: {
-        ...supply,
-        total: parseDecimal(supply.total),
+        ...formatBill(supply),
         supply_details: supply.supply_details.map(d => ({
           ...d,
           unit_cost: parseDecimal(d.unit_cost)
@@ -72,9 +74,68 @@ async function getSupply(req, res) {
   }
 }
 
+/**
+ * Take a voided supply's units off the received quantities of the supplier order it was received against.
+ * Units come off the order's lines for the same product, last line first; the order status is worked out
+ * again (SENT when nothing is left received), except that a CLOSED order stays closed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} supply - supply row with supply_details
+ */
+async function unreceiveSupplierOrder(tx, supply) {
+  const order = await tx.supplier_orders.findUnique({
+    where: { supplier_order_id: supply.supplier_order_id },
+    include: { supplier_order_details: { orderBy: { supplier_order_detail_id: 'asc' } } }
+  });
+  if (!order) return;
+
+  const lines = order.supplier_order_details.map(line => ({ ...line }));
+  for (const detail of supply.supply_details) {
+    let remaining = detail.unit_quantity || 0;
+    for (const line of lines.filter(candidate => candidate.product_id === detail.product_id).reverse()) {
+      if (remaining <= 0) break;
+      const undo = Math.min(remaining, line.quantity_received);
+      line.quantity_received -= undo;
+      remaining -= undo;
+    }
+  }
+
+  for (const line of lines) {
+    const original = order.supplier_order_details.find(
+      candidate => candidate.supplier_order_detail_id === line.supplier_order_detail_id
+    );
+    if (line.quantity_received === original.quantity_received) continue;
+
+    // Only from the quantities read, so a receipt made meanwhile is not overwritten
+    const { count } = await tx.supplier_order_details.updateMany({
+      where: {
+        supplier_order_detail_id: line.supplier_order_detail_id,
+        quantity_received: original.quantity_received
+      },
+      data: { quantity_received: line.quantity_received }
+    });
+    if (count === 0) {
+      throw new Error(`${order.order_number} was received against meanwhile; try again`);
+    }
+  }
+
+  let status = order.status;
+  if (status !== 'CLOSED') {
+    status = lines.every(line => line.quantity_received === 0) ? 'SENT' : receivingStatus(lines);
+  }
+
+  await tx.supplier_orders.update({
+    where: { supplier_order_id: order.supplier_order_id },
+    data: { status, updated_at: new Date() }
+  });
+}
+
 /**
  * DELETE /api/supply/[id]
  * Delete/void a supply record (reverses inventory changes)
+ * Each line's units are taken back out of the batch they went into, and out of the moving-average
+ * cost at the price they came in at. Once any of a line's units have left its batch (sold, written
+ * off) the supply can no longer be voided.
+ * A supply received against a supplier order takes its units off the order's received quantities.
  */
 async function deleteSupply(req, res) {
   const { id } = req.query;
@@ -83,7 +144,9 @@ async function deleteSupply(req, res) {
     const supply = await prisma.supply.findUnique({
       where: { supply_id: parseInt(id) },
       include: {
-        supply_details: true
+        supply_details: {
+          include: { products: { select: { product_name: true } } }
+        }
       }
     });
     
@@ -93,38 +156,66 @@ async function deleteSupply(req, res) {
         error: 'Supply not found'
       });
     }
+
+    if (parseDecimal(supply.amount_paid) > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This bill has payments applied to it and cannot be voided'
+      });
+    }
     
     await prisma.$transaction(async (tx) => {
       // Reverse inventory changes
       for (const detail of supply.supply_details) {
-        const inventory = await tx.inventory.findFirst({
-          where: {
-            product_id: detail.product_id,
-            is_active: true
-          }
-        });
-        
-        if (inventory) {
-          await tx.inventory.update({
-            where: { inventory_id: inventory.inventory_id },
-            data: {
-              current_stock: Math.max(0, inventory.current_stock - detail.unit_quantity)
-            }
+        const quantity = detail.unit_quantity || 0;
+        const productName = detail.products?.product_name || `product #${detail.product_id}`;
+
+        // Lines recorded before the batch link are matched on batch, expiry and cost
+        const batch = detail.inventory_id
+          ? await tx.inventory.findUnique({ where: { inventory_id: detail.inventory_id } })
+          : await tx.inventory.findFirst({
+            where: {
+              product_id: detail.product_id,
+              batch_number: detail.batch_number,
+              expiration_date: detail.expiration_date,
+              unit_cost: detail.unit_cost,
+              is_active: true
+            },
+            orderBy: { inventory_id: 'desc' }
           });
+
+        if (!batch || (batch.current_stock || 0) < quantity) {
+          throw new Error(`${productName}: units from this delivery have already been sold or moved, so it can no longer be voided`);
+        }
+
+        await reverseAverageCost(tx, detail.product_id, quantity, parseDecimal(detail.unit_cost));
+
+        // Only from the stock read, so a sale cannot take the same units
+        const { count } = await tx.inventory.updateMany({
+          where: { inventory_id: batch.inventory_id, current_stock: batch.current_stock },
+          data: { current_stock: batch.current_stock - quantity }
+        });
+        if (count === 0) {
+          throw new Error(`${productName}: the batch changed while the supply was being voided; try again`);
         }
         
         // Create reversal stock log
         await tx.stock_log.create({
           data: {
             product_id: detail.product_id,
+            inventory_id: batch.inventory_id,
             change_type: 'OUT',
-            quantity: detail.unit_quantity,
+            quantity: quantity,
             reason: `Voided supply #${id}`,
             log_date: new Date()
           }
         });
       }
       
+      if (supply.supplier_order_id) {
+        await unreceiveSupplierOrder(tx, supply);
+      }
+
       // Reverse supplier payable
       if (supply.supplier_id) {
         await tx.suppliers.update({
@@ -133,6 +224,17 @@ async function deleteSupply(req, res) {
             payable_balance: { decrement: parseDecimal(supply.total) }
           }
         });
+
+        await tx.account_ledger.create({
+          data: {
+            account_type: 'supplier',
+            account_id: supply.supplier_id,
+            reference_type: 'VOID_SUPPLY',
+            reference_id: supply.supply_id,
+            debit: 0,
+            credit: parseDecimal(supply.total)
+          }
+        });
       }
       
       // Delete supply details
@@ -152,14 +254,14 @@ async function deleteSupply(req, res) {
     });
   } catch (error) {
     console.error('Delete supply error:', error);
-    return res.status(500).json({
+    return res.status(400).json({
       success: false,
-      error: 'Failed to void supply'
+      error: error.message || 'Failed to void supply'
     });
   }
 }
 
 export default apiHandler({
   GET: withClerk(getSupply),
-  DELETE: withClerk(deleteSupply)
+  DELETE: withClerk(deleteSupply, { idempotent: true })
 });
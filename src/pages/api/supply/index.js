@@ -4,6 +4,9 @@
  */
 import prisma from '@/lib/prisma';
 import { withClerk, apiHandler } from '@/middleware/withAuth';
+import { getEmployeeId } from '@/lib/employees';
+import { updateAverageCost } from '@/lib/costing';
+import { billData, postSupplierBill, formatBill } from '@/lib/payables';
 import { paginate, paginationMeta, sanitizeSearch, parseDecimal } from '@/lib/utils';
 
 /**
@@ -63,8 +66,7 @@ async function getSupplies(req, res) {
     ]);
     
     const formattedSupplies = supplies.map(s => ({
-      ...s,
-      total: parseDecimal(s.total),
+      ...formatBill(s),
       supply_details: s.supply_details.map(d => ({
         ...d,
         unit_cost: parseDecimal(d.unit_cost)
@@ -87,10 +89,11 @@ async function getSupplies(req, res) {
 
 /**
  * POST /api/supply
- * Create a new supply record
+ * Create a new supply record, billed on the supplier's payment terms
+ * Body: { supplierId, items: [{ productId, quantity, unitCost, unitType }], billNumber }
  */
 async function createSupply(req, res) {
-  const { supplierId, items, employeeId } = req.body;
+  const { supplierId, items, billNumber } = req.body;
   
   if (!supplierId || !items || items.length === 0) {
     return res.status(400).json({
@@ -106,53 +109,53 @@ async function createSupply(req, res) {
     );
     
     const supply = await prisma.$transaction(async (tx) => {
-      // Create supply record
+      // Supply is recorded against the logged-in user's employee record
+      const employeeId = await getEmployeeId(req.user, tx);
+      const supplier = await tx.suppliers.findUnique({
+        where: { supplier_id: parseInt(supplierId) }
+      });
+
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+
+      // Create supply record; it is also the bill owed to the supplier
+      const supplyDate = new Date();
       const newSupply = await tx.supply.create({
         data: {
-          supplier_id: parseInt(supplierId),
-          employee_id: employeeId ? parseInt(employeeId) : null,
-          supply_date: new Date(),
-          total: total
+          supplier_id: supplier.supplier_id,
+          employee_id: employeeId,
+          supply_date: supplyDate,
+          total: total,
+          ...billData(supplier, { supplyDate, total, billNumber })
         }
       });
       
       // Create supply details
       for (const item of items) {
+        // Each delivery is its own batch so its cost is kept for FIFO
+        await updateAverageCost(tx, parseInt(item.productId), parseInt(item.quantity), parseFloat(item.unitCost));
+        const batch = await tx.inventory.create({
+          data: {
+            product_id: parseInt(item.productId),
+            current_stock: parseInt(item.quantity),
+            unit_cost: parseFloat(item.unitCost),
+            is_active: true
+          }
+        });
+
+        // Linked to its batch so a void takes back these units at this cost
         await tx.supply_details.create({
           data: {
             supply_id: newSupply.supply_id,
             product_id: parseInt(item.productId),
             unit_type: item.unitType || null,
             unit_quantity: parseInt(item.quantity),
-            unit_cost: parseFloat(item.unitCost)
-          }
-        });
-        
-        // Update inventory - add stock
-        const existingInventory = await tx.inventory.findFirst({
-          where: {
-            product_id: parseInt(item.productId),
-            is_active: true
+            unit_cost: parseFloat(item.unitCost),
+            inventory_id: batch.inventory_id
           }
         });
         
-        if (existingInventory) {
-          await tx.inventory.update({
-            where: { inventory_id: existingInventory.inventory_id },
-            data: {
-              current_stock: existingInventory.current_stock + parseInt(item.quantity)
-            }
-          });
-        } else {
-          await tx.inventory.create({
-            data: {
-              product_id: parseInt(item.productId),
-              current_stock: parseInt(item.quantity),
-              is_active: true
-            }
-          });
-        }
-        
         // Create stock log
         await tx.stock_log.create({
           data: {
@@ -161,28 +164,20 @@ async function createSupply(req, res) {
             quantity: parseInt(item.quantity),
             reason: `Supply from supplier #${supplierId}`,
             log_date: new Date(),
-            employee_id: employeeId ? parseInt(employeeId) : null
+            employee_id: employeeId
           }
         });
       }
       
       // Update supplier payable balance
-      await tx.suppliers.update({
-        where: { supplier_id: parseInt(supplierId) },
-        data: {
-          payable_balance: { increment: total }
-        }
-      });
+      await postSupplierBill(tx, newSupply);
       
       return newSupply;
     });
     
     return res.status(201).json({
       success: true,
-      supply: {
-        ...supply,
-        total: parseDecimal(supply.total)
-      },
+      supply: formatBill(supply),
       message: 'Supply recorded successfully'
     });
   } catch (error) {
@@ -196,5 +191,5 @@ async function createSupply(req, res) {
 
 export default apiHandler({
   GET: withClerk(getSupplies),
-  POST: withClerk(createSupply)
+  POST: withClerk(createSupply, { idempotent: true })
 });
@@ -0,0 +1,57 @@
+/**
+ * POS Terminal API Routes
+ * Rename a terminal, change its receipt prefix or range, or retire it
+ */
+import prisma from '@/lib/prisma';
+import { withManager, apiHandler } from '@/middleware/withAuth';
+import { terminalData, lastIssuedNumber, formatTerminal } from '@/lib/terminals';
+
+/**
+ * PUT /api/terminals/[id]
+ * Body: { terminalCode, terminalName, orPrefix, rangeStart, rangeEnd, isActive } (all optional)
+ * A different rangeStart starts a new series after the last issued number; rangeEnd can be extended
+ */
+async function updateTerminal(req, res) {
+  const terminalId = parseInt(req.query.id);
+
+  try {
+    const terminal = await prisma.$transaction(async (tx) => {
+      const current = await tx.pos_terminals.findUnique({ where: { terminal_id: terminalId } });
+      if (!current) {
+        throw new Error('Terminal not found');
+      }
+
+      const data = terminalData(req.body, current, await lastIssuedNumber(tx, terminalId));
+
+      if (data.terminal_code && data.terminal_code !== current.terminal_code) {
+        const existing = await tx.pos_terminals.findUnique({
+          where: { terminal_code: data.terminal_code }
+        });
+        if (existing) {
+          throw new Error(`Terminal code ${data.terminal_code} is already used`);
+        }
+      }
+
+      return tx.pos_terminals.update({
+        where: { terminal_id: terminalId },
+        data: { ...data, updated_at: new Date() }
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Terminal ${terminal.terminal_code} updated`,
+      terminal: formatTerminal(terminal)
+    });
+  } catch (error) {
+    console.error('Update terminal error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update terminal'
+    });
+  }
+}
+
+export default apiHandler({
+  PUT: withManager(updateTerminal)
+});
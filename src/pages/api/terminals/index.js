@@ -0,0 +1,75 @@
+/**
+ * POS Terminals API Routes
+ * Checkout counters and the official receipt series each one issues
+ */
+import prisma from '@/lib/prisma';
+import { withCashier, withManager, apiHandler } from '@/middleware/withAuth';
+import { terminalData, formatTerminal } from '@/lib/terminals';
+
+/**
+ * GET /api/terminals
+ * Query: active (true: only terminals that can sell)
+ */
+async function getTerminals(req, res) {
+  const { active } = req.query;
+
+  try {
+    const where = {};
+    if (active === 'true') where.is_active = true;
+
+    const terminals = await prisma.pos_terminals.findMany({
+      where,
+      orderBy: { terminal_code: 'asc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      terminals: terminals.map(formatTerminal)
+    });
+  } catch (error) {
+    console.error('Get terminals error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch terminals'
+    });
+  }
+}
+
+/**
+ * POST /api/terminals
+ * Body: { terminalCode, terminalName, orPrefix, rangeStart, rangeEnd }
+ * rangeStart-rangeEnd is the authorised OR range; the first sale gets rangeStart
+ */
+async function createTerminal(req, res) {
+  try {
+    const terminal = await prisma.$transaction(async (tx) => {
+      const data = terminalData(req.body);
+
+      const existing = await tx.pos_terminals.findUnique({
+        where: { terminal_code: data.terminal_code }
+      });
+      if (existing) {
+        throw new Error(`Terminal code ${data.terminal_code} is already used`);
+      }
+
+      return tx.pos_terminals.create({ data });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Terminal ${terminal.terminal_code} created`,
+      terminal: formatTerminal(terminal)
+    });
+  } catch (error) {
+    console.error('Create terminal error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create terminal'
+    });
+  }
+}
+
+export default apiHandler({
+  GET: withCashier(getTerminals),
+  POST: withManager(createTerminal)
+});
@@ -1,10 +1,104 @@
 import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
 import toast from 'react-hot-toast';
-import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon, CurrencyDollarIcon } from '@heroicons/react/24/outline';
-import { formatCurrency, formatDate } from '@/lib/utils';
+import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon, CurrencyDollarIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate, roundCurrency } from '@/lib/utils';
+import { TENDER_LABELS } from '@/lib/payments';
+import { downloadStatementsPDF } from '@/lib/statementPdf';
+
+const PAYMENT_METHODS = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK'];
+
+const emptyPaymentDetails = {
+  paymentMethod: 'CASH',
+  provider: '',
+  referenceNumber: '',
+  checkNumber: '',
+  checkDate: '',
+  description: ''
+};
+
+const DATE_ONLY = { hour: undefined, minute: undefined };
+
+function invoiceLabel(sale) {
+  return sale?.invoice_number || `SALE-${sale?.sale_id}`;
+}
+
+function paymentMethodLabel(payment) {
+  const label = payment.provider || TENDER_LABELS[payment.payment_method] || payment.payment_method;
+  if (payment.payment_method === 'CHECK') {
+    return `Check #${payment.check_number} (${formatDate(payment.check_date, DATE_ONLY)})`;
+  }
+  return payment.reference_number ? `${label} (Ref ${payment.reference_number})` : label;
+}
+
+function printCollectionReceipt(payment) {
+  if (!payment) return;
+
+  const rows = payment.allocations.map(allocation => `
+    <tr>
+      <td style="padding:6px 0;">${invoiceLabel(allocation.sales)}</td>
+      <td style="padding:6px 0;">${formatDate(allocation.sales?.sale_date, DATE_ONLY)}</td>
+      <td style="padding:6px 0;text-align:right;">${formatCurrency(allocation.amount)}</td>
+      <td style="padding:6px 0;text-align:right;">${allocation.sales?.sale_status === 'PAID' ? 'Paid in full' : formatCurrency((allocation.sales?.total_amount || 0) - (allocation.sales?.amount_paid || 0)) + ' left'}</td>
+    </tr>
+  `).join('');
+
+  const html = `
+    <!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>Collection Receipt ${payment.receipt_number}</title>
+      </head>
+      <body style="font-family:Arial,Helvetica,sans-serif;padding:24px;max-width:720px;margin:auto;color:#000;">
+        <h2 style="margin:0 0 4px 0;">AgriVet Store</h2>
+        <div style="margin-bottom:16px;font-size:12px;">Collection Receipt</div>
+        <div style="font-size:12px;margin-bottom:2px;">Receipt No: ${payment.receipt_number}</div>
+        <div style="font-size:12px;margin-bottom:2px;">Date: ${new Date(payment.payment_date).toLocaleString('en-PH')}</div>
+        <div style="font-size:12px;margin-bottom:2px;">Received From: ${payment.customers?.customer_name || ''}</div>
+        <div style="font-size:12px;margin-bottom:2px;">Payment: ${paymentMethodLabel(payment)}</div>
+        <div style="font-size:12px;margin-bottom:16px;">Received By: ${payment.employees?.employee_name || ''}</div>
+        <table style="width:100%;border-collapse:collapse;font-size:12px;border-top:1px solid #000;border-bottom:1px solid #000;">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:8px 0;">Invoice</th>
+              <th style="text-align:left;padding:8px 0;">Date</th>
+              <th style="text-align:right;padding:8px 0;">Applied</th>
+              <th style="text-align:right;padding:8px 0;">Balance</th>
+            </tr>
+          </thead>
+          <tbody>${rows || '<tr><td colspan="4" style="padding:6px 0;">Applied to account balance</td></tr>'}</tbody>
+        </table>
+        <div style="margin-top:16px;font-size:12px;">
+          ${payment.unapplied_amount > 0 ? `<div style="display:flex;justify-content:space-between;"><span>Applied to account balance</span><span>${formatCurrency(payment.unapplied_amount)}</span></div>` : ''}
+          <div style="display:flex;justify-content:space-between;font-weight:700;margin-top:6px;"><span>Amount Received</span><span>${formatCurrency(payment.amount)}</span></div>
+          <div style="display:flex;justify-content:space-between;"><span>Remaining Balance</span><span>${formatCurrency(payment.customers?.credit_balance || 0)}</span></div>
+        </div>
+        ${payment.remarks ? `<div style="margin-top:12px;font-size:12px;"><strong>Remarks:</strong> ${payment.remarks}</div>` : ''}
+      </body>
+    </html>
+  `;
+
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  setTimeout(() => {
+    printWindow.print();
+  }, 200);
+}
+
+function monthStart() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1).toLocaleDateString('en-CA');
+}
 
 export default function Customers() {
+  const { hasRole } = useAuth();
+  const isManager = hasRole('MANAGER');
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -13,6 +107,15 @@ export default function Customers() {
   const [editingCustomer, setEditingCustomer] = useState(null);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentKey, setPaymentKey] = useState(null); // Idempotency-Key: one payment per modal
+  const [paymentDetails, setPaymentDetails] = useState(emptyPaymentDetails);
+  const [openInvoices, setOpenInvoices] = useState([]);
+  const [applyMode, setApplyMode] = useState('AUTO'); // AUTO (oldest first) or MANUAL
+  const [invoiceAmounts, setInvoiceAmounts] = useState({}); // sale_id -> amount applied (MANUAL)
+  const [collectionReceipt, setCollectionReceipt] = useState(null);
+  const [statementTarget, setStatementTarget] = useState(null); // a customer, or 'ALL' for every customer with a balance
+  const [statementPeriod, setStatementPeriod] = useState({ from: '', to: '' });
+  const [isGenerating, setIsGenerating] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     contact: '',
@@ -83,23 +186,43 @@ export default function Customers() {
     }
   };
 
+  // Invoices chosen by hand, or the oldest-first split the API will make
+  const manualAllocations = Object.entries(invoiceAmounts)
+    .filter(([, amount]) => parseFloat(amount) > 0)
+    .map(([saleId, amount]) => ({ saleId: parseInt(saleId), amount: parseFloat(amount) }));
+  const manualTotal = roundCurrency(manualAllocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  const totalToPay = applyMode === 'MANUAL' ? manualTotal : parseFloat(paymentAmount || 0);
+
+  const autoApplied = {};
+  let autoRemaining = roundCurrency(parseFloat(paymentAmount || 0));
+  for (const invoice of openInvoices) {
+    if (autoRemaining <= 0) break;
+    autoApplied[invoice.sale_id] = Math.min(invoice.open_amount, autoRemaining);
+    autoRemaining = roundCurrency(autoRemaining - autoApplied[invoice.sale_id]);
+  }
+
   const handlePayment = async (e) => {
     e.preventDefault();
-    if (!selectedCustomer || !paymentAmount) return;
+    if (!selectedCustomer || !(totalToPay > 0)) return;
 
     try {
       const res = await fetch(`/api/customers/${selectedCustomer.customer_id}/payment`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ amount: parseFloat(paymentAmount) })
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': paymentKey },
+        body: JSON.stringify({
+          ...paymentDetails,
+          amount: totalToPay,
+          allocations: applyMode === 'MANUAL' ? manualAllocations : undefined
+        })
       });
 
       const data = await res.json();
       if (res.ok) {
-        toast.success(`Payment of ${formatCurrency(paymentAmount)} recorded!`);
+        toast.success(`Payment of ${formatCurrency(totalToPay)} recorded!`);
         setShowPaymentModal(false);
         setSelectedCustomer(null);
         setPaymentAmount('');
+        setCollectionReceipt(data.payment);
         fetchCustomers();
       } else {
         toast.error(data.error);
@@ -137,10 +260,63 @@ export default function Customers() {
     setShowModal(true);
   };
 
-  const openPaymentModal = (customer) => {
+  const openPaymentModal = async (customer) => {
     setSelectedCustomer(customer);
     setPaymentAmount('');
+    setPaymentDetails(emptyPaymentDetails);
+    setApplyMode('AUTO');
+    setInvoiceAmounts({});
+    setOpenInvoices([]);
+    setPaymentKey(crypto.randomUUID());
     setShowPaymentModal(true);
+
+    try {
+      const res = await fetch(`/api/customers/${customer.customer_id}/open-invoices`);
+      const data = await res.json();
+      if (res.ok) {
+        setOpenInvoices(data.invoices || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch open invoices');
+    }
+  };
+
+  const openStatementModal = (target) => {
+    setStatementTarget(target);
+    setStatementPeriod({ from: monthStart(), to: new Date().toLocaleDateString('en-CA') });
+  };
+
+  const handleStatement = async (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams(statementPeriod);
+    const url = statementTarget === 'ALL'
+      ? `/api/customers/statements?${params}`
+      : `/api/customers/${statementTarget.customer_id}/statement?${params}`;
+
+    setIsGenerating(true);
+    try {
+      const res = await fetch(url);
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error);
+        return;
+      }
+
+      const statements = statementTarget === 'ALL' ? data.statements : [data.statement];
+      if (statements.length === 0) {
+        toast.error('No customers with a balance');
+        return;
+      }
+      const name = statementTarget === 'ALL' ? 'statements' : `statement-${statementTarget.customer_name}`;
+      await downloadStatementsPDF(statements, `${name}-${statementPeriod.from}-${statementPeriod.to}`);
+      setStatementTarget(null);
+    } catch (error) {
+      toast.error('Failed to generate statement');
+    } finally {
+      setIsGenerating(false);
+    }
   };
 
   const resetForm = () => {
@@ -165,13 +341,24 @@ export default function Customers() {
                 Total Receivables: <span className="font-medium text-red-600">{formatCurrency(totalReceivables)}</span>
               </p>
             </div>
-            <button
-              onClick={() => { resetForm(); setShowModal(true); }}
-              className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
-            >
-              <PlusIcon className="h-5 w-5" />
-              Add Customer
-            </button>
+            <div className="flex gap-2">
+              {isManager && (
+                <button
+                  onClick={() => openStatementModal('ALL')}
+                  className="flex items-center gap-2 border border-gray-300 text-black px-4 py-2 rounded-lg hover:bg-gray-50"
+                >
+                  <DocumentTextIcon className="h-5 w-5" />
+                  Statements
+                </button>
+              )}
+              <button
+                onClick={() => { resetForm(); setShowModal(true); }}
+                className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+              >
+                <PlusIcon className="h-5 w-5" />
+                Add Customer
+              </button>
+            </div>
           </div>
 
           {/* Search */}
@@ -251,6 +438,13 @@ export default function Customers() {
                               <CurrencyDollarIcon className="h-5 w-5" />
                             </button>
                           )}
+                          <button
+                            onClick={() => openStatementModal(customer)}
+                            className="p-1 text-gray-600 hover:text-gray-800"
+                            title="Statement of Account"
+                          >
+                            <DocumentTextIcon className="h-5 w-5" />
+                          </button>
                           <button
                             onClick={() => openEditModal(customer)}
                             className="p-1 text-blue-600 hover:text-blue-800"
@@ -310,6 +504,7 @@ export default function Customers() {
                     <option value="WALK_IN">Walk-in</option>
                     <option value="REGULAR">Regular</option>
                     <option value="VIP">VIP</option>
+                    <option value="DEALER">Dealer</option>
                   </select>
                 </div>
                 <div>
@@ -345,7 +540,7 @@ export default function Customers() {
         {/* Payment Modal */}
         {showPaymentModal && selectedCustomer && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
               <h2 className="text-xl font-bold mb-4">Record Payment</h2>
               <div className="mb-4 p-4 bg-gray-50 rounded-lg">
                 <p className="font-medium">{selectedCustomer.customer_name}</p>
@@ -354,22 +549,174 @@ export default function Customers() {
                 </p>
               </div>
               <form onSubmit={handlePayment} className="space-y-4">
+                <div className="flex gap-2">
+                  {[['AUTO', 'Oldest invoices first'], ['MANUAL', 'Choose invoices']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setApplyMode(mode)}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium ${
+                        applyMode === mode ? 'bg-green-600 text-white' : 'bg-gray-100 text-black hover:bg-gray-200'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                {applyMode === 'AUTO' && (
+                  <div>
+                    <label className="block text-sm font-medium text-black">Payment Amount *</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      required
+                      min="0.01"
+                      max={selectedCustomer.credit_balance}
+                      value={paymentAmount}
+                      onChange={(e) => setPaymentAmount(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                    <p className="mt-1 text-sm text-black">
+                      Max: {formatCurrency(selectedCustomer.credit_balance)}
+                    </p>
+                  </div>
+                )}
+
+                <div className="border rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Open</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Apply</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {openInvoices.length === 0 ? (
+                        <tr>
+                          <td colSpan="4" className="px-3 py-3 text-center text-gray-500">No open invoices; the payment lowers the account balance.</td>
+                        </tr>
+                      ) : (
+                        openInvoices.map(invoice => (
+                          <tr key={invoice.sale_id}>
+                            <td className="px-3 py-2 font-mono text-black">{invoiceLabel(invoice)}</td>
+                            <td className="px-3 py-2 text-black">{formatDate(invoice.sale_date, DATE_ONLY)}</td>
+                            <td className="px-3 py-2 text-right text-black">{formatCurrency(invoice.open_amount)}</td>
+                            <td className="px-3 py-2 text-right">
+                              {applyMode === 'MANUAL' ? (
+                                <div className="flex items-center justify-end gap-2">
+                                  <button
+                                    type="button"
+                                    onClick={() => setInvoiceAmounts({ ...invoiceAmounts, [invoice.sale_id]: String(invoice.open_amount) })}
+                                    className="text-xs text-green-700 hover:underline"
+                                  >
+                                    Full
+                                  </button>
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    max={invoice.open_amount}
+                                    value={invoiceAmounts[invoice.sale_id] || ''}
+                                    onChange={(e) => setInvoiceAmounts({ ...invoiceAmounts, [invoice.sale_id]: e.target.value })}
+                                    className="w-28 px-2 py-1 text-right border rounded"
+                                  />
+                                </div>
+                              ) : (
+                                <span className="text-green-700">{autoApplied[invoice.sale_id] ? formatCurrency(autoApplied[invoice.sale_id]) : '-'}</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {applyMode === 'MANUAL' && (
+                  <p className="text-sm text-black text-right">
+                    Payment Amount: <span className="font-medium">{formatCurrency(manualTotal)}</span>
+                  </p>
+                )}
+                {applyMode === 'AUTO' && autoRemaining > 0 && openInvoices.length > 0 && (
+                  <p className="text-sm text-amber-700">{formatCurrency(autoRemaining)} is not tied to an open invoice and lowers the account balance.</p>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Payment Method</label>
+                    <select
+                      value={paymentDetails.paymentMethod}
+                      onChange={(e) => setPaymentDetails({ ...paymentDetails, paymentMethod: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    >
+                      {PAYMENT_METHODS.map(method => (
+                        <option key={method} value={method}>{TENDER_LABELS[method]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {(paymentDetails.paymentMethod === 'E_WALLET' || paymentDetails.paymentMethod === 'BANK_TRANSFER') && (
+                    <div>
+                      <label className="block text-sm font-medium text-black">{paymentDetails.paymentMethod === 'E_WALLET' ? 'Provider' : 'Bank'}</label>
+                      <input
+                        type="text"
+                        value={paymentDetails.provider}
+                        onChange={(e) => setPaymentDetails({ ...paymentDetails, provider: e.target.value })}
+                        placeholder={paymentDetails.paymentMethod === 'E_WALLET' ? 'GCash, Maya...' : ''}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                  )}
+                  {(paymentDetails.paymentMethod === 'E_WALLET' || paymentDetails.paymentMethod === 'BANK_TRANSFER') && (
+                    <div className="col-span-2">
+                      <label className="block text-sm font-medium text-black">Reference Number *</label>
+                      <input
+                        type="text"
+                        required
+                        value={paymentDetails.referenceNumber}
+                        onChange={(e) => setPaymentDetails({ ...paymentDetails, referenceNumber: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                  )}
+                  {paymentDetails.paymentMethod === 'CHECK' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Check Number *</label>
+                        <input
+                          type="text"
+                          required
+                          value={paymentDetails.checkNumber}
+                          onChange={(e) => setPaymentDetails({ ...paymentDetails, checkNumber: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Check Date *</label>
+                        <input
+                          type="date"
+                          required
+                          value={paymentDetails.checkDate}
+                          onChange={(e) => setPaymentDetails({ ...paymentDetails, checkDate: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
+
                 <div>
-                  <label className="block text-sm font-medium text-black">Payment Amount *</label>
+                  <label className="block text-sm font-medium text-black">Remarks</label>
                   <input
-                    type="number"
-                    step="0.01"
-                    required
-                    min="0.01"
-                    max={selectedCustomer.credit_balance}
-                    value={paymentAmount}
-                    onChange={(e) => setPaymentAmount(e.target.value)}
-                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    type="text"
+                    maxLength={255}
+                    value={paymentDetails.description}
+                    onChange={(e) => setPaymentDetails({ ...paymentDetails, description: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
                   />
-                  <p className="mt-1 text-sm text-black">
-                    Max: {formatCurrency(selectedCustomer.credit_balance)}
-                  </p>
                 </div>
+
                 <div className="flex gap-4 pt-4">
                   <button
                     type="button"
@@ -380,7 +727,8 @@ export default function Customers() {
                   </button>
                   <button
                     type="submit"
-                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                    disabled={!(totalToPay > 0)}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300"
                   >
                     Record Payment
                   </button>
@@ -389,6 +737,113 @@ export default function Customers() {
             </div>
           </div>
         )}
+
+        {/* Statement of Account */}
+        {statementTarget && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold mb-1">Statement of Account</h2>
+              <p className="text-sm text-black mb-4">
+                {statementTarget === 'ALL'
+                  ? 'One PDF with a statement for every customer with a balance'
+                  : statementTarget.customer_name}
+              </p>
+              <form onSubmit={handleStatement} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">From</label>
+                    <input
+                      type="date"
+                      required
+                      value={statementPeriod.from}
+                      onChange={(e) => setStatementPeriod({ ...statementPeriod, from: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">To</label>
+                    <input
+                      type="date"
+                      required
+                      value={statementPeriod.to}
+                      onChange={(e) => setStatementPeriod({ ...statementPeriod, to: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    />
+                  </div>
+                </div>
+                <div className="flex gap-4 pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setStatementTarget(null)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isGenerating}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300"
+                  >
+                    {isGenerating ? 'Generating...' : 'Download PDF'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Collection Receipt */}
+        {collectionReceipt && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold mb-1">Collection Receipt</h2>
+              <p className="text-sm font-mono text-black mb-4">{collectionReceipt.receipt_number}</p>
+              <div className="space-y-1 text-sm text-black mb-4">
+                <p>Received from <span className="font-medium">{collectionReceipt.customers?.customer_name}</span></p>
+                <p>{paymentMethodLabel(collectionReceipt)}</p>
+              </div>
+              <div className="border-t border-b py-2 space-y-1 text-sm">
+                {collectionReceipt.allocations.map(allocation => (
+                  <div key={allocation.allocation_id} className="flex justify-between">
+                    <span className="font-mono">
+                      {invoiceLabel(allocation.sales)}
+                      {allocation.sales?.sale_status === 'PAID' && <span className="ml-2 text-xs text-green-700 font-sans">Paid</span>}
+                    </span>
+                    <span>{formatCurrency(allocation.amount)}</span>
+                  </div>
+                ))}
+                {collectionReceipt.unapplied_amount > 0 && (
+                  <div className="flex justify-between">
+                    <span>Account balance</span>
+                    <span>{formatCurrency(collectionReceipt.unapplied_amount)}</span>
+                  </div>
+                )}
+              </div>
+              <div className="flex justify-between font-bold mt-2">
+                <span>Amount Received</span>
+                <span>{formatCurrency(collectionReceipt.amount)}</span>
+              </div>
+              <div className="flex justify-between text-sm text-black">
+                <span>Remaining Balance</span>
+                <span>{formatCurrency(collectionReceipt.customers?.credit_balance || 0)}</span>
+              </div>
+              <div className="flex gap-4 pt-4">
+                <button
+                  onClick={() => setCollectionReceipt(null)}
+                  className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={() => printCollectionReceipt(collectionReceipt)}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Print
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
     </ProtectedRoute>
   );
 }
@@ -5,6 +5,7 @@
 import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import { formatCurrency } from '@/lib/utils';
+import { TENDER_LABELS } from '@/lib/payments';
 import { 
   LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, 
   Tooltip, ResponsiveContainer, PieChart, Pie, Cell 
@@ -17,15 +18,16 @@ export default function DashboardPage() {
     startDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0],
     endDate: new Date().toISOString().split('T')[0]
   });
+  const [marginGroupBy, setMarginGroupBy] = useState('day');
 
   useEffect(() => {
     loadDashboard();
-  }, [dateRange]);
+  }, [dateRange, marginGroupBy]);
 
   const loadDashboard = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams(dateRange);
+      const params = new URLSearchParams({ ...dateRange, groupBy: marginGroupBy });
       const res = await fetch(`/api/dashboard?${params}`);
       const data = await res.json();
       if (data.success) {
@@ -135,8 +137,8 @@ export default function DashboardPage() {
               <ResponsiveContainer width="100%" height="100%">
                 <PieChart>
                   <Pie
-                    data={Object.entries(data?.sales_by_payment || {}).map(([name, value]) => ({
-                      name,
+                    data={Object.entries(data?.sales_by_payment || {}).map(([method, value]) => ({
+                      name: TENDER_LABELS[method] || method,
                       value: value.amount
                     }))}
                     cx="50%"
@@ -223,6 +225,100 @@ export default function DashboardPage() {
           </div>
         </div>
 
+        {/* Gross Margin */}
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-black">Gross Margin</h3>
+            <select
+              value={marginGroupBy}
+              onChange={(e) => setMarginGroupBy(e.target.value)}
+              className="px-3 py-2 border rounded-lg text-sm"
+            >
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </select>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 mb-6">
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-black">Net Sales</p>
+              <p className="text-2xl font-bold">{formatCurrency(data?.gross_margin?.revenue)}</p>
+            </div>
+            <div className="p-4 bg-blue-50 rounded-lg">
+              <p className="text-sm text-blue-600">Cost of Goods Sold</p>
+              <p className="text-2xl font-bold text-blue-700">{formatCurrency(data?.gross_margin?.cost)}</p>
+            </div>
+            <div className="p-4 bg-green-50 rounded-lg">
+              <p className="text-sm text-green-600">Gross Profit</p>
+              <p className="text-2xl font-bold text-green-700">{formatCurrency(data?.gross_margin?.gross_profit)}</p>
+            </div>
+            <div className="p-4 bg-purple-50 rounded-lg">
+              <p className="text-sm text-purple-600">Gross Margin</p>
+              <p className="text-2xl font-bold text-purple-700">{(data?.gross_margin?.margin_percent || 0).toFixed(1)}%</p>
+            </div>
+          </div>
+          <div className="h-64 mb-6">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data?.gross_margin?.by_period || []}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="period" fontSize={12} />
+                <YAxis fontSize={12} tickFormatter={(v) => `₱${(v/1000).toFixed(0)}k`} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Bar dataKey="cost" name="COGS" fill="#3B82F6" />
+                <Bar dataKey="gross_profit" name="Gross Profit" fill="#10B981" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="overflow-x-auto">
+              <h4 className="font-medium text-black mb-2">By Category</h4>
+              <table className="min-w-full">
+                <thead>
+                  <tr className="text-left text-sm text-black border-b">
+                    <th className="pb-2 font-medium">Category</th>
+                    <th className="pb-2 font-medium text-right">Sales</th>
+                    <th className="pb-2 font-medium text-right">COGS</th>
+                    <th className="pb-2 font-medium text-right">Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {data?.gross_margin?.by_category?.map((row) => (
+                    <tr key={row.category} className="text-sm text-black">
+                      <td className="py-2 font-medium">{row.category}</td>
+                      <td className="py-2 text-right">{formatCurrency(row.revenue)}</td>
+                      <td className="py-2 text-right">{formatCurrency(row.cost)}</td>
+                      <td className="py-2 text-right">{row.margin_percent.toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="overflow-x-auto">
+              <h4 className="font-medium text-black mb-2">Top Products by Gross Profit</h4>
+              <table className="min-w-full">
+                <thead>
+                  <tr className="text-left text-sm text-black border-b">
+                    <th className="pb-2 font-medium">Product</th>
+                    <th className="pb-2 font-medium text-right">Qty</th>
+                    <th className="pb-2 font-medium text-right">Gross Profit</th>
+                    <th className="pb-2 font-medium text-right">Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {data?.gross_margin?.by_product?.slice(0, 10).map((row) => (
+                    <tr key={row.product_id} className="text-sm text-black">
+                      <td className="py-2 font-medium">{row.product_name}</td>
+                      <td className="py-2 text-right">{row.quantity}</td>
+                      <td className="py-2 text-right">{formatCurrency(row.gross_profit)}</td>
+                      <td className="py-2 text-right">{row.margin_percent.toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
         {/* Expiration Alerts */}
         {(data?.expiration_alerts?.expired_count > 0 || data?.expiration_alerts?.expiring_count > 0) && (
           <div className="space-y-4">
@@ -0,0 +1,614 @@
+import { useState, useEffect } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import toast from 'react-hot-toast';
+import { PrinterIcon, UserPlusIcon, TruckIcon, CheckCircleIcon, XCircleIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate } from '@/lib/utils';
+import { DELIVERY_STATUSES, DELIVERY_STATUS_LABELS, DELIVERY_TRANSITIONS } from '@/lib/deliveries';
+
+const DATE_ONLY = { hour: undefined, minute: undefined };
+
+const STATUS_COLORS = {
+  PENDING: 'bg-gray-100 text-gray-800',
+  SCHEDULED: 'bg-blue-100 text-blue-800',
+  OUT_FOR_DELIVERY: 'bg-yellow-100 text-yellow-800',
+  DELIVERED: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800'
+};
+
+const emptyAssignForm = {
+  employeeId: '',
+  vehicle: '',
+  deliveryDate: '',
+  routeOrder: '',
+  deliveryAddress: ''
+};
+
+function saleLabel(sale) {
+  return sale?.invoice_number || `SALE-${sale?.sale_id}`;
+}
+
+function itemsLabel(sale) {
+  return (sale?.sale_details || [])
+    .map(detail => `${detail.unit_quantity ?? detail.quantity} ${detail.unit_name || detail.products?.unit || ''} ${detail.products?.product_name || ''}`.trim())
+    .join(', ');
+}
+
+// Last status time shown under the badge
+function statusTime(delivery) {
+  const times = {
+    SCHEDULED: delivery.scheduled_at,
+    OUT_FOR_DELIVERY: delivery.dispatched_at,
+    DELIVERED: delivery.delivered_at,
+    FAILED: delivery.failed_at
+  };
+  return times[delivery.delivery_status] || null;
+}
+
+function printRouteSheet(date, deliveries) {
+  const byDriver = new Map();
+  deliveries.forEach(delivery => {
+    const key = delivery.employees?.employee_name || 'Unassigned';
+    if (!byDriver.has(key)) byDriver.set(key, []);
+    byDriver.get(key).push(delivery);
+  });
+
+  const sections = [...byDriver.entries()].map(([driver, drops]) => {
+    const vehicles = [...new Set(drops.map(drop => drop.vehicle).filter(Boolean))].join(', ');
+    const toCollect = drops.reduce((sum, drop) => sum + drop.amount_to_collect, 0);
+    const rows = drops.map((drop, index) => `
+      <tr style="vertical-align:top;">
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;">${drop.route_order ?? index + 1}</td>
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;">
+          <div>${saleLabel(drop.sales)}</div>
+          <div>${drop.sales?.customers?.customer_name || 'Walk-in'}</div>
+          <div>${drop.sales?.customers?.contact_number || ''}</div>
+        </td>
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;">${drop.delivery_address || ''}</td>
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;">${itemsLabel(drop.sales)}</td>
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;text-align:right;">${drop.amount_to_collect > 0 ? formatCurrency(drop.amount_to_collect) : '-'}</td>
+        <td style="padding:6px 4px;border-bottom:1px solid #ccc;width:140px;"></td>
+      </tr>
+    `).join('');
+
+    return `
+      <h3 style="margin:20px 0 4px 0;">Driver: ${driver}</h3>
+      <div style="font-size:12px;margin-bottom:8px;">Vehicle: ${vehicles || '-'} &nbsp; Drops: ${drops.length} &nbsp; To collect: ${formatCurrency(toCollect)}</div>
+      <table style="width:100%;border-collapse:collapse;font-size:12px;border-top:1px solid #000;">
+        <thead>
+          <tr>
+            <th style="text-align:left;padding:6px 4px;">#</th>
+            <th style="text-align:left;padding:6px 4px;">Sale / Customer</th>
+            <th style="text-align:left;padding:6px 4px;">Address</th>
+            <th style="text-align:left;padding:6px 4px;">Items</th>
+            <th style="text-align:right;padding:6px 4px;">Collect</th>
+            <th style="text-align:left;padding:6px 4px;">Received by / Signature</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }).join('');
+
+  const html = `
+    <!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>Route Sheet ${date}</title>
+      </head>
+      <body style="font-family:Arial,Helvetica,sans-serif;padding:24px;color:#000;">
+        <h2 style="margin:0 0 4px 0;">AgriVet Store</h2>
+        <div style="font-size:12px;">Delivery Route Sheet - ${formatDate(date, DATE_ONLY)}</div>
+        ${sections}
+      </body>
+    </html>
+  `;
+
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  setTimeout(() => {
+    printWindow.print();
+  }, 200);
+}
+
+export default function Deliveries() {
+  const [deliveries, setDeliveries] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    date: '',
+    status: 'OPEN'
+  });
+  const [assignTarget, setAssignTarget] = useState(null);
+  const [assignForm, setAssignForm] = useState(emptyAssignForm);
+  const [statusChange, setStatusChange] = useState(null); // { delivery, status }
+  const [statusForm, setStatusForm] = useState({ receivedBy: '', notes: '', reason: '' });
+  const [routeDate, setRouteDate] = useState(new Date().toLocaleDateString('en-CA'));
+
+  useEffect(() => {
+    fetchEmployees();
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [filters]);
+
+  const fetchDeliveries = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ pageSize: '100' });
+      if (filters.date) params.append('date', filters.date);
+      params.append('status', filters.status);
+
+      const res = await fetch(`/api/deliveries?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setDeliveries(data.deliveries || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchEmployees = async () => {
+    try {
+      const res = await fetch('/api/employees');
+      const data = await res.json();
+      if (res.ok) {
+        setEmployees(data.employees || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch employees:', error);
+    }
+  };
+
+  const openAssignModal = (delivery) => {
+    setAssignTarget(delivery);
+    setAssignForm({
+      employeeId: delivery.employee_id ? String(delivery.employee_id) : '',
+      vehicle: delivery.vehicle || '',
+      deliveryDate: delivery.delivery_date ? new Date(delivery.delivery_date).toISOString().split('T')[0] : '',
+      routeOrder: delivery.route_order ? String(delivery.route_order) : '',
+      deliveryAddress: delivery.delivery_address || ''
+    });
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`/api/deliveries/${assignTarget.delivery_id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          employeeId: assignForm.employeeId ? parseInt(assignForm.employeeId) : null,
+          vehicle: assignForm.vehicle,
+          deliveryDate: assignForm.deliveryDate,
+          routeOrder: assignForm.routeOrder || null,
+          deliveryAddress: assignForm.deliveryAddress
+        })
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        toast.success('Delivery updated!');
+        setAssignTarget(null);
+        fetchDeliveries();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Update failed');
+    }
+  };
+
+  const openStatusModal = (delivery, status) => {
+    setStatusChange({ delivery, status });
+    setStatusForm({ receivedBy: delivery.sales?.customers?.customer_name || '', notes: '', reason: '' });
+  };
+
+  const handleStatus = async (e) => {
+    e?.preventDefault();
+    const { delivery, status } = statusChange;
+
+    try {
+      const res = await fetch(`/api/deliveries/${delivery.delivery_id}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, ...statusForm })
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(`Delivery marked ${DELIVERY_STATUS_LABELS[status]}`);
+        setStatusChange(null);
+        fetchDeliveries();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Status update failed');
+    }
+  };
+
+  const handleRouteSheet = async () => {
+    if (!routeDate) {
+      toast.error('Pick the date of the route');
+      return;
+    }
+    try {
+      const params = new URLSearchParams({ date: routeDate, pageSize: '100' });
+      const [scheduled, outForDelivery] = await Promise.all(['SCHEDULED', 'OUT_FOR_DELIVERY'].map(status =>
+        fetch(`/api/deliveries?${params}&status=${status}`).then(res => res.json())
+      ));
+      const drops = [...(scheduled.deliveries || []), ...(outForDelivery.deliveries || [])]
+        .sort((a, b) => (a.route_order ?? Infinity) - (b.route_order ?? Infinity) || a.delivery_id - b.delivery_id);
+
+      if (drops.length === 0) {
+        toast.error('No scheduled deliveries on that date');
+        return;
+      }
+      printRouteSheet(routeDate, drops);
+    } catch (error) {
+      toast.error('Failed to build route sheet');
+    }
+  };
+
+  return (
+    <ProtectedRoute requiredRole="CLERK">
+        <div className="space-y-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-black">Deliveries</h1>
+              <p className="text-sm text-black">Assign drivers, dispatch and confirm POS delivery orders</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                value={routeDate}
+                onChange={(e) => setRouteDate(e.target.value)}
+                className="px-3 py-2 border rounded-lg text-black"
+              />
+              <button
+                onClick={handleRouteSheet}
+                className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+              >
+                <PrinterIcon className="h-5 w-5" />
+                Route Sheet
+              </button>
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div className="bg-white rounded-lg shadow p-4 flex items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-black mb-1">Delivery Date</label>
+              <input
+                type="date"
+                value={filters.date}
+                onChange={(e) => setFilters({ ...filters, date: e.target.value })}
+                className="px-3 py-2 border rounded-lg text-black"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black mb-1">Status</label>
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                className="px-3 py-2 border rounded-lg text-black"
+              >
+                <option value="OPEN">Not yet delivered</option>
+                {DELIVERY_STATUSES.map(status => (
+                  <option key={status} value={status}>{DELIVERY_STATUS_LABELS[status]}</option>
+                ))}
+              </select>
+            </div>
+            {filters.date && (
+              <button
+                onClick={() => setFilters({ ...filters, date: '' })}
+                className="px-3 py-2 text-sm text-black border rounded-lg hover:bg-gray-50"
+              >
+                All dates
+              </button>
+            )}
+          </div>
+
+          {/* Deliveries Table */}
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black uppercase">Date / Stop</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black uppercase">Sale / Customer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black uppercase">Address</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black uppercase">Driver / Vehicle</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-black uppercase">Fee</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-black uppercase">To Collect</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black uppercase">Status</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="px-4 py-4 text-center text-black">Loading...</td>
+                  </tr>
+                ) : deliveries.length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="px-4 py-4 text-center text-black">No deliveries found</td>
+                  </tr>
+                ) : (
+                  deliveries.map(delivery => {
+                    const next = DELIVERY_TRANSITIONS[delivery.delivery_status] || [];
+                    return (
+                      <tr key={delivery.delivery_id} className="hover:bg-gray-50 align-top">
+                        <td className="px-4 py-3 text-sm text-black">
+                          <p>{formatDate(delivery.delivery_date, DATE_ONLY)}</p>
+                          <p className="text-xs text-gray-500">{delivery.route_order ? `Stop ${delivery.route_order}` : '-'}</p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-black">
+                          <p className="font-mono">{saleLabel(delivery.sales)}</p>
+                          <p>{delivery.sales?.customers?.customer_name || 'Walk-in'}</p>
+                          <p className="text-xs text-gray-500">{delivery.sales?.customers?.contact_number || ''}</p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-black max-w-xs">
+                          <p>{delivery.delivery_address}</p>
+                          <p className="text-xs text-gray-500 truncate" title={itemsLabel(delivery.sales)}>{itemsLabel(delivery.sales)}</p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-black">
+                          <p>{delivery.employees?.employee_name || '-'}</p>
+                          <p className="text-xs text-gray-500">{delivery.vehicle || ''}</p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right text-black">{formatCurrency(delivery.delivery_fee)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-black">
+                          {delivery.amount_to_collect > 0 ? formatCurrency(delivery.amount_to_collect) : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_COLORS[delivery.delivery_status] || STATUS_COLORS.PENDING}`}>
+                            {DELIVERY_STATUS_LABELS[delivery.delivery_status] || delivery.delivery_status}
+                          </span>
+                          {statusTime(delivery) && (
+                            <p className="mt-1 text-xs text-gray-500">{formatDate(statusTime(delivery))}</p>
+                          )}
+                          {delivery.delivery_status === 'DELIVERED' && (
+                            <p className="text-xs text-gray-500">Received by {delivery.received_by}{delivery.pod_notes ? ` - ${delivery.pod_notes}` : ''}</p>
+                          )}
+                          {delivery.delivery_status === 'FAILED' && delivery.failure_reason && (
+                            <p className="text-xs text-red-600">{delivery.failure_reason}</p>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex justify-center gap-2">
+                            {['PENDING', 'SCHEDULED', 'FAILED'].includes(delivery.delivery_status) && (
+                              <button
+                                onClick={() => openAssignModal(delivery)}
+                                className="p-1 text-blue-600 hover:text-blue-800"
+                                title="Assign driver"
+                              >
+                                <UserPlusIcon className="h-5 w-5" />
+                              </button>
+                            )}
+                            {next.includes('SCHEDULED') && delivery.delivery_status === 'FAILED' && (
+                              <button
+                                onClick={() => openStatusModal(delivery, 'SCHEDULED')}
+                                className="p-1 text-blue-600 hover:text-blue-800"
+                                title="Reschedule"
+                              >
+                                <ArrowPathIcon className="h-5 w-5" />
+                              </button>
+                            )}
+                            {next.includes('OUT_FOR_DELIVERY') && (
+                              <button
+                                onClick={() => openStatusModal(delivery, 'OUT_FOR_DELIVERY')}
+                                className="p-1 text-yellow-600 hover:text-yellow-800"
+                                title="Out for delivery"
+                              >
+                                <TruckIcon className="h-5 w-5" />
+                              </button>
+                            )}
+                            {next.includes('DELIVERED') && (
+                              <button
+                                onClick={() => openStatusModal(delivery, 'DELIVERED')}
+                                className="p-1 text-green-600 hover:text-green-800"
+                                title="Delivered"
+                              >
+                                <CheckCircleIcon className="h-5 w-5" />
+                              </button>
+                            )}
+                            {next.includes('FAILED') && (
+                              <button
+                                onClick={() => openStatusModal(delivery, 'FAILED')}
+                                className="p-1 text-red-600 hover:text-red-800"
+                                title="Failed"
+                              >
+                                <XCircleIcon className="h-5 w-5" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Assign Modal */}
+        {assignTarget && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold mb-4">Assign Delivery</h2>
+              <div className="mb-4 p-4 bg-gray-50 rounded-lg text-sm text-black">
+                <p className="font-medium">{saleLabel(assignTarget.sales)} - {assignTarget.sales?.customers?.customer_name || 'Walk-in'}</p>
+                <p>{itemsLabel(assignTarget.sales)}</p>
+              </div>
+              <form onSubmit={handleAssign} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-black">Driver</label>
+                  <select
+                    value={assignForm.employeeId}
+                    onChange={(e) => setAssignForm({ ...assignForm, employeeId: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                  >
+                    <option value="">Unassigned</option>
+                    {employees.map(employee => (
+                      <option key={employee.employee_id} value={employee.employee_id}>
+                        {employee.employee_name} ({employee.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Vehicle</label>
+                    <input
+                      type="text"
+                      maxLength={50}
+                      value={assignForm.vehicle}
+                      onChange={(e) => setAssignForm({ ...assignForm, vehicle: e.target.value })}
+                      placeholder="Plate no. or name"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Stop No.</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={assignForm.routeOrder}
+                      onChange={(e) => setAssignForm({ ...assignForm, routeOrder: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Delivery Date *</label>
+                  <input
+                    type="date"
+                    required
+                    value={assignForm.deliveryDate}
+                    onChange={(e) => setAssignForm({ ...assignForm, deliveryDate: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Address *</label>
+                  <input
+                    type="text"
+                    required
+                    maxLength={255}
+                    value={assignForm.deliveryAddress}
+                    onChange={(e) => setAssignForm({ ...assignForm, deliveryAddress: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                  />
+                </div>
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setAssignTarget(null)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Save
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Status Modal */}
+        {statusChange && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold mb-4">Mark {DELIVERY_STATUS_LABELS[statusChange.status]}</h2>
+              <div className="mb-4 p-4 bg-gray-50 rounded-lg text-sm text-black">
+                <p className="font-medium">{saleLabel(statusChange.delivery.sales)} - {statusChange.delivery.sales?.customers?.customer_name || 'Walk-in'}</p>
+                <p>{statusChange.delivery.delivery_address}</p>
+                {statusChange.delivery.amount_to_collect > 0 && (
+                  <p className="mt-1 text-amber-700">To collect: {formatCurrency(statusChange.delivery.amount_to_collect)}</p>
+                )}
+              </div>
+              <form onSubmit={handleStatus} className="space-y-4">
+                {statusChange.status === 'DELIVERED' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-black">Received By *</label>
+                      <input
+                        type="text"
+                        required
+                        maxLength={100}
+                        value={statusForm.receivedBy}
+                        onChange={(e) => setStatusForm({ ...statusForm, receivedBy: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-black">Proof of Delivery Notes</label>
+                      <textarea
+                        rows={3}
+                        maxLength={500}
+                        value={statusForm.notes}
+                        onChange={(e) => setStatusForm({ ...statusForm, notes: e.target.value })}
+                        placeholder="Signed route sheet, photo reference, condition of goods..."
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                  </>
+                )}
+                {statusChange.status === 'FAILED' && (
+                  <div>
+                    <label className="block text-sm font-medium text-black">Reason *</label>
+                    <input
+                      type="text"
+                      required
+                      maxLength={255}
+                      value={statusForm.reason}
+                      onChange={(e) => setStatusForm({ ...statusForm, reason: e.target.value })}
+                      placeholder="Customer not home, wrong address..."
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    />
+                  </div>
+                )}
+                {['SCHEDULED', 'OUT_FOR_DELIVERY'].includes(statusChange.status) && (
+                  <p className="text-sm text-black">
+                    Driver: {statusChange.delivery.employees?.employee_name || 'Unassigned'}
+                    {statusChange.delivery.vehicle ? ` (${statusChange.delivery.vehicle})` : ''}
+                  </p>
+                )}
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setStatusChange(null)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Confirm
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+    </ProtectedRoute>
+  );
+}
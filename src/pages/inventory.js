@@ -3,9 +3,11 @@
  */
 import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
 import { formatCurrency } from '@/lib/utils';
+import { WRITE_OFF_REASONS, WRITE_OFF_REASON_LABELS } from '@/lib/stock';
 import toast from 'react-hot-toast';
-import { PencilIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { PencilIcon, MagnifyingGlassIcon, TagIcon, TrashIcon } from '@heroicons/react/24/outline';
 
 export default function InventoryPage() {
   const [inventory, setInventory] = useState([]);
@@ -18,6 +20,10 @@ export default function InventoryPage() {
   const [showAdjustModal, setShowAdjustModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingInventory, setEditingInventory] = useState(null);
+  const [markdownInventory, setMarkdownInventory] = useState(null);
+  const [writeOffInventory, setWriteOffInventory] = useState(null);
+  const { hasRole } = useAuth();
+  const isManager = hasRole('MANAGER');
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -204,6 +210,9 @@ export default function InventoryPage() {
                     </td>
                     <td className="px-6 py-4 text-sm text-gray-500">
                       {item.batch_number || '-'}
+                      {item.location && (
+                        <div className="text-xs text-gray-400">{item.location}</div>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                       <span className={`font-medium ${item.is_low_stock ? 'text-orange-600' : 'text-gray-900'}`}>
@@ -214,6 +223,11 @@ export default function InventoryPage() {
                           Below reorder level ({item.product.reorder_level})
                         </div>
                       )}
+                      {item.product.reserved_stock > 0 && (
+                        <div className="text-xs text-blue-600">
+                          {item.product.reserved_stock} reserved, {item.product.available_stock} available to sell
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm">
                       {item.expiration_date ? (
@@ -241,6 +255,13 @@ export default function InventoryPage() {
                     </td>
                     <td className="px-6 py-4">
                       {getStatusBadge(item)}
+                      {item.clearance_price !== null && (
+                        <div className="mt-1">
+                          <span className="px-2 py-1 text-xs font-medium rounded-full bg-amber-100 text-amber-800">
+                            Clearance {formatCurrency(item.clearance_price)}
+                          </span>
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-center">
                       <button
@@ -253,6 +274,24 @@ export default function InventoryPage() {
                       >
                         <PencilIcon className="h-5 w-5" />
                       </button>
+                      {isManager && item.current_stock > 0 && (
+                        <>
+                          <button
+                            onClick={() => setMarkdownInventory(item)}
+                            className="p-1 text-amber-600 hover:text-amber-800 hover:bg-amber-50 rounded"
+                            title="Mark down for clearance"
+                          >
+                            <TagIcon className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => setWriteOffInventory(item)}
+                            className="p-1 text-red-600 hover:text-red-800 hover:bg-red-50 rounded"
+                            title="Write off"
+                          >
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        </>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -301,6 +340,33 @@ export default function InventoryPage() {
             }}
           />
         )}
+
+        {/* Markdown Modal */}
+        {markdownInventory && (
+          <MarkdownModal
+            inventory={markdownInventory}
+            onClose={() => setMarkdownInventory(null)}
+            onSuccess={(message) => {
+              setMarkdownInventory(null);
+              loadInventory();
+              toast.success(message);
+            }}
+          />
+        )}
+
+        {/* Write-Off Modal */}
+        {writeOffInventory && (
+          <WriteOffModal
+            inventory={writeOffInventory}
+            onClose={() => setWriteOffInventory(null)}
+            onSuccess={(message) => {
+              setWriteOffInventory(null);
+              loadInventory();
+              loadAlerts();
+              toast.success(message);
+            }}
+          />
+        )}
       </div>
     </ProtectedRoute>
   );
@@ -568,6 +634,7 @@ function StockAdjustModal({ onClose, onSuccess }) {
 function EditInventoryModal({ inventory, onClose, onSuccess }) {
   const [currentStock, setCurrentStock] = useState(inventory.current_stock ?? 0);
   const [batchNumber, setBatchNumber] = useState(inventory.batch_number || '');
+  const [location, setLocation] = useState(inventory.location || '');
   const [expirationDate, setExpirationDate] = useState(
     inventory.expiration_date 
       ? new Date(inventory.expiration_date).toISOString().split('T')[0] 
@@ -587,6 +654,7 @@ function EditInventoryModal({ inventory, onClose, onSuccess }) {
           currentStock,
           batchNumber: batchNumber || null,
           expirationDate: expirationDate || null,
+          location: location || null,
           notes: notes || null
         })
       });
@@ -650,6 +718,16 @@ function EditInventoryModal({ inventory, onClose, onSuccess }) {
               className="w-full px-3 py-2 border rounded-lg text-black"
             />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Location</label>
+            <input
+              type="text"
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              placeholder="e.g., Shelf A2, Warehouse"
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+          </div>
           <div>
             <label className="block text-sm font-medium text-black mb-1">Expiration Date</label>
             <input
@@ -701,3 +779,206 @@ function EditInventoryModal({ inventory, onClose, onSuccess }) {
     </div>
   );
 }
+
+function MarkdownModal({ inventory, onClose, onSuccess }) {
+  const [clearancePrice, setClearancePrice] = useState(inventory.clearance_price ?? '');
+  const [reason, setReason] = useState(
+    inventory.is_expiring_soon || inventory.is_expired ? 'Near expiry' : ''
+  );
+  const [loading, setLoading] = useState(false);
+  const regularPrice = inventory.product?.srp || 0;
+
+  const submit = async (price) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/inventory/${inventory.inventory_id}/markdown`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clearancePrice: price, reason: reason || null })
+      });
+      const data = await res.json();
+      if (data.success) {
+        onSuccess(data.message);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Markdown failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(parseFloat(clearancePrice));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4 p-6">
+        <h2 className="text-xl font-bold mb-2">Clearance Markdown</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {inventory.product?.product_name} - batch {inventory.batch_number || inventory.inventory_id}
+          {' '}({inventory.current_stock} {inventory.product?.unit}
+          {inventory.expiration_date ? `, expires ${new Date(inventory.expiration_date).toLocaleDateString()}` : ''})
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">
+              Clearance price per {inventory.product?.unit}
+            </label>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={clearancePrice}
+              onChange={(e) => setClearancePrice(e.target.value)}
+              required
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+            {regularPrice > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Regular price {formatCurrency(regularPrice)}
+                {Number(clearancePrice) > 0 && Number(clearancePrice) < regularPrice &&
+                  ` - ${Math.round((1 - Number(clearancePrice) / regularPrice) * 100)}% off`}
+              </p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Reason (optional)</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g., Near expiry, dented packaging"
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+          </div>
+          <div className="flex gap-2 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            {inventory.clearance_price !== null && (
+              <button
+                type="button"
+                disabled={loading}
+                onClick={() => submit(null)}
+                className="flex-1 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              >
+                Remove Markdown
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : 'Mark Down'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function WriteOffModal({ inventory, onClose, onSuccess }) {
+  const [reason, setReason] = useState(inventory.is_expired ? 'EXPIRED' : 'DAMAGED');
+  const [quantity, setQuantity] = useState(inventory.current_stock);
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/inventory/${inventory.inventory_id}/write-off`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason, quantity, notes: notes || null })
+      });
+      const data = await res.json();
+      if (data.success) {
+        onSuccess(data.message);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Write-off failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4 p-6">
+        <h2 className="text-xl font-bold mb-2">Write Off Stock</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {inventory.product?.product_name} - batch {inventory.batch_number || inventory.inventory_id}
+          {' '}({inventory.current_stock} {inventory.product?.unit})
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Reason</label>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            >
+              {WRITE_OFF_REASONS.map(value => (
+                <option key={value} value={value}>{WRITE_OFF_REASON_LABELS[value]}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Quantity</label>
+            <input
+              type="number"
+              min="1"
+              max={inventory.current_stock}
+              value={quantity}
+              onChange={(e) => setQuantity(Math.min(inventory.current_stock, Math.max(1, Number(e.target.value || 1))))}
+              required
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Cost written off: {formatCurrency(quantity * (inventory.unit_cost || 0))}
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Notes (optional)</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={2}
+              placeholder="e.g., Disposed of with the waste hauler"
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+          </div>
+          <div className="flex gap-2 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {loading ? 'Writing off...' : 'Write Off'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
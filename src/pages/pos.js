@@ -4,7 +4,21 @@
  */
 import { useState, useEffect, useRef, useCallback } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
-import { formatCurrency } from '@/lib/utils';
+import { useAuth } from '@/contexts/AuthContext';
+import { formatCurrency, calculateSaleTotals, roundCurrency, DEFAULT_VAT_RATE } from '@/lib/utils';
+import { WALK_IN_CUSTOMER_TYPE, findQuantityBreak, linePriceFromList } from '@/lib/pricing';
+import { isPromotionRunning, applyPromotions } from '@/lib/promotions';
+import { TENDER_LABELS, settleTenders, describeTender } from '@/lib/payments';
+import {
+  saveCatalog,
+  loadCatalog,
+  saveCustomerList,
+  loadCustomerList,
+  queueSale,
+  getQueuedSales,
+  removeQueuedSale,
+  countQueuedSales
+} from '@/lib/offlineStore';
 import toast, { Toaster } from 'react-hot-toast';
 
 function toNumber(value, fallback = 0) {
@@ -12,24 +26,151 @@ function toNumber(value, fallback = 0) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+// Tender rows offered when a sale is split or paid other than in cash
+function emptySplitTenders() {
+  return [
+    { method: 'CASH', amount: '' },
+    { method: 'E_WALLET', amount: '', provider: 'GCash', referenceNumber: '' }
+  ];
+}
+
+const SPLIT_TENDER_TYPES = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK'];
+
+// Quantity as sold: in the selling unit when one was used, otherwise in base units
+function soldQuantity(item) {
+  return item.unit_quantity !== null && item.unit_quantity !== undefined
+    ? toNumber(item.unit_quantity, 0)
+    : toNumber(item.quantity, 0);
+}
+
+function soldQuantityLabel(item) {
+  const unitName = item.unit_name || item.products?.unit || '';
+  return `${soldQuantity(item)}${unitName ? ' ' + unitName : ''}`;
+}
+
+// The same product can be in the cart once per selling unit
+function cartLineKey(productId, unitId) {
+  return `${productId}:${unitId || 'base'}`;
+}
+
+function cartBaseQuantity(item) {
+  return item.quantity * (item.selling_unit?.conversion_factor || 1);
+}
+
+// Sales sent per POST /api/sales/sync request (the endpoint accepts up to 100)
+const SYNC_BATCH_SIZE = 50;
+
+// The terminal this browser rings up on; its official receipt series numbers the sales
+const TERMINAL_STORAGE_KEY = 'posTerminalId';
+
+// Offline product search over the cached catalog (same fields as /api/products/search)
+function searchCatalog(catalog, query, limit = 10) {
+  const term = query.trim().toLowerCase();
+  return (catalog?.products || [])
+    .filter(product => [product.product_name, product.product_code, product.barcode]
+      .some(value => value && value.toLowerCase().includes(term)))
+    .slice(0, limit);
+}
+
+// Offline barcode lookup; a selling unit's own barcode selects that unit
+function findCatalogBarcode(catalog, code) {
+  const matches = (catalog?.products || []).filter(product =>
+    product.barcode === code
+    || product.product_code === code
+    || (product.units || []).some(unit => unit.barcode === code));
+  if (matches.length !== 1) return null;
+
+  const scannedUnit = (matches[0].units || []).find(unit => unit.barcode === code);
+  return { ...matches[0], scanned_unit_id: scannedUnit?.unit_id || null };
+}
+
+function catalogLine(catalog, line) {
+  const product = (catalog?.products || []).find(p => p.product_id === line.productId);
+  if (!product) return null;
+  const unit = line.unitId
+    ? (product.units || []).find(u => u.unit_id === parseInt(line.unitId)) || null
+    : null;
+  return { product, unit };
+}
+
+// Offline price of each line from the cached price lists (same rules as /api/price-lists/resolve)
+function catalogPrices(catalog, customerType, lines) {
+  const priceList = (catalog?.price_lists || [])
+    .find(list => list.customer_type === (customerType || WALK_IN_CUSTOMER_TYPE)) || null;
+
+  return lines.map(line => {
+    const found = catalogLine(catalog, line);
+    if (!found) return null;
+
+    const { product, unit } = found;
+    const tier = priceList
+      ? findQuantityBreak(priceList.price_list_items, {
+        productId: product.product_id,
+        unitId: unit?.unit_id ?? null,
+        quantity: line.quantity
+      })
+      : null;
+    const linePrice = linePriceFromList({ product, unit, priceList, tier });
+
+    return {
+      product_id: product.product_id,
+      unit_id: unit?.unit_id || null,
+      quantity: line.quantity,
+      price: linePrice.price,
+      retail_price: linePrice.retailPrice,
+      source: linePrice.source
+    };
+  }).filter(Boolean);
+}
+
+// Offline promotion preview from the cached promotions (same engine as /api/promotions/preview)
+function catalogPromotions(catalog, customerType, lines) {
+  const at = new Date();
+  const promotions = (catalog?.promotions || [])
+    .filter(promotion => isPromotionRunning(promotion, { customerType, at }));
+
+  return applyPromotions(promotions, lines.map(line => {
+    const found = catalogLine(catalog, line);
+    const product = found ? { ...found.product, product_units: found.product.units || [] } : { product_units: [] };
+    return {
+      product,
+      baseQuantity: Math.round(line.quantity * (found?.unit?.conversion_factor || 1)),
+      amount: Math.max(0, line.quantity * line.unitPrice - line.discount)
+    };
+  }));
+}
+
+// Sales rung up offline get a provisional receipt until the queue syncs
+function receiptHeading(sale) {
+  return sale?.pending_sync ? 'Provisional Receipt (pending sync)' : 'Official Receipt';
+}
+
 function getReceiptData(sale) {
   const items = sale?.sale_details || [];
   const itemsSubtotal = items.reduce((sum, item) => {
-    const quantity = toNumber(item.quantity, 0);
+    const quantity = soldQuantity(item);
     const unitPrice = toNumber(item.unit_price, 0);
     const lineTotal = toNumber(item.subtotal, quantity * unitPrice);
     return sum + lineTotal;
   }, 0);
 
-  const discount = toNumber(sale?.discount, 0);
-  const subtotal = toNumber(sale?.subtotal, itemsSubtotal);
-  const totalAmount = toNumber(sale?.total_amount, Math.max(0, subtotal - discount));
+  const discount = toNumber(sale?.discount_amount, 0);
+  const subtotal = toNumber(sale?.subtotal, 0) || itemsSubtotal;
+  const taxAmount = toNumber(sale?.tax_amount, 0);
+  const taxLabel = sale?.tax_mode === 'INCLUSIVE'
+    ? `VAT ${toNumber(sale?.tax_rate, 0)}% (included)`
+    : `VAT ${toNumber(sale?.tax_rate, 0)}%`;
+  const deliveryFee = toNumber(sale?.delivery?.[0]?.delivery_fee, 0);
+  const totalAmount = toNumber(sale?.total_amount, Math.max(0, subtotal - discount) + deliveryFee);
   const amountPaid = toNumber(sale?.amount_paid, totalAmount);
   const changeAmount = toNumber(sale?.change_amount, Math.max(0, amountPaid - totalAmount));
 
   return {
     subtotal,
     discount,
+    taxAmount,
+    taxLabel,
+    deliveryFee,
     totalAmount,
     amountPaid,
     changeAmount,
@@ -42,14 +183,15 @@ function printReceiptPDF(sale) {
 
   const saleDate = sale.sale_date ? new Date(sale.sale_date) : new Date();
   const receiptNo = sale.invoice_number || `SALE-${sale.sale_id}`;
-  const { subtotal, discount, totalAmount, amountPaid, changeAmount, items } = getReceiptData(sale);
+  const receiptTitle = receiptHeading(sale);
+  const { subtotal, discount, taxAmount, taxLabel, deliveryFee, totalAmount, amountPaid, changeAmount, items } = getReceiptData(sale);
   const receiptRemarks = (sale.remarks || sale.notes || '').trim();
   const handledBy = sale.handled_by?.full_name || sale.handled_by?.username || 'Unknown User';
   const deliveryInfo = sale.delivery?.[0] || null;
 
   const rows = items.map((item) => {
     const productName = item.products?.product_name || item.product?.product_name || 'Item';
-    const quantity = Number(item.quantity || 0);
+    const quantity = soldQuantity(item);
     const unitPrice = Number(item.unit_price || 0);
     const itemDiscount = Number(item.discount || 0);
     const lineTotal = Number(item.subtotal ?? (quantity * unitPrice - itemDiscount));
@@ -57,11 +199,17 @@ function printReceiptPDF(sale) {
     return `
       <tr>
         <td style="padding:6px 0;">${productName}</td>
-        <td style="padding:6px 0;text-align:right;">${quantity}</td>
+        <td style="padding:6px 0;text-align:right;">${soldQuantityLabel(item)}</td>
         <td style="padding:6px 0;text-align:right;">${formatCurrency(unitPrice)}</td>
         <td style="padding:6px 0;text-align:right;">${itemDiscount > 0 ? '-' + formatCurrency(itemDiscount) : '-'}</td>
         <td style="padding:6px 0;text-align:right;">${formatCurrency(lineTotal)}</td>
       </tr>
+      ${(item.sale_promotions || []).map(promo => `
+        <tr>
+          <td colspan="4" style="padding:0 0 6px 12px;font-size:11px;">Promo: ${promo.promo_name}</td>
+          <td style="padding:0 0 6px 0;text-align:right;font-size:11px;">-${formatCurrency(promo.discount_amount)}</td>
+        </tr>
+      `).join('')}
     `;
   }).join('');
 
@@ -74,9 +222,10 @@ function printReceiptPDF(sale) {
       </head>
       <body style="font-family:Arial,Helvetica,sans-serif;padding:24px;max-width:720px;margin:auto;color:#000;">
         <h2 style="margin:0 0 4px 0;">AgriVet Store</h2>
-        <div style="margin-bottom:16px;font-size:12px;">Official Receipt</div>
+        <div style="margin-bottom:16px;font-size:12px;">${receiptTitle}</div>
         <div style="font-size:12px;margin-bottom:2px;">Date: ${saleDate.toLocaleString('en-PH')}</div>
-        <div style="font-size:12px;margin-bottom:16px;">Receipt No: ${receiptNo}</div>
+        <div style="font-size:12px;margin-bottom:${sale.pos_terminals ? '2px' : '16px'};">Receipt No: ${receiptNo}</div>
+        ${sale.pos_terminals ? `<div style="font-size:12px;margin-bottom:16px;">Terminal: ${sale.pos_terminals.terminal_code}</div>` : ''}
         <div style="font-size:12px;margin-bottom:2px;">Handled By: ${handledBy}</div>
         <div style="font-size:12px;margin-bottom:2px;">Order Type: ${deliveryInfo ? 'DELIVERY' : 'PICKUP'}</div>
         ${deliveryInfo?.delivery_address ? `<div style="font-size:12px;margin-bottom:16px;">Address: ${deliveryInfo.delivery_address}</div>` : '<div style="margin-bottom:16px;"></div>'}
@@ -95,12 +244,13 @@ function printReceiptPDF(sale) {
         <div style="margin-top:16px;font-size:12px;">
           <div style="display:flex;justify-content:space-between;"><span>Subtotal</span><span>${formatCurrency(subtotal)}</span></div>
           ${discount > 0 ? `<div style="display:flex;justify-content:space-between;"><span>Discount</span><span>-${formatCurrency(discount)}</span></div>` : ''}
+          ${taxAmount > 0 ? `<div style="display:flex;justify-content:space-between;"><span>${taxLabel}</span><span>${formatCurrency(taxAmount)}</span></div>` : ''}
+          ${deliveryFee > 0 ? `<div style="display:flex;justify-content:space-between;"><span>Delivery Fee</span><span>${formatCurrency(deliveryFee)}</span></div>` : ''}
           <div style="display:flex;justify-content:space-between;font-weight:700;margin-top:6px;"><span>Total</span><span>${formatCurrency(totalAmount)}</span></div>
           <div style="display:flex;justify-content:space-between;"><span>Amount Paid</span><span>${formatCurrency(amountPaid)}</span></div>
-          ${sale.payment_breakdown ? `
-            <div style="display:flex;justify-content:space-between;padding-left:16px;font-size:11px;color:#555;"><span>Cash</span><span>${formatCurrency(sale.payment_breakdown.cash)}</span></div>
-            <div style="display:flex;justify-content:space-between;padding-left:16px;font-size:11px;color:#555;"><span>Online</span><span>${formatCurrency(sale.payment_breakdown.online)}</span></div>
-          ` : ''}
+          ${(sale.sale_payments || []).map(line => `
+            <div style="display:flex;justify-content:space-between;padding-left:16px;font-size:11px;color:#555;"><span>${describeTender(line)}</span><span>${formatCurrency(line.tendered ?? line.amount)}</span></div>
+          `).join('')}
           <div style="display:flex;justify-content:space-between;"><span>Change</span><span>${formatCurrency(changeAmount)}</span></div>
         </div>
         ${receiptRemarks ? `<div style="margin-top:12px;font-size:12px;"><strong>Remarks:</strong> ${receiptRemarks}</div>` : ''}
@@ -126,7 +276,8 @@ async function downloadReceiptPDF(sale) {
 
   const saleDate = sale.sale_date ? new Date(sale.sale_date) : new Date();
   const receiptNo = sale.invoice_number || `SALE-${sale.sale_id}`;
-  const { subtotal, discount, totalAmount, amountPaid, changeAmount, items } = getReceiptData(sale);
+  const receiptTitle = receiptHeading(sale);
+  const { subtotal, discount, taxAmount, taxLabel, deliveryFee, totalAmount, amountPaid, changeAmount, items } = getReceiptData(sale);
   const receiptRemarks = (sale.remarks || sale.notes || '').trim();
   const handledBy = sale.handled_by?.full_name || sale.handled_by?.username || 'Unknown User';
   const deliveryInfo = sale.delivery?.[0] || null;
@@ -141,12 +292,16 @@ async function downloadReceiptPDF(sale) {
 
   doc.setFont('helvetica', 'normal');
   doc.setFontSize(11);
-  doc.text('Official Receipt', 40, y);
+  doc.text(receiptTitle, 40, y);
   y += 18;
   doc.text(`Date: ${saleDate.toLocaleString('en-PH')}`, 40, y);
   y += 16;
   doc.text(`Receipt No: ${receiptNo}`, 40, y);
   y += 16;
+  if (sale.pos_terminals) {
+    doc.text(`Terminal: ${sale.pos_terminals.terminal_code}`, 40, y);
+    y += 16;
+  }
   doc.text(`Handled By: ${handledBy}`, 40, y);
   y += 16;
   doc.text(`Order Type: ${deliveryInfo ? 'DELIVERY' : 'PICKUP'}`, 40, y);
@@ -174,18 +329,26 @@ async function downloadReceiptPDF(sale) {
   doc.setFont('helvetica', 'normal');
   for (const item of items) {
     const productName = item.products?.product_name || item.product?.product_name || 'Item';
-    const quantity = toNumber(item.quantity, 0);
+    const quantity = soldQuantity(item);
     const unitPrice = toNumber(item.unit_price, 0);
     const itemDiscount = toNumber(item.discount, 0);
     const lineTotal = toNumber(item.subtotal, quantity * unitPrice - itemDiscount);
 
     doc.text(productName, 40, y);
-    doc.text(String(quantity), 250, y, { align: 'right' });
+    doc.text(soldQuantityLabel(item), 250, y, { align: 'right' });
     doc.text(formatCurrency(unitPrice), 340, y, { align: 'right' });
     doc.text(itemDiscount > 0 ? '-' + formatCurrency(itemDiscount) : '-', 430, y, { align: 'right' });
     doc.text(formatCurrency(lineTotal), 555, y, { align: 'right' });
     y += 18;
 
+    for (const promo of item.sale_promotions || []) {
+      doc.setFontSize(9);
+      doc.text(`Promo: ${promo.promo_name}`, 52, y);
+      doc.text(`-${formatCurrency(promo.discount_amount)}`, 555, y, { align: 'right' });
+      doc.setFontSize(11);
+      y += 14;
+    }
+
     if (y > 760) {
       doc.addPage();
       y = 48;
@@ -206,6 +369,18 @@ async function downloadReceiptPDF(sale) {
     y += 16;
   }
 
+  if (taxAmount > 0) {
+    doc.text(taxLabel, 40, y);
+    doc.text(formatCurrency(taxAmount), 555, y, { align: 'right' });
+    y += 16;
+  }
+
+  if (deliveryFee > 0) {
+    doc.text('Delivery Fee', 40, y);
+    doc.text(formatCurrency(deliveryFee), 555, y, { align: 'right' });
+    y += 16;
+  }
+
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(13);
   doc.text('Total', 40, y);
@@ -217,6 +392,13 @@ async function downloadReceiptPDF(sale) {
   doc.text('Amount Paid', 40, y);
   doc.text(formatCurrency(amountPaid), 555, y, { align: 'right' });
   y += 16;
+  doc.setFontSize(10);
+  (sale.sale_payments || []).forEach(line => {
+    doc.text(describeTender(line), 56, y);
+    doc.text(formatCurrency(line.tendered ?? line.amount), 555, y, { align: 'right' });
+    y += 14;
+  });
+  doc.setFontSize(11);
   doc.text('Change', 40, y);
   doc.text(formatCurrency(changeAmount), 555, y, { align: 'right' });
   y += 22;
@@ -246,41 +428,220 @@ export default function POSPage() {
   const [orderType, setOrderType] = useState('PICKUP');
   const [deliveryAddress, setDeliveryAddress] = useState('');
   const [deliveryDate, setDeliveryDate] = useState('');
-  const [paymentMethod, setPaymentMethod] = useState('CASH');
+  const [deliveryFee, setDeliveryFee] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('CASH'); // CASH, CREDIT, SPLIT
   const [amountTendered, setAmountTendered] = useState('');
-  const [cashAmount, setCashAmount] = useState('');
-  const [onlineAmount, setOnlineAmount] = useState('');
+  const [splitTenders, setSplitTenders] = useState(emptySplitTenders);
   const [remarks, setRemarks] = useState('');
   const [discount, setDiscount] = useState(0);
+  const [discountType, setDiscountType] = useState('AMOUNT');
+  const [taxMode, setTaxMode] = useState('NONE');
   const [isProcessing, setIsProcessing] = useState(false);
   const [showReceipt, setShowReceipt] = useState(false);
   const [lastSale, setLastSale] = useState(null);
   const [todaySummary, setTodaySummary] = useState(null);
+  const [currentShift, setCurrentShift] = useState(null);
+  const [shiftReport, setShiftReport] = useState(null);
+  const [shiftModal, setShiftModal] = useState(null); // 'open' | 'payout' | 'close' | 'report'
+  const [shiftAmount, setShiftAmount] = useState('');
+  const [shiftNote, setShiftNote] = useState('');
+  const [isShiftSaving, setIsShiftSaving] = useState(false);
+  const [shiftKey, setShiftKey] = useState(null); // Idempotency-Key: one shift action per modal
+  const [approvalRequest, setApprovalRequest] = useState(null); // { message, code }
+  const [approvalForm, setApprovalForm] = useState({ pin: '', username: '', password: '', reason: '' });
+  const [promoLines, setPromoLines] = useState({}); // line_key -> { discount, promotions }
+  const [isOnline, setIsOnline] = useState(true);
+  const [catalog, setCatalog] = useState(null); // cached products, price lists and promotions
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [terminals, setTerminals] = useState([]);
+  const [terminalId, setTerminalId] = useState(null);
+  const { user, hasRole } = useAuth();
   
   const searchInputRef = useRef(null);
+  const syncingRef = useRef(false);
+  const checkoutKeyRef = useRef(null); // clientReference / Idempotency-Key of the sale being checked out
 
-  // Calculate totals
+  // Calculate totals (same rules as the sales API)
   const subtotal = cart.reduce((sum, item) => sum + (item.quantity * item.selling_price), 0);
   const itemDiscountsTotal = cart.reduce((sum, item) => sum + (toNumber(item.itemDiscount, 0)), 0);
-  const total = subtotal - discount - itemDiscountsTotal;
+  const promoDiscountsTotal = cart.reduce((sum, item) => sum + (promoLines[item.line_key]?.discount || 0), 0);
+  const saleTotals = calculateSaleTotals({
+    subtotal: subtotal - itemDiscountsTotal - promoDiscountsTotal,
+    discount,
+    discountType,
+    taxRate: DEFAULT_VAT_RATE,
+    taxMode
+  });
+  // The delivery fee is charged on top of the goods, after discount and VAT
+  const appliedDeliveryFee = orderType === 'DELIVERY' ? roundCurrency(toNumber(deliveryFee, 0)) : 0;
+  const total = roundCurrency(saleTotals.total + appliedDeliveryFee);
   const change = parseFloat(amountTendered || 0) - total;
 
   // Load customers and today's summary on mount
   useEffect(() => {
     loadCustomers();
     loadTodaySummary();
+    loadShift();
+    loadCachedCatalog();
+    loadTerminals();
     searchInputRef.current?.focus();
   }, []);
 
+  // Track connectivity; the POS keeps selling from the cached catalog while offline
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    updateOnline();
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Back online: upload queued sales and refresh the cached catalog
+  useEffect(() => {
+    if (!isOnline) return;
+    syncQueuedSales();
+    refreshCatalog();
+  }, [isOnline]);
+
   const loadCustomers = async () => {
     try {
-      const res = await fetch('/api/customers?type=VIP&pageSize=100');
+      const res = await fetch('/api/customers?pageSize=100');
       const data = await res.json();
       if (data.success) {
         setCustomers(data.customers);
+        saveCustomerList(data.customers).catch(error => console.error('Failed to cache customers:', error));
       }
     } catch (error) {
       console.error('Failed to load customers:', error);
+      loadCustomerList()
+        .then(setCustomers)
+        .catch(cacheError => console.error('Failed to load cached customers:', cacheError));
+    }
+  };
+
+  const loadTerminals = async () => {
+    const saved = parseInt(localStorage.getItem(TERMINAL_STORAGE_KEY)) || null;
+    setTerminalId(saved);
+
+    try {
+      const res = await fetch('/api/terminals?active=true');
+      const data = await res.json();
+      if (data.success) {
+        setTerminals(data.terminals);
+        if (data.terminals.length === 1 && !saved) {
+          selectTerminal(data.terminals[0].terminal_id);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load terminals:', error);
+    }
+  };
+
+  const selectTerminal = (id) => {
+    const value = parseInt(id) || null;
+    setTerminalId(value);
+    if (value) {
+      localStorage.setItem(TERMINAL_STORAGE_KEY, String(value));
+    } else {
+      localStorage.removeItem(TERMINAL_STORAGE_KEY);
+    }
+  };
+
+  const loadCachedCatalog = async () => {
+    try {
+      const cached = await loadCatalog();
+      if (cached) {
+        setCatalog(current => current || cached);
+      }
+      setQueuedCount(await countQueuedSales());
+    } catch (error) {
+      console.error('Failed to load cached catalog:', error);
+    }
+  };
+
+  const refreshCatalog = async () => {
+    try {
+      const res = await fetch('/api/products/catalog');
+      const data = await res.json();
+      if (data.success) {
+        const fresh = {
+          products: data.products,
+          price_lists: data.price_lists,
+          promotions: data.promotions,
+          generated_at: data.generated_at
+        };
+        setCatalog(fresh);
+        await saveCatalog(fresh);
+      }
+    } catch (error) {
+      console.error('Failed to refresh catalog:', error);
+    }
+  };
+
+  // Upload queued offline sales in the order they were rung up.
+  // Every sale the server answered for leaves the queue; conflicts wait for a manager in Sales.
+  const syncQueuedSales = async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+
+    const summary = { synced: 0, duplicate: 0, conflict: 0, rejected: 0 };
+    let queued = [];
+
+    try {
+      queued = await getQueuedSales();
+
+      for (let start = 0; start < queued.length; start += SYNC_BATCH_SIZE) {
+        const res = await fetch('/api/sales/sync', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sales: queued.slice(start, start + SYNC_BATCH_SIZE) })
+        });
+        const data = await res.json();
+        if (!data.success) {
+          throw new Error(data.error || 'Failed to sync offline sales');
+        }
+
+        for (const result of data.results) {
+          if (result.client_reference) {
+            await removeQueuedSale(result.client_reference);
+          }
+        }
+        Object.keys(summary).forEach(key => {
+          summary[key] += data.summary[key] || 0;
+        });
+      }
+
+      if (summary.synced > 0) {
+        toast.success(`${summary.synced} offline sale(s) synced`);
+      }
+      if (summary.conflict > 0) {
+        toast.error(`${summary.conflict} offline sale(s) need manager review`);
+      }
+      if (summary.rejected > 0) {
+        toast.error(`${summary.rejected} offline sale(s) were rejected`);
+      }
+    } catch (error) {
+      console.error('Sync error:', error);
+      if (queued.length > 0) {
+        toast.error('Sync failed; queued sales are kept for the next try');
+      }
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      try {
+        setQueuedCount(await countQueuedSales());
+      } catch (error) {
+        console.error('Failed to count queued sales:', error);
+      }
+      if (summary.synced > 0) {
+        loadTodaySummary();
+        loadShift();
+      }
     }
   };
 
@@ -296,6 +657,65 @@ export default function POSPage() {
     }
   };
 
+  const loadShift = async () => {
+    try {
+      const res = await fetch('/api/shifts/current');
+      const data = await res.json();
+      if (data.success) {
+        setCurrentShift(data.shift);
+        setShiftReport(data.report);
+      }
+    } catch (error) {
+      console.error('Failed to load shift:', error);
+    }
+  };
+
+  const openShiftModal = (mode) => {
+    setShiftAmount('');
+    setShiftNote('');
+    setShiftKey(crypto.randomUUID());
+    setShiftModal(mode);
+  };
+
+  const submitShiftAction = async () => {
+    const endpoints = {
+      open: { url: '/api/shifts/open', body: { openingFloat: parseFloat(shiftAmount || 0), remarks: shiftNote.trim() || null } },
+      payout: { url: '/api/shifts/payout', body: { amount: parseFloat(shiftAmount || 0), reason: shiftNote.trim() } },
+      close: { url: '/api/shifts/close', body: { countedCash: shiftAmount === '' ? null : parseFloat(shiftAmount), remarks: shiftNote.trim() || null } }
+    };
+    const action = endpoints[shiftModal];
+    if (!action) return;
+
+    setIsShiftSaving(true);
+    try {
+      const res = await fetch(action.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': shiftKey },
+        body: JSON.stringify(action.body)
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        toast.success(data.message || 'Saved');
+        if (shiftModal === 'close') {
+          setShiftReport(data.report);
+          setCurrentShift(null);
+          setShiftModal('report');
+        } else {
+          setShiftModal(null);
+          loadShift();
+        }
+      } else {
+        toast.error(data.error || 'Failed to save');
+      }
+    } catch (error) {
+      console.error('Shift error:', error);
+      toast.error('Failed to save');
+    } finally {
+      setIsShiftSaving(false);
+    }
+  };
+
   // Debounced product search
   const searchProducts = useCallback(async (query) => {
     if (!query || query.length < 2) {
@@ -303,6 +723,11 @@ export default function POSPage() {
       return;
     }
 
+    if (!isOnline) {
+      setSearchResults(searchCatalog(catalog, query));
+      return;
+    }
+
     try {
       const res = await fetch(`/api/products/search?q=${encodeURIComponent(query)}&limit=10`);
       const data = await res.json();
@@ -311,8 +736,9 @@ export default function POSPage() {
       }
     } catch (error) {
       console.error('Search error:', error);
+      setSearchResults(searchCatalog(catalog, query));
     }
-  }, []);
+  }, [isOnline, catalog]);
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -321,21 +747,142 @@ export default function POSPage() {
     return () => clearTimeout(timer);
   }, [searchQuery, searchProducts]);
 
+  // Preview the customer's prices (price list and quantity breaks); the sales API charges the same
+  const customerId = selectedCustomer?.customer_id || null;
+  const customerType = selectedCustomer?.customer_type || null;
+  // Clearance lines keep their batch's markdown price and take no promotions
+  const pricingKey = cart
+    .filter(item => !item.clearance_batch_id)
+    .map(item => `${item.product_id}:${item.selling_unit?.unit_id || ''}:${item.quantity}`)
+    .join('|');
+
+  useEffect(() => {
+    if (!pricingKey) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const lines = pricingKey.split('|').map(entry => {
+        const [productId, unitId, quantity] = entry.split(':');
+        return { productId: parseInt(productId), unitId: unitId || null, quantity: parseFloat(quantity) };
+      });
+
+      let prices = null;
+      if (isOnline) {
+        try {
+          const res = await fetch('/api/price-lists/resolve', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ customerId, items: lines })
+          });
+          const data = await res.json();
+          if (data.success) prices = data.prices;
+        } catch (error) {
+          console.error('Price resolution error:', error);
+        }
+      }
+      if (!prices && catalog) {
+        prices = catalogPrices(catalog, customerType, lines);
+      }
+      if (!prices || cancelled) return;
+
+      setCart(prevCart => prevCart.map(item => {
+        if (item.clearance_batch_id) return item;
+        const resolved = prices.find(price =>
+            price.product_id === item.product_id
+          && (price.unit_id || null) === (item.selling_unit?.unit_id || null)
+          && price.quantity === item.quantity
+        );
+        return resolved
+          ? { ...item, selling_price: resolved.price, retail_price: resolved.retail_price, price_source: resolved.source }
+          : item;
+      }));
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pricingKey, customerId, customerType, isOnline, catalog]);
+
+  // Preview the promotions the sales API will apply to the priced cart
+  const promoKey = cart
+    .filter(item => !item.clearance_batch_id)
+    .map(item => `${item.line_key}:${item.product_id}:${item.selling_unit?.unit_id || ''}:${item.quantity}:${item.selling_price}:${toNumber(item.itemDiscount, 0)}`)
+    .join('|');
+
+  useEffect(() => {
+    if (!promoKey) {
+      setPromoLines({});
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const lines = promoKey.split('|').map(entry => {
+        const [productKey, unitKey, productId, unitId, quantity, unitPrice, itemDiscount] = entry.split(':');
+        return {
+          lineKey: `${productKey}:${unitKey}`,
+          productId: parseInt(productId),
+          unitId: unitId || null,
+          quantity: parseFloat(quantity),
+          unitPrice: parseFloat(unitPrice),
+          discount: parseFloat(itemDiscount)
+        };
+      });
+
+      let applied = null;
+      if (isOnline) {
+        try {
+          const res = await fetch('/api/promotions/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ customerId, items: lines })
+          });
+          const data = await res.json();
+          if (data.success) applied = data.lines;
+        } catch (error) {
+          console.error('Promotion preview error:', error);
+        }
+      }
+      if (!applied && catalog) {
+        applied = catalogPromotions(catalog, customerType, lines);
+      }
+      if (!applied || cancelled) return;
+
+      setPromoLines(Object.fromEntries(lines.map((line, index) => [line.lineKey, applied[index]])));
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [promoKey, customerId, customerType, isOnline, catalog]);
+
   // Handle barcode scan (Enter key in search)
   const handleSearchKeyDown = async (e) => {
     if (e.key === 'Enter' && searchQuery) {
       // Try exact barcode match first
-      try {
-        const res = await fetch(`/api/products/search?barcode=${encodeURIComponent(searchQuery)}`);
-        const data = await res.json();
-        if (data.success && data.products.length === 1) {
-          addToCart(data.products[0]);
-          setSearchQuery('');
-          setSearchResults([]);
-          return;
+      let scanned = null;
+      if (isOnline) {
+        try {
+          const res = await fetch(`/api/products/search?barcode=${encodeURIComponent(searchQuery)}`);
+          const data = await res.json();
+          if (data.success && data.products.length === 1) {
+            scanned = data.products[0];
+          }
+        } catch (error) {
+          console.error('Barcode search error:', error);
+          scanned = findCatalogBarcode(catalog, searchQuery);
         }
-      } catch (error) {
-        console.error('Barcode search error:', error);
+      } else {
+        scanned = findCatalogBarcode(catalog, searchQuery);
+      }
+
+      if (scanned) {
+        addToCart(scanned);
+        setSearchQuery('');
+        setSearchResults([]);
+        return;
       }
 
       // If no exact match and we have search results, add the first one
@@ -347,22 +894,27 @@ export default function POSPage() {
     }
   };
 
-  // Add product to cart
+  // Add product to cart in its scanned or default selling unit
   const addToCart = (product) => {
     if (!product.in_stock) {
       toast.error(`${product.product_name} is out of stock`);
       return;
     }
 
+    const units = product.units || [];
+    const sellingUnit = units.find(unit => unit.unit_id === product.scanned_unit_id)
+      || units.find(unit => unit.is_default)
+      || null;
+    const key = cartLineKey(product.product_id, sellingUnit?.unit_id);
+
     setCart(prevCart => {
-      const existingIndex = prevCart.findIndex(item => item.product_id === product.product_id);
+      const existingIndex = prevCart.findIndex(item => item.line_key === key);
       
       if (existingIndex >= 0) {
         const newCart = [...prevCart];
         const newQty = newCart[existingIndex].quantity + 1;
         
-        if (newQty > product.total_stock) {
-          toast.error(`Only ${product.total_stock} ${product.unit}(s) available`);
+        if (!hasStockFor(prevCart, newCart[existingIndex], newQty)) {
           return prevCart;
         }
         
@@ -370,7 +922,62 @@ export default function POSPage() {
         return newCart;
       }
       
-      return [...prevCart, { ...product, quantity: 1, itemDiscount: 0 }];
+      const newItem = {
+        ...product,
+        line_key: key,
+        selling_unit: sellingUnit,
+        base_price: product.selling_price,
+        selling_price: sellingUnit ? sellingUnit.price : product.selling_price,
+        quantity: 1,
+        itemDiscount: 0
+      };
+
+      if (!hasStockFor(prevCart, newItem, 1)) {
+        return prevCart;
+      }
+
+      return [...prevCart, newItem];
+    });
+
+    setSearchQuery('');
+    setSearchResults([]);
+    searchInputRef.current?.focus();
+  };
+
+  // Add units of a marked-down batch, sold at its clearance price
+  const addClearanceToCart = (product, batch) => {
+    const key = `${product.product_id}:clearance-${batch.inventory_id}`;
+
+    setCart(prevCart => {
+      const existing = prevCart.find(item => item.line_key === key);
+      if (existing) {
+        if (!hasStockFor(prevCart, existing, existing.quantity + 1)) {
+          return prevCart;
+        }
+        return prevCart.map(item => (item.line_key === key ? { ...item, quantity: item.quantity + 1 } : item));
+      }
+
+      const newItem = {
+        ...product,
+        line_key: key,
+        clearance_batch_id: batch.inventory_id,
+        clearance_stock: batch.current_stock,
+        clearance_expiry: batch.expiration_date,
+        units: [],
+        selling_unit: null,
+        base_price: batch.clearance_price,
+        selling_price: batch.clearance_price,
+        retail_price: product.selling_price,
+        price_source: 'CLEARANCE',
+        quantity: 1,
+        itemDiscount: 0
+      };
+
+      if (!hasStockFor(prevCart, newItem, 1)) {
+        return prevCart;
+      }
+
+      return [...prevCart, newItem];
     });
 
     setSearchQuery('');
@@ -378,58 +985,132 @@ export default function POSPage() {
     searchInputRef.current?.focus();
   };
 
+  // Check stock for a cart line at a new quantity, counting the product's other lines in base units
+  const hasStockFor = (cartItems, item, newQty) => {
+    if (item.clearance_batch_id && newQty > item.clearance_stock) {
+      toast.error(`Only ${item.clearance_stock} ${item.unit}(s) left in the clearance batch`);
+      return false;
+    }
+
+
+    const otherLines = cartItems
+      .filter(i => i.product_id === item.product_id && i.line_key !== item.line_key)
+      .reduce((sum, i) => sum + cartBaseQuantity(i), 0);
+
+    if (otherLines + cartBaseQuantity({ ...item, quantity: newQty }) > item.total_stock) {
+      toast.error(`Only ${item.total_stock} ${item.unit}(s) available`);
+      return false;
+    }
+
+    return true;
+  };
+
   // Update cart item quantity
-  const updateQuantity = (productId, newQty) => {
-    if (newQty < 1) {
-      removeFromCart(productId);
+  const updateQuantity = (key, newQty) => {
+    if (!(newQty > 0)) {
+      removeFromCart(key);
       return;
     }
 
     setCart(prevCart => {
-      const item = prevCart.find(i => i.product_id === productId);
-      if (newQty > item.total_stock) {
-        toast.error(`Only ${item.total_stock} ${item.unit}(s) available`);
+      const item = prevCart.find(i => i.line_key === key);
+      if (!hasStockFor(prevCart, item, newQty)) {
         return prevCart;
       }
       
       return prevCart.map(i => 
-        i.product_id === productId ? { ...i, quantity: newQty } : i
+        i.line_key === key ? { ...i, quantity: newQty } : i
       );
     });
   };
 
+  // Switch a cart line to another selling unit (or the base unit)
+  const updateSellingUnit = (key, unitId) => {
+    setCart(prevCart => {
+      const item = prevCart.find(i => i.line_key === key);
+      const sellingUnit = (item.units || []).find(unit => unit.unit_id === parseInt(unitId)) || null;
+      const newKey = cartLineKey(item.product_id, sellingUnit?.unit_id);
+
+      if (newKey !== key && prevCart.some(i => i.line_key === newKey)) {
+        toast.error(`${item.product_name} is already in the cart by the ${sellingUnit?.unit_name || item.unit}`);
+        return prevCart;
+      }
+
+      const updated = {
+        ...item,
+        line_key: newKey,
+        selling_unit: sellingUnit,
+        selling_price: sellingUnit ? sellingUnit.price : item.base_price
+      };
+
+      if (!hasStockFor(prevCart, updated, updated.quantity)) {
+        return prevCart;
+      }
+
+      return prevCart.map(i => (i.line_key === key ? updated : i));
+    });
+  };
+
   // Update per-item discount
-  const updateItemDiscount = (productId, discountValue) => {
+  const updateItemDiscount = (key, discountValue) => {
     setCart(prevCart =>
       prevCart.map(i =>
-        i.product_id === productId ? { ...i, itemDiscount: Math.max(0, discountValue) } : i
+        i.line_key === key ? { ...i, itemDiscount: Math.max(0, discountValue) } : i
       )
     );
   };
 
   // Remove item from cart
-  const removeFromCart = (productId) => {
-    setCart(prevCart => prevCart.filter(item => item.product_id !== productId));
+  const removeFromCart = (key) => {
+    setCart(prevCart => prevCart.filter(item => item.line_key !== key));
+  };
+
+  // Tenders for the sales API; in split mode any unpaid balance goes on the customer's account
+  const buildPayments = () => {
+    if (paymentMethod === 'CREDIT') {
+      return [{ method: 'STORE_CREDIT' }];
+    }
+    if (paymentMethod === 'CASH') {
+      return [{ method: 'CASH', amount: amountTendered ? parseFloat(amountTendered) : null }];
+    }
+    return splitTenders
+      .filter(tender => parseFloat(tender.amount || 0) > 0)
+      .map(tender => ({
+        method: tender.method,
+        amount: parseFloat(tender.amount),
+        provider: tender.method === 'E_WALLET' || tender.method === 'BANK_TRANSFER' ? tender.provider || null : null,
+        referenceNumber: tender.method === 'E_WALLET' || tender.method === 'BANK_TRANSFER' ? tender.referenceNumber || null : null,
+        checkNumber: tender.method === 'CHECK' ? tender.checkNumber || null : null,
+        checkDate: tender.method === 'CHECK' ? tender.checkDate || null : null
+      }));
   };
 
+  const updateSplitTender = (index, changes) => {
+    setSplitTenders(splitTenders.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
+  };
+
+  const splitPaid = roundCurrency(splitTenders.reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0));
+
   // Clear cart
   const clearCart = () => {
+    checkoutKeyRef.current = null;
     setCart([]);
     setSelectedCustomer(null);
     setOrderType('PICKUP');
     setDeliveryAddress('');
     setDeliveryDate('');
+    setDeliveryFee('');
     setPaymentMethod('CASH');
     setAmountTendered('');
-    setCashAmount('');
-    setOnlineAmount('');
+    setSplitTenders(emptySplitTenders());
     setRemarks('');
     setDiscount(0);
+    setDiscountType('AMOUNT');
     searchInputRef.current?.focus();
   };
 
   // Process sale
-  const processSale = async () => {
+  const processSale = async (approval = null) => {
     if (cart.length === 0) {
       toast.error('Cart is empty');
       return;
@@ -440,12 +1121,19 @@ export default function POSPage() {
       return;
     }
 
-    if (paymentMethod === 'MIXED') {
-      const mixedTotal = parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0);
-      if (mixedTotal < total) {
-        toast.error('Combined cash + online payment is insufficient');
-        return;
-      }
+    // Same rules as the sales API, so a bad reference or an overpaid e-wallet is caught before posting
+    const payments = buildPayments();
+    let settlement;
+    try {
+      settlement = settleTenders(payments, total);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    if (settlement.creditAmount > 0 && !selectedCustomer) {
+      toast.error('Select a customer to charge the unpaid balance to their account');
+      return;
     }
 
     if (orderType === 'DELIVERY' && !deliveryAddress.trim()) {
@@ -455,36 +1143,47 @@ export default function POSPage() {
 
     setIsProcessing(true);
 
+    let saleData = null;
     try {
-      const saleData = {
+      // Kept until the cart is cleared, so a double click or a retry cannot record the sale twice
+      if (!checkoutKeyRef.current) checkoutKeyRef.current = crypto.randomUUID();
+      saleData = {
+        clientReference: checkoutKeyRef.current,
+        terminalId,
         customerId: selectedCustomer?.customer_id || null,
         processType: orderType === 'DELIVERY' ? 'PO' : 'Walk-in',
         delivery: orderType === 'DELIVERY'
           ? {
               address: deliveryAddress.trim(),
               date: deliveryDate || null,
+              fee: appliedDeliveryFee,
               status: 'PENDING'
             }
           : null,
         items: cart.map(item => ({
           productId: item.product_id,
+          unitId: item.selling_unit?.unit_id || null,
+          inventoryId: item.clearance_batch_id || null,
           quantity: item.quantity,
-          unitPrice: item.selling_price,
           discount: toNumber(item.itemDiscount, 0)
         })),
         discount,
-        amountPaid: paymentMethod === 'CREDIT' ? 0
-          : paymentMethod === 'MIXED' ? parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0)
-          : parseFloat(amountTendered || total),
-        paymentMethod,
-        cashAmount: paymentMethod === 'MIXED' ? parseFloat(cashAmount || 0) : undefined,
-        onlineAmount: paymentMethod === 'MIXED' ? parseFloat(onlineAmount || 0) : undefined,
-        notes: remarks.trim() || null
+        discountType,
+        taxMode,
+        taxRate: DEFAULT_VAT_RATE,
+        payments,
+        notes: remarks.trim() || null,
+        approval
       };
 
+      if (!isOnline) {
+        await queueOfflineSale(saleData, settlement);
+        return;
+      }
+
       const res = await fetch('/api/sales', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': saleData.clientReference },
         body: JSON.stringify(saleData)
       });
 
@@ -492,28 +1191,112 @@ export default function POSPage() {
 
       if (data.success) {
         toast.success('Sale completed!');
-        const saleWithPaymentBreakdown = {
-          ...data.sale,
-          payment_breakdown: paymentMethod === 'MIXED'
-            ? { cash: parseFloat(cashAmount || 0), online: parseFloat(onlineAmount || 0) }
-            : null
-        };
-        setLastSale(saleWithPaymentBreakdown);
+        const saleWithChange = { ...data.sale, change_amount: settlement.changeAmount };
+        setLastSale(saleWithChange);
         setShowReceipt(true);
-        printReceiptPDF(saleWithPaymentBreakdown);
+        printReceiptPDF(saleWithChange);
         clearCart();
         loadTodaySummary();
+        loadShift();
+        loadTerminals();
+        setApprovalRequest(null);
+      } else if (data.requiresApproval) {
+        setApprovalForm({ pin: '', username: '', password: '', reason: '' });
+        setApprovalRequest({ message: data.error, code: data.code });
       } else {
         toast.error(data.error || 'Failed to process sale');
       }
     } catch (error) {
       console.error('Sale error:', error);
+      // The connection dropped mid-sale: queue it; the shared clientReference stops a double post
+      if (saleData && error instanceof TypeError) {
+        try {
+          await queueOfflineSale(saleData, settlement);
+          return;
+        } catch (queueError) {
+          console.error('Queue sale error:', queueError);
+        }
+      }
       toast.error('Failed to process sale');
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Queue a sale for the next sync and hand the customer a provisional receipt
+  const queueOfflineSale = async (saleData, settlement) => {
+    const soldAt = new Date().toISOString();
+    // Manager passwords and PINs are never written to the device; only the reason is queued, and
+    // a sale that needed approval is held for manager review on sync unless a manager rang it up
+    const { approval, ...queuedSale } = saleData;
+    if (approval?.reason) queuedSale.approval = { reason: approval.reason };
+    await queueSale({ clientReference: saleData.clientReference, soldAt, totalAmount: total, sale: queuedSale });
+
+    const saleDetails = cart.map(item => {
+      const promo = promoLines[item.line_key];
+      const lineDiscount = roundCurrency(toNumber(item.itemDiscount, 0) + (promo?.discount || 0));
+      return {
+        products: { product_name: item.product_name },
+        quantity: cartBaseQuantity(item),
+        unit_quantity: item.selling_unit ? item.quantity : null,
+        unit_name: item.selling_unit?.unit_name || item.unit,
+        unit_price: item.selling_price,
+        discount: lineDiscount,
+        subtotal: roundCurrency(item.quantity * item.selling_price - lineDiscount),
+        sale_promotions: (promo?.promotions || []).map(applied => ({
+          sale_promotion_id: `${item.line_key}:${applied.promotion_id}`,
+          promo_name: applied.promo_name,
+          discount_amount: applied.discount_amount
+        }))
+      };
+    });
+
+    const provisionalSale = {
+      pending_sync: true,
+      invoice_number: `OFFLINE-${saleData.clientReference.slice(0, 8).toUpperCase()}`,
+      sale_date: soldAt,
+      handled_by: { username: user?.username || null, full_name: user?.fullName || null, role: user?.role || null },
+      delivery: saleData.delivery ? [{ delivery_address: saleData.delivery.address, delivery_fee: saleData.delivery.fee }] : [],
+      sale_details: saleDetails,
+      subtotal: saleTotals.subtotal,
+      discount_amount: saleTotals.discountAmount,
+      tax_mode: taxMode,
+      tax_rate: DEFAULT_VAT_RATE,
+      tax_amount: saleTotals.taxAmount,
+      total_amount: total,
+      amount_paid: settlement.amountTendered,
+      change_amount: settlement.changeAmount,
+      remarks: saleData.notes,
+      sale_payments: settlement.lines.map((line, index) => ({ ...line, sale_payment_id: index }))
+    };
+
+    // Keep the cached stock honest until the next catalog refresh
+    if (catalog) {
+      const sold = new Map();
+      cart.forEach(item => sold.set(item.product_id, (sold.get(item.product_id) || 0) + cartBaseQuantity(item)));
+      const updated = {
+        ...catalog,
+        products: catalog.products.map(product => {
+          if (!sold.has(product.product_id)) return product;
+          const totalStock = Math.max(0, product.total_stock - sold.get(product.product_id));
+          return { ...product, total_stock: totalStock, in_stock: totalStock > 0 };
+        })
+      };
+      setCatalog(updated);
+      saveCatalog(updated).catch(error => console.error('Failed to cache catalog:', error));
+    }
+
+    setQueuedCount(await countQueuedSales());
+    toast.success(approval && !hasRole('MANAGER')
+      ? 'Offline: sale saved; the manager override will be reviewed when it syncs'
+      : 'Offline: sale saved and will sync when the connection returns');
+    setLastSale(provisionalSale);
+    setShowReceipt(true);
+    printReceiptPDF(provisionalSale);
+    clearCart();
+    setApprovalRequest(null);
+  };
+
   // Quick amount buttons
   const quickAmounts = [100, 200, 500, 1000, 2000, 5000];
 
@@ -526,6 +1309,24 @@ export default function POSPage() {
         <div className="flex-1 flex flex-col bg-white rounded-xl shadow-sm overflow-hidden">
           {/* Search Bar */}
           <div className="p-4 border-b">
+            {(!isOnline || queuedCount > 0) && (
+              <div className={`mb-3 px-3 py-2 rounded-lg text-sm flex items-center justify-between ${isOnline ? 'bg-yellow-50 text-yellow-800' : 'bg-red-50 text-red-700'}`}>
+                <span>
+                  {isOnline ? 'Online' : 'Offline: selling from the cached catalog'}
+                  {queuedCount > 0 && ` • ${queuedCount} sale(s) waiting to sync`}
+                  {!isOnline && !catalog && ' (no catalog cached yet)'}
+                </span>
+                {isOnline && queuedCount > 0 && (
+                  <button
+                    onClick={syncQueuedSales}
+                    disabled={isSyncing}
+                    className="px-3 py-1 bg-yellow-600 text-white rounded hover:bg-yellow-700 disabled:opacity-50"
+                  >
+                    {isSyncing ? 'Syncing...' : 'Sync now'}
+                  </button>
+                )}
+              </div>
+            )}
             <div className="relative">
               <input
                 ref={searchInputRef}
@@ -545,8 +1346,8 @@ export default function POSPage() {
             {searchResults.length > 0 && (
               <div className="absolute z-10 mt-1 w-full max-w-lg bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
                 {searchResults.map(product => (
+                  <div key={product.product_id} className="border-b last:border-b-0">
                   <button
-                    key={product.product_id}
                     onClick={() => addToCart(product)}
                     className="w-full px-4 py-3 text-left hover:bg-gray-50 flex justify-between items-center border-b last:border-b-0"
                   >
@@ -559,8 +1360,29 @@ export default function POSPage() {
                       <p className={`text-sm ${product.in_stock ? 'text-black' : 'text-red-500'}`}>
                         {product.total_stock} {product.unit}
                       </p>
+                      {product.units?.map(unit => (
+                        <p key={unit.unit_id} className="text-xs text-gray-600">
+                          {unit.unit_name}: {formatCurrency(unit.price)}
+                        </p>
+                      ))}
                     </div>
                   </button>
+                  {(product.clearance_batches || []).map(batch => (
+                    <button
+                      key={batch.inventory_id}
+                      onClick={() => addClearanceToCart(product, batch)}
+                      className="w-full px-4 py-2 pl-8 text-left bg-amber-50 hover:bg-amber-100 flex justify-between items-center text-sm"
+                    >
+                      <span className="text-amber-800">
+                        Clearance {batch.batch_number ? `batch ${batch.batch_number}` : ''}
+                        {batch.expiration_date ? ` - exp ${new Date(batch.expiration_date).toLocaleDateString('en-PH')}` : ''}
+                      </span>
+                      <span className="text-amber-800 font-semibold">
+                        {formatCurrency(batch.clearance_price)} ({batch.current_stock} left)
+                      </span>
+                    </button>
+                  ))}
+                  </div>
                 ))}
               </div>
             )}
@@ -590,50 +1412,83 @@ export default function POSPage() {
                 </thead>
                 <tbody>
                   {cart.map(item => (
-                    <tr key={item.product_id} className="border-b">
+                    <tr key={item.line_key} className="border-b">
                       <td className="py-3">
                         <p className="font-medium">{item.product_name}</p>
                         <p className="text-sm text-black">{item.product_code}</p>
+                        {item.clearance_batch_id && (
+                          <p className="text-xs text-amber-700">
+                            Clearance{item.clearance_expiry ? ` - exp ${new Date(item.clearance_expiry).toLocaleDateString('en-PH')}` : ''}
+                          </p>
+                        )}
+                        {item.units?.length > 0 && (
+                          <select
+                            value={item.selling_unit?.unit_id || ''}
+                            onChange={(e) => updateSellingUnit(item.line_key, e.target.value)}
+                            className="mt-1 px-2 py-1 text-sm border rounded"
+                          >
+                            <option value="">{item.unit || 'Base unit'}</option>
+                            {item.units.map(unit => (
+                              <option key={unit.unit_id} value={unit.unit_id}>
+                                {unit.unit_name} ({unit.conversion_factor} {item.unit})
+                              </option>
+                            ))}
+                          </select>
+                        )}
                       </td>
                       <td className="py-3">
                         <div className="flex items-center justify-center">
                           <button
-                            onClick={() => updateQuantity(item.product_id, item.quantity - 1)}
+                            onClick={() => updateQuantity(item.line_key, item.quantity - 1)}
                             className="w-8 h-8 rounded-lg bg-gray-100 hover:bg-gray-200 flex items-center justify-center"
                           >
                             -
                           </button>
                           <input
                             type="number"
+                            step={item.selling_unit ? 'any' : '1'}
                             value={item.quantity}
-                            onChange={(e) => updateQuantity(item.product_id, parseInt(e.target.value) || 0)}
+                            onChange={(e) => updateQuantity(item.line_key, (item.selling_unit ? parseFloat(e.target.value) : parseInt(e.target.value)) || 0)}
                             className="w-12 mx-2 text-center border rounded"
                           />
                           <button
-                            onClick={() => updateQuantity(item.product_id, item.quantity + 1)}
+                            onClick={() => updateQuantity(item.line_key, item.quantity + 1)}
                             className="w-8 h-8 rounded-lg bg-gray-100 hover:bg-gray-200 flex items-center justify-center"
                           >
                             +
                           </button>
                         </div>
                       </td>
-                      <td className="py-3 text-right">{formatCurrency(item.selling_price)}</td>
+                      <td className="py-3 text-right">
+                        {formatCurrency(item.selling_price)}
+                        {item.price_source && item.price_source !== 'RETAIL' && item.retail_price > item.selling_price && (
+                          <p className="text-xs text-gray-500 line-through">{formatCurrency(item.retail_price)}</p>
+                        )}
+                        {item.price_source === 'QUANTITY_BREAK' && (
+                          <p className="text-xs text-green-600">Qty price</p>
+                        )}
+                      </td>
                       <td className="py-3 text-right">
                         <input
                           type="number"
                           min="0"
                           step="0.01"
                           value={item.itemDiscount || 0}
-                          onChange={(e) => updateItemDiscount(item.product_id, parseFloat(e.target.value) || 0)}
+                          onChange={(e) => updateItemDiscount(item.line_key, parseFloat(e.target.value) || 0)}
                           className="w-20 px-2 py-1 text-right border rounded"
                         />
                       </td>
                       <td className="py-3 text-right font-medium">
-                        {formatCurrency((item.quantity * item.selling_price) - toNumber(item.itemDiscount, 0))}
+                        {formatCurrency((item.quantity * item.selling_price) - toNumber(item.itemDiscount, 0) - (promoLines[item.line_key]?.discount || 0))}
+                        {promoLines[item.line_key]?.promotions.map(promo => (
+                          <p key={promo.promotion_id} className="text-xs font-normal text-green-600">
+                            {promo.promo_name} -{formatCurrency(promo.discount_amount)}
+                          </p>
+                        ))}
                       </td>
                       <td className="py-3">
                         <button
-                          onClick={() => removeFromCart(item.product_id)}
+                          onClick={() => removeFromCart(item.line_key)}
                           className="text-red-500 hover:text-red-700"
                         >
                           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -660,6 +1515,64 @@ export default function POSPage() {
             </div>
           )}
 
+          {/* Shift */}
+          <div className="p-4 border-b">
+            {currentShift ? (
+              <div className="space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium text-black">Shift #{currentShift.shift_id}</span>
+                  <span className="text-black">Expected cash: {formatCurrency(shiftReport?.expected_cash)}</span>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => openShiftModal('payout')}
+                    className="flex-1 py-1.5 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg"
+                  >
+                    Pay-out
+                  </button>
+                  <button
+                    onClick={() => openShiftModal('close')}
+                    className="flex-1 py-1.5 text-sm bg-red-50 text-red-700 hover:bg-red-100 rounded-lg"
+                  >
+                    Close Shift
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-amber-700">No open shift</span>
+                <button
+                  onClick={() => openShiftModal('open')}
+                  className="px-3 py-1.5 text-sm bg-green-600 hover:bg-green-700 text-white rounded-lg"
+                >
+                  Open Shift
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Terminal (official receipt series) */}
+          {(terminals.length > 0 || terminalId) && (
+            <div className="p-4 border-b">
+              <label className="block text-sm font-medium text-black mb-2">Terminal</label>
+              <select
+                value={terminalId || ''}
+                onChange={(e) => selectTerminal(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+              >
+                <option value="">Select terminal...</option>
+                {terminals.map(terminal => (
+                  <option key={terminal.terminal_id} value={terminal.terminal_id}>
+                    {terminal.terminal_code} - {terminal.terminal_name} (next OR {terminal.next_or_number || 'none left'})
+                  </option>
+                ))}
+                {terminalId && !terminals.some(terminal => terminal.terminal_id === terminalId) && (
+                  <option value={terminalId}>Terminal #{terminalId}</option>
+                )}
+              </select>
+            </div>
+          )}
+
           {/* Customer Selection */}
           <div className="p-4 border-b">
             <label className="block text-sm font-medium text-black mb-2">Customer</label>
@@ -692,15 +1605,62 @@ export default function POSPage() {
                 <span>-{formatCurrency(itemDiscountsTotal)}</span>
               </div>
             )}
-            <div className="flex justify-between text-sm">
+            {promoDiscountsTotal > 0 && (
+              <div className="flex justify-between text-sm text-green-600">
+                <span>Promotions</span>
+                <span>-{formatCurrency(promoDiscountsTotal)}</span>
+              </div>
+            )}
+            <div className="flex justify-between items-center text-sm">
               <span className="text-black">Extra Discount</span>
-              <input
-                type="number"
-                value={discount}
-                onChange={(e) => setDiscount(parseFloat(e.target.value) || 0)}
-                className="w-24 px-2 py-1 text-right border rounded"
-              />
+              <div className="flex items-center gap-1">
+                <select
+                  value={discountType}
+                  onChange={(e) => setDiscountType(e.target.value)}
+                  className="px-1 py-1 border rounded"
+                >
+                  <option value="AMOUNT">₱</option>
+                  <option value="PERCENT">%</option>
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  value={discount}
+                  onChange={(e) => setDiscount(parseFloat(e.target.value) || 0)}
+                  className="w-24 px-2 py-1 text-right border rounded"
+                />
+              </div>
+            </div>
+            {saleTotals.discountAmount > 0 && (
+              <div className="flex justify-between text-sm text-red-600">
+                <span>Order Discount</span>
+                <span>-{formatCurrency(saleTotals.discountAmount)}</span>
+              </div>
+            )}
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-black">VAT ({DEFAULT_VAT_RATE}%)</span>
+              <select
+                value={taxMode}
+                onChange={(e) => setTaxMode(e.target.value)}
+                className="px-2 py-1 border rounded"
+              >
+                <option value="NONE">No VAT</option>
+                <option value="INCLUSIVE">Inclusive</option>
+                <option value="EXCLUSIVE">Exclusive</option>
+              </select>
             </div>
+            {saleTotals.taxAmount > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-black">{taxMode === 'INCLUSIVE' ? 'VAT (included)' : 'VAT'}</span>
+                <span>{formatCurrency(saleTotals.taxAmount)}</span>
+              </div>
+            )}
+            {appliedDeliveryFee > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-black">Delivery Fee</span>
+                <span>{formatCurrency(appliedDeliveryFee)}</span>
+              </div>
+            )}
             <div className="flex justify-between text-xl font-bold pt-2 border-t">
               <span>Total</span>
               <span className="text-green-600">{formatCurrency(total)}</span>
@@ -739,6 +1699,15 @@ export default function POSPage() {
                   onChange={(e) => setDeliveryDate(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black"
                 />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={deliveryFee}
+                  onChange={(e) => setDeliveryFee(e.target.value)}
+                  placeholder="Delivery fee"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black"
+                />
               </div>
             )}
           </div>
@@ -747,7 +1716,7 @@ export default function POSPage() {
           <div className="p-4 border-b">
             <label className="block text-sm font-medium text-black mb-2">Payment Method</label>
             <div className="flex gap-2">
-              {['CASH', 'CREDIT', 'MIXED'].map(method => (
+              {[['CASH', 'Cash'], ['CREDIT', 'Credit'], ['SPLIT', 'Split / Other']].map(([method, label]) => (
                 <button
                   key={method}
                   onClick={() => setPaymentMethod(method)}
@@ -757,7 +1726,7 @@ export default function POSPage() {
                       : 'bg-gray-100 text-black hover:bg-gray-200'
                   }`}
                 >
-                  {method}
+                  {label}
                 </button>
               ))}
             </div>
@@ -797,52 +1766,95 @@ export default function POSPage() {
             </div>
           )}
 
-          {/* Amount Breakdown - MIXED */}
-          {paymentMethod === 'MIXED' && (
+          {/* Tender lines - SPLIT */}
+          {paymentMethod === 'SPLIT' && (
             <div className="p-4 border-b space-y-3">
-              <div>
-                <label className="block text-sm font-medium text-black mb-1">Cash Amount</label>
-                <input
-                  type="number"
-                  value={cashAmount}
-                  onChange={(e) => setCashAmount(e.target.value)}
-                  placeholder="0.00"
-                  className="w-full px-4 py-3 text-lg text-right border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-black mb-1">Online Payment</label>
-                <input
-                  type="number"
-                  value={onlineAmount}
-                  onChange={(e) => setOnlineAmount(e.target.value)}
-                  placeholder="0.00"
-                  className="w-full px-4 py-3 text-lg text-right border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
-                />
-              </div>
-              <div className="p-3 bg-gray-50 rounded-lg space-y-1 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-black">Cash</span>
-                  <span>{formatCurrency(parseFloat(cashAmount || 0))}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-black">Online</span>
-                  <span>{formatCurrency(parseFloat(onlineAmount || 0))}</span>
+              {splitTenders.map((tender, index) => (
+                <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                  <div className="flex gap-2">
+                    <select
+                      value={tender.method}
+                      onChange={(e) => updateSplitTender(index, { method: e.target.value })}
+                      className="flex-1 px-2 py-2 border border-gray-300 rounded-lg text-sm text-black"
+                    >
+                      {SPLIT_TENDER_TYPES.map(method => (
+                        <option key={method} value={method}>{TENDER_LABELS[method]}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={tender.amount}
+                      onChange={(e) => updateSplitTender(index, { amount: e.target.value })}
+                      placeholder="0.00"
+                      className="w-32 px-3 py-2 text-right border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                    {splitTenders.length > 1 && (
+                      <button
+                        onClick={() => setSplitTenders(splitTenders.filter((_, i) => i !== index))}
+                        className="px-2 text-red-600 hover:text-red-800"
+                        title="Remove"
+                      >
+                        &times;
+                      </button>
+                    )}
+                  </div>
+                  {(tender.method === 'E_WALLET' || tender.method === 'BANK_TRANSFER') && (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={tender.provider || ''}
+                        onChange={(e) => updateSplitTender(index, { provider: e.target.value })}
+                        placeholder={tender.method === 'E_WALLET' ? 'GCash, Maya...' : 'Bank'}
+                        className="w-1/3 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black"
+                      />
+                      <input
+                        type="text"
+                        value={tender.referenceNumber || ''}
+                        onChange={(e) => updateSplitTender(index, { referenceNumber: e.target.value })}
+                        placeholder="Reference number *"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black"
+                      />
+                    </div>
+                  )}
+                  {tender.method === 'CHECK' && (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={tender.checkNumber || ''}
+                        onChange={(e) => updateSplitTender(index, { checkNumber: e.target.value })}
+                        placeholder="Check number *"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-black"
+                      />
+                      <input
+                        type="date"
+                        value={tender.checkDate || ''}
+                        onChange={(e) => updateSplitTender(index, { checkDate: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-black"
+                      />
+                    </div>
+                  )}
                 </div>
-                <div className="flex justify-between font-bold border-t pt-1">
+              ))}
+              <button
+                onClick={() => setSplitTenders([...splitTenders, { method: 'E_WALLET', amount: '', provider: '', referenceNumber: '' }])}
+                className="w-full py-2 border border-dashed border-gray-300 rounded-lg text-sm text-black hover:bg-gray-50"
+              >
+                + Add payment
+              </button>
+              <div className="p-3 bg-gray-50 rounded-lg space-y-1 text-sm">
+                <div className="flex justify-between font-bold">
                   <span>Total Paid</span>
-                  <span>{formatCurrency(parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0))}</span>
+                  <span>{formatCurrency(splitPaid)}</span>
                 </div>
-                {(parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0)) >= total && (
+                {splitPaid >= total ? (
                   <div className="flex justify-between text-green-600 font-bold">
-                    <span>Change</span>
-                    <span>{formatCurrency(parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0) - total)}</span>
+                    <span>Change (cash)</span>
+                    <span>{formatCurrency(splitPaid - total)}</span>
                   </div>
-                )}
-                {(parseFloat(cashAmount || 0) + parseFloat(onlineAmount || 0)) < total && (
+                ) : (
                   <div className="flex justify-between text-red-600 font-medium">
-                    <span>Remaining</span>
-                    <span>{formatCurrency(total - parseFloat(cashAmount || 0) - parseFloat(onlineAmount || 0))}</span>
+                    <span>{selectedCustomer ? 'Charged to account' : 'Remaining'}</span>
+                    <span>{formatCurrency(total - splitPaid)}</span>
                   </div>
                 )}
               </div>
@@ -865,7 +1877,7 @@ export default function POSPage() {
           {/* Action Buttons */}
           <div className="mt-auto p-4 space-y-2">
             <button
-              onClick={processSale}
+              onClick={() => processSale()}
               disabled={cart.length === 0 || isProcessing}
               className="w-full py-4 bg-green-600 hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-colors flex items-center justify-center gap-2"
             >
@@ -896,6 +1908,170 @@ export default function POSPage() {
         </div>
       </div>
 
+      {/* Manager Approval Modal */}
+      {approvalRequest && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
+            <div className="p-6">
+              <h2 className="text-lg font-bold text-black mb-2">Manager Approval Required</h2>
+              <p className="text-sm text-red-600 mb-4">{approvalRequest.message}</p>
+              <p className="text-xs text-black mb-3">Enter a manager username with their PIN or password. Managers may leave these blank to approve their own sale.</p>
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="Manager username"
+                  value={approvalForm.username}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, username: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  autoComplete="off"
+                />
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  placeholder="Manager PIN"
+                  value={approvalForm.pin}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, pin: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  autoComplete="off"
+                />
+                <input
+                  type="password"
+                  placeholder="Manager password"
+                  value={approvalForm.password}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, password: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  autoComplete="new-password"
+                />
+                <input
+                  type="text"
+                  placeholder="Reason for override"
+                  value={approvalForm.reason}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, reason: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+              <div className="mt-6 flex gap-2">
+                <button
+                  onClick={() => setApprovalRequest(null)}
+                  className="flex-1 py-3 bg-gray-100 hover:bg-gray-200 rounded-lg font-medium transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => {
+                    if (!approvalForm.reason.trim()) {
+                      toast.error('Enter a reason for the override');
+                      return;
+                    }
+                    if (approvalForm.pin.trim() && !approvalForm.username.trim()) {
+                      toast.error('Enter the manager username with the PIN');
+                      return;
+                    }
+                    processSale(approvalForm.pin.trim()
+                      ? { username: approvalForm.username.trim(), pin: approvalForm.pin.trim(), reason: approvalForm.reason.trim() }
+                      : {
+                          username: approvalForm.username.trim() || undefined,
+                          password: approvalForm.password,
+                          reason: approvalForm.reason.trim()
+                        });
+                  }}
+                  disabled={isProcessing}
+                  className="flex-1 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+                >
+                  {isProcessing ? 'Processing...' : 'Approve & Complete'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Shift Modal */}
+      {shiftModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              {shiftModal === 'report' && shiftReport ? (
+                <>
+                  <h2 className="text-lg font-bold text-black mb-1">{shiftReport.report_type} Report - Shift #{shiftReport.shift_id}</h2>
+                  <p className="text-sm text-black mb-4">{shiftReport.cashier}</p>
+                  <div className="space-y-1 text-sm">
+                    <div className="flex justify-between"><span>Opening Float</span><span>{formatCurrency(shiftReport.opening_float)}</span></div>
+                    <div className="flex justify-between"><span>Sales ({shiftReport.sales_count})</span><span>{formatCurrency(shiftReport.gross_sales)}</span></div>
+                    {Object.entries(shiftReport.by_payment_method || {}).map(([method, amount]) => (
+                      <div key={method} className="flex justify-between pl-4 text-gray-600"><span>{TENDER_LABELS[method] || method}</span><span>{formatCurrency(amount)}</span></div>
+                    ))}
+                    <div className="flex justify-between"><span>Cash Sales</span><span>{formatCurrency(shiftReport.cash_sales)}</span></div>
+                    <div className="flex justify-between text-red-600"><span>Refunds</span><span>-{formatCurrency(shiftReport.refunds)}</span></div>
+                    <div className="flex justify-between text-red-600"><span>Pay-outs</span><span>-{formatCurrency(shiftReport.payout_total)}</span></div>
+                    <div className="flex justify-between font-semibold border-t pt-2"><span>Expected Cash</span><span>{formatCurrency(shiftReport.expected_cash)}</span></div>
+                    {shiftReport.counted_cash !== null && (
+                      <>
+                        <div className="flex justify-between"><span>Counted Cash</span><span>{formatCurrency(shiftReport.counted_cash)}</span></div>
+                        <div className={`flex justify-between font-semibold ${shiftReport.over_short < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          <span>{shiftReport.over_short < 0 ? 'Short' : 'Over'}</span>
+                          <span>{formatCurrency(Math.abs(shiftReport.over_short))}</span>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setShiftModal(null)}
+                    className="mt-6 w-full py-3 bg-gray-100 hover:bg-gray-200 rounded-lg font-medium transition-colors"
+                  >
+                    Close
+                  </button>
+                </>
+              ) : (
+                <>
+                  <h2 className="text-lg font-bold text-black mb-4">
+                    {shiftModal === 'open' ? 'Open Shift' : shiftModal === 'payout' ? 'Cash Pay-out' : 'Close Shift'}
+                  </h2>
+                  {shiftModal === 'close' && (
+                    <p className="text-sm text-black mb-3">Count the drawer and enter the total cash on hand.</p>
+                  )}
+                  <label className="block text-sm font-medium text-black mb-1">
+                    {shiftModal === 'open' ? 'Opening Float' : shiftModal === 'payout' ? 'Amount' : 'Counted Cash'}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={shiftAmount}
+                    onChange={(e) => setShiftAmount(e.target.value)}
+                    className="w-full px-3 py-2 border rounded-lg mb-3"
+                    autoFocus
+                  />
+                  <label className="block text-sm font-medium text-black mb-1">
+                    {shiftModal === 'payout' ? 'Reason' : 'Remarks (optional)'}
+                  </label>
+                  <input
+                    type="text"
+                    value={shiftNote}
+                    onChange={(e) => setShiftNote(e.target.value)}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  <div className="mt-6 flex gap-2">
+                    <button
+                      onClick={() => setShiftModal(null)}
+                      className="flex-1 py-3 bg-gray-100 hover:bg-gray-200 rounded-lg font-medium transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={submitShiftAction}
+                      disabled={isShiftSaving}
+                      className="flex-1 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+                    >
+                      {isShiftSaving ? 'Saving...' : 'Confirm'}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Receipt Modal */}
       {showReceipt && lastSale && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
@@ -904,11 +2080,14 @@ export default function POSPage() {
               {/* Receipt Header */}
               <div className="text-center border-b pb-4 mb-4">
                 <h2 className="text-xl font-bold">AgriVet Store</h2>
-                <p className="text-sm text-black">Official Receipt</p>
+                <p className="text-sm text-black">{receiptHeading(lastSale)}</p>
                 <p className="text-sm text-black mt-2">
                   {new Date(lastSale.sale_date).toLocaleString('en-PH')}
                 </p>
-                <p className="font-mono text-sm mt-1">{lastSale.invoice_number}</p>
+                <p className="font-mono text-sm mt-1">{lastSale.invoice_number || `SALE-${lastSale.sale_id}`}</p>
+                {lastSale.pos_terminals && (
+                  <p className="text-sm text-black mt-1">Terminal: {lastSale.pos_terminals.terminal_code}</p>
+                )}
                 <p className="text-sm text-black mt-1">
                   Handled By: {lastSale.handled_by?.full_name || lastSale.handled_by?.username || 'Unknown User'}
                 </p>
@@ -929,13 +2108,18 @@ export default function POSPage() {
                     <div>
                       <p>{item.products?.product_name || item.product?.product_name || 'Item'}</p>
                       <p className="text-black">
-                        {item.quantity} x {formatCurrency(item.unit_price || 0)}
+                        {soldQuantityLabel(item)} x {formatCurrency(item.unit_price || 0)}
                         {Number(item.discount || 0) > 0 && (
                           <span className="text-red-600 ml-1">(-{formatCurrency(item.discount)})</span>
                         )}
                       </p>
+                      {(item.sale_promotions || []).map(promo => (
+                        <p key={promo.sale_promotion_id} className="text-xs text-green-700">
+                          Promo: {promo.promo_name} (-{formatCurrency(promo.discount_amount)})
+                        </p>
+                      ))}
                     </div>
-                    <p className="font-medium">{formatCurrency((item.subtotal ?? ((item.quantity || 0) * (item.unit_price || 0) - Number(item.discount || 0))))}</p>
+                    <p className="font-medium">{formatCurrency((item.subtotal ?? (soldQuantity(item) * (item.unit_price || 0) - Number(item.discount || 0))))}</p>
                   </div>
                 ))}
               </div>
@@ -946,10 +2130,22 @@ export default function POSPage() {
                   <span>Subtotal</span>
                   <span>{formatCurrency(lastSale.subtotal)}</span>
                 </div>
-                {lastSale.discount > 0 && (
+                {lastSale.discount_amount > 0 && (
                   <div className="flex justify-between text-red-600">
                     <span>Discount</span>
-                    <span>-{formatCurrency(lastSale.discount)}</span>
+                    <span>-{formatCurrency(lastSale.discount_amount)}</span>
+                  </div>
+                )}
+                {lastSale.tax_amount > 0 && (
+                  <div className="flex justify-between">
+                    <span>{getReceiptData(lastSale).taxLabel}</span>
+                    <span>{formatCurrency(lastSale.tax_amount)}</span>
+                  </div>
+                )}
+                {getReceiptData(lastSale).deliveryFee > 0 && (
+                  <div className="flex justify-between">
+                    <span>Delivery Fee</span>
+                    <span>{formatCurrency(getReceiptData(lastSale).deliveryFee)}</span>
                   </div>
                 )}
                 <div className="flex justify-between font-bold text-lg pt-2 border-t">
@@ -960,16 +2156,14 @@ export default function POSPage() {
                   <span>Amount Paid</span>
                   <span>{formatCurrency(lastSale.amount_paid)}</span>
                 </div>
-                {lastSale.payment_breakdown && (
+                {lastSale.sale_payments?.length > 0 && (
                   <div className="ml-4 space-y-1 text-xs text-gray-600">
-                    <div className="flex justify-between">
-                      <span>Cash</span>
-                      <span>{formatCurrency(lastSale.payment_breakdown.cash)}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>Online</span>
-                      <span>{formatCurrency(lastSale.payment_breakdown.online)}</span>
-                    </div>
+                    {lastSale.sale_payments.map(line => (
+                      <div key={line.sale_payment_id} className="flex justify-between">
+                        <span>{describeTender(line)}</span>
+                        <span>{formatCurrency(line.tendered ?? line.amount)}</span>
+                      </div>
+                    ))}
                   </div>
                 )}
                 <div className="flex justify-between">
@@ -0,0 +1,620 @@
+import { useState, useEffect } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@/lib/utils';
+
+const PRICE_BASIS_LABELS = {
+  SRP: 'Retail price (SRP)',
+  DEALER_PRICE: 'Dealer price'
+};
+
+const emptyForm = {
+  listName: '',
+  customerType: '',
+  priceBasis: 'SRP',
+  discountPercent: '0',
+  remarks: '',
+  isActive: true,
+  items: []
+};
+
+const emptyItem = { productId: '', unitId: '', minQuantity: '1', price: '' };
+
+export default function PriceLists() {
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('MANAGER');
+  const [priceLists, setPriceLists] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [rules, setRules] = useState([]);
+  const [pinForm, setPinForm] = useState({ password: '', pin: '' });
+
+  useEffect(() => {
+    fetchPriceLists();
+    fetchProducts();
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const res = await fetch('/api/price-overrides/rules');
+      const data = await res.json();
+      if (res.ok) {
+        setRules(data.rules || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch price override rules');
+    }
+  };
+
+  const updateRule = (role, changes) => {
+    setRules(prev => prev.map(rule => (rule.role === role ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSaveRules = async () => {
+    try {
+      const res = await fetch('/api/price-overrides/rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rules: rules.map(rule => ({
+            role: rule.role,
+            maxDiscountPercent: parseFloat(rule.max_discount_percent) || 0,
+            allowBelowDealerPrice: rule.allow_below_dealer_price
+          }))
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setRules(data.rules);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save price override rules');
+    }
+  };
+
+  const handleSavePin = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch('/api/auth/pin', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(pinForm)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setPinForm({ password: '', pin: '' });
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save approval PIN');
+    }
+  };
+
+  const fetchPriceLists = async () => {
+    try {
+      const res = await fetch('/api/price-lists');
+      const data = await res.json();
+      if (res.ok) {
+        setPriceLists(data.price_lists || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch price lists');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const res = await fetch('/api/products?pageSize=100');
+      const data = await res.json();
+      if (res.ok) {
+        setProducts(data.products || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowModal(true);
+  };
+
+  const openEdit = async (priceListId) => {
+    try {
+      const res = await fetch(`/api/price-lists/${priceListId}`);
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error);
+        return;
+      }
+
+      const priceList = data.price_list;
+      setEditingId(priceList.price_list_id);
+      setForm({
+        listName: priceList.list_name,
+        customerType: priceList.customer_type,
+        priceBasis: priceList.price_basis,
+        discountPercent: String(priceList.discount_percent),
+        remarks: priceList.remarks || '',
+        isActive: priceList.is_active,
+        items: priceList.price_list_items.map(item => ({
+          productId: String(item.product_id),
+          unitId: item.unit_id ? String(item.unit_id) : '',
+          minQuantity: String(item.min_quantity),
+          price: String(item.price)
+        }))
+      });
+      setShowModal(true);
+    } catch (error) {
+      toast.error('Failed to fetch price list');
+    }
+  };
+
+  const updateItem = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const removeItem = (index) => {
+    setForm(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(editingId ? `/api/price-lists/${editingId}` : '/api/price-lists', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          discountPercent: parseFloat(form.discountPercent) || 0,
+          items: form.items
+            .filter(item => item.productId)
+            .map(item => ({
+              productId: parseInt(item.productId),
+              unitId: item.unitId ? parseInt(item.unitId) : null,
+              minQuantity: parseFloat(item.minQuantity) || 1,
+              price: item.price
+            }))
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setShowModal(false);
+        fetchPriceLists();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save price list');
+    }
+  };
+
+  const handleDeactivate = async (priceList) => {
+    if (!confirm(`Deactivate ${priceList.list_name}? ${priceList.customer_type} customers will pay retail prices.`)) return;
+
+    try {
+      const res = await fetch(`/api/price-lists/${priceList.price_list_id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchPriceLists();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to deactivate price list');
+    }
+  };
+
+  const productById = (productId) => products.find(p => p.product_id === parseInt(productId));
+
+  return (
+    <ProtectedRoute requiredRole="CLERK">
+      <div className="space-y-6">
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Price Lists</h1>
+            <p className="text-sm text-gray-600">
+              Prices per customer type. Walk-in sales use the WALK_IN list; customer types without a list pay retail.
+            </p>
+          </div>
+          {canEdit && (
+            <button
+              onClick={openCreate}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              <PlusIcon className="h-5 w-5" />
+              New Price List
+            </button>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price List</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Based On</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Discount</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Qty Breaks</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">Loading...</td>
+                </tr>
+              ) : priceLists.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No price lists yet: everyone pays retail prices</td>
+                </tr>
+              ) : (
+                priceLists.map(priceList => (
+                  <tr key={priceList.price_list_id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="font-medium text-gray-900">{priceList.list_name}</div>
+                      {priceList.remarks && <div className="text-sm text-gray-500">{priceList.remarks}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{priceList.customer_type}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{PRICE_BASIS_LABELS[priceList.price_basis] || priceList.price_basis}</td>
+                    <td className="px-6 py-4 text-right text-sm text-gray-700">{priceList.discount_percent}%</td>
+                    <td className="px-6 py-4 text-right text-sm text-gray-700">{priceList.item_count}</td>
+                    <td className="px-6 py-4 text-center">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                        priceList.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {priceList.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex justify-center gap-2">
+                        <button
+                          onClick={() => openEdit(priceList.price_list_id)}
+                          className="p-1 text-blue-600 hover:text-blue-800"
+                          title={canEdit ? 'Edit' : 'View'}
+                        >
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        {canEdit && priceList.is_active && (
+                          <button
+                            onClick={() => handleDeactivate(priceList)}
+                            className="p-1 text-red-600 hover:text-red-800"
+                            title="Deactivate"
+                          >
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Price Override Rules */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h2 className="text-lg font-semibold text-gray-900">Price Override Rules</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              How far below the price list each role may go (line price, line discount or order discount) before a manager must approve with a PIN or password. Every override is listed in Reports.
+            </p>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Max Discount %</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">May Sell Below Dealer Price</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rules.map(rule => (
+                  <tr key={rule.role}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{rule.role}</td>
+                    <td className="px-4 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        disabled={!canEdit}
+                        value={rule.max_discount_percent}
+                        onChange={(e) => updateRule(rule.role, { max_discount_percent: e.target.value })}
+                        className="w-24 px-2 py-1 border rounded text-right text-black"
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-center">
+                      <input
+                        type="checkbox"
+                        disabled={!canEdit}
+                        checked={rule.allow_below_dealer_price}
+                        onChange={(e) => updateRule(rule.role, { allow_below_dealer_price: e.target.checked })}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {canEdit && (
+              <div className="mt-4 flex justify-end">
+                <button
+                  onClick={handleSaveRules}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Save Rules
+                </button>
+              </div>
+            )}
+          </div>
+
+          {canEdit && (
+            <form onSubmit={handleSavePin} className="bg-white rounded-lg shadow p-6 space-y-3">
+              <h2 className="text-lg font-semibold text-gray-900">My Approval PIN</h2>
+              <p className="text-sm text-gray-600">Enter this PIN at the POS to approve an override without typing your password.</p>
+              <input
+                type="password"
+                required
+                placeholder="Account password"
+                value={pinForm.password}
+                onChange={(e) => setPinForm({ ...pinForm, password: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg text-black"
+                autoComplete="current-password"
+              />
+              <input
+                type="password"
+                inputMode="numeric"
+                required
+                pattern="[0-9]{4,8}"
+                placeholder="New PIN (4-8 digits)"
+                value={pinForm.pin}
+                onChange={(e) => setPinForm({ ...pinForm, pin: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg text-black"
+                autoComplete="new-password"
+              />
+              <button
+                type="submit"
+                className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+              >
+                Save PIN
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingId ? (canEdit ? 'Edit Price List' : 'Price List') : 'New Price List'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <fieldset disabled={!canEdit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">List Name *</label>
+                    <input
+                      type="text"
+                      required
+                      value={form.listName}
+                      onChange={(e) => setForm({ ...form, listName: e.target.value })}
+                      placeholder="e.g., Dealer Prices"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Customer Type *</label>
+                    <input
+                      type="text"
+                      required
+                      list="customer-types"
+                      value={form.customerType}
+                      onChange={(e) => setForm({ ...form, customerType: e.target.value.toUpperCase() })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                    <datalist id="customer-types">
+                      <option value="WALK_IN" />
+                      <option value="REGULAR" />
+                      <option value="VIP" />
+                      <option value="DEALER" />
+                    </datalist>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Based On</label>
+                    <select
+                      value={form.priceBasis}
+                      onChange={(e) => setForm({ ...form, priceBasis: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    >
+                      {Object.entries(PRICE_BASIS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Discount %</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={form.discountPercent}
+                      onChange={(e) => setForm({ ...form, discountPercent: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Remarks</label>
+                  <input
+                    type="text"
+                    value={form.remarks}
+                    onChange={(e) => setForm({ ...form, remarks: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                  />
+                </div>
+                {editingId && (
+                  <label className="flex items-center gap-2 text-sm text-black">
+                    <input
+                      type="checkbox"
+                      checked={form.isActive}
+                      onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                    />
+                    Active
+                  </label>
+                )}
+
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-semibold text-black">Quantity Breaks</h3>
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, items: [...form.items, emptyItem] })}
+                      className="text-sm text-green-600 hover:text-green-800"
+                    >
+                      + Add price
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-2">
+                    A fixed price per unit from a minimum quantity. It replaces the list price for that product and unit.
+                  </p>
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                        <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit</th>
+                        <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase">Min Qty</th>
+                        <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                        <th className="px-2 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {form.items.length === 0 ? (
+                        <tr>
+                          <td colSpan="5" className="px-2 py-3 text-center text-sm text-gray-500">No quantity breaks</td>
+                        </tr>
+                      ) : (
+                        form.items.map((item, index) => {
+                          const product = productById(item.productId);
+                          return (
+                            <tr key={index}>
+                              <td className="px-2 py-2">
+                                <select
+                                  required
+                                  value={item.productId}
+                                  onChange={(e) => updateItem(index, { productId: e.target.value, unitId: '' })}
+                                  className="w-full px-2 py-1 border rounded text-sm text-black"
+                                >
+                                  <option value="">Select product</option>
+                                  {products.map(p => (
+                                    <option key={p.product_id} value={p.product_id}>{p.product_name}</option>
+                                  ))}
+                                </select>
+                                {product && (
+                                  <p className="text-xs text-gray-500 mt-1">
+                                    SRP {formatCurrency(product.srp)} • Dealer {formatCurrency(product.dealer_price)}
+                                  </p>
+                                )}
+                              </td>
+                              <td className="px-2 py-2">
+                                <select
+                                  value={item.unitId}
+                                  onChange={(e) => updateItem(index, { unitId: e.target.value })}
+                                  className="w-full px-2 py-1 border rounded text-sm text-black"
+                                >
+                                  <option value="">{product?.unit || 'Base unit'}</option>
+                                  {(product?.units || []).map(unit => (
+                                    <option key={unit.unit_id} value={unit.unit_id}>{unit.unit_name}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="px-2 py-2">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="any"
+                                  required
+                                  value={item.minQuantity}
+                                  onChange={(e) => updateItem(index, { minQuantity: e.target.value })}
+                                  className="w-20 px-2 py-1 border rounded text-sm text-right text-black"
+                                />
+                              </td>
+                              <td className="px-2 py-2">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  required
+                                  value={item.price}
+                                  onChange={(e) => updateItem(index, { price: e.target.value })}
+                                  className="w-24 px-2 py-1 border rounded text-sm text-right text-black"
+                                />
+                              </td>
+                              <td className="px-2 py-2 text-right">
+                                <button
+                                  type="button"
+                                  onClick={() => removeItem(index)}
+                                  className="p-1 text-red-600 hover:text-red-800"
+                                >
+                                  <TrashIcon className="h-4 w-4" />
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </fieldset>
+
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  {canEdit ? 'Cancel' : 'Close'}
+                </button>
+                {canEdit && (
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    {editingId ? 'Update' : 'Create'}
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </ProtectedRoute>
+  );
+}
@@ -1,9 +1,28 @@
 import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import toast from 'react-hot-toast';
-import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon, ScaleIcon } from '@heroicons/react/24/outline';
 import { formatCurrency } from '@/lib/utils';
 
+const PRICE_SOURCE_LABELS = {
+  SRP: 'Selling price (SRP)',
+  SRP_PER_KILO: 'SRP per kilo x weight',
+  DEALER_PRICE: 'Dealer price',
+  BASE_PRICE: 'Cost price x conversion',
+  CUSTOM: 'Custom price'
+};
+
+const EMPTY_UNIT_FORM = {
+  unitId: null,
+  unitName: '',
+  conversionFactor: '',
+  priceSource: 'SRP',
+  unitPrice: '',
+  weightKg: '',
+  barcode: '',
+  isDefault: false
+};
+
 export default function Products() {
   const valueToString = (value) => (value === null || value === undefined ? '' : value.toString());
 
@@ -21,9 +40,14 @@ export default function Products() {
     unit: '',
     cost_price: '',
     selling_price: '',
+    dealer_price: '',
+    srp_per_kilo: '',
     reorder_level: '',
     description: ''
   });
+  const [unitsProduct, setUnitsProduct] = useState(null);
+  const [units, setUnits] = useState([]);
+  const [unitForm, setUnitForm] = useState(EMPTY_UNIT_FORM);
 
   useEffect(() => {
     fetchProducts();
@@ -88,6 +112,8 @@ export default function Products() {
           unit: formData.unit || null,
           unitPrice: parseFloat(formData.cost_price) || 0,
           srp: parseFloat(formData.selling_price) || 0,
+          dealerPrice: formData.dealer_price === '' ? null : parseFloat(formData.dealer_price),
+          srpPerKilo: formData.srp_per_kilo === '' ? null : parseFloat(formData.srp_per_kilo),
           reorderLevel: parseInt(formData.reorder_level) || 10,
           description: formData.description || null
         })
@@ -134,6 +160,8 @@ export default function Products() {
       unit: product.unit || '',
       cost_price: valueToString(product.unit_price ?? product.cost_price),
       selling_price: valueToString(product.srp ?? product.selling_price),
+      dealer_price: product.dealer_price ? valueToString(product.dealer_price) : '',
+      srp_per_kilo: product.srp_per_kilo ? valueToString(product.srp_per_kilo) : '',
       reorder_level: valueToString(product.reorder_level),
       description: product.description || ''
     });
@@ -149,11 +177,95 @@ export default function Products() {
       unit: '',
       cost_price: '',
       selling_price: '',
+      dealer_price: '',
+      srp_per_kilo: '',
       reorder_level: '',
       description: ''
     });
   };
 
+  const fetchUnits = async (productId) => {
+    try {
+      const res = await fetch(`/api/products/${productId}/units`);
+      const data = await res.json();
+      if (res.ok) {
+        setUnits(data.units || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch selling units');
+    }
+  };
+
+  const openUnitsModal = (product) => {
+    setUnitsProduct(product);
+    setUnits([]);
+    setUnitForm(EMPTY_UNIT_FORM);
+    fetchUnits(product.product_id);
+  };
+
+  const editUnit = (unit) => {
+    setUnitForm({
+      unitId: unit.unit_id,
+      unitName: unit.unit_name,
+      conversionFactor: valueToString(unit.conversion_factor),
+      priceSource: unit.price_source,
+      unitPrice: valueToString(unit.unit_price),
+      weightKg: valueToString(unit.weight_kg),
+      barcode: unit.barcode || '',
+      isDefault: unit.is_default
+    });
+  };
+
+  const handleUnitSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`/api/products/${unitsProduct.product_id}/units`, {
+        method: unitForm.unitId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          unitId: unitForm.unitId,
+          unitName: unitForm.unitName,
+          conversionFactor: parseInt(unitForm.conversionFactor),
+          priceSource: unitForm.priceSource,
+          unitPrice: unitForm.unitPrice === '' ? null : parseFloat(unitForm.unitPrice),
+          weightKg: unitForm.weightKg === '' ? null : parseFloat(unitForm.weightKg),
+          barcode: unitForm.barcode || null,
+          isDefault: unitForm.isDefault
+        })
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setUnitForm(EMPTY_UNIT_FORM);
+        fetchUnits(unitsProduct.product_id);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save unit');
+    }
+  };
+
+  const handleUnitDelete = async (unit) => {
+    if (!confirm(`Stop selling ${unitsProduct.product_name} by the ${unit.unit_name}?`)) return;
+
+    try {
+      const res = await fetch(`/api/products/${unitsProduct.product_id}/units?unitId=${unit.unit_id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchUnits(unitsProduct.product_id);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to remove unit');
+    }
+  };
+
   return (
     <ProtectedRoute requiredRole="CASHIER">
         <div className="space-y-6">
@@ -261,6 +373,13 @@ export default function Products() {
                           >
                             <PencilIcon className="h-5 w-5" />
                           </button>
+                          <button
+                            onClick={() => openUnitsModal(product)}
+                            className="p-1 text-green-600 hover:text-green-800"
+                            title="Selling units"
+                          >
+                            <ScaleIcon className="h-5 w-5" />
+                          </button>
                           <button
                             onClick={() => handleDelete(product.product_id || product.id)}
                             className="p-1 text-red-600 hover:text-red-800"
@@ -355,6 +474,30 @@ export default function Products() {
                     />
                   </div>
                 </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Dealer Price</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={formData.dealer_price}
+                      onChange={(e) => setFormData({ ...formData, dealer_price: e.target.value })}
+                      placeholder="For dealer price lists"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">SRP per Kilo</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={formData.srp_per_kilo}
+                      onChange={(e) => setFormData({ ...formData, srp_per_kilo: e.target.value })}
+                      placeholder="For units priced by weight"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-black">Reorder Level</label>
                   <input
@@ -393,6 +536,167 @@ export default function Products() {
             </div>
           </div>
         )}
+
+        {/* Selling Units Modal */}
+        {unitsProduct && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <h2 className="text-xl font-bold mb-1">Selling Units</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {unitsProduct.product_name}: stock is kept in {unitsProduct.unit || 'base units'}. Each selling unit converts to a whole number of {unitsProduct.unit || 'base units'}.
+              </p>
+
+              <table className="min-w-full divide-y divide-gray-200 mb-6">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">= {unitsProduct.unit || 'Base'}</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Priced by</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {units.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-3 py-4 text-center text-sm text-gray-500">
+                        Sold in {unitsProduct.unit || 'base units'} only
+                      </td>
+                    </tr>
+                  ) : (
+                    units.map(unit => (
+                      <tr key={unit.unit_id}>
+                        <td className="px-3 py-2 text-sm text-gray-900">
+                          {unit.unit_name}
+                          {unit.is_default && (
+                            <span className="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-800 rounded-full">Default</span>
+                          )}
+                          {unit.barcode && <div className="text-xs text-gray-500">{unit.barcode}</div>}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-500">{unit.conversion_factor}</td>
+                        <td className="px-3 py-2 text-sm text-gray-500">{PRICE_SOURCE_LABELS[unit.price_source] || unit.price_source}</td>
+                        <td className="px-3 py-2 text-sm text-right font-medium text-gray-900">{formatCurrency(unit.price)}</td>
+                        <td className="px-3 py-2">
+                          <div className="flex justify-end gap-2">
+                            <button onClick={() => editUnit(unit)} className="p-1 text-blue-600 hover:text-blue-800">
+                              <PencilIcon className="h-4 w-4" />
+                            </button>
+                            <button onClick={() => handleUnitDelete(unit)} className="p-1 text-red-600 hover:text-red-800">
+                              <TrashIcon className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+
+              <form onSubmit={handleUnitSubmit} className="space-y-4">
+                <h3 className="font-semibold text-black">{unitForm.unitId ? 'Edit Unit' : 'Add Unit'}</h3>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Unit Name *</label>
+                    <input
+                      type="text"
+                      required
+                      value={unitForm.unitName}
+                      onChange={(e) => setUnitForm({ ...unitForm, unitName: e.target.value })}
+                      placeholder="e.g., sack, kilo, pack"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">{unitsProduct.unit || 'Base units'} per unit *</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      required
+                      value={unitForm.conversionFactor}
+                      onChange={(e) => setUnitForm({ ...unitForm, conversionFactor: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Price Source</label>
+                    <select
+                      value={unitForm.priceSource}
+                      onChange={(e) => setUnitForm({ ...unitForm, priceSource: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    >
+                      {Object.entries(PRICE_SOURCE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {unitForm.priceSource === 'CUSTOM' && (
+                    <div>
+                      <label className="block text-sm font-medium text-black">Unit Price *</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        required
+                        value={unitForm.unitPrice}
+                        onChange={(e) => setUnitForm({ ...unitForm, unitPrice: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                      />
+                    </div>
+                  )}
+                  {unitForm.priceSource === 'SRP_PER_KILO' && (
+                    <div>
+                      <label className="block text-sm font-medium text-black">Weight (kg) *</label>
+                      <input
+                        type="number"
+                        step="0.001"
+                        required
+                        value={unitForm.weightKg}
+                        onChange={(e) => setUnitForm({ ...unitForm, weightKg: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                      />
+                    </div>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Barcode</label>
+                    <input
+                      type="text"
+                      value={unitForm.barcode}
+                      onChange={(e) => setUnitForm({ ...unitForm, barcode: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 mt-6 text-sm text-black">
+                    <input
+                      type="checkbox"
+                      checked={unitForm.isDefault}
+                      onChange={(e) => setUnitForm({ ...unitForm, isDefault: e.target.checked })}
+                    />
+                    Default unit at the POS
+                  </label>
+                </div>
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => (unitForm.unitId ? setUnitForm(EMPTY_UNIT_FORM) : setUnitsProduct(null))}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    {unitForm.unitId ? 'Cancel Edit' : 'Close'}
+                  </button>
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    {unitForm.unitId ? 'Update Unit' : 'Add Unit'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
     </ProtectedRoute>
   );
 }
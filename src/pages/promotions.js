@@ -0,0 +1,635 @@
+import { useState, useEffect } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate } from '@/lib/utils';
+
+const PROMO_TYPE_LABELS = {
+  PERCENT_OFF: 'Percent off',
+  AMOUNT_OFF: 'Amount off per unit',
+  BUY_X_GET_Y: 'Buy X get Y free',
+  BUNDLE: 'Bundle price'
+};
+
+const TARGET_TYPE_LABELS = {
+  PRODUCT: 'Product',
+  CATEGORY: 'Category',
+  BRAND: 'Brand'
+};
+
+const STATUS_FILTERS = ['', 'RUNNING', 'SCHEDULED', 'ENDED', 'INACTIVE'];
+
+const emptyForm = {
+  promoName: '',
+  description: '',
+  promoType: 'PERCENT_OFF',
+  discountValue: '',
+  minQuantity: '',
+  buyQuantity: '',
+  getQuantity: '',
+  unitName: '',
+  customerTypes: '',
+  stackable: false,
+  priority: '0',
+  startsAt: '',
+  endsAt: '',
+  isActive: true,
+  targets: []
+};
+
+const emptyTarget = { targetType: 'PRODUCT', productId: '', targetValue: '', quantity: '1' };
+
+// datetime-local inputs want local time without a zone
+function toLocalInput(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function describePromotion(promo) {
+  switch (promo.promo_type) {
+    case 'PERCENT_OFF':
+      return `${promo.discount_value}% off${promo.min_quantity ? ` from ${promo.min_quantity} ${promo.unit_name || 'units'}` : ''}`;
+    case 'AMOUNT_OFF':
+      return `${formatCurrency(promo.discount_value)} off per ${promo.unit_name || 'unit'}`;
+    case 'BUY_X_GET_Y':
+      return `Buy ${promo.buy_quantity} get ${promo.get_quantity} free${promo.unit_name ? ` (${promo.unit_name})` : ''}`;
+    case 'BUNDLE':
+      return `Bundle for ${formatCurrency(promo.discount_value)}`;
+    default:
+      return promo.promo_type;
+  }
+}
+
+function promotionStatus(promo) {
+  const now = new Date();
+  if (!promo.is_active) return { label: 'Inactive', className: 'bg-gray-100 text-gray-600' };
+  if (promo.ends_at && new Date(promo.ends_at) < now) return { label: 'Ended', className: 'bg-gray-100 text-gray-600' };
+  if (promo.starts_at && new Date(promo.starts_at) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' };
+  return { label: 'Running', className: 'bg-green-100 text-green-800' };
+}
+
+export default function Promotions() {
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('MANAGER');
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [statusFilter]);
+
+  const fetchPromotions = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (statusFilter) params.append('status', statusFilter);
+
+      const res = await fetch(`/api/promotions?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setPromotions(data.promotions || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const res = await fetch('/api/products?pageSize=100');
+      const data = await res.json();
+      if (res.ok) {
+        setProducts(data.products || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowModal(true);
+  };
+
+  const openEdit = (promo) => {
+    setEditingId(promo.promotion_id);
+    setForm({
+      promoName: promo.promo_name,
+      description: promo.description || '',
+      promoType: promo.promo_type,
+      discountValue: String(promo.discount_value),
+      minQuantity: promo.min_quantity === null ? '' : String(promo.min_quantity),
+      buyQuantity: promo.buy_quantity === null ? '' : String(promo.buy_quantity),
+      getQuantity: promo.get_quantity === null ? '' : String(promo.get_quantity),
+      unitName: promo.unit_name || '',
+      customerTypes: (promo.customer_types || []).join(', '),
+      stackable: promo.stackable,
+      priority: String(promo.priority),
+      startsAt: toLocalInput(promo.starts_at),
+      endsAt: toLocalInput(promo.ends_at),
+      isActive: promo.is_active,
+      targets: promo.promotion_targets.map(target => ({
+        targetType: target.target_type,
+        productId: target.product_id ? String(target.product_id) : '',
+        targetValue: target.target_value || '',
+        quantity: String(target.quantity)
+      }))
+    });
+    setShowModal(true);
+  };
+
+  const updateTarget = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      targets: prev.targets.map((target, i) => (i === index ? { ...target, ...changes } : target))
+    }));
+  };
+
+  const removeTarget = (index) => {
+    setForm(prev => ({ ...prev, targets: prev.targets.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(editingId ? `/api/promotions/${editingId}` : '/api/promotions', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+          endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+          targets: form.targets.map(target => ({
+            targetType: target.targetType,
+            productId: target.targetType === 'PRODUCT' ? parseInt(target.productId) : null,
+            targetValue: target.targetType === 'PRODUCT' ? null : target.targetValue,
+            quantity: parseFloat(target.quantity) || 1
+          }))
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setShowModal(false);
+        fetchPromotions();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save promotion');
+    }
+  };
+
+  const handleDeactivate = async (promo) => {
+    if (!confirm(`End ${promo.promo_name}? It will no longer be applied at the POS.`)) return;
+
+    try {
+      const res = await fetch(`/api/promotions/${promo.promotion_id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchPromotions();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to deactivate promotion');
+    }
+  };
+
+  const categories = [...new Set(products.map(p => p.category).filter(Boolean))].sort();
+  const brands = [...new Set(products.map(p => p.brand).filter(Boolean))].sort();
+  const isBundle = form.promoType === 'BUNDLE';
+
+  return (
+    <ProtectedRoute requiredRole="CLERK">
+      <div className="space-y-6">
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Promotions</h1>
+            <p className="text-sm text-gray-600">
+              Applied automatically at the POS while they run. Promotions without products, categories or brands apply to everything.
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg text-black"
+            >
+              {STATUS_FILTERS.map(status => (
+                <option key={status} value={status}>{status ? status.charAt(0) + status.slice(1).toLowerCase() : 'All'}</option>
+              ))}
+            </select>
+            {canEdit && (
+              <button
+                onClick={openCreate}
+                className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+              >
+                <PlusIcon className="h-5 w-5" />
+                New Promotion
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Promotion</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deal</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Runs</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Times Applied</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">Loading...</td>
+                </tr>
+              ) : promotions.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No promotions found</td>
+                </tr>
+              ) : (
+                promotions.map(promo => {
+                  const status = promotionStatus(promo);
+                  return (
+                    <tr key={promo.promotion_id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="font-medium text-gray-900">{promo.promo_name}</div>
+                        <div className="text-xs text-gray-500">
+                          {promo.stackable ? 'Stacks with other promos' : 'Does not stack'} • Priority {promo.priority}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">{describePromotion(promo)}</td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {promo.promotion_targets.length === 0 ? 'All products' : promo.promotion_targets.map(target => (
+                          <div key={target.promotion_target_id}>
+                            {target.target_type === 'PRODUCT'
+                              ? `${promo.promo_type === 'BUNDLE' ? `${target.quantity} x ` : ''}${target.products?.product_name}`
+                              : `${TARGET_TYPE_LABELS[target.target_type]}: ${target.target_value}`}
+                          </div>
+                        ))}
+                        {promo.customer_types.length > 0 && (
+                          <div className="text-xs text-gray-500">Customers: {promo.customer_types.join(', ')}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {promo.starts_at ? formatDate(promo.starts_at) : 'Now'} – {promo.ends_at ? formatDate(promo.ends_at) : 'No end'}
+                      </td>
+                      <td className="px-6 py-4 text-right text-sm text-gray-700">{promo.times_applied}</td>
+                      <td className="px-6 py-4 text-center">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex justify-center gap-2">
+                          <button
+                            onClick={() => openEdit(promo)}
+                            className="p-1 text-blue-600 hover:text-blue-800"
+                            title={canEdit ? 'Edit' : 'View'}
+                          >
+                            <PencilIcon className="h-5 w-5" />
+                          </button>
+                          {canEdit && promo.is_active && (
+                            <button
+                              onClick={() => handleDeactivate(promo)}
+                              className="p-1 text-red-600 hover:text-red-800"
+                              title="Deactivate"
+                            >
+                              <TrashIcon className="h-5 w-5" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingId ? (canEdit ? 'Edit Promotion' : 'Promotion') : 'New Promotion'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <fieldset disabled={!canEdit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Name *</label>
+                    <input
+                      type="text"
+                      required
+                      value={form.promoName}
+                      onChange={(e) => setForm({ ...form, promoName: e.target.value })}
+                      placeholder="e.g., Hog Grower 10+1"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Type *</label>
+                    <select
+                      value={form.promoType}
+                      onChange={(e) => setForm({
+                        ...form,
+                        promoType: e.target.value,
+                        targets: e.target.value === 'BUNDLE' ? form.targets.filter(t => t.targetType === 'PRODUCT') : form.targets
+                      })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    >
+                      {Object.entries(PROMO_TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  {form.promoType === 'BUY_X_GET_Y' ? (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Buy *</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          required
+                          value={form.buyQuantity}
+                          onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Get Free *</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          required
+                          value={form.getQuantity}
+                          onChange={(e) => setForm({ ...form, getQuantity: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-black">
+                          {form.promoType === 'PERCENT_OFF' ? 'Percent Off *' : form.promoType === 'BUNDLE' ? 'Bundle Price *' : 'Amount Off *'}
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          required
+                          value={form.discountValue}
+                          onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                        />
+                      </div>
+                      {!isBundle && (
+                        <div>
+                          <label className="block text-sm font-medium text-black">Minimum Qty</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={form.minQuantity}
+                            onChange={(e) => setForm({ ...form, minQuantity: e.target.value })}
+                            className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                          />
+                        </div>
+                      )}
+                    </>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-black">Counted In</label>
+                    <input
+                      type="text"
+                      value={form.unitName}
+                      onChange={(e) => setForm({ ...form, unitName: e.target.value })}
+                      placeholder="Base unit"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Selling unit name, e.g. sack</p>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Starts</label>
+                    <input
+                      type="datetime-local"
+                      value={form.startsAt}
+                      onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Ends</label>
+                    <input
+                      type="datetime-local"
+                      value={form.endsAt}
+                      onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="col-span-2">
+                    <label className="block text-sm font-medium text-black">Customer Types</label>
+                    <input
+                      type="text"
+                      value={form.customerTypes}
+                      onChange={(e) => setForm({ ...form, customerTypes: e.target.value.toUpperCase() })}
+                      placeholder="Everyone (or e.g. WALK_IN, DEALER)"
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black">Priority</label>
+                    <input
+                      type="number"
+                      step="1"
+                      value={form.priority}
+                      onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-black">Description</label>
+                  <input
+                    type="text"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                  />
+                </div>
+
+                <div className="flex gap-6">
+                  <label className="flex items-center gap-2 text-sm text-black">
+                    <input
+                      type="checkbox"
+                      checked={form.stackable}
+                      onChange={(e) => setForm({ ...form, stackable: e.target.checked })}
+                    />
+                    Stacks with other stackable promotions
+                  </label>
+                  {editingId && (
+                    <label className="flex items-center gap-2 text-sm text-black">
+                      <input
+                        type="checkbox"
+                        checked={form.isActive}
+                        onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                      />
+                      Active
+                    </label>
+                  )}
+                </div>
+
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-semibold text-black">{isBundle ? 'Bundle Items' : 'Applies To'}</h3>
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, targets: [...form.targets, emptyTarget] })}
+                      className="text-sm text-green-600 hover:text-green-800"
+                    >
+                      + Add {isBundle ? 'item' : 'target'}
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {isBundle
+                      ? 'Each complete set of these products (quantity of each) sells for the bundle price.'
+                      : 'Leave empty to apply to every product.'}
+                  </p>
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <tbody className="divide-y divide-gray-200">
+                      {form.targets.map((target, index) => (
+                        <tr key={index}>
+                          <td className="px-2 py-2 w-32">
+                            <select
+                              value={target.targetType}
+                              disabled={isBundle}
+                              onChange={(e) => updateTarget(index, { targetType: e.target.value, productId: '', targetValue: '' })}
+                              className="w-full px-2 py-1 border rounded text-sm text-black"
+                            >
+                              {Object.entries(TARGET_TYPE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="px-2 py-2">
+                            {target.targetType === 'PRODUCT' ? (
+                              <select
+                                required
+                                value={target.productId}
+                                onChange={(e) => updateTarget(index, { productId: e.target.value })}
+                                className="w-full px-2 py-1 border rounded text-sm text-black"
+                              >
+                                <option value="">Select product</option>
+                                {products.map(p => (
+                                  <option key={p.product_id} value={p.product_id}>{p.product_name}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <input
+                                type="text"
+                                required
+                                list={target.targetType === 'CATEGORY' ? 'promo-categories' : 'promo-brands'}
+                                value={target.targetValue}
+                                onChange={(e) => updateTarget(index, { targetValue: e.target.value })}
+                                className="w-full px-2 py-1 border rounded text-sm text-black"
+                              />
+                            )}
+                          </td>
+                          {isBundle && (
+                            <td className="px-2 py-2 w-24">
+                              <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                required
+                                value={target.quantity}
+                                onChange={(e) => updateTarget(index, { quantity: e.target.value })}
+                                className="w-20 px-2 py-1 border rounded text-sm text-right text-black"
+                              />
+                            </td>
+                          )}
+                          <td className="px-2 py-2 text-right">
+                            <button
+                              type="button"
+                              onClick={() => removeTarget(index)}
+                              className="p-1 text-red-600 hover:text-red-800"
+                            >
+                              <TrashIcon className="h-4 w-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <datalist id="promo-categories">
+                    {categories.map(category => <option key={category} value={category} />)}
+                  </datalist>
+                  <datalist id="promo-brands">
+                    {brands.map(brand => <option key={brand} value={brand} />)}
+                  </datalist>
+                </div>
+              </fieldset>
+
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  {canEdit ? 'Cancel' : 'Close'}
+                </button>
+                {canEdit && (
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    {editingId ? 'Update' : 'Create'}
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </ProtectedRoute>
+  );
+}
@@ -4,22 +4,24 @@ import toast from 'react-hot-toast';
 import { 
   PlusIcon, 
   EyeIcon, 
-  TruckIcon,
   TrashIcon,
-  ExclamationTriangleIcon
+  TruckIcon
 } from '@heroicons/react/24/outline';
 import { formatCurrency, formatDate } from '@/lib/utils';
 
+// Statuses that can still be fulfilled or cancelled (see lib/customerOrders)
+const FULFILLABLE_STATUSES = ['PENDING', 'PARTIALLY_FULFILLED', 'BACKORDERED'];
+
 export default function PurchaseOrders() {
   const [orders, setOrders] = useState([]);
-  const [restockAlerts, setRestockAlerts] = useState([]);
   const [customers, setCustomers] = useState([]);
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
-  const [showReceiveModal, setShowReceiveModal] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [fulfilOrder, setFulfilOrder] = useState(null);
+  const [fulfilForm, setFulfilForm] = useState({ quantities: {}, payment: 'ACCOUNT', notes: '' });
   const [filters, setFilters] = useState({
     poStatus: '',
     customerId: ''
@@ -30,17 +32,12 @@ export default function PurchaseOrders() {
     remarks: '',
     outstandingBalance: '',
     priority: 'NORMAL',
+    reserveStock: false,
     items: [{ productId: '', quantity: '' }]
   });
 
-  const [receiveForm, setReceiveForm] = useState({
-    items: [],
-    remarks: ''
-  });
-
   useEffect(() => {
     fetchOrders();
-    fetchRestockAlerts();
     fetchCustomers();
     fetchProducts();
   }, []);
@@ -66,18 +63,6 @@ export default function PurchaseOrders() {
     }
   };
 
-  const fetchRestockAlerts = async () => {
-    try {
-      const res = await fetch('/api/purchase-orders/restock-alerts');
-      const data = await res.json();
-      if (res.ok && data.alerts) {
-        setRestockAlerts(data.alerts.products || []);
-      }
-    } catch (error) {
-      console.error('Failed to fetch restock alerts');
-    }
-  };
-
   const fetchCustomers = async () => {
     try {
       const res = await fetch('/api/customers');
@@ -125,6 +110,7 @@ export default function PurchaseOrders() {
           customerId: parseInt(createForm.customerId),
           outstandingBalance: parseFloat(createForm.outstandingBalance) || 0,
           priority: createForm.priority,
+          reserveStock: createForm.reserveStock,
           remarks: createForm.remarks,
           items: items.map(item => ({
             productId: parseInt(item.productId),
@@ -142,6 +128,7 @@ export default function PurchaseOrders() {
           remarks: '',
           outstandingBalance: '',
           priority: 'NORMAL',
+          reserveStock: false,
           items: [{ productId: '', quantity: '' }]
         });
         fetchOrders();
@@ -153,95 +140,83 @@ export default function PurchaseOrders() {
     }
   };
 
-  const handleReceiveOrder = async (e) => {
-    e.preventDefault();
-    if (!selectedOrder) return;
-
+  const handleDeleteOrder = async (id) => {
+    if (!confirm('Are you sure you want to cancel this purchase order?')) return;
+    
     try {
-      const items = receiveForm.items
-        .filter(item => item.quantity > 0)
-        .map(item => ({
-          poDetailId: item.poDetailId,
-          quantity: item.quantity
-        }));
-
-      if (items.length === 0) {
-        toast.error('Please specify quantities to receive');
-        return;
-      }
-      
-      const res = await fetch(`/api/purchase-orders/${selectedOrder.po_id}/receive`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          items,
-          remarks: receiveForm.remarks 
-        })
-      });
-
+      const res = await fetch(`/api/purchase-orders/${id}`, { method: 'DELETE' });
       const data = await res.json();
       if (res.ok) {
-        toast.success('Delivery received!');
-        setShowReceiveModal(false);
-        setSelectedOrder(null);
+        toast.success('Order cancelled!');
         fetchOrders();
-        fetchRestockAlerts();
       } else {
         toast.error(data.error);
       }
     } catch (error) {
-      toast.error('Failed to receive delivery');
+      toast.error('Failed to cancel order');
     }
   };
 
-  const handleDeleteOrder = async (id) => {
-    if (!confirm('Are you sure you want to cancel this purchase order?')) return;
-    
+  const openFulfilModal = async (poId) => {
     try {
-      const res = await fetch(`/api/purchase-orders/${id}`, { method: 'DELETE' });
+      const res = await fetch(`/api/purchase-orders/${poId}`);
       const data = await res.json();
       if (res.ok) {
-        toast.success('Order cancelled!');
-        fetchOrders();
+        const quantities = {};
+        data.order.purchase_order_details.forEach(detail => {
+          quantities[detail.po_detail_id] = String(detail.open_quantity);
+        });
+        setFulfilOrder(data.order);
+        setFulfilForm({ quantities, payment: 'ACCOUNT', notes: '' });
       } else {
         toast.error(data.error);
       }
     } catch (error) {
-      toast.error('Failed to cancel order');
+      toast.error('Failed to fetch order details');
     }
   };
 
-  const openDetailModal = async (poId) => {
+  const handleFulfil = async (e) => {
+    e.preventDefault();
+    const items = fulfilOrder.purchase_order_details
+      .map(detail => ({ poDetailId: detail.po_detail_id, quantity: parseInt(fulfilForm.quantities[detail.po_detail_id]) || 0 }))
+      .filter(item => item.quantity > 0);
+    if (items.length === 0) {
+      toast.error('Enter a quantity to fulfil');
+      return;
+    }
+
     try {
-      const res = await fetch(`/api/purchase-orders/${poId}`);
+      const res = await fetch(`/api/purchase-orders/${fulfilOrder.po_id}/fulfil`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items,
+          payments: fulfilForm.payment === 'CASH' ? [{ method: 'CASH', amount: null }] : [],
+          notes: fulfilForm.notes || null
+        })
+      });
+
       const data = await res.json();
       if (res.ok) {
-        setSelectedOrder(data.order);
-        setShowDetailModal(true);
+        toast.success(data.message);
+        setFulfilOrder(null);
+        fetchOrders();
       } else {
         toast.error(data.error);
       }
     } catch (error) {
-      toast.error('Failed to fetch order details');
+      toast.error('Failed to fulfil order');
     }
   };
 
-  const openReceiveModal = async (poId) => {
+  const openDetailModal = async (poId) => {
     try {
       const res = await fetch(`/api/purchase-orders/${poId}`);
       const data = await res.json();
       if (res.ok) {
         setSelectedOrder(data.order);
-        setReceiveForm({
-          remarks: '',
-          items: (data.order.purchase_order_details || []).map(item => ({
-            poDetailId: item.po_detail_id,
-            productName: item.products?.product_name || 'Unknown Product',
-            quantityOrdered: item.quantity || 0,
-            quantity: item.quantity || 0
-          }))
-        });
-        setShowReceiveModal(true);
+        setShowDetailModal(true);
       } else {
         toast.error(data.error);
       }
@@ -273,6 +248,8 @@ export default function PurchaseOrders() {
   const getStatusBadge = (status) => {
     const colors = {
       PENDING: 'bg-yellow-100 text-yellow-800',
+      PARTIALLY_FULFILLED: 'bg-blue-100 text-blue-800',
+      BACKORDERED: 'bg-orange-100 text-orange-800',
       RECEIVED: 'bg-green-100 text-green-800',
       CANCELLED: 'bg-red-100 text-red-800'
     };
@@ -307,12 +284,7 @@ export default function PurchaseOrders() {
           <div className="flex justify-between items-center">
             <div>
               <h1 className="text-2xl font-bold text-gray-900">Purchase Orders</h1>
-              {restockAlerts.length > 0 && (
-                <p className="text-sm text-orange-600">
-                  <ExclamationTriangleIcon className="h-4 w-4 inline mr-1" />
-                  {restockAlerts.length} products need restocking
-                </p>
-              )}
+              <p className="text-sm text-gray-500">Customer orders. Restocking from suppliers is under Supplier Orders.</p>
             </div>
             <button
               onClick={() => setShowCreateModal(true)}
@@ -323,20 +295,6 @@ export default function PurchaseOrders() {
             </button>
           </div>
 
-          {/* Restock Alerts */}
-          {restockAlerts.length > 0 && (
-            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
-              <h3 className="font-medium text-orange-800 mb-2">Restock Required</h3>
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-                {restockAlerts.slice(0, 8).map(product => (
-                  <div key={product.product_id} className="text-sm text-orange-600">
-                    {product.product_name}: {product.current_stock}/{product.reorder_level}
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
-
           {/* Filters */}
           <div className="flex gap-4 flex-wrap">
             <select
@@ -346,6 +304,8 @@ export default function PurchaseOrders() {
             >
               <option value="">All Status</option>
               <option value="PENDING">Pending</option>
+              <option value="PARTIALLY_FULFILLED">Partially Fulfilled</option>
+              <option value="BACKORDERED">Backordered</option>
               <option value="RECEIVED">Received</option>
               <option value="CANCELLED">Cancelled</option>
             </select>
@@ -424,23 +384,23 @@ export default function PurchaseOrders() {
                           >
                             <EyeIcon className="h-5 w-5" />
                           </button>
-                          {order.po_status === 'PENDING' && (
-                            <>
-                              <button
-                                onClick={() => openReceiveModal(order.po_id)}
-                                className="p-1 text-green-600 hover:text-green-800"
-                                title="Receive / Fulfill"
-                              >
-                                <TruckIcon className="h-5 w-5" />
-                              </button>
-                              <button
-                                onClick={() => handleDeleteOrder(order.po_id)}
-                                className="p-1 text-red-600 hover:text-red-800"
-                                title="Cancel Order"
-                              >
-                                <TrashIcon className="h-5 w-5" />
-                              </button>
-                            </>
+                          {FULFILLABLE_STATUSES.includes(order.po_status) && (
+                            <button
+                              onClick={() => openFulfilModal(order.po_id)}
+                              className="p-1 text-green-600 hover:text-green-800"
+                              title="Fulfil Order"
+                            >
+                              <TruckIcon className="h-5 w-5" />
+                            </button>
+                          )}
+                          {FULFILLABLE_STATUSES.includes(order.po_status) && (
+                            <button
+                              onClick={() => handleDeleteOrder(order.po_id)}
+                              className="p-1 text-red-600 hover:text-red-800"
+                              title="Cancel Order"
+                            >
+                              <TrashIcon className="h-5 w-5" />
+                            </button>
                           )}
                         </div>
                       </td>
@@ -513,6 +473,15 @@ export default function PurchaseOrders() {
                     <option value="HIGH">⭐ High Priority (VIP)</option>
                     <option value="URGENT">🔴 Urgent</option>
                   </select>
+                  <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={createForm.priority === 'URGENT' || createForm.reserveStock}
+                      disabled={createForm.priority === 'URGENT'}
+                      onChange={(e) => setCreateForm({ ...createForm, reserveStock: e.target.checked })}
+                    />
+                    Reserve stock until pickup{createForm.priority === 'URGENT' ? ' (always for urgent orders)' : ''}
+                  </label>
                 </div>
 
                 <div>
@@ -625,6 +594,9 @@ export default function PurchaseOrders() {
                     <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
                     <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
                     <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Fulfilled</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Backordered</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reserved</th>
                     <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit</th>
                   </tr>
                 </thead>
@@ -634,12 +606,33 @@ export default function PurchaseOrders() {
                       <td className="px-4 py-2 text-sm">{item.products?.product_name || 'Unknown'}</td>
                       <td className="px-4 py-2 text-sm text-gray-500">{item.products?.product_code || '-'}</td>
                       <td className="px-4 py-2 text-sm text-right">{item.quantity}</td>
+                      <td className="px-4 py-2 text-sm text-right">{item.fulfilled_quantity}</td>
+                      <td className={`px-4 py-2 text-sm text-right ${item.backordered_quantity > 0 ? 'text-orange-600 font-medium' : ''}`}>
+                        {item.backordered_quantity || '-'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right text-blue-600">{item.reserved_quantity || '-'}</td>
                       <td className="px-4 py-2 text-sm text-right">{item.products?.unit || '-'}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
 
+              {selectedOrder.PO_sales?.length > 0 && (
+                <div className="mb-4">
+                  <p className="text-sm text-gray-500 mb-1">Invoices</p>
+                  {selectedOrder.PO_sales.map(link => (
+                    <div key={link.PO_sales_id} className="flex justify-between text-sm py-1 border-b last:border-b-0">
+                      <span className="font-mono">
+                        {link.sales?.invoice_number || `SALE-${link.sales_id}`}
+                        {link.sales && !link.sales.is_active && <span className="ml-2 text-red-600">(voided)</span>}
+                      </span>
+                      <span>{link.sales ? formatDate(link.sales.sale_date) : '-'}</span>
+                      <span className="font-medium">{formatCurrency(link.sales?.total_amount || 0)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {selectedOrder.remarks && (
                 <div className="mb-4 p-3 bg-gray-50 rounded-lg">
                   <p className="text-sm text-gray-500">Remarks</p>
@@ -659,49 +652,73 @@ export default function PurchaseOrders() {
           </div>
         )}
 
-        {/* Receive Modal */}
-        {showReceiveModal && selectedOrder && (
+        {/* Fulfil Modal */}
+        {fulfilOrder && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
             <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
-              <h2 className="text-xl font-bold mb-4">Receive / Fulfill Order</h2>
+              <h2 className="text-xl font-bold mb-1">Fulfil PO-{fulfilOrder.po_id}</h2>
               <p className="text-sm text-gray-500 mb-4">
-                PO-{selectedOrder.po_id} | Customer: {selectedOrder.customers?.customer_name || 'Unknown'}
+                {fulfilOrder.customers?.customer_name || 'Unknown'} - stock is picked first-expiring first; what is not in stock is backordered
               </p>
-              
-              <form onSubmit={handleReceiveOrder} className="space-y-4">
-                {receiveForm.items.map((item, index) => (
-                  <div key={index} className="p-4 border rounded-lg">
-                    <p className="font-medium mb-2">{item.productName}</p>
-                    <div className="grid grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-xs text-gray-500">Ordered</label>
-                        <p className="font-medium">{item.quantityOrdered}</p>
-                      </div>
-                      <div>
-                        <label className="block text-xs text-gray-500">Receiving</label>
-                        <input
-                          type="number"
-                          min="0"
-                          max={item.quantityOrdered}
-                          value={item.quantity}
-                          onChange={(e) => {
-                            const newItems = [...receiveForm.items];
-                            newItems[index].quantity = parseInt(e.target.value) || 0;
-                            setReceiveForm({ ...receiveForm, items: newItems });
-                          }}
-                          className="w-full px-2 py-1 border rounded focus:ring-2 focus:ring-green-500"
-                        />
-                      </div>
-                    </div>
-                  </div>
-                ))}
+              <form onSubmit={handleFulfil} className="space-y-4">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Open</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Fulfil Now</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {fulfilOrder.purchase_order_details.map(detail => (
+                      <tr key={detail.po_detail_id}>
+                        <td className="px-4 py-2 text-sm">
+                          {detail.products?.product_name || 'Unknown'}
+                          {detail.backordered_quantity > 0 && (
+                            <span className="ml-2 text-xs text-orange-600">{detail.backordered_quantity} backordered</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">{detail.quantity}</td>
+                        <td className="px-4 py-2 text-sm text-right">{detail.open_quantity}</td>
+                        <td className="px-4 py-2 text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            max={detail.open_quantity}
+                            disabled={detail.open_quantity === 0}
+                            value={fulfilForm.quantities[detail.po_detail_id] || ''}
+                            onChange={(e) => setFulfilForm({
+                              ...fulfilForm,
+                              quantities: { ...fulfilForm.quantities, [detail.po_detail_id]: e.target.value }
+                            })}
+                            className="w-24 px-2 py-1 border rounded-lg text-right disabled:bg-gray-100"
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Remarks (optional)</label>
-                  <textarea
-                    value={receiveForm.remarks}
-                    onChange={(e) => setReceiveForm({ ...receiveForm, remarks: e.target.value })}
-                    rows={2}
+                  <label className="block text-sm font-medium text-gray-700">Payment</label>
+                  <select
+                    value={fulfilForm.payment}
+                    onChange={(e) => setFulfilForm({ ...fulfilForm, payment: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  >
+                    <option value="ACCOUNT">Charge to customer account</option>
+                    <option value="CASH">Paid in cash</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Remarks</label>
+                  <input
+                    type="text"
+                    value={fulfilForm.notes}
+                    onChange={(e) => setFulfilForm({ ...fulfilForm, notes: e.target.value })}
+                    placeholder={`PO-${fulfilOrder.po_id}`}
                     className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
                   />
                 </div>
@@ -709,7 +726,7 @@ export default function PurchaseOrders() {
                 <div className="flex gap-4 pt-4">
                   <button
                     type="button"
-                    onClick={() => setShowReceiveModal(false)}
+                    onClick={() => setFulfilOrder(null)}
                     className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
                   >
                     Cancel
@@ -718,7 +735,7 @@ export default function PurchaseOrders() {
                     type="submit"
                     className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
                   >
-                    Receive Delivery
+                    Create Invoice
                   </button>
                 </div>
               </form>
@@ -4,21 +4,46 @@ import toast from 'react-hot-toast';
 import { DocumentArrowDownIcon, CalendarIcon } from '@heroicons/react/24/outline';
 import { formatCurrency, formatDate } from '@/lib/utils';
 
+const DATE_ONLY = { hour: undefined, minute: undefined };
+
 export default function Reports() {
   const [dailySales, setDailySales] = useState(null);
   const [ledger, setLedger] = useState(null);
+  const [creditAging, setCreditAging] = useState(null);
+  const [payablesDue, setPayablesDue] = useState(null);
+  const [reservedStock, setReservedStock] = useState(null);
+  const [shrinkage, setShrinkage] = useState(null);
+  const [priceOverrides, setPriceOverrides] = useState(null);
+  const [promotionsReport, setPromotionsReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeReport, setActiveReport] = useState('daily-sales');
   const [filters, setFilters] = useState({
     date: new Date().toISOString().split('T')[0],
     startDate: '',
     endDate: '',
-    type: ''
+    type: '',
+    asOf: new Date().toISOString().split('T')[0],
+    termsDays: 0,
+    through: '',
+    month: new Date().toLocaleDateString('en-CA').slice(0, 7),
+    approvedOnly: false
   });
 
   useEffect(() => {
     if (activeReport === 'daily-sales') {
       fetchDailySales();
+    } else if (activeReport === 'credit-aging') {
+      fetchCreditAging();
+    } else if (activeReport === 'payables-due') {
+      fetchPayablesDue();
+    } else if (activeReport === 'reserved-stock') {
+      fetchReservedStock();
+    } else if (activeReport === 'shrinkage') {
+      fetchShrinkage();
+    } else if (activeReport === 'price-overrides') {
+      fetchPriceOverrides();
+    } else if (activeReport === 'promotions') {
+      fetchPromotionsReport();
     } else {
       fetchLedger();
     }
@@ -77,20 +102,145 @@ export default function Reports() {
     }
   };
 
+  const fetchCreditAging = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (filters.asOf) params.append('asOf', filters.asOf);
+      if (filters.termsDays) params.append('termsDays', filters.termsDays);
+
+      const res = await fetch(`/api/reports/credit-aging?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setCreditAging(data.report || null);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch credit aging report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPayablesDue = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (filters.through) params.append('through', filters.through);
+
+      const res = await fetch(`/api/reports/payables-due?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setPayablesDue(data.report || null);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch payables due report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchReservedStock = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/reports/reserved-stock');
+      const data = await res.json();
+      if (res.ok) {
+        setReservedStock(data.report || null);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch reserved stock report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchShrinkage = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (filters.month) params.append('month', filters.month);
+
+      const res = await fetch(`/api/reports/shrinkage?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setShrinkage(data.report || null);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch shrinkage report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPriceOverrides = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ pageSize: '100' });
+      if (filters.startDate) params.append('startDate', filters.startDate);
+      if (filters.endDate) params.append('endDate', filters.endDate);
+      if (filters.approvedOnly) params.append('approvedOnly', 'true');
+
+      const res = await fetch(`/api/reports/price-overrides?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setPriceOverrides(data);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch price overrides');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPromotionsReport = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (filters.startDate) params.append('startDate', filters.startDate);
+      if (filters.endDate) params.append('endDate', filters.endDate);
+
+      const res = await fetch(`/api/reports/promotions?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setPromotionsReport(data);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch promotions report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const exportToCSV = () => {
     let csvContent = '';
     let filename = '';
 
     if (activeReport === 'daily-sales' && dailySales) {
       filename = `daily-sales-${filters.date}.csv`;
-      csvContent = 'Sale ID,Date,Customer,Cashier,Payment Method,Total,Amount Paid,Status\n';
+      csvContent = 'Sale ID,OR Number,Date,Customer,Cashier,Payment Method,Subtotal,Discount,VAT,Total,Amount Paid,Status\n';
       dailySales.sales?.forEach(sale => {
         csvContent += [
           sale.sale_id,
+          sale.invoice_number || '',
           formatDate(sale.sale_date),
           sale.customer || 'Walk-in',
           sale.cashier || '',
           sale.payment_method,
+          sale.subtotal || 0,
+          sale.discount_amount || 0,
+          sale.tax_amount || 0,
           sale.total_amount,
           sale.amount_paid || 0,
           sale.sale_status || 'COMPLETE'
@@ -110,6 +260,117 @@ export default function Reports() {
           (entry.credit || 0) - (entry.debit || 0)
         ].join(',') + '\n';
       });
+    } else if (activeReport === 'credit-aging' && creditAging) {
+      filename = `credit-aging-${filters.asOf}.csv`;
+      const bucketLabels = creditAging.buckets.map(b => b.label);
+      csvContent = ['Customer', 'Type', 'Contact', ...bucketLabels, 'Total', 'Oldest (days)'].join(',') + '\n';
+      creditAging.customers?.forEach(row => {
+        csvContent += [
+          `"${(row.customer_name || '').replace(/"/g, '""')}"`,
+          row.customer_type || '',
+          row.contact_number || '',
+          ...creditAging.buckets.map(b => row[b.key] || 0),
+          row.total,
+          row.oldest_days
+        ].join(',') + '\n';
+      });
+      csvContent += [
+        'TOTAL',
+        '',
+        '',
+        ...creditAging.buckets.map(b => creditAging.totals[b.key] || 0),
+        creditAging.totals.total,
+        ''
+      ].join(',') + '\n';
+    } else if (activeReport === 'payables-due' && payablesDue) {
+      filename = `payables-due-${new Date(payablesDue.through).toLocaleDateString('en-CA')}.csv`;
+      csvContent = 'Supplier,Bill,Delivered,Terms,Due Date,Days Overdue,Total,Paid,Open\n';
+      payablesDue.suppliers?.forEach(row => {
+        row.bills.forEach(bill => {
+          csvContent += [
+            `"${(row.supplier_name || '').replace(/"/g, '""')}"`,
+            `"${(bill.bill_number || `SUP-${bill.supply_id}`).replace(/"/g, '""')}"`,
+            formatDate(bill.supply_date, DATE_ONLY),
+            bill.terms || '',
+            formatDate(bill.due_date, DATE_ONLY),
+            bill.days_overdue,
+            bill.total,
+            bill.amount_paid,
+            bill.open_amount
+          ].join(',') + '\n';
+        });
+      });
+      csvContent += ['TOTAL', '', '', '', '', '', '', '', payablesDue.totals.total].join(',') + '\n';
+    } else if (activeReport === 'reserved-stock' && reservedStock) {
+      filename = `reserved-stock-${new Date().toLocaleDateString('en-CA')}.csv`;
+      csvContent = 'Product,Code,On Hand,Reserved,Available,Order,Customer,Priority,Quantity,Expires\n';
+      reservedStock.products?.forEach(row => {
+        row.reservations.forEach(reservation => {
+          csvContent += [
+            `"${(row.product_name || '').replace(/"/g, '""')}"`,
+            row.product_code || '',
+            row.on_hand,
+            row.reserved_stock,
+            row.available_stock,
+            `PO-${reservation.po_id}`,
+            `"${(reservation.customer_name || '').replace(/"/g, '""')}"`,
+            reservation.priority || '',
+            reservation.quantity,
+            formatDate(reservation.expires_at, DATE_ONLY)
+          ].join(',') + '\n';
+        });
+      });
+    } else if (activeReport === 'shrinkage' && shrinkage) {
+      filename = `shrinkage-${shrinkage.month}.csv`;
+      csvContent = 'Date,Product,Code,Batch,Expiry,Reason,Quantity,Cost,Written Off By,Notes\n';
+      shrinkage.entries?.forEach(entry => {
+        csvContent += [
+          formatDate(entry.log_date),
+          `"${(entry.product_name || '').replace(/"/g, '""')}"`,
+          entry.product_code || '',
+          entry.batch_number || '',
+          entry.expiration_date ? formatDate(entry.expiration_date, DATE_ONLY) : '',
+          entry.reason,
+          entry.quantity,
+          entry.cost_amount,
+          `"${(entry.employee_name || '').replace(/"/g, '""')}"`,
+          `"${(entry.notes || '').replace(/"/g, '""')}"`
+        ].join(',') + '\n';
+      });
+      csvContent += ['TOTAL', '', '', '', '', '', shrinkage.totals.quantity, shrinkage.totals.cost_amount].join(',') + '\n';
+    } else if (activeReport === 'promotions' && promotionsReport) {
+      filename = `promotions-${filters.startDate || 'all'}-to-${filters.endDate || 'all'}.csv`;
+      csvContent = 'Promotion,Type,Sales,Lines,Discount Given,Free Qty,Net Sales,Gross Margin\n';
+      promotionsReport.promotions?.forEach(promo => {
+        csvContent += [
+          `"${promo.promo_name.replace(/"/g, '""')}"`,
+          promo.promo_type,
+          promo.sale_count,
+          promo.lines,
+          promo.discount_given,
+          promo.free_quantity,
+          promo.net_sales,
+          promo.gross_margin
+        ].join(',') + '\n';
+      });
+    } else if (activeReport === 'price-overrides' && priceOverrides) {
+      filename = `price-overrides-${filters.startDate || 'all'}-to-${filters.endDate || 'all'}.csv`;
+      csvContent = 'Date,Sale ID,Product,Type,List Amount,Charged,Discount %,Needed Approval,Cashier,Approved By,Reason\n';
+      priceOverrides.overrides?.forEach(row => {
+        csvContent += [
+          formatDate(row.created_at),
+          row.sale_id,
+          `"${(row.products?.product_name || 'Order discount').replace(/"/g, '""')}"`,
+          row.override_type,
+          row.list_amount,
+          row.charged_amount,
+          row.discount_percent,
+          row.needed_approval ? 'Yes' : 'No',
+          row.requester?.employee_name || '',
+          row.approver?.employee_name || '',
+          `"${(row.reason || '').replace(/"/g, '""')}"`
+        ].join(',') + '\n';
+      });
     }
 
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -161,6 +422,66 @@ export default function Reports() {
               >
                 Ledger Report
               </button>
+              <button
+                onClick={() => setActiveReport('credit-aging')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'credit-aging'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Credit Aging
+              </button>
+              <button
+                onClick={() => setActiveReport('payables-due')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'payables-due'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Payables Due
+              </button>
+              <button
+                onClick={() => setActiveReport('reserved-stock')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'reserved-stock'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Reserved Stock
+              </button>
+              <button
+                onClick={() => setActiveReport('shrinkage')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'shrinkage'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Shrinkage
+              </button>
+              <button
+                onClick={() => setActiveReport('price-overrides')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'price-overrides'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Price Overrides
+              </button>
+              <button
+                onClick={() => setActiveReport('promotions')}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  activeReport === 'promotions'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Promotions
+              </button>
             </div>
           </div>
 
@@ -178,6 +499,91 @@ export default function Reports() {
                   />
                 </div>
               </div>
+            ) : activeReport === 'credit-aging' ? (
+              <div className="flex items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+                  <input
+                    type="date"
+                    value={filters.asOf}
+                    onChange={(e) => setFilters({ ...filters, asOf: e.target.value })}
+                    className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Credit Terms (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={filters.termsDays}
+                    onChange={(e) => setFilters({ ...filters, termsDays: parseInt(e.target.value) || 0 })}
+                    className="w-32 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+              </div>
+            ) : activeReport === 'payables-due' ? (
+              <div className="flex items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Due Through</label>
+                  <input
+                    type="date"
+                    value={filters.through}
+                    onChange={(e) => setFilters({ ...filters, through: e.target.value })}
+                    className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <p className="pb-2 text-sm text-gray-500">
+                  {filters.through ? 'Overdue bills and bills due by this date' : 'Overdue bills and bills due by the end of this week'}
+                </p>
+              </div>
+            ) : activeReport === 'reserved-stock' ? (
+              <p className="text-sm text-gray-500">
+                Stock held for customer orders until pickup. Reserved units cannot be sold at the counter; expired reservations are released.
+              </p>
+            ) : activeReport === 'shrinkage' ? (
+              <div className="flex items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+                  <input
+                    type="month"
+                    value={filters.month}
+                    onChange={(e) => setFilters({ ...filters, month: e.target.value })}
+                    className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <p className="pb-2 text-sm text-gray-500">Expired, damaged and other stock written off, at cost</p>
+              </div>
+            ) : ['price-overrides', 'promotions'].includes(activeReport) ? (
+              <div className="flex items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                  <input
+                    type="date"
+                    value={filters.startDate}
+                    onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+                    className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                  <input
+                    type="date"
+                    value={filters.endDate}
+                    onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+                    className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                {activeReport === 'price-overrides' && (
+                  <label className="flex items-center gap-2 pb-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={filters.approvedOnly}
+                      onChange={(e) => setFilters({ ...filters, approvedOnly: e.target.checked })}
+                    />
+                    Manager-approved only
+                  </label>
+                )}
+              </div>
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
@@ -238,7 +644,7 @@ export default function Reports() {
           ) : activeReport === 'daily-sales' ? (
             <>
               {/* Summary Cards */}
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
                 <div className="bg-white rounded-lg shadow p-4">
                   <p className="text-sm text-gray-500">Total Sales</p>
                   <p className="text-2xl font-bold text-gray-900">
@@ -263,6 +669,18 @@ export default function Reports() {
                     {formatCurrency(dailySales?.summary?.credit_sales || 0)}
                   </p>
                 </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Discounts</p>
+                  <p className="text-2xl font-bold text-red-600">
+                    {formatCurrency(dailySales?.summary?.total_discounts || 0)}
+                  </p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">VAT</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {formatCurrency(dailySales?.summary?.total_tax || 0)}
+                  </p>
+                </div>
               </div>
 
               {/* Sales Table */}
@@ -275,20 +693,23 @@ export default function Reports() {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>
                       <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Payment</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Subtotal</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Discount</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">VAT</th>
                       <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
                     {dailySales?.sales?.length === 0 ? (
                       <tr>
-                        <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                        <td colSpan="9" className="px-6 py-4 text-center text-gray-500">
                           No sales for selected date
                         </td>
                       </tr>
                     ) : (
                       dailySales?.sales?.map(sale => (
                         <tr key={sale.sale_id} className={sale.sale_status === 'VOID' ? 'bg-red-50' : ''}>
-                          <td className="px-6 py-4 text-sm font-mono">SALE-{sale.sale_id}</td>
+                          <td className="px-6 py-4 text-sm font-mono">{sale.invoice_number || `SALE-${sale.sale_id}`}</td>
                           <td className="px-6 py-4 text-sm text-gray-500">
                             {new Date(sale.sale_date).toLocaleTimeString()}
                           </td>
@@ -301,6 +722,16 @@ export default function Reports() {
                               {sale.payment_method}
                             </span>
                           </td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">
+                            {formatCurrency(sale.subtotal)}
+                          </td>
+                          <td className="px-6 py-4 text-right text-sm text-red-600">
+                            {sale.discount_amount ? `-${formatCurrency(sale.discount_amount)}` : '-'}
+                          </td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">
+                            {sale.tax_amount ? formatCurrency(sale.tax_amount) : '-'}
+                            {sale.tax_mode === 'INCLUSIVE' && sale.tax_amount ? ' (incl.)' : ''}
+                          </td>
                           <td className="px-6 py-4 text-right font-medium">
                             {formatCurrency(sale.total_amount)}
                           </td>
@@ -311,6 +742,424 @@ export default function Reports() {
                 </table>
               </div>
             </>
+          ) : activeReport === 'credit-aging' ? (
+            <>
+              {/* Aging Summary */}
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                {creditAging?.buckets?.map(bucket => (
+                  <div key={bucket.key} className="bg-white rounded-lg shadow p-4">
+                    <p className="text-sm text-gray-500">{bucket.label}</p>
+                    <p className={`text-2xl font-bold ${bucket.key === 'current' ? 'text-gray-900' : 'text-red-600'}`}>
+                      {formatCurrency(creditAging.totals[bucket.key] || 0)}
+                    </p>
+                  </div>
+                ))}
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Total Outstanding</p>
+                  <p className="text-2xl font-bold text-orange-600">
+                    {formatCurrency(creditAging?.totals?.total || 0)}
+                  </p>
+                  <p className="text-xs text-gray-500">{creditAging?.totals?.customer_count || 0} customers</p>
+                </div>
+              </div>
+
+              {/* Aging Table */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                      {creditAging?.buckets?.map(bucket => (
+                        <th key={bucket.key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">{bucket.label}</th>
+                      ))}
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Oldest</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!creditAging?.customers?.length ? (
+                      <tr>
+                        <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                          No outstanding customer credit
+                        </td>
+                      </tr>
+                    ) : (
+                      creditAging.customers.map(row => (
+                        <tr key={row.customer_id}>
+                          <td className="px-6 py-4">
+                            <p className="text-sm font-medium text-gray-900">{row.customer_name}</p>
+                            <p className="text-xs text-gray-500">{row.contact_number || row.customer_type}</p>
+                          </td>
+                          {creditAging.buckets.map(bucket => (
+                            <td
+                              key={bucket.key}
+                              className={`px-6 py-4 text-right text-sm ${row[bucket.key] > 0 && bucket.key !== 'current' ? 'text-red-600' : 'text-gray-500'}`}
+                            >
+                              {row[bucket.key] ? formatCurrency(row[bucket.key]) : '-'}
+                            </td>
+                          ))}
+                          <td className="px-6 py-4 text-right font-medium">{formatCurrency(row.total)}</td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">{row.oldest_days} days</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : activeReport === 'payables-due' ? (
+            <>
+              {/* Payables Summary */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Overdue</p>
+                  <p className="text-2xl font-bold text-red-600">{formatCurrency(payablesDue?.totals?.overdue || 0)}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">
+                    Due by {payablesDue ? formatDate(payablesDue.through, DATE_ONLY) : '-'}
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(payablesDue?.totals?.due || 0)}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Total to Pay</p>
+                  <p className="text-2xl font-bold text-orange-600">{formatCurrency(payablesDue?.totals?.total || 0)}</p>
+                  <p className="text-xs text-gray-500">
+                    {payablesDue?.totals?.bill_count || 0} bills, {payablesDue?.totals?.supplier_count || 0} suppliers
+                  </p>
+                </div>
+              </div>
+
+              {/* Payables Table */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier / Bill</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Delivered</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Open</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!payablesDue?.suppliers?.length ? (
+                      <tr>
+                        <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                          No supplier bills due
+                        </td>
+                      </tr>
+                    ) : (
+                      payablesDue.suppliers.map(row => [
+                        <tr key={`supplier-${row.supplier_id}`} className="bg-gray-50">
+                          <td colSpan="5" className="px-6 py-3">
+                            <p className="text-sm font-medium text-gray-900">{row.supplier_name}</p>
+                            <p className="text-xs text-gray-500">{row.contact_number || row.payment_terms}</p>
+                          </td>
+                          <td className="px-6 py-3 text-right font-medium">{formatCurrency(row.total)}</td>
+                        </tr>,
+                        ...row.bills.map(bill => (
+                          <tr key={bill.supply_id}>
+                            <td className="px-6 py-3 pl-10 text-sm font-mono text-gray-900">{bill.bill_number || `SUP-${bill.supply_id}`}</td>
+                            <td className="px-6 py-3 text-sm text-gray-500">{formatDate(bill.supply_date, DATE_ONLY)}</td>
+                            <td className={`px-6 py-3 text-sm ${bill.days_overdue > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                              {formatDate(bill.due_date, DATE_ONLY)}
+                              {bill.days_overdue > 0 && <span className="ml-2 text-xs">({bill.days_overdue} days overdue)</span>}
+                            </td>
+                            <td className="px-6 py-3 text-right text-sm">{formatCurrency(bill.total)}</td>
+                            <td className="px-6 py-3 text-right text-sm text-gray-500">{formatCurrency(bill.amount_paid)}</td>
+                            <td className="px-6 py-3 text-right text-sm font-medium">{formatCurrency(bill.open_amount)}</td>
+                          </tr>
+                        ))
+                      ])
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : activeReport === 'reserved-stock' ? (
+            <>
+              {/* Reserved Stock Summary */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Products Reserved</p>
+                  <p className="text-2xl font-bold text-gray-900">{reservedStock?.totals?.product_count || 0}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Units Reserved</p>
+                  <p className="text-2xl font-bold text-blue-600">{reservedStock?.totals?.reserved_stock || 0}</p>
+                  <p className="text-xs text-gray-500">{reservedStock?.totals?.reservation_count || 0} reservations</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Reserved Beyond Stock</p>
+                  <p className="text-2xl font-bold text-red-600">{reservedStock?.totals?.short_count || 0}</p>
+                  <p className="text-xs text-gray-500">products with more reserved than on hand</p>
+                </div>
+              </div>
+
+              {/* Reserved Stock Table */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product / Order</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">On Hand</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Reserved</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!reservedStock?.products?.length ? (
+                      <tr>
+                        <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                          No stock is reserved
+                        </td>
+                      </tr>
+                    ) : (
+                      reservedStock.products.map(row => [
+                        <tr key={`product-${row.product_id}`} className="bg-gray-50">
+                          <td colSpan="3" className="px-6 py-3">
+                            <p className="text-sm font-medium text-gray-900">{row.product_name}</p>
+                            <p className="text-xs text-gray-500">{row.product_code}</p>
+                          </td>
+                          <td className="px-6 py-3 text-right text-sm">{row.on_hand} {row.unit}</td>
+                          <td className={`px-6 py-3 text-right text-sm font-medium ${row.reserved_stock > row.on_hand ? 'text-red-600' : 'text-blue-600'}`}>
+                            {row.reserved_stock}
+                          </td>
+                          <td className="px-6 py-3 text-right text-sm font-medium">{row.available_stock}</td>
+                        </tr>,
+                        ...row.reservations.map(reservation => (
+                          <tr key={reservation.reservation_id}>
+                            <td className="px-6 py-3 pl-10 text-sm font-mono text-gray-900">
+                              PO-{reservation.po_id}
+                              {reservation.priority === 'URGENT' && <span className="ml-2 text-xs text-red-600">URGENT</span>}
+                            </td>
+                            <td className="px-6 py-3 text-sm text-gray-900">{reservation.customer_name || '-'}</td>
+                            <td className="px-6 py-3 text-sm text-gray-500">{formatDate(reservation.expires_at, DATE_ONLY)}</td>
+                            <td className="px-6 py-3"></td>
+                            <td className="px-6 py-3 text-right text-sm">{reservation.quantity}</td>
+                            <td className="px-6 py-3"></td>
+                          </tr>
+                        ))
+                      ])
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : activeReport === 'shrinkage' ? (
+            <>
+              {/* Shrinkage by Reason */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Total Written Off</p>
+                  <p className="text-2xl font-bold text-red-600">{formatCurrency(shrinkage?.totals?.cost_amount || 0)}</p>
+                  <p className="text-xs text-gray-500">{shrinkage?.totals?.quantity || 0} units, {shrinkage?.totals?.entries || 0} write-offs</p>
+                </div>
+                {shrinkage?.reasons?.map(row => (
+                  <div key={row.reason} className="bg-white rounded-lg shadow p-4">
+                    <p className="text-sm text-gray-500">{row.label}</p>
+                    <p className="text-2xl font-bold text-gray-900">{formatCurrency(row.cost_amount)}</p>
+                    <p className="text-xs text-gray-500">{row.quantity} units, {row.entries} write-offs</p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Shrinkage by Product */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!shrinkage?.products?.length ? (
+                      <tr>
+                        <td colSpan="3" className="px-6 py-4 text-center text-gray-500">
+                          No stock was written off this month
+                        </td>
+                      </tr>
+                    ) : (
+                      shrinkage.products.map(row => (
+                        <tr key={row.product_id}>
+                          <td className="px-6 py-3">
+                            <p className="text-sm font-medium text-gray-900">{row.product_name}</p>
+                            <p className="text-xs text-gray-500">{row.product_code}</p>
+                          </td>
+                          <td className="px-6 py-3 text-right text-sm">{row.quantity} {row.unit}</td>
+                          <td className="px-6 py-3 text-right text-sm font-medium text-red-600">{formatCurrency(row.cost_amount)}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Write-Off Entries */}
+              {shrinkage?.entries?.length > 0 && (
+                <div className="bg-white rounded-lg shadow overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product / Batch</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {shrinkage.entries.map(entry => (
+                        <tr key={entry.log_id}>
+                          <td className="px-6 py-3 text-sm text-gray-500">{formatDate(entry.log_date)}</td>
+                          <td className="px-6 py-3">
+                            <p className="text-sm text-gray-900">{entry.product_name}</p>
+                            <p className="text-xs text-gray-500">
+                              {entry.batch_number || 'No batch'}
+                              {entry.expiration_date ? ` - exp ${formatDate(entry.expiration_date, DATE_ONLY)}` : ''}
+                            </p>
+                          </td>
+                          <td className="px-6 py-3 text-sm">{entry.reason}</td>
+                          <td className="px-6 py-3 text-right text-sm">{entry.quantity} {entry.unit}</td>
+                          <td className="px-6 py-3 text-right text-sm">{formatCurrency(entry.cost_amount)}</td>
+                          <td className="px-6 py-3 text-sm text-gray-500">{entry.employee_name || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          ) : activeReport === 'promotions' ? (
+            <>
+              {/* Promotions Summary */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Promotions Used</p>
+                  <p className="text-2xl font-bold text-gray-900">{promotionsReport?.summary?.promotion_count || 0}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Sales With a Promotion</p>
+                  <p className="text-2xl font-bold text-gray-900">{promotionsReport?.summary?.sale_count || 0}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Discount Given</p>
+                  <p className="text-2xl font-bold text-red-600">{formatCurrency(promotionsReport?.summary?.discount_given || 0)}</p>
+                </div>
+              </div>
+
+              {/* Promotions Table */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Promotion</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sales</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Discount Given</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Free Qty</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Sales</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Gross Margin</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!promotionsReport?.promotions?.length ? (
+                      <tr>
+                        <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                          No promotions applied in this period
+                        </td>
+                      </tr>
+                    ) : (
+                      promotionsReport.promotions.map(promo => (
+                        <tr key={promo.promotion_id}>
+                          <td className="px-6 py-4">
+                            <p className="text-sm font-medium text-gray-900">{promo.promo_name}</p>
+                            <p className="text-xs text-gray-500">{promo.promo_type}</p>
+                          </td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">{promo.sale_count}</td>
+                          <td className="px-6 py-4 text-right text-sm text-red-600">{formatCurrency(promo.discount_given)}</td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">{promo.free_quantity || '-'}</td>
+                          <td className="px-6 py-4 text-right text-sm font-medium">{formatCurrency(promo.net_sales)}</td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">{formatCurrency(promo.gross_margin)}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : activeReport === 'price-overrides' ? (
+            <>
+              {/* Overrides Summary */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Overrides</p>
+                  <p className="text-2xl font-bold text-gray-900">{priceOverrides?.summary?.count || 0}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">At List Price</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(priceOverrides?.summary?.list_amount || 0)}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">Given Away</p>
+                  <p className="text-2xl font-bold text-red-600">{formatCurrency(priceOverrides?.summary?.given_away || 0)}</p>
+                </div>
+              </div>
+
+              {/* Overrides Table */}
+              <div className="bg-white rounded-lg shadow overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sale</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">List</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Charged</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Discount</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Approved By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {!priceOverrides?.overrides?.length ? (
+                      <tr>
+                        <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                          No price overrides found
+                        </td>
+                      </tr>
+                    ) : (
+                      priceOverrides.overrides.map(row => (
+                        <tr key={row.override_id}>
+                          <td className="px-6 py-4 text-sm text-gray-500">{formatDate(row.created_at)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-900">#{row.sale_id}</td>
+                          <td className="px-6 py-4">
+                            <p className="text-sm text-gray-900">{row.products?.product_name || 'Order discount'}</p>
+                            <p className="text-xs text-gray-500">{row.override_type}</p>
+                          </td>
+                          <td className="px-6 py-4 text-right text-sm text-gray-500">{formatCurrency(row.list_amount)}</td>
+                          <td className="px-6 py-4 text-right text-sm font-medium">{formatCurrency(row.charged_amount)}</td>
+                          <td className={`px-6 py-4 text-right text-sm ${row.needed_approval ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                            {row.discount_percent}%
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-500">{row.requester?.employee_name || '-'}</td>
+                          <td className="px-6 py-4">
+                            <p className="text-sm text-gray-900">{row.approver?.employee_name || '-'}</p>
+                            {row.reason && <p className="text-xs text-gray-500">{row.reason}</p>}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
           ) : (
             <>
               {/* Ledger Summary */}
@@ -1,14 +1,24 @@
 import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
 import toast from 'react-hot-toast';
 import { MagnifyingGlassIcon, XMarkIcon, EyeIcon, ReceiptRefundIcon } from '@heroicons/react/24/outline';
 import { formatCurrency, formatDate, formatDateTime } from '@/lib/utils';
+import { TENDER_LABELS, describeTender } from '@/lib/payments';
 
 export default function Sales() {
+  const { hasRole } = useAuth();
+  const isManager = hasRole('MANAGER');
   const [sales, setSales] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedSale, setSelectedSale] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [returnQuantities, setReturnQuantities] = useState({});
+  const [returnReason, setReturnReason] = useState('');
+  const [returnKey, setReturnKey] = useState(null); // Idempotency-Key: one return per opened sale
+  const [offlineConflicts, setOfflineConflicts] = useState([]);
+  const [conflictReview, setConflictReview] = useState(null); // { conflict, action }
+  const [reviewNote, setReviewNote] = useState('');
   const [filters, setFilters] = useState({
     startDate: '',
     endDate: '',
@@ -20,6 +30,57 @@ export default function Sales() {
     fetchSales();
   }, []);
 
+  useEffect(() => {
+    if (isManager) fetchOfflineConflicts();
+  }, [isManager]);
+
+  const fetchOfflineConflicts = async () => {
+    try {
+      const res = await fetch('/api/sales/offline-conflicts?pageSize=100');
+      const data = await res.json();
+      if (res.ok) {
+        setOfflineConflicts(data.conflicts || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch offline sales to review');
+    }
+  };
+
+  const openConflictReview = (conflict, action) => {
+    setReviewNote('');
+    setConflictReview({ conflict, action });
+  };
+
+  const handleConflictReview = async () => {
+    const { conflict, action } = conflictReview;
+    if (action === 'DISMISS' && !reviewNote.trim()) {
+      toast.error('Enter a note explaining the dismissal');
+      return;
+    }
+
+    try {
+      const res = await fetch(`/api/sales/offline-conflicts/${conflict.conflict_id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, note: reviewNote.trim() || null })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message || 'Offline sale reviewed');
+        setConflictReview(null);
+        fetchOfflineConflicts();
+        fetchSales();
+      } else {
+        toast.error(data.error);
+        fetchOfflineConflicts();
+      }
+    } catch (error) {
+      toast.error('Failed to review offline sale');
+    }
+  };
+
   const fetchSales = async () => {
     try {
       const params = new URLSearchParams();
@@ -53,7 +114,10 @@ export default function Sales() {
     if (!confirm('Are you sure you want to void this sale? This action cannot be undone.')) return;
     
     try {
-      const res = await fetch(`/api/sales/${saleId}`, { method: 'DELETE' });
+      const res = await fetch(`/api/sales/${saleId}`, {
+        method: 'DELETE',
+        headers: { 'Idempotency-Key': crypto.randomUUID() }
+      });
       const data = await res.json();
       if (res.ok) {
         toast.success('Sale voided successfully!');
@@ -76,6 +140,9 @@ export default function Sales() {
       const data = await res.json();
       if (res.ok) {
         setSelectedSale(data.sale);
+        setReturnQuantities({});
+        setReturnReason('');
+        setReturnKey(crypto.randomUUID());
         setShowDetailModal(true);
       } else {
         toast.error(data.error);
@@ -85,15 +152,47 @@ export default function Sales() {
     }
   };
 
+  const handleReturn = async () => {
+    const items = Object.entries(returnQuantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([saleDetailId, quantity]) => ({ saleDetailId: parseInt(saleDetailId), quantity }));
+
+    if (items.length === 0) {
+      toast.error('Enter a quantity to return');
+      return;
+    }
+
+    try {
+      const res = await fetch(`/api/sales/${selectedSale.sale_id}/return`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': returnKey },
+        body: JSON.stringify({ items, reason: returnReason })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(`Return recorded. Refund: ${formatCurrency(data.return.refund_amount)}`);
+        fetchSales();
+        openDetailModal(selectedSale.sale_id);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to process return');
+    }
+  };
+
   const getPaymentBadge = (method) => {
     const colors = {
       CASH: 'bg-green-100 text-green-800',
       CREDIT: 'bg-yellow-100 text-yellow-800',
-      MIXED: 'bg-blue-100 text-blue-800'
+      MIXED: 'bg-blue-100 text-blue-800',
+      E_WALLET: 'bg-indigo-100 text-indigo-800',
+      BANK_TRANSFER: 'bg-purple-100 text-purple-800',
+      CHECK: 'bg-orange-100 text-orange-800'
     };
     return (
       <span className={`px-2 py-1 text-xs font-medium rounded-full ${colors[method] || 'bg-gray-100 text-gray-800'}`}>
-        {method}
+        {method === 'MIXED' || method === 'CREDIT' ? method : (TENDER_LABELS[method] || method)}
       </span>
     );
   };
@@ -119,6 +218,55 @@ export default function Sales() {
             </div>
           </div>
 
+          {/* Offline sales the POS could not sync */}
+          {isManager && offlineConflicts.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg shadow">
+              <h2 className="text-lg font-semibold text-black mb-1">Offline Sales to Review ({offlineConflicts.length})</h2>
+              <p className="text-sm text-black mb-3">
+                Sold while the POS was offline but could not be recorded on sync. Correct the stock (or get the approval) and post them, or dismiss them with a note.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-yellow-200 text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-black">Sold At</th>
+                      <th className="px-3 py-2 text-left font-medium text-black">Cashier</th>
+                      <th className="px-3 py-2 text-right font-medium text-black">Total</th>
+                      <th className="px-3 py-2 text-left font-medium text-black">Problem</th>
+                      <th className="px-3 py-2 text-right font-medium text-black">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-yellow-100">
+                    {offlineConflicts.map(conflict => (
+                      <tr key={conflict.conflict_id}>
+                        <td className="px-3 py-2 text-black">{formatDateTime(conflict.sold_at)}</td>
+                        <td className="px-3 py-2 text-black">{conflict.submitter?.employee_name || '-'}</td>
+                        <td className="px-3 py-2 text-right text-black">
+                          {conflict.total_amount === null ? '-' : formatCurrency(conflict.total_amount)}
+                        </td>
+                        <td className="px-3 py-2 text-red-700">{conflict.error}</td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          <button
+                            onClick={() => openConflictReview(conflict, 'POST')}
+                            className="px-3 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 mr-2"
+                          >
+                            Post
+                          </button>
+                          <button
+                            onClick={() => openConflictReview(conflict, 'DISMISS')}
+                            className="px-3 py-1 text-xs bg-gray-200 text-black rounded hover:bg-gray-300"
+                          >
+                            Dismiss
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {/* Filters */}
           <div className="bg-white p-4 rounded-lg shadow space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -126,7 +274,7 @@ export default function Sales() {
                 <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
                 <input
                   type="text"
-                  placeholder="Search invoice/customer..."
+                  placeholder="Search OR number/customer..."
                   value={filters.search}
                   onChange={(e) => setFilters({ ...filters, search: e.target.value })}
                   className="w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
@@ -217,7 +365,7 @@ export default function Sales() {
                   sales.map(sale => (
                     <tr key={sale.sale_id} className={`hover:bg-gray-50 ${!sale.is_active ? 'bg-red-50' : ''}`}>
                       <td className="px-6 py-4">
-                        <span className="font-mono text-sm">SALE-{sale.sale_id}</span>
+                        <span className="font-mono text-sm">{sale.invoice_number || `SALE-${sale.sale_id}`}</span>
                       </td>
                       <td className="px-6 py-4 text-sm text-black">
                         {formatDateTime(sale.created_at)}
@@ -301,8 +449,11 @@ export default function Sales() {
 
               <div className="grid grid-cols-2 gap-4 mb-6">
                 <div>
-                  <p className="text-sm text-black">Sale ID</p>
-                  <p className="font-mono font-medium">SALE-{selectedSale.sale_id}</p>
+                  <p className="text-sm text-black">Receipt No</p>
+                  <p className="font-mono font-medium">{selectedSale.invoice_number || `SALE-${selectedSale.sale_id}`}</p>
+                  {selectedSale.pos_terminals && (
+                    <p className="text-xs text-black">Terminal {selectedSale.pos_terminals.terminal_code}</p>
+                  )}
                 </div>
                 <div>
                   <p className="text-sm text-black">Date</p>
@@ -326,7 +477,26 @@ export default function Sales() {
                 </div>
               </div>
 
-              {selectedSale.payment_method !== 'CASH' && (
+              {selectedSale.sale_payments?.length > 0 ? (
+                <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                  <h3 className="font-medium mb-2">Payments</h3>
+                  <div className="space-y-1">
+                    {selectedSale.sale_payments.map(line => (
+                      <div key={line.sale_payment_id} className="flex justify-between text-sm">
+                        <span className="text-black">{describeTender(line)}</span>
+                        <span className={`font-medium ${line.tender_type === 'STORE_CREDIT' ? 'text-yellow-600' : 'text-green-600'}`}>
+                          {formatCurrency(line.amount)}
+                          {line.tendered !== null && line.tendered > line.amount && (
+                            <span className="ml-2 text-xs text-gray-500">
+                              (tendered {formatCurrency(line.tendered)}, change {formatCurrency(line.tendered - line.amount)})
+                            </span>
+                          )}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ) : selectedSale.payment_method !== 'CASH' && (
                 <div className="grid grid-cols-2 gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
                   <div>
                     <p className="text-sm text-black">Amount Paid</p>
@@ -348,15 +518,50 @@ export default function Sales() {
                       <th className="px-4 py-2 text-right text-xs font-medium text-black uppercase">Qty</th>
                       <th className="px-4 py-2 text-right text-xs font-medium text-black uppercase">Price</th>
                       <th className="px-4 py-2 text-right text-xs font-medium text-black uppercase">Subtotal</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-black uppercase">Returned</th>
+                      {selectedSale.is_active && (
+                        <th className="px-4 py-2 text-right text-xs font-medium text-black uppercase">Return Qty</th>
+                      )}
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
                     {selectedSale.sale_details?.map((item, index) => (
                       <tr key={index}>
-                        <td className="px-4 py-2 text-sm">{item.products?.product_name}</td>
-                        <td className="px-4 py-2 text-sm text-right">{item.quantity}</td>
+                        <td className="px-4 py-2 text-sm">
+                          {item.products?.product_name}
+                          {item.sale_promotions?.map(promo => (
+                            <span key={promo.sale_promotion_id} className="block text-xs text-green-600">
+                              {promo.promo_name} -{formatCurrency(promo.discount_amount)}
+                            </span>
+                          ))}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">
+                          {item.unit_quantity !== null && item.unit_quantity !== undefined ? (
+                            <>
+                              {item.unit_quantity} {item.unit_name}
+                              <span className="block text-xs text-gray-500">{item.quantity} {item.products?.unit}</span>
+                            </>
+                          ) : item.quantity}
+                        </td>
                         <td className="px-4 py-2 text-sm text-right">{formatCurrency(item.unit_price)}</td>
-                        <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency((item.quantity || 0) * (item.unit_price || 0))}</td>
+                        <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency((item.unit_quantity ?? item.quantity ?? 0) * (item.unit_price || 0))}</td>
+                        <td className="px-4 py-2 text-sm text-right">{item.returned_quantity || 0}</td>
+                        {selectedSale.is_active && (
+                          <td className="px-4 py-2 text-sm text-right">
+                            <input
+                              type="number"
+                              min="0"
+                              max={(item.quantity || 0) - (item.returned_quantity || 0)}
+                              value={returnQuantities[item.sale_detail_id] || ''}
+                              onChange={(e) => setReturnQuantities({
+                                ...returnQuantities,
+                                [item.sale_detail_id]: Math.max(0, parseInt(e.target.value) || 0)
+                              })}
+                              disabled={(item.quantity || 0) - (item.returned_quantity || 0) <= 0}
+                              className="w-16 px-2 py-1 text-right border rounded"
+                            />
+                          </td>
+                        )}
                       </tr>
                     ))}
                   </tbody>
@@ -364,11 +569,48 @@ export default function Sales() {
                     <tr>
                       <td colSpan="3" className="px-4 py-2 text-right font-medium">Total:</td>
                       <td className="px-4 py-2 text-right font-bold">{formatCurrency(selectedSale.total_amount)}</td>
+                      <td colSpan={selectedSale.is_active ? 2 : 1}></td>
                     </tr>
                   </tfoot>
                 </table>
               </div>
 
+              {selectedSale.sale_returns?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="font-medium mb-3">Returns</h3>
+                  <div className="space-y-2">
+                    {selectedSale.sale_returns.map(ret => (
+                      <div key={ret.return_id} className="flex justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                        <div>
+                          <p className="font-medium">Return #{ret.return_id} • {formatDateTime(ret.return_date)}</p>
+                          <p className="text-black">{ret.reason || 'No reason provided'}</p>
+                        </div>
+                        <div className="text-right">
+                          <p className="font-medium">{formatCurrency(ret.return_amount)}</p>
+                          <p className="text-xs text-black">
+                            Refund {formatCurrency(ret.refund_amount)} • Credit {formatCurrency(ret.credit_amount)}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedSale.is_active && (
+                <div className="mt-6">
+                  <label className="block text-sm font-medium text-black mb-1">Return Reason</label>
+                  <input
+                    type="text"
+                    value={returnReason}
+                    onChange={(e) => setReturnReason(e.target.value)}
+                    placeholder="e.g. Torn sack"
+                    maxLength={200}
+                    className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+              )}
+
               <div className="flex justify-end gap-4 mt-6 pt-4 border-t">
                 <button
                   onClick={() => setShowDetailModal(false)}
@@ -376,6 +618,14 @@ export default function Sales() {
                 >
                   Close
                 </button>
+                {selectedSale.is_active && (
+                  <button
+                    onClick={handleReturn}
+                    className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600"
+                  >
+                    Process Return
+                  </button>
+                )}
                 {selectedSale.is_active && (
                   <button
                     onClick={() => handleVoid(selectedSale.sale_id)}
@@ -388,6 +638,52 @@ export default function Sales() {
             </div>
           </div>
         )}
+
+        {/* Offline Sale Review Modal */}
+        {conflictReview && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold">
+                  {conflictReview.action === 'POST' ? 'Post Offline Sale' : 'Dismiss Offline Sale'}
+                </h2>
+                <button
+                  onClick={() => setConflictReview(null)}
+                  className="p-1 text-gray-400 hover:text-gray-600"
+                >
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              </div>
+              <p className="text-sm text-black mb-1">
+                Sold {formatDateTime(conflictReview.conflict.sold_at)} by {conflictReview.conflict.submitter?.employee_name || 'unknown cashier'}
+              </p>
+              <p className="text-sm text-red-700 mb-4">{conflictReview.conflict.error}</p>
+              <label className="block text-sm font-medium text-black mb-1">
+                Note {conflictReview.action === 'DISMISS' ? '(required)' : '(optional)'}
+              </label>
+              <textarea
+                value={reviewNote}
+                onChange={(e) => setReviewNote(e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+              />
+              <div className="flex justify-end gap-2 mt-4">
+                <button
+                  onClick={() => setConflictReview(null)}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleConflictReview}
+                  className={`px-4 py-2 text-white rounded-lg ${conflictReview.action === 'POST' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}`}
+                >
+                  {conflictReview.action === 'POST' ? 'Post Sale' : 'Dismiss'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
     </ProtectedRoute>
   );
 }
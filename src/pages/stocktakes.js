@@ -0,0 +1,638 @@
+import { useState, useEffect, useRef } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
+import toast from 'react-hot-toast';
+import {
+  PlusIcon,
+  EyeIcon,
+  QrCodeIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate } from '@/lib/utils';
+
+const emptyCreateForm = {
+  category: '',
+  location: '',
+  remarks: ''
+};
+
+export default function Stocktakes() {
+  const { hasRole } = useAuth();
+  const [stocktakes, setStocktakes] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [createForm, setCreateForm] = useState(emptyCreateForm);
+  const [selected, setSelected] = useState(null);
+  const [counts, setCounts] = useState({}); // { [stocktake_line_id]: string }
+  const [varianceOnly, setVarianceOnly] = useState(false);
+  const [scan, setScan] = useState({ barcode: '', quantity: 1 });
+  const [batchChoices, setBatchChoices] = useState(null); // { message, batches }
+  const scanInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    fetchStocktakes();
+  }, [statusFilter]);
+
+  const fetchStocktakes = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (statusFilter) params.append('status', statusFilter);
+
+      const res = await fetch(`/api/stocktakes?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setStocktakes(data.stocktakes || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch stocktakes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const res = await fetch('/api/products/categories');
+      const data = await res.json();
+      if (res.ok) {
+        setCategories(data.categories || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch categories');
+    }
+  };
+
+  const showStocktake = (stocktake) => {
+    setSelected(stocktake);
+    setCounts(Object.fromEntries(stocktake.stocktake_lines.map(line => [
+      line.stocktake_line_id,
+      line.counted_quantity === null ? '' : String(line.counted_quantity)
+    ])));
+  };
+
+  const openStocktake = async (stocktakeId) => {
+    try {
+      const res = await fetch(`/api/stocktakes/${stocktakeId}`);
+      const data = await res.json();
+      if (res.ok) {
+        showStocktake(data.stocktake);
+        setVarianceOnly(false);
+        setBatchChoices(null);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch stocktake');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch('/api/stocktakes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(createForm)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setShowCreateModal(false);
+        setCreateForm(emptyCreateForm);
+        fetchStocktakes();
+        showStocktake(data.stocktake);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to start stocktake');
+    }
+  };
+
+  const isCountChanged = (line) =>
+    (line.counted_quantity === null ? '' : String(line.counted_quantity)) !== counts[line.stocktake_line_id];
+
+  const handleSaveCounts = async () => {
+    const changed = selected.stocktake_lines
+      .filter(isCountChanged)
+      .map(line => ({
+        lineId: line.stocktake_line_id,
+        countedQuantity: counts[line.stocktake_line_id] === '' ? null : counts[line.stocktake_line_id]
+      }));
+
+    if (changed.length === 0) {
+      toast('No count changes to save');
+      return;
+    }
+
+    try {
+      const res = await fetch(`/api/stocktakes/${selected.stocktake_id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ counts: changed })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        showStocktake(data.stocktake);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save counts');
+    }
+  };
+
+  const handleScan = async (e, inventoryId = null) => {
+    e?.preventDefault();
+    if (!scan.barcode.trim()) return;
+
+    try {
+      const res = await fetch(`/api/stocktakes/${selected.stocktake_id}/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          barcode: scan.barcode.trim(),
+          quantity: scan.quantity,
+          inventoryId
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        showStocktake(data.stocktake);
+        setBatchChoices(null);
+        setScan({ barcode: '', quantity: 1 });
+        scanInputRef.current?.focus();
+      } else if (data.requiresBatch) {
+        setBatchChoices({ message: data.error, batches: data.batches });
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to record scan');
+    }
+  };
+
+  const handlePost = async () => {
+    if (selected.stocktake_lines.some(isCountChanged)) {
+      toast.error('Save counts before posting');
+      return;
+    }
+
+    const uncounted = selected.summary.line_count - selected.summary.counted_count;
+    const warning = uncounted > 0 ? `\n${uncounted} uncounted batch(es) will be left unchanged.` : '';
+    if (!confirm(`Post stocktake #${selected.stocktake_id} and adjust stock by the counted variances?${warning}`)) return;
+
+    try {
+      const res = await fetch(`/api/stocktakes/${selected.stocktake_id}/post`, { method: 'POST' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        showStocktake(data.stocktake);
+        fetchStocktakes();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to post stocktake');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!confirm(`Cancel stocktake #${selected.stocktake_id}? Counts will be discarded.`)) return;
+
+    try {
+      const res = await fetch(`/api/stocktakes/${selected.stocktake_id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setSelected(null);
+        fetchStocktakes();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to cancel stocktake');
+    }
+  };
+
+  const exportVarianceCsv = () => {
+    const rows = [
+      ['Product', 'Code', 'Batch', 'Location', 'Expected', 'Stock When Counted', 'Counted', 'Variance', 'Unit Cost', 'Variance Value']
+    ];
+    selected.stocktake_lines.forEach(line => {
+      rows.push([
+        line.products?.product_name || '',
+        line.products?.product_code || '',
+        line.inventory?.batch_number || '',
+        line.inventory?.location || '',
+        line.expected_quantity,
+        line.counted_stock ?? '',
+        line.counted_quantity ?? '',
+        line.variance ?? '',
+        line.unit_cost.toFixed(2),
+        line.variance_value === null ? '' : line.variance_value.toFixed(2)
+      ]);
+    });
+    rows.push(['NET VARIANCE', '', '', '', '', '', '', '', '', selected.summary.net_variance_value.toFixed(2)]);
+
+    const csv = rows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `stocktake-${selected.stocktake_id}-variance.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const getStatusBadge = (status) => {
+    const colors = {
+      OPEN: 'bg-blue-100 text-blue-800',
+      POSTED: 'bg-green-100 text-green-800',
+      CANCELLED: 'bg-gray-100 text-gray-800'
+    };
+    return (
+      <span className={`px-2 py-1 text-xs font-medium rounded-full ${colors[status] || 'bg-gray-100 text-gray-800'}`}>
+        {status}
+      </span>
+    );
+  };
+
+  const scopeLabel = (stocktake) => [stocktake.category, stocktake.location].filter(Boolean).join(' / ') || 'All stock';
+
+  const isOpen = selected?.status === 'OPEN';
+  const visibleLines = (selected?.stocktake_lines || [])
+    .filter(line => !varianceOnly || (line.variance !== null && line.variance !== 0));
+
+  return (
+    <ProtectedRoute requiredRole="CLERK">
+        <div className="space-y-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Stocktakes</h1>
+              <p className="text-sm text-gray-500">Count stock by category or location and post the variances</p>
+            </div>
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+            >
+              <PlusIcon className="h-5 w-5" />
+              New Stocktake
+            </button>
+          </div>
+
+          {/* Filters */}
+          <div className="flex gap-4">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+            >
+              <option value="">All Status</option>
+              <option value="OPEN">Open</option>
+              <option value="POSTED">Posted</option>
+              <option value="CANCELLED">Cancelled</option>
+            </select>
+          </div>
+
+          {/* Stocktakes Table */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stocktake</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Batches</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Posted</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center">Loading...</td>
+                  </tr>
+                ) : stocktakes.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No stocktakes yet</td>
+                  </tr>
+                ) : (
+                  stocktakes.map(stocktake => (
+                    <tr key={stocktake.stocktake_id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 font-medium">#{stocktake.stocktake_id}</td>
+                      <td className="px-6 py-4 text-sm">{scopeLabel(stocktake)}</td>
+                      <td className="px-6 py-4 text-sm text-center">{stocktake.line_count}</td>
+                      <td className="px-6 py-4 text-sm">
+                        {formatDate(stocktake.created_at)}
+                        <div className="text-xs text-gray-500">{stocktake.creator?.employee_name || '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        {stocktake.posted_at ? formatDate(stocktake.posted_at) : '-'}
+                        {stocktake.poster && (
+                          <div className="text-xs text-gray-500">{stocktake.poster.employee_name}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">{getStatusBadge(stocktake.status)}</td>
+                      <td className="px-6 py-4 text-right">
+                        <button
+                          onClick={() => openStocktake(stocktake.stocktake_id)}
+                          className="p-1 text-blue-600 hover:text-blue-800"
+                          title={stocktake.status === 'OPEN' ? 'Count' : 'View'}
+                        >
+                          <EyeIcon className="h-5 w-5" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Create Modal */}
+        {showCreateModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold mb-2">New Stocktake</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Expected quantities of every matching batch are frozen when the stocktake starts.
+              </p>
+              <form onSubmit={handleCreate} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Category</label>
+                  <select
+                    value={createForm.category}
+                    onChange={(e) => setCreateForm({ ...createForm, category: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  >
+                    <option value="">All categories</option>
+                    {categories.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Location</label>
+                  <input
+                    type="text"
+                    value={createForm.location}
+                    onChange={(e) => setCreateForm({ ...createForm, location: e.target.value })}
+                    placeholder="All locations"
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Remarks (optional)</label>
+                  <textarea
+                    value={createForm.remarks}
+                    onChange={(e) => setCreateForm({ ...createForm, remarks: e.target.value })}
+                    rows={2}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowCreateModal(false)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Start Stocktake
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Stocktake Modal */}
+        {selected && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h2 className="text-xl font-bold">Stocktake #{selected.stocktake_id}</h2>
+                  <p className="text-sm text-gray-500">
+                    {scopeLabel(selected)} | Started {formatDate(selected.created_at)}
+                    {selected.creator && ` by ${selected.creator.employee_name}`}
+                  </p>
+                </div>
+                {getStatusBadge(selected.status)}
+              </div>
+
+              {/* Variance Summary */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-xs text-gray-500">Counted</p>
+                  <p className="text-lg font-bold">{selected.summary.counted_count}/{selected.summary.line_count}</p>
+                </div>
+                <div className="p-3 bg-red-50 rounded-lg">
+                  <p className="text-xs text-red-600">Shortage ({selected.summary.shortage_quantity} units)</p>
+                  <p className="text-lg font-bold text-red-700">{formatCurrency(selected.summary.shortage_value)}</p>
+                </div>
+                <div className="p-3 bg-green-50 rounded-lg">
+                  <p className="text-xs text-green-600">Overage ({selected.summary.overage_quantity} units)</p>
+                  <p className="text-lg font-bold text-green-700">{formatCurrency(selected.summary.overage_value)}</p>
+                </div>
+                <div className="p-3 bg-blue-50 rounded-lg">
+                  <p className="text-xs text-blue-600">Net Variance Value</p>
+                  <p className={`text-lg font-bold ${selected.summary.net_variance_value < 0 ? 'text-red-700' : 'text-blue-700'}`}>
+                    {formatCurrency(selected.summary.net_variance_value)}
+                  </p>
+                </div>
+              </div>
+
+              {/* Barcode Scan */}
+              {isOpen && (
+                <form onSubmit={handleScan} className="flex gap-2 mb-4">
+                  <div className="relative flex-1">
+                    <QrCodeIcon className="h-5 w-5 absolute left-3 top-2.5 text-gray-400" />
+                    <input
+                      ref={scanInputRef}
+                      type="text"
+                      value={scan.barcode}
+                      onChange={(e) => setScan({ ...scan, barcode: e.target.value })}
+                      placeholder="Scan barcode or type product code"
+                      className="w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                      autoFocus
+                    />
+                  </div>
+                  <input
+                    type="number"
+                    min="1"
+                    value={scan.quantity}
+                    onChange={(e) => setScan({ ...scan, quantity: parseInt(e.target.value) || 1 })}
+                    className="w-24 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    title="Units per scan"
+                  />
+                  <button
+                    type="submit"
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Add
+                  </button>
+                </form>
+              )}
+
+              {batchChoices && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="text-sm text-yellow-800 mb-2">{batchChoices.message}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {batchChoices.batches.map(batch => (
+                      <button
+                        key={batch.inventory_id}
+                        onClick={() => handleScan(null, batch.inventory_id)}
+                        className="px-3 py-1.5 text-sm bg-white border rounded-lg hover:bg-yellow-100"
+                      >
+                        {batch.batch_number || `Batch #${batch.inventory_id}`}
+                        {batch.expiration_date && ` | exp ${new Date(batch.expiration_date).toLocaleDateString()}`}
+                        {batch.location && ` | ${batch.location}`}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => setBatchChoices(null)}
+                      className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <label className="flex items-center gap-2 text-sm mb-2">
+                <input
+                  type="checkbox"
+                  checked={varianceOnly}
+                  onChange={(e) => setVarianceOnly(e.target.checked)}
+                />
+                Show variances only
+              </label>
+
+              {/* Count Lines */}
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleLines.map(line => (
+                    <tr key={line.stocktake_line_id}>
+                      <td className="px-4 py-2 text-sm">
+                        {line.products?.product_name}
+                        <div className="text-xs text-gray-500">{line.products?.product_code}</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {line.inventory?.batch_number || `#${line.inventory_id}`}
+                        {line.inventory?.expiration_date && (
+                          <div className="text-xs text-gray-500">exp {new Date(line.inventory.expiration_date).toLocaleDateString()}</div>
+                        )}
+                        {line.inventory?.location && (
+                          <div className="text-xs text-gray-500">{line.inventory.location}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {line.expected_quantity}
+                        {line.counted_stock !== null && line.counted_stock !== line.expected_quantity && (
+                          <div className="text-xs text-gray-500">{line.counted_stock} when counted</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {isOpen ? (
+                          <input
+                            type="number"
+                            min="0"
+                            value={counts[line.stocktake_line_id] ?? ''}
+                            onChange={(e) => setCounts({ ...counts, [line.stocktake_line_id]: e.target.value })}
+                            className="w-24 px-2 py-1 border rounded text-right focus:ring-2 focus:ring-green-500"
+                          />
+                        ) : (
+                          line.counted_quantity ?? '-'
+                        )}
+                      </td>
+                      <td className={`px-4 py-2 text-sm text-right font-medium ${
+                        line.variance < 0 ? 'text-red-600' : line.variance > 0 ? 'text-green-600' : ''
+                      }`}>
+                        {line.variance === null ? '-' : line.variance > 0 ? `+${line.variance}` : line.variance}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {line.variance_value === null ? '-' : formatCurrency(line.variance_value)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="flex flex-wrap gap-4 pt-6">
+                <button
+                  type="button"
+                  onClick={() => setSelected(null)}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  type="button"
+                  onClick={exportVarianceCsv}
+                  className="flex items-center gap-2 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5" />
+                  Export Variances
+                </button>
+                {isOpen && (
+                  <button
+                    type="button"
+                    onClick={handleSaveCounts}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    Save Counts
+                  </button>
+                )}
+                {isOpen && hasRole('MANAGER') && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={handleCancel}
+                      className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50"
+                    >
+                      Cancel Stocktake
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handlePost}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                    >
+                      Post Variances
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,915 @@
+import { useState, useEffect } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import toast from 'react-hot-toast';
+import {
+  PlusIcon,
+  EyeIcon,
+  TruckIcon,
+  TrashIcon,
+  PaperAirplaneIcon,
+  XCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate } from '@/lib/utils';
+
+const emptyCreateForm = {
+  supplierId: '',
+  expectedDate: '',
+  remarks: '',
+  items: [{ productId: '', quantity: '', unitCost: '' }]
+};
+
+export default function SupplierOrders() {
+  const [orders, setOrders] = useState([]);
+  const [restockAlerts, setRestockAlerts] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showReceiveModal, setShowReceiveModal] = useState(false);
+  const [receiveKey, setReceiveKey] = useState(null); // Idempotency-Key: one delivery per modal
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [filters, setFilters] = useState({
+    status: '',
+    supplierId: ''
+  });
+  const [createForm, setCreateForm] = useState(emptyCreateForm);
+  const [receiveForm, setReceiveForm] = useState({
+    items: [],
+    remarks: ''
+  });
+  const [approvalRequest, setApprovalRequest] = useState(null); // { message }
+  const [approvalForm, setApprovalForm] = useState({ username: '', password: '', reason: '' });
+
+  useEffect(() => {
+    fetchRestockAlerts();
+    fetchSuppliers();
+    fetchProducts();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchOrders();
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const fetchOrders = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.status) params.append('status', filters.status);
+      if (filters.supplierId) params.append('supplierId', filters.supplierId);
+
+      const res = await fetch(`/api/supplier-orders?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setOrders(data.orders || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch supplier orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRestockAlerts = async () => {
+    try {
+      const res = await fetch('/api/purchase-orders/restock-alerts');
+      const data = await res.json();
+      if (res.ok && data.alerts) {
+        setRestockAlerts(data.alerts.products || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch restock alerts');
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const res = await fetch('/api/suppliers?pageSize=100');
+      const data = await res.json();
+      if (res.ok) {
+        setSuppliers(data.suppliers || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch suppliers');
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const res = await fetch('/api/products?pageSize=100');
+      const data = await res.json();
+      if (res.ok) {
+        setProducts(data.products || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const handleCreateFromAlerts = async () => {
+    try {
+      const res = await fetch('/api/purchase-orders/restock-alerts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        if (data.skipped_no_supplier?.length > 0) {
+          toast.error(`${data.skipped_no_supplier.length} product(s) have no supplier assigned`);
+        }
+        fetchOrders();
+        fetchRestockAlerts();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to create draft orders');
+    }
+  };
+
+  const handleCreateOrder = async (status) => {
+    const items = createForm.items.filter(item => item.productId && item.quantity);
+    if (!createForm.supplierId) {
+      toast.error('Please select a supplier');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Please add at least one item');
+      return;
+    }
+
+    try {
+      const res = await fetch('/api/supplier-orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          supplierId: parseInt(createForm.supplierId),
+          status,
+          expectedDate: createForm.expectedDate || null,
+          remarks: createForm.remarks,
+          items: items.map(item => ({
+            productId: parseInt(item.productId),
+            quantity: parseInt(item.quantity),
+            unitCost: parseFloat(item.unitCost) || 0
+          }))
+        })
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message || 'Supplier order created!');
+        setShowCreateModal(false);
+        setCreateForm(emptyCreateForm);
+        fetchOrders();
+        fetchRestockAlerts();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to create supplier order');
+    }
+  };
+
+  const handleStatusChange = async (order, status) => {
+    const prompts = {
+      SENT: `Mark ${order.order_number} as sent to the supplier?`,
+      CLOSED: `Close ${order.order_number}? Outstanding quantities will no longer be expected.`
+    };
+    if (!confirm(prompts[status])) return;
+
+    try {
+      const res = await fetch(`/api/supplier-orders/${order.supplier_order_id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchOrders();
+        fetchRestockAlerts();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to update order');
+    }
+  };
+
+  const handleDeleteOrder = async (order) => {
+    if (!confirm(`Delete draft ${order.order_number}?`)) return;
+
+    try {
+      const res = await fetch(`/api/supplier-orders/${order.supplier_order_id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success('Draft deleted');
+        fetchOrders();
+        fetchRestockAlerts();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to delete order');
+    }
+  };
+
+  const openDetailModal = async (orderId) => {
+    try {
+      const res = await fetch(`/api/supplier-orders/${orderId}`);
+      const data = await res.json();
+      if (res.ok) {
+        setSelectedOrder(data.order);
+        setShowDetailModal(true);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch order details');
+    }
+  };
+
+  const openReceiveModal = (order) => {
+    setSelectedOrder(order);
+    setReceiveForm({
+      remarks: '',
+      items: order.supplier_order_details
+        .filter(line => line.quantity_outstanding > 0)
+        .map(line => ({
+          detailId: line.supplier_order_detail_id,
+          productName: line.products?.product_name || 'Unknown Product',
+          quantityOrdered: line.quantity_ordered,
+          quantityReceived: line.quantity_received,
+          quantityOutstanding: line.quantity_outstanding,
+          quantity: line.quantity_outstanding,
+          batchNumber: '',
+          expirationDate: ''
+        }))
+    });
+    setApprovalRequest(null);
+    setReceiveKey(crypto.randomUUID());
+    setShowReceiveModal(true);
+  };
+
+  const updateReceiveItem = (index, field, value) => {
+    const newItems = [...receiveForm.items];
+    newItems[index] = { ...newItems[index], [field]: value };
+    setReceiveForm({ ...receiveForm, items: newItems });
+  };
+
+  // A line delivered in several batches gets one row per batch
+  const splitReceiveItem = (index) => {
+    const newItems = [...receiveForm.items];
+    newItems.splice(index + 1, 0, { ...newItems[index], quantity: 0, batchNumber: '', expirationDate: '' });
+    setReceiveForm({ ...receiveForm, items: newItems });
+  };
+
+  const removeReceiveItem = (index) => {
+    setReceiveForm({ ...receiveForm, items: receiveForm.items.filter((_, i) => i !== index) });
+  };
+
+  const handleReceiveOrder = async (e, approval = null) => {
+    e?.preventDefault();
+    if (!selectedOrder) return;
+
+    const items = receiveForm.items
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        detailId: item.detailId,
+        quantity: item.quantity,
+        batchNumber: item.batchNumber.trim() || undefined,
+        expirationDate: item.expirationDate || undefined
+      }));
+
+    if (items.length === 0) {
+      toast.error('Please specify quantities to receive');
+      return;
+    }
+
+    try {
+      const res = await fetch(`/api/supplier-orders/${selectedOrder.supplier_order_id}/receive`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': receiveKey },
+        body: JSON.stringify({ items, remarks: receiveForm.remarks, approval })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message || 'Delivery received!');
+        setShowReceiveModal(false);
+        setApprovalRequest(null);
+        setSelectedOrder(null);
+        fetchOrders();
+        fetchRestockAlerts();
+      } else if (data.requiresApproval) {
+        setApprovalForm({ username: '', password: '', reason: '' });
+        setApprovalRequest({ message: data.error });
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to receive delivery');
+    }
+  };
+
+  const updateItem = (index, field, value) => {
+    const newItems = [...createForm.items];
+    newItems[index] = { ...newItems[index], [field]: value };
+    setCreateForm({ ...createForm, items: newItems });
+  };
+
+  const createTotal = createForm.items.reduce(
+    (sum, item) => sum + (parseInt(item.quantity) || 0) * (parseFloat(item.unitCost) || 0), 0
+  );
+
+  const getStatusBadge = (status) => {
+    const colors = {
+      DRAFT: 'bg-gray-100 text-gray-800',
+      SENT: 'bg-blue-100 text-blue-800',
+      PARTIALLY_RECEIVED: 'bg-yellow-100 text-yellow-800',
+      RECEIVED: 'bg-green-100 text-green-800',
+      CLOSED: 'bg-slate-200 text-slate-700'
+    };
+    return (
+      <span className={`px-2 py-1 text-xs font-medium rounded-full ${colors[status] || 'bg-gray-100 text-gray-800'}`}>
+        {status.replace('_', ' ')}
+      </span>
+    );
+  };
+
+  const isReceivable = (status) => status === 'SENT' || status === 'PARTIALLY_RECEIVED';
+
+  return (
+    <ProtectedRoute requiredRole="CLERK">
+        <div className="space-y-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Supplier Orders</h1>
+              {restockAlerts.length > 0 && (
+                <p className="text-sm text-orange-600">
+                  <ExclamationTriangleIcon className="h-4 w-4 inline mr-1" />
+                  {restockAlerts.length} products need restocking
+                </p>
+              )}
+            </div>
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+            >
+              <PlusIcon className="h-5 w-5" />
+              New Order
+            </button>
+          </div>
+
+          {/* Restock Alerts */}
+          {restockAlerts.length > 0 && (
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-medium text-orange-800">Restock Required</h3>
+                <button
+                  onClick={handleCreateFromAlerts}
+                  className="px-3 py-1.5 text-sm bg-orange-600 text-white rounded-lg hover:bg-orange-700"
+                >
+                  Create Draft Orders
+                </button>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {restockAlerts.slice(0, 8).map(product => (
+                  <div key={product.product_id} className="text-sm text-orange-600">
+                    {product.product_name}: {product.current_stock}/{product.reorder_level}
+                    {product.on_order > 0 && ` (+${product.on_order} on order)`}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="flex gap-4 flex-wrap">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+            >
+              <option value="">All Status</option>
+              <option value="DRAFT">Draft</option>
+              <option value="SENT">Sent</option>
+              <option value="PARTIALLY_RECEIVED">Partially Received</option>
+              <option value="RECEIVED">Received</option>
+              <option value="CLOSED">Closed</option>
+            </select>
+            <select
+              value={filters.supplierId}
+              onChange={(e) => setFilters({ ...filters, supplierId: e.target.value })}
+              className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map(s => (
+                <option key={s.supplier_id} value={s.supplier_id}>{s.supplier_name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Orders Table */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order #</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">Loading...</td>
+                  </tr>
+                ) : orders.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No supplier orders found</td>
+                  </tr>
+                ) : (
+                  orders.map(order => {
+                    const ordered = order.supplier_order_details.reduce((sum, l) => sum + l.quantity_ordered, 0);
+                    const received = order.supplier_order_details.reduce((sum, l) => sum + l.quantity_received, 0);
+                    return (
+                      <tr key={order.supplier_order_id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4">
+                          <span className="font-mono text-sm">{order.order_number}</span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {formatDate(order.order_date)}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {order.suppliers?.supplier_name || 'Unknown'}
+                        </td>
+                        <td className="px-6 py-4 text-center text-sm text-gray-500">
+                          {received}/{ordered}
+                        </td>
+                        <td className="px-6 py-4 text-right font-medium">
+                          {formatCurrency(order.total_amount)}
+                        </td>
+                        <td className="px-6 py-4 text-center">
+                          {getStatusBadge(order.status)}
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex justify-center gap-2">
+                            <button
+                              onClick={() => openDetailModal(order.supplier_order_id)}
+                              className="p-1 text-blue-600 hover:text-blue-800"
+                              title="View Details"
+                            >
+                              <EyeIcon className="h-5 w-5" />
+                            </button>
+                            {order.status === 'DRAFT' && (
+                              <>
+                                <button
+                                  onClick={() => handleStatusChange(order, 'SENT')}
+                                  className="p-1 text-blue-600 hover:text-blue-800"
+                                  title="Mark as Sent"
+                                >
+                                  <PaperAirplaneIcon className="h-5 w-5" />
+                                </button>
+                                <button
+                                  onClick={() => handleDeleteOrder(order)}
+                                  className="p-1 text-red-600 hover:text-red-800"
+                                  title="Delete Draft"
+                                >
+                                  <TrashIcon className="h-5 w-5" />
+                                </button>
+                              </>
+                            )}
+                            {isReceivable(order.status) && (
+                              <>
+                                <button
+                                  onClick={() => openReceiveModal(order)}
+                                  className="p-1 text-green-600 hover:text-green-800"
+                                  title="Receive Delivery"
+                                >
+                                  <TruckIcon className="h-5 w-5" />
+                                </button>
+                                <button
+                                  onClick={() => handleStatusChange(order, 'CLOSED')}
+                                  className="p-1 text-gray-600 hover:text-gray-800"
+                                  title="Close Order"
+                                >
+                                  <XCircleIcon className="h-5 w-5" />
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Create Order Modal */}
+        {showCreateModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <h2 className="text-xl font-bold mb-4">New Supplier Order</h2>
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Supplier *</label>
+                    <select
+                      value={createForm.supplierId}
+                      onChange={(e) => setCreateForm({ ...createForm, supplierId: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    >
+                      <option value="">Select supplier</option>
+                      {suppliers.map(s => (
+                        <option key={s.supplier_id} value={s.supplier_id}>{s.supplier_name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Expected Delivery</label>
+                    <input
+                      type="date"
+                      value={createForm.expectedDate}
+                      onChange={(e) => setCreateForm({ ...createForm, expectedDate: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Items</label>
+                  {createForm.items.map((item, index) => (
+                    <div key={index} className="flex gap-2 mb-2">
+                      <select
+                        value={item.productId}
+                        onChange={(e) => updateItem(index, 'productId', e.target.value)}
+                        className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                      >
+                        <option value="">Select product</option>
+                        {products
+                          .filter(p => !createForm.supplierId || !p.supplier_id || p.supplier_id == createForm.supplierId)
+                          .map(p => (
+                            <option key={p.product_id} value={p.product_id}>{p.product_name}</option>
+                          ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder="Qty"
+                        value={item.quantity}
+                        onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                        className="w-20 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="Unit cost"
+                        value={item.unitCost}
+                        onChange={(e) => updateItem(index, 'unitCost', e.target.value)}
+                        className="w-28 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                      />
+                      {createForm.items.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => setCreateForm({
+                            ...createForm,
+                            items: createForm.items.filter((_, i) => i !== index)
+                          })}
+                          className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <div className="flex justify-between items-center">
+                    <button
+                      type="button"
+                      onClick={() => setCreateForm({
+                        ...createForm,
+                        items: [...createForm.items, { productId: '', quantity: '', unitCost: '' }]
+                      })}
+                      className="text-sm text-green-600 hover:text-green-800"
+                    >
+                      + Add Item
+                    </button>
+                    <span className="text-sm font-medium">Total: {formatCurrency(createTotal)}</span>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Remarks</label>
+                  <textarea
+                    value={createForm.remarks}
+                    onChange={(e) => setCreateForm({ ...createForm, remarks: e.target.value })}
+                    rows={2}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowCreateModal(false)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleCreateOrder('DRAFT')}
+                    className="flex-1 px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50"
+                  >
+                    Save Draft
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleCreateOrder('SENT')}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Create &amp; Send
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Detail Modal */}
+        {showDetailModal && selectedOrder && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+              <h2 className="text-xl font-bold mb-4">Supplier Order Details</h2>
+
+              <div className="grid grid-cols-2 gap-4 mb-6">
+                <div>
+                  <p className="text-sm text-gray-500">Order Number</p>
+                  <p className="font-mono font-medium">{selectedOrder.order_number}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Date</p>
+                  <p className="font-medium">{formatDate(selectedOrder.order_date)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Supplier</p>
+                  <p className="font-medium">{selectedOrder.suppliers?.supplier_name || 'Unknown'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Status</p>
+                  {getStatusBadge(selectedOrder.status)}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Expected Delivery</p>
+                  <p className="font-medium">
+                    {selectedOrder.expected_date ? formatDate(selectedOrder.expected_date, { hour: undefined, minute: undefined }) : '-'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Total</p>
+                  <p className="font-medium">{formatCurrency(selectedOrder.total_amount)}</p>
+                </div>
+              </div>
+
+              <table className="min-w-full divide-y divide-gray-200 mb-4">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Line Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {selectedOrder.supplier_order_details.map(line => (
+                    <tr key={line.supplier_order_detail_id}>
+                      <td className="px-4 py-2 text-sm">{line.products?.product_name || 'Unknown'}</td>
+                      <td className="px-4 py-2 text-sm text-right">{line.quantity_ordered}</td>
+                      <td className="px-4 py-2 text-sm text-right">{line.quantity_received}</td>
+                      <td className="px-4 py-2 text-sm text-right">{line.quantity_outstanding}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.unit_cost)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.line_total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {selectedOrder.supply?.length > 0 && (
+                <div className="mb-4">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Deliveries</h3>
+                  <ul className="space-y-1 text-sm">
+                    {selectedOrder.supply.map(s => (
+                      <li key={s.supply_id} className="flex justify-between p-2 bg-gray-50 rounded">
+                        <span>Supply #{s.supply_id} · {formatDate(s.supply_date, { hour: undefined, minute: undefined })} · {s.employees?.employee_name || '-'}</span>
+                        <span className="font-medium">{formatCurrency(s.total)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {selectedOrder.remarks && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm text-gray-500">Remarks</p>
+                  <p className="text-sm whitespace-pre-line">{selectedOrder.remarks}</p>
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  onClick={() => setShowDetailModal(false)}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Receive Modal */}
+        {showReceiveModal && selectedOrder && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <h2 className="text-xl font-bold mb-4">Receive Delivery</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                {selectedOrder.order_number} | Supplier: {selectedOrder.suppliers?.supplier_name || 'Unknown'}
+              </p>
+
+              <form onSubmit={handleReceiveOrder} className="space-y-4">
+                {receiveForm.items.map((item, index) => (
+                  <div key={`${item.detailId}-${index}`} className="p-4 border rounded-lg">
+                    <div className="flex justify-between items-center mb-2">
+                      <p className="font-medium">{item.productName}</p>
+                      <div className="flex gap-3 text-sm">
+                        <button
+                          type="button"
+                          onClick={() => splitReceiveItem(index)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          + Another batch
+                        </button>
+                        {receiveForm.items.filter(i => i.detailId === item.detailId).length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => removeReceiveItem(index)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-3 gap-4">
+                      <div>
+                        <label className="block text-xs text-gray-500">Ordered</label>
+                        <p className="font-medium">{item.quantityOrdered}</p>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500">Outstanding</label>
+                        <p className="font-medium">{item.quantityOutstanding}</p>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500">Receiving</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={item.quantity}
+                          onChange={(e) => updateReceiveItem(index, 'quantity', parseInt(e.target.value) || 0)}
+                          className="w-full px-2 py-1 border rounded focus:ring-2 focus:ring-green-500"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4 mt-3">
+                      <div>
+                        <label className="block text-xs text-gray-500">Batch Number</label>
+                        <input
+                          type="text"
+                          value={item.batchNumber}
+                          onChange={(e) => updateReceiveItem(index, 'batchNumber', e.target.value)}
+                          className="w-full px-2 py-1 border rounded focus:ring-2 focus:ring-green-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500">Expiry Date</label>
+                        <input
+                          type="date"
+                          value={item.expirationDate}
+                          onChange={(e) => updateReceiveItem(index, 'expirationDate', e.target.value)}
+                          className="w-full px-2 py-1 border rounded focus:ring-2 focus:ring-green-500"
+                        />
+                      </div>
+                    </div>
+                  </div>
+                ))}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Remarks (optional)</label>
+                  <textarea
+                    value={receiveForm.remarks}
+                    onChange={(e) => setReceiveForm({ ...receiveForm, remarks: e.target.value })}
+                    rows={2}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+
+                <div className="flex gap-4 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowReceiveModal(false)}
+                    className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    Receive Delivery
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Over-receipt Approval Modal */}
+        {approvalRequest && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h2 className="text-lg font-bold mb-2">Manager Approval Required</h2>
+              <p className="text-sm text-red-600 mb-4">{approvalRequest.message}</p>
+              <p className="text-xs text-gray-500 mb-3">Managers may leave the credentials blank to approve their own receipt.</p>
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="Manager username"
+                  value={approvalForm.username}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, username: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  autoComplete="off"
+                />
+                <input
+                  type="password"
+                  placeholder="Manager password"
+                  value={approvalForm.password}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, password: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  autoComplete="new-password"
+                />
+                <input
+                  type="text"
+                  placeholder="Reason for over-receipt"
+                  value={approvalForm.reason}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, reason: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+              <div className="flex gap-4 pt-6">
+                <button
+                  type="button"
+                  onClick={() => setApprovalRequest(null)}
+                  className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (!approvalForm.reason.trim()) {
+                      toast.error('Enter a reason for the over-receipt');
+                      return;
+                    }
+                    handleReceiveOrder(null, {
+                      username: approvalForm.username.trim() || undefined,
+                      password: approvalForm.password,
+                      reason: approvalForm.reason.trim()
+                    });
+                  }}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Approve & Receive
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+    </ProtectedRoute>
+  );
+}
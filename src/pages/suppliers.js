@@ -2,7 +2,31 @@ import { useState, useEffect } from 'react';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import toast from 'react-hot-toast';
 import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon, CurrencyDollarIcon } from '@heroicons/react/24/outline';
-import { formatCurrency, formatDate } from '@/lib/utils';
+import { formatCurrency, formatDate, roundCurrency } from '@/lib/utils';
+import { TENDER_LABELS } from '@/lib/payments';
+
+const PAYMENT_TERMS = {
+  COD: 'COD',
+  NET_30: '30 days',
+  NET_60: '60 days'
+};
+
+const PAYMENT_METHODS = ['CASH', 'E_WALLET', 'BANK_TRANSFER', 'CHECK'];
+
+const emptyPaymentDetails = {
+  paymentMethod: 'CASH',
+  provider: '',
+  referenceNumber: '',
+  checkNumber: '',
+  checkDate: '',
+  description: ''
+};
+
+const DATE_ONLY = { hour: undefined, minute: undefined };
+
+function billLabel(bill) {
+  return bill.bill_number || `SUP-${bill.supply_id}`;
+}
 
 export default function Suppliers() {
   const [suppliers, setSuppliers] = useState([]);
@@ -13,9 +37,15 @@ export default function Suppliers() {
   const [editingSupplier, setEditingSupplier] = useState(null);
   const [selectedSupplier, setSelectedSupplier] = useState(null);
   const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentKey, setPaymentKey] = useState(null); // Idempotency-Key: one payment per modal
+  const [paymentDetails, setPaymentDetails] = useState(emptyPaymentDetails);
+  const [openBills, setOpenBills] = useState([]);
+  const [applyMode, setApplyMode] = useState('AUTO'); // AUTO (earliest due first) or MANUAL
+  const [billAmounts, setBillAmounts] = useState({}); // supply_id -> amount applied (MANUAL)
   const [formData, setFormData] = useState({
     name: '',
-    phone: ''
+    phone: '',
+    terms: 'COD'
   });
 
   useEffect(() => {
@@ -61,7 +91,8 @@ export default function Suppliers() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           supplierName: formData.name,
-          phone: formData.phone
+          phone: formData.phone,
+          paymentTerms: formData.terms
         })
       });
 
@@ -79,20 +110,39 @@ export default function Suppliers() {
     }
   };
 
+  // Bills chosen by hand, or the earliest-due-first split the API will make
+  const manualAllocations = Object.entries(billAmounts)
+    .filter(([, amount]) => parseFloat(amount) > 0)
+    .map(([supplyId, amount]) => ({ supplyId: parseInt(supplyId), amount: parseFloat(amount) }));
+  const manualTotal = roundCurrency(manualAllocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  const totalToPay = applyMode === 'MANUAL' ? manualTotal : parseFloat(paymentAmount || 0);
+
+  const autoApplied = {};
+  let autoRemaining = roundCurrency(parseFloat(paymentAmount || 0));
+  for (const bill of openBills) {
+    if (autoRemaining <= 0) break;
+    autoApplied[bill.supply_id] = Math.min(bill.open_amount, autoRemaining);
+    autoRemaining = roundCurrency(autoRemaining - autoApplied[bill.supply_id]);
+  }
+
   const handlePayment = async (e) => {
     e.preventDefault();
-    if (!selectedSupplier || !paymentAmount) return;
+    if (!selectedSupplier || !(totalToPay > 0)) return;
 
     try {
       const res = await fetch(`/api/suppliers/${selectedSupplier.supplier_id}/payment`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ amount: parseFloat(paymentAmount) })
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': paymentKey },
+        body: JSON.stringify({
+          ...paymentDetails,
+          amount: totalToPay,
+          allocations: applyMode === 'MANUAL' ? manualAllocations : undefined
+        })
       });
 
       const data = await res.json();
       if (res.ok) {
-        toast.success(`Payment of ${formatCurrency(paymentAmount)} recorded!`);
+        toast.success(`Payment of ${formatCurrency(totalToPay)} recorded (${data.payment.voucher_number})`);
         setShowPaymentModal(false);
         setSelectedSupplier(null);
         setPaymentAmount('');
@@ -126,22 +176,41 @@ export default function Suppliers() {
     setEditingSupplier(supplier);
     setFormData({
       name: supplier.supplier_name || '',
-      phone: supplier.contact_number || ''
+      phone: supplier.contact_number || '',
+      terms: supplier.payment_terms || 'COD'
     });
     setShowModal(true);
   };
 
-  const openPaymentModal = (supplier) => {
+  const openPaymentModal = async (supplier) => {
     setSelectedSupplier(supplier);
     setPaymentAmount('');
+    setPaymentDetails(emptyPaymentDetails);
+    setApplyMode('AUTO');
+    setBillAmounts({});
+    setOpenBills([]);
+    setPaymentKey(crypto.randomUUID());
     setShowPaymentModal(true);
+
+    try {
+      const res = await fetch(`/api/suppliers/${supplier.supplier_id}/bills`);
+      const data = await res.json();
+      if (res.ok) {
+        setOpenBills(data.bills || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch supplier bills');
+    }
   };
 
   const resetForm = () => {
     setEditingSupplier(null);
     setFormData({
       name: '',
-      phone: ''
+      phone: '',
+      terms: 'COD'
     });
   };
 
@@ -185,6 +254,7 @@ export default function Suppliers() {
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Supplier</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Phone</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Terms</th>
                   <th className="px-6 py-3 text-right text-xs font-medium text-black uppercase">Products</th>
                   <th className="px-6 py-3 text-right text-xs font-medium text-black uppercase">Balance</th>
                   <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
@@ -193,11 +263,11 @@ export default function Suppliers() {
               <tbody className="divide-y divide-gray-200">
                 {loading ? (
                   <tr>
-                    <td colSpan="5" className="px-6 py-4 text-center text-black">Loading...</td>
+                    <td colSpan="6" className="px-6 py-4 text-center text-black">Loading...</td>
                   </tr>
                 ) : suppliers.length === 0 ? (
                   <tr>
-                    <td colSpan="5" className="px-6 py-4 text-center text-black">No suppliers found</td>
+                    <td colSpan="6" className="px-6 py-4 text-center text-black">No suppliers found</td>
                   </tr>
                 ) : (
                   suppliers.map(supplier => (
@@ -208,6 +278,9 @@ export default function Suppliers() {
                       <td className="px-6 py-4 text-sm text-black">
                         {supplier.contact_number || '-'}
                       </td>
+                      <td className="px-6 py-4 text-sm text-black">
+                        {PAYMENT_TERMS[supplier.payment_terms] || supplier.payment_terms}
+                      </td>
                       <td className="px-6 py-4 text-right text-sm text-black">
                         {supplier.product_count || 0}
                       </td>
@@ -278,6 +351,21 @@ export default function Suppliers() {
                     className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Payment Terms</label>
+                  <select
+                    value={formData.terms}
+                    onChange={(e) => setFormData({ ...formData, terms: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                  >
+                    {Object.entries(PAYMENT_TERMS).map(([terms, label]) => (
+                      <option key={terms} value={terms}>{label}</option>
+                    ))}
+                  </select>
+                  {editingSupplier && (
+                    <p className="mt-1 text-xs text-gray-500">Applies to deliveries from now on; existing bills keep their due dates.</p>
+                  )}
+                </div>
                 <div className="flex gap-4 pt-4">
                   <button
                     type="button"
@@ -301,7 +389,7 @@ export default function Suppliers() {
         {/* Payment Modal */}
         {showPaymentModal && selectedSupplier && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
               <h2 className="text-xl font-bold mb-4">Record Payment to Supplier</h2>
               <div className="mb-4 p-4 bg-gray-50 rounded-lg">
                 <p className="font-medium">{selectedSupplier.supplier_name}</p>
@@ -310,22 +398,179 @@ export default function Suppliers() {
                 </p>
               </div>
               <form onSubmit={handlePayment} className="space-y-4">
+                <div className="flex gap-2">
+                  {[['AUTO', 'Earliest due first'], ['MANUAL', 'Choose bills']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setApplyMode(mode)}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium ${
+                        applyMode === mode ? 'bg-green-600 text-white' : 'bg-gray-100 text-black hover:bg-gray-200'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                {applyMode === 'AUTO' && (
+                  <div>
+                    <label className="block text-sm font-medium text-black">Payment Amount *</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      required
+                      min="0.01"
+                      max={selectedSupplier.payable_balance}
+                      value={paymentAmount}
+                      onChange={(e) => setPaymentAmount(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    />
+                    <p className="mt-1 text-sm text-black">
+                      Max: {formatCurrency(selectedSupplier.payable_balance)}
+                    </p>
+                  </div>
+                )}
+
+                <div className="border rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bill</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Open</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Apply</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {openBills.length === 0 ? (
+                        <tr>
+                          <td colSpan="4" className="px-3 py-3 text-center text-gray-500">No open bills; the payment lowers the balance owed.</td>
+                        </tr>
+                      ) : (
+                        openBills.map(bill => (
+                          <tr key={bill.supply_id}>
+                            <td className="px-3 py-2 text-black">
+                              <p className="font-mono">{billLabel(bill)}</p>
+                              <p className="text-xs text-gray-500">Delivered {formatDate(bill.supply_date, DATE_ONLY)}</p>
+                            </td>
+                            <td className={`px-3 py-2 ${new Date(bill.due_date) < new Date() ? 'text-red-600' : 'text-black'}`}>
+                              {formatDate(bill.due_date, DATE_ONLY)}
+                            </td>
+                            <td className="px-3 py-2 text-right text-black">{formatCurrency(bill.open_amount)}</td>
+                            <td className="px-3 py-2 text-right">
+                              {applyMode === 'MANUAL' ? (
+                                <div className="flex items-center justify-end gap-2">
+                                  <button
+                                    type="button"
+                                    onClick={() => setBillAmounts({ ...billAmounts, [bill.supply_id]: String(bill.open_amount) })}
+                                    className="text-xs text-green-700 hover:underline"
+                                  >
+                                    Full
+                                  </button>
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    max={bill.open_amount}
+                                    value={billAmounts[bill.supply_id] || ''}
+                                    onChange={(e) => setBillAmounts({ ...billAmounts, [bill.supply_id]: e.target.value })}
+                                    className="w-28 px-2 py-1 text-right border rounded"
+                                  />
+                                </div>
+                              ) : (
+                                <span className="text-green-700">{autoApplied[bill.supply_id] ? formatCurrency(autoApplied[bill.supply_id]) : '-'}</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {applyMode === 'MANUAL' && (
+                  <p className="text-sm text-black text-right">
+                    Payment Amount: <span className="font-medium">{formatCurrency(manualTotal)}</span>
+                  </p>
+                )}
+                {applyMode === 'AUTO' && autoRemaining > 0 && openBills.length > 0 && (
+                  <p className="text-sm text-amber-700">{formatCurrency(autoRemaining)} is not tied to an open bill and lowers the balance owed.</p>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black">Payment Method</label>
+                    <select
+                      value={paymentDetails.paymentMethod}
+                      onChange={(e) => setPaymentDetails({ ...paymentDetails, paymentMethod: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                    >
+                      {PAYMENT_METHODS.map(method => (
+                        <option key={method} value={method}>{TENDER_LABELS[method]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {(paymentDetails.paymentMethod === 'E_WALLET' || paymentDetails.paymentMethod === 'BANK_TRANSFER') && (
+                    <div>
+                      <label className="block text-sm font-medium text-black">{paymentDetails.paymentMethod === 'E_WALLET' ? 'Provider' : 'Bank'}</label>
+                      <input
+                        type="text"
+                        value={paymentDetails.provider}
+                        onChange={(e) => setPaymentDetails({ ...paymentDetails, provider: e.target.value })}
+                        placeholder={paymentDetails.paymentMethod === 'E_WALLET' ? 'GCash, Maya...' : ''}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                  )}
+                  {(paymentDetails.paymentMethod === 'E_WALLET' || paymentDetails.paymentMethod === 'BANK_TRANSFER') && (
+                    <div className="col-span-2">
+                      <label className="block text-sm font-medium text-black">Reference Number *</label>
+                      <input
+                        type="text"
+                        required
+                        value={paymentDetails.referenceNumber}
+                        onChange={(e) => setPaymentDetails({ ...paymentDetails, referenceNumber: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                      />
+                    </div>
+                  )}
+                  {paymentDetails.paymentMethod === 'CHECK' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Check Number *</label>
+                        <input
+                          type="text"
+                          required
+                          value={paymentDetails.checkNumber}
+                          onChange={(e) => setPaymentDetails({ ...paymentDetails, checkNumber: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-black">Check Date *</label>
+                        <input
+                          type="date"
+                          required
+                          value={paymentDetails.checkDate}
+                          onChange={(e) => setPaymentDetails({ ...paymentDetails, checkDate: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
+
                 <div>
-                  <label className="block text-sm font-medium text-black">Payment Amount *</label>
+                  <label className="block text-sm font-medium text-black">Remarks</label>
                   <input
-                    type="number"
-                    step="0.01"
-                    required
-                    min="0.01"
-                    max={selectedSupplier.payable_balance}
-                    value={paymentAmount}
-                    onChange={(e) => setPaymentAmount(e.target.value)}
-                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500"
+                    type="text"
+                    maxLength={255}
+                    value={paymentDetails.description}
+                    onChange={(e) => setPaymentDetails({ ...paymentDetails, description: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg text-black"
                   />
-                  <p className="mt-1 text-sm text-black">
-                    Max: {formatCurrency(selectedSupplier.payable_balance)}
-                  </p>
                 </div>
+
                 <div className="flex gap-4 pt-4">
                   <button
                     type="button"
@@ -336,7 +581,8 @@ export default function Suppliers() {
                   </button>
                   <button
                     type="submit"
-                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                    disabled={!(totalToPay > 0)}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300"
                   >
                     Record Payment
                   </button>
@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon } from '@heroicons/react/24/outline';
+
+const emptyForm = {
+  terminalCode: '',
+  terminalName: '',
+  orPrefix: '',
+  rangeStart: '1',
+  rangeEnd: '',
+  isActive: true
+};
+
+export default function Terminals() {
+  const [terminals, setTerminals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchTerminals();
+  }, []);
+
+  const fetchTerminals = async () => {
+    try {
+      const res = await fetch('/api/terminals');
+      const data = await res.json();
+      if (res.ok) {
+        setTerminals(data.terminals || []);
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch terminals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setShowModal(true);
+  };
+
+  const openEdit = (terminal) => {
+    setEditing(terminal);
+    setForm({
+      terminalCode: terminal.terminal_code,
+      terminalName: terminal.terminal_name,
+      orPrefix: terminal.or_prefix,
+      rangeStart: String(terminal.range_start),
+      rangeEnd: String(terminal.range_end),
+      isActive: terminal.is_active
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(editing ? `/api/terminals/${editing.terminal_id}` : '/api/terminals', {
+        method: editing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          rangeStart: parseInt(form.rangeStart),
+          rangeEnd: parseInt(form.rangeEnd)
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setShowModal(false);
+        fetchTerminals();
+      } else {
+        toast.error(data.error);
+      }
+    } catch (error) {
+      toast.error('Failed to save terminal');
+    }
+  };
+
+  const newSeries = editing && parseInt(form.rangeStart) !== editing.range_start;
+
+  return (
+    <ProtectedRoute requiredRole="MANAGER">
+      <div className="space-y-6">
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">POS Terminals</h1>
+            <p className="text-sm text-gray-600">
+              Each terminal prints its own sequential official receipt numbers from its authorised range. Once a terminal is set up, every POS must select one.
+            </p>
+          </div>
+          <button
+            onClick={openCreate}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            <PlusIcon className="h-5 w-5" />
+            New Terminal
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Terminal</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">OR Range</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Issued</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">Loading...</td>
+                </tr>
+              ) : terminals.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No terminals yet. Sales are recorded without OR numbers until one is added.</td>
+                </tr>
+              ) : (
+                terminals.map(terminal => (
+                  <tr key={terminal.terminal_id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="font-medium text-gray-900">{terminal.terminal_code}</div>
+                      <div className="text-xs text-gray-500">{terminal.terminal_name}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm font-mono text-gray-700">
+                      {terminal.or_prefix}{terminal.range_start} – {terminal.or_prefix}{terminal.range_end}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-mono text-gray-700">{terminal.last_issued || '-'}</td>
+                    <td className="px-6 py-4 text-sm font-mono text-gray-700">{terminal.next_or_number || 'None left'}</td>
+                    <td className={`px-6 py-4 text-right text-sm ${terminal.remaining < 100 ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                      {terminal.remaining}
+                    </td>
+                    <td className="px-6 py-4 text-center">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${terminal.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                        {terminal.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex justify-center">
+                        <button
+                          onClick={() => openEdit(terminal)}
+                          className="p-1 text-blue-600 hover:text-blue-800"
+                          title="Edit"
+                        >
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+            <h2 className="text-xl font-bold mb-4">{editing ? 'Edit Terminal' : 'New Terminal'}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-black">Code *</label>
+                  <input
+                    type="text"
+                    required
+                    maxLength={20}
+                    value={form.terminalCode}
+                    onChange={(e) => setForm({ ...form, terminalCode: e.target.value })}
+                    placeholder="e.g., POS-01"
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Name *</label>
+                  <input
+                    type="text"
+                    required
+                    value={form.terminalName}
+                    onChange={(e) => setForm({ ...form, terminalName: e.target.value })}
+                    placeholder="e.g., Front counter"
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black">Receipt Prefix</label>
+                <input
+                  type="text"
+                  maxLength={20}
+                  value={form.orPrefix}
+                  onChange={(e) => setForm({ ...form, orPrefix: e.target.value })}
+                  placeholder="e.g., OR-A-"
+                  className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black placeholder:text-gray-400"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-black">Range Start *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    required
+                    value={form.rangeStart}
+                    onChange={(e) => setForm({ ...form, rangeStart: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black">Range End *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    required
+                    value={form.rangeEnd}
+                    onChange={(e) => setForm({ ...form, rangeEnd: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 text-black"
+                  />
+                </div>
+              </div>
+
+              {newSeries && (
+                <p className="text-sm text-amber-700">
+                  A new range start begins a new series: the next sale gets {form.orPrefix}{form.rangeStart}. It must come after the last number issued.
+                </p>
+              )}
+
+              {editing && (
+                <label className="flex items-center gap-2 text-sm text-black">
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  />
+                  Active (can ring up sales)
+                </label>
+              )}
+
+              <div className="flex justify-end gap-2 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </ProtectedRoute>
+  );
+}